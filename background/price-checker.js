@@ -9,398 +9,71 @@ import browser from '../utils/browser-polyfill.js';
  * - Priority-based checking (check older products first)
  * - Batch processing with delays
  * - Price comparison and change detection
- * - Self-contained HTML parsing (no content-script dependencies)
+ * - HTML parsing with the site adapters and the shared extraction engine
  */
 
 import { fetchHTML } from '../utils/fetch-helper.js';
 import { StorageManager } from './storage-manager.js';
 import { isUrlSupportedOrPermitted } from '../utils/domain-validator.js';
-import { parsePrice } from '../utils/currency-parser.js';
+import { getVariantRefFromUrl } from '../utils/variant-helper.js';
+import { getAvailabilityFromRawHTML, isOutOfStock } from '../utils/availability.js';
+import { applySaleInfo, saleInfoChanged } from '../utils/sale-price.js';
+import { analyzeDiscount } from '../utils/discount-analysis.js';
+import { isTargetReachedByCheck } from '../utils/target-price.js';
+import {
+  applyShipping,
+  getPriceBasis,
+  getComparablePrice,
+  getShippingChange,
+  PRICE_BASIS,
+  SHIPPING_CHANGES
+} from '../utils/shipping.js';
+import {
+  applyUnitPrice,
+  canCompareUnitPrices,
+  getPackSizeChange,
+  PACK_SIZE_CHANGES
+} from '../utils/unit-price.js';
+import { getIdentityKeys } from '../utils/offer-groups.js';
+import {
+  CURRENCY_CHANGE_ACTIONS,
+  buildRebaselinedPrice,
+  decideCurrencyChange,
+  getCurrencyChangeRule,
+  resolveDetectedCurrency,
+  getPageCurrencyFromRawHTML
+} from '../utils/currency-change.js';
+import { convertAmount, getRateTable } from '../utils/exchange-rates.js';
+import { findSiteRule, getSiteRules } from '../utils/site-rules.js';
+import { extractPagePrice } from '../content-scripts/site-adapters/adapter-runner.js';
+import {
+  findSchemaPriceInData,
+  getExpectedCurrencyFromDomain,
+  isApproximatePrice,
+  parsePriceText,
+  readEmbeddedProduct
+} from '../utils/price-extraction.js';
+import {
+  OUTLIER_REASONS,
+  SANITY_ACTIONS,
+  buildUnconfirmedPrice,
+  createRejectedReading,
+  decidePriceReading,
+  isConfirmingReading
+} from '../utils/price-sanity.js';
+import { selectDueProducts, interleaveByDomain } from '../utils/check-schedule.js';
+import {
+  classifyBlockError,
+  getBackoffDomain,
+  getDomainPause,
+  getPause,
+  loadBackoffState,
+  reportDomainBlocked,
+  reportDomainSuccess
+} from '../utils/domain-backoff.js';
+import { ACTIVITY_TYPES, describeCheckResult, logActivities, logActivity } from '../utils/activity-log.js';
 import { debug, debugWarn, debugError } from '../utils/debug.js';
 
-/**
- * Derive expected currency from domain
- * This ensures currency is always correct even if initially detected wrong
- * @param {string} domain - Domain like 'www.amazon.co.uk'
- * @returns {string|null} Expected currency code or null
- */
-function getExpectedCurrencyFromDomain(domain) {
-  const cleanDomain = domain.replace(/^www\./, '').toLowerCase();
-
-  // Amazon domains
-  const amazonCurrencies = {
-    'amazon.com': 'USD',
-    'amazon.co.uk': 'GBP',
-    'amazon.de': 'EUR',
-    'amazon.fr': 'EUR',
-    'amazon.it': 'EUR',
-    'amazon.es': 'EUR',
-    'amazon.ca': 'CAD',
-    'amazon.com.au': 'AUD',
-    'amazon.co.jp': 'JPY',
-    'amazon.in': 'INR',
-    'amazon.com.mx': 'MXN',
-    'amazon.com.br': 'BRL',
-    'amazon.nl': 'EUR',
-    'amazon.se': 'SEK'
-  };
-
-  // eBay domains
-  const ebayCurrencies = {
-    'ebay.com': 'USD',
-    'ebay.co.uk': 'GBP',
-    'ebay.de': 'EUR',
-    'ebay.fr': 'EUR',
-    'ebay.it': 'EUR',
-    'ebay.es': 'EUR',
-    'ebay.ca': 'CAD',
-    'ebay.com.au': 'AUD'
-  };
-
-  // Check Amazon
-  for (const [domain, currency] of Object.entries(amazonCurrencies)) {
-    if (cleanDomain.includes(domain)) {
-      return currency;
-    }
-  }
-
-  // Check eBay
-  for (const [domain, currency] of Object.entries(ebayCurrencies)) {
-    if (cleanDomain.includes(domain)) {
-      return currency;
-    }
-  }
-
-  // Target is always USD
-  if (cleanDomain.includes('target.com')) return 'USD';
-
-  // Walmart is always USD
-  if (cleanDomain.includes('walmart.com')) return 'USD';
-
-  return null; // Let currency parser auto-detect
-}
-
-/**
- * Parse price string with context
- * Uses the robust currency parser to avoid "two brains" problem
- * @param {string} priceString - The raw text to parse
- * @param {Object} contextData - Context information (domain, locale, currency)
- * @returns {number|null} The numeric price or null
- */
-function parseNumericPrice(priceString, contextData = {}) {
-  if (!priceString || typeof priceString !== 'string') return null;
-
-  try {
-    const parsed = parsePrice(priceString, contextData);
-    return parsed ? parsed.numeric : null;
-  } catch (error) {
-    debugWarn('[PriceChecker]', 'Error parsing price with currency-parser:', error);
-    return null;
-  }
-}
-
-/**
- * Normalize Schema.org @type values to an array of strings.
- * @param {Object} item - Schema node
- * @returns {string[]} Schema type names
- */
-function getSchemaTypes(item) {
-  const rawType = item?.['@type'];
-  if (!rawType) return [];
-
-  return (Array.isArray(rawType) ? rawType : [rawType])
-    .filter(type => typeof type === 'string')
-    .map(type => type.replace(/^https?:\/\/schema\.org\//i, ''));
-}
-
-/**
- * Check if a Schema.org node has a specific type.
- * @param {Object} item - Schema node
- * @param {string} typeName - Type name, e.g. Product
- * @returns {boolean}
- */
-function isSchemaType(item, typeName) {
-  return getSchemaTypes(item).includes(typeName);
-}
-
-/**
- * Recursively collect Product and ProductGroup entities from JSON-LD.
- * Many modern stores put products inside @graph, hasVariant, itemListElement,
- * or framework-specific nested objects.
- * @param {Object|Array} node - Parsed JSON-LD node
- * @param {Array} matches - Accumulator
- * @param {WeakSet<object>} seen - Cycle guard
- * @returns {Array}
- */
-function findProductSchemaNodes(node, matches = [], seen = new WeakSet()) {
-  if (!node || typeof node !== 'object' || seen.has(node)) {
-    return matches;
-  }
-
-  seen.add(node);
-
-  if (isSchemaType(node, 'Product') || isSchemaType(node, 'ProductGroup')) {
-    matches.push(node);
-  }
-
-  if (Array.isArray(node)) {
-    for (const item of node) {
-      findProductSchemaNodes(item, matches, seen);
-    }
-    return matches;
-  }
-
-  for (const value of Object.values(node)) {
-    if (value && typeof value === 'object') {
-      findProductSchemaNodes(value, matches, seen);
-    }
-  }
-
-  return matches;
-}
-
-/**
- * Normalize platform prices. Shopify stores integer minor units in product JSON.
- * @param {string|number} rawPrice - Raw price value
- * @returns {string|number}
- */
-function normalizePlatformPrice(rawPrice) {
-  if (typeof rawPrice !== 'number') {
-    return rawPrice;
-  }
-
-  if (Number.isInteger(rawPrice) && rawPrice >= 1000) {
-    return (rawPrice / 100).toFixed(2);
-  }
-
-  return rawPrice;
-}
-
-/**
- * Extract a price from embedded platform product JSON scripts.
- * @param {Document} doc - Parsed DOM document
- * @param {Object} contextData - Context information
- * @returns {number|null}
- */
-function extractPriceFromEmbeddedProductJson(doc, contextData = {}) {
-  const scripts = doc.querySelectorAll(
-    'script[type="application/json"][id*="ProductJson" i], script[type="application/json"][id*="product" i], script[type="application/json"][data-product-json]'
-  );
-
-  for (const script of scripts) {
-    try {
-      const data = JSON.parse(script.textContent);
-      const product = data.product || data;
-      const variants = Array.isArray(product.variants) ? product.variants : [];
-      const selectedVariant = variants.find(variant => variant.available !== false) || variants[0] || null;
-      const rawPrice = selectedVariant?.price ?? product.price ?? product.price_min;
-
-      if (!rawPrice) {
-        continue;
-      }
-
-      const normalizedPrice = normalizePlatformPrice(rawPrice);
-      const parsed = parseNumericPrice(String(normalizedPrice), contextData);
-      if (parsed !== null) {
-        return parsed;
-      }
-    } catch (error) {
-      debugWarn('[PriceChecker]', 'Failed to parse embedded product JSON:', error.message);
-    }
-  }
-
-  return null;
-}
-
-/**
- * Extract price from parsed HTML document (same logic as offscreen.js)
- * @param {Document} doc - Parsed DOM document
- * @param {Object} contextData - Context information (domain, locale, currency)
- * @returns {Object} - { success: boolean, price: number, detectionMethod: string }
- */
-function extractPriceFromDocument(doc, contextData = {}) {
-  let newPrice = null;
-  let detectionMethod = 'none';
-
-  // Helper function to extract price from offers array
-  const extractPriceFromOffers = (offers, contextData) => {
-    const expectedCurrency = contextData.expectedCurrency || getExpectedCurrencyFromDomain(contextData.domain || '');
-    let matchingCurrencyPrice = null;
-    let fallbackPrice = null;
-
-    for (const offer of offers) {
-      const offerText = JSON.stringify(offer).toLowerCase();
-      if (offerText.includes('approximately') || offerText.includes('approx.') || offerText.includes('approx ')) {
-        debug('[PriceChecker]', 'Skipping approximate offer in JSON-LD');
-        continue;
-      }
-
-      const priceString = offer.price || offer.lowPrice || offer.highPrice;
-      if (priceString) {
-        const parsed = parsePrice(String(priceString), contextData);
-        if (parsed && parsed.numeric !== null) {
-          // CRITICAL: Use explicit priceCurrency from JSON-LD offer
-          // The parser might guess wrong currency based on domain (.com = USD)
-          // but JSON-LD explicitly specifies the correct currency
-          if (offer.priceCurrency) {
-            parsed.currency = offer.priceCurrency;
-            debug('[PriceChecker]', `Using explicit currency from JSON-LD: ${offer.priceCurrency}`);
-          }
-
-          const offerCurrency = parsed.currency;
-
-          if (expectedCurrency && offerCurrency !== expectedCurrency) {
-            debug('[PriceChecker]', `Skipping offer with mismatched currency: ${offerCurrency} (expected ${expectedCurrency})`);
-            if (fallbackPrice === null) {
-              fallbackPrice = parsed.numeric;
-            }
-            continue;
-          }
-
-          if (matchingCurrencyPrice === null) {
-            matchingCurrencyPrice = parsed.numeric;
-            debug('[PriceChecker]', `Found matching currency offer: ${parsed.numeric} ${parsed.currency}`);
-          }
-        }
-      }
-    }
-
-    return matchingCurrencyPrice !== null ? matchingCurrencyPrice : fallbackPrice;
-  };
-
-  // 1. Try to find price via Schema.org JSON-LD (most reliable)
-  const schemaScripts = doc.querySelectorAll('script[type="application/ld+json"]');
-  for (const script of schemaScripts) {
-    try {
-      const schema = JSON.parse(script.textContent);
-      const items = findProductSchemaNodes(schema);
-
-      for (const item of items) {
-        // Handle Product with offers
-        if ((isSchemaType(item, 'Product') || isSchemaType(item, 'ProductGroup')) && item.offers) {
-          const offers = Array.isArray(item.offers) ? item.offers : [item.offers];
-          newPrice = extractPriceFromOffers(offers, contextData);
-          if (newPrice !== null) {
-            detectionMethod = 'schema.org';
-            break;
-          }
-        }
-      }
-    } catch (e) {
-      // Ignore JSON parse errors
-    }
-    if (newPrice !== null) break;
-  }
-
-  // 2. Try embedded platform product JSON (Shopify themes, etc.)
-  if (newPrice === null) {
-    newPrice = extractPriceFromEmbeddedProductJson(doc, contextData);
-    if (newPrice !== null) {
-      detectionMethod = 'embeddedProductJson';
-    }
-  }
-
-  // 3. If structured extraction fails, try common meta tags and selectors
-  if (newPrice === null) {
-    const selectors = [
-      { sel: 'meta[property="og:price:amount"]', attr: 'content' },
-      { sel: 'meta[property="product:price:amount"]', attr: 'content' },
-      { sel: 'meta[itemprop="price"]', attr: 'content' },
-
-      // SportsDirect - use ID selector
-      { sel: '#lblSellingPrice', attr: 'textContent' },
-
-      // Booztlet - use current price class
-      { sel: '.current-price', attr: 'textContent' },
-      { sel: '.price.campaign', attr: 'textContent' },
-
-      // Amazon
-      { sel: '.a-price .a-offscreen', attr: 'textContent' },
-      { sel: '.a-price-whole', attr: 'textContent' }, // Will be combined with fraction
-      { sel: '#priceblock_ourprice', attr: 'textContent' },
-
-      // eBay - IMPORTANT: Use textContent, not content attribute (which has price in cents)
-      // Be specific to avoid "Approximately" prices
-      { sel: '.x-price-primary [itemprop="price"]', attr: 'textContent' },
-      { sel: '.x-price-primary .ux-textspans--BOLD', attr: 'textContent' },
-      { sel: '#prcIsum', attr: 'textContent' },
-      { sel: '#mm-saleDscPrc', attr: 'textContent' },
-      { sel: '.x-price-primary span[class*="price"]', attr: 'textContent' },
-
-      // Target
-      { sel: '[data-test="product-price"]', attr: 'textContent' },
-      { sel: '[data-test="product-price-current"]', attr: 'textContent' },
-      { sel: '.h-text-orangeDark', attr: 'textContent' },
-
-      // Zalando
-      { sel: '[data-testid="price"]', attr: 'textContent' },
-      { sel: '[class*="price"][class*="current"]', attr: 'textContent' },
-      { sel: '[class*="currentPrice"]', attr: 'textContent' },
-
-      // Best Buy
-      { sel: '[data-testid="customer-price"]', attr: 'textContent' },
-
-      // Generic fallbacks
-      { sel: '[itemprop="price"]', attr: 'content' },
-      { sel: '.price', attr: 'textContent' }
-    ];
-
-    for (const { sel, attr } of selectors) {
-      const element = doc.querySelector(sel);
-      if (element) {
-        // Get price text based on specified attribute
-        let priceText;
-        if (attr === 'content') {
-          // For microdata content attributes, try textContent first
-          // because some sites (eBay) put prices in cents in content attribute
-          priceText = element.textContent || element.getAttribute('content');
-        } else {
-          priceText = element.textContent;
-        }
-
-        if (priceText) {
-          // EBAY FIX: Skip "Approximately" prices (shipping estimates, not actual prices)
-          const lowerText = priceText.toLowerCase();
-          if (lowerText.includes('approximately') || lowerText.includes('approx.') || lowerText.includes('approx ')) {
-            debug('[PriceChecker]', `Skipping approximate price: ${priceText.substring(0, 50)}`);
-            continue; // Skip this selector and try next one
-          }
-
-          newPrice = parseNumericPrice(priceText, contextData);
-          if (newPrice !== null) {
-            detectionMethod = `selector: ${sel}`;
-            break;
-          }
-        }
-      }
-    }
-
-    // Special handling for Amazon when a-offscreen is not available
-    // Combine a-price-whole and a-price-fraction for complete price
-    if (newPrice === null) {
-      const priceWhole = doc.querySelector('.a-price-whole');
-      const priceFraction = doc.querySelector('.a-price-fraction');
-      if (priceWhole) {
-        let combinedPrice = priceWhole.textContent.trim();
-        if (priceFraction) {
-          // Combine whole and fraction (e.g., "19" + "99" = "19.99")
-          combinedPrice = combinedPrice + '.' + priceFraction.textContent.trim();
-        }
-        newPrice = parseNumericPrice(combinedPrice, contextData);
-        if (newPrice !== null) {
-          detectionMethod = 'selector: .a-price-whole + .a-price-fraction';
-        }
-      }
-    }
-  }
-
-  return {
-    success: newPrice !== null,
-    price: newPrice,
-    detectionMethod
-  };
-}
-
 /**
  * Ensures the offscreen document is created and ready (Manifest V3 only)
  * @returns {Promise<void>}
@@ -495,6 +168,10 @@ async function parseHTMLForPrice(html, contextData = {}) {
           if (response.success) {
             debug('[PriceChecker]', 'Successfully parsed via offscreen document');
             return response;
+          } else if (response.availability) {
+            // No price, but the page states its stock status (e.g. sold out)
+            debug('[PriceChecker]', `Offscreen parsing found no price (availability: ${response.availability})`);
+            return response;
           } else {
             debugWarn('[PriceChecker]', 'Offscreen parsing failed:', response.error);
           }
@@ -516,7 +193,7 @@ async function parseHTMLForPrice(html, contextData = {}) {
       const doc = parser.parseFromString(html, 'text/html');
 
       // Extract price from the parsed document with context
-      return extractPriceFromDocument(doc, contextData);
+      return extractPagePrice(doc, contextData);
     }
 
     // If no parser available, try to extract from raw HTML using regex as last resort
@@ -540,52 +217,10 @@ async function parseHTMLForPrice(html, contextData = {}) {
  */
 function extractPriceFromRawHTML(html, contextData) {
   debug('[PriceChecker]', 'Attempting regex-based price extraction...');
-
-  // Helper function to extract price from offers array (regex version)
-  const extractPriceFromOffersRegex = (offers, contextData) => {
-    const expectedCurrency = contextData.expectedCurrency || getExpectedCurrencyFromDomain(contextData.domain || '');
-    let matchingCurrencyPrice = null;
-    let fallbackPrice = null;
-
-    for (const offer of offers) {
-      const offerText = JSON.stringify(offer).toLowerCase();
-      if (offerText.includes('approximately') || offerText.includes('approx.') || offerText.includes('approx ')) {
-        debug('[PriceChecker]', 'Skipping approximate offer in regex JSON-LD');
-        continue;
-      }
-
-      const priceString = offer.price || offer.lowPrice || offer.highPrice;
-      if (priceString) {
-        const parsed = parsePrice(String(priceString), contextData);
-        if (parsed && parsed.numeric !== null) {
-          // CRITICAL: Use explicit priceCurrency from JSON-LD offer
-          // The parser might guess wrong currency based on domain (.com = USD)
-          // but JSON-LD explicitly specifies the correct currency
-          if (offer.priceCurrency) {
-            parsed.currency = offer.priceCurrency;
-            debug('[PriceChecker]', `Using explicit currency from JSON-LD (regex): ${offer.priceCurrency}`);
-          }
-
-          const offerCurrency = parsed.currency;
-
-          if (expectedCurrency && offerCurrency !== expectedCurrency) {
-            debug('[PriceChecker]', `Skipping regex offer with mismatched currency: ${offerCurrency} (expected ${expectedCurrency})`);
-            if (fallbackPrice === null) {
-              fallbackPrice = parsed.numeric;
-            }
-            continue;
-          }
-
-          if (matchingCurrencyPrice === null) {
-            matchingCurrencyPrice = parsed.numeric;
-            debug('[PriceChecker]', `Found matching currency in regex: ${parsed.numeric} ${parsed.currency}`);
-          }
-        }
-      }
-    }
-
-    return matchingCurrencyPrice !== null ? matchingCurrencyPrice : fallbackPrice;
-  };
+  const availability = getAvailabilityFromRawHTML(html, contextData.variant);
+  // Every branch reports the currency the page showed, so a currency switch
+  // isn't taken for a price change
+  const pageCurrency = getPageCurrencyFromRawHTML(html);
 
   // Try to find Schema.org JSON-LD in raw HTML
   const jsonLdRegex = /<script type="application\/ld\+json">([\s\S]*?)<\/script>/gi;
@@ -593,23 +228,16 @@ function extractPriceFromRawHTML(html, contextData) {
 
   while ((match = jsonLdRegex.exec(html)) !== null) {
     try {
-      const schema = JSON.parse(match[1]);
-      const items = findProductSchemaNodes(schema);
-
-      for (const item of items) {
-        // Handle Product with offers
-        if ((isSchemaType(item, 'Product') || isSchemaType(item, 'ProductGroup')) && item.offers) {
-          const offers = Array.isArray(item.offers) ? item.offers : [item.offers];
-          const bestPrice = extractPriceFromOffersRegex(offers, contextData);
-          if (bestPrice !== null) {
-            debug('[PriceChecker]', '✓ Extracted price via regex:schema.org:', bestPrice);
-            return {
-              success: true,
-              price: bestPrice,
-              detectionMethod: 'regex:schema.org'
-            };
-          }
-        }
+      const schemaMatch = findSchemaPriceInData(JSON.parse(match[1]), contextData);
+      if (schemaMatch) {
+        debug('[PriceChecker]', '✓ Extracted price via regex:schema.org:', schemaMatch.price.numeric);
+        return {
+          success: true,
+          price: schemaMatch.price.numeric,
+          ...resolveDetectedCurrency(schemaMatch.price, pageCurrency),
+          availability,
+          detectionMethod: 'regex:schema.org'
+        };
       }
     } catch (e) {
       // Ignore JSON parse errors
@@ -621,23 +249,16 @@ function extractPriceFromRawHTML(html, contextData) {
   while ((match = productJsonRegex.exec(html)) !== null) {
     try {
       const jsonText = match[1] || match[2];
-      const data = JSON.parse(jsonText);
-      const product = data.product || data;
-      const variants = Array.isArray(product.variants) ? product.variants : [];
-      const selectedVariant = variants.find(variant => variant.available !== false) || variants[0] || null;
-      const rawPrice = selectedVariant?.price ?? product.price ?? product.price_min;
-
-      if (rawPrice) {
-        const normalizedPrice = normalizePlatformPrice(rawPrice);
-        const price = parseNumericPrice(String(normalizedPrice), contextData);
-        if (price !== null) {
-          debug('[PriceChecker]', '✓ Extracted price via regex:embeddedProductJson:', price);
-          return {
-            success: true,
-            price,
-            detectionMethod: 'regex:embeddedProductJson'
-          };
-        }
+      const embedded = readEmbeddedProduct(JSON.parse(jsonText), contextData);
+      if (embedded) {
+        debug('[PriceChecker]', '✓ Extracted price via regex:embeddedProductJson:', embedded.price.numeric);
+        return {
+          success: true,
+          price: embedded.price.numeric,
+          ...resolveDetectedCurrency(embedded.price, pageCurrency),
+          availability,
+          detectionMethod: 'regex:embeddedProductJson'
+        };
       }
     } catch (e) {
       // Ignore JSON parse errors
@@ -657,12 +278,15 @@ function extractPriceFromRawHTML(html, contextData) {
   for (const pattern of metaPatterns) {
     const metaMatch = html.match(pattern);
     if (metaMatch && metaMatch[1]) {
-      const price = parseNumericPrice(metaMatch[1], contextData);
+      const parsed = parsePriceText(metaMatch[1], contextData);
+      const price = parsed?.numeric ?? null;
       if (price !== null) {
         debug('[PriceChecker]', '✓ Extracted price via regex:meta tag:', price);
         return {
           success: true,
           price: price,
+          ...resolveDetectedCurrency(parsed, pageCurrency),
+          availability,
           detectionMethod: 'regex:meta'
         };
       }
@@ -724,8 +348,7 @@ function extractPriceFromRawHTML(html, contextData) {
         .trim();
 
       // EBAY FIX: Skip "Approximately" prices (shipping estimates, not actual prices)
-      const lowerText = text.toLowerCase();
-      if (lowerText.includes('approximately') || lowerText.includes('approx.') || lowerText.includes('approx ')) {
+      if (isApproximatePrice(text)) {
         debug('[PriceChecker]', `Skipping approximate price in regex: ${text.substring(0, 50)}`);
         continue; // Skip this pattern and try next one
       }
@@ -737,6 +360,9 @@ function extractPriceFromRawHTML(html, contextData) {
       // Remove "was", "now", "from" prefixes common in discount sites
       text = text.replace(/^(was|now|from)\s+/gi, '').trim();
 
+      // Text with its currency symbol, for the currency the page showed
+      const shownText = text;
+
       // If multiple price-like numbers exist, take the first valid one
       const priceOnlyMatch = text.match(/([\d\s,.']+[\d])/);
       if (priceOnlyMatch) {
@@ -744,12 +370,15 @@ function extractPriceFromRawHTML(html, contextData) {
       }
 
       if (text && text.length > 0 && text.length < 50) { // Sanity check
-        const price = parseNumericPrice(text, contextData);
+        const parsed = parsePriceText(text, contextData);
+        const price = parsed?.numeric ?? null;
         if (price !== null && price > 0 && price < 1000000) { // Sanity check
           debug('[PriceChecker]', '✓ Extracted price via regex:element:', price, 'from text:', text.substring(0, 30));
           return {
             success: true,
             price: price,
+            ...resolveDetectedCurrency(parsePriceText(shownText, contextData) || parsed, pageCurrency),
+            availability,
             detectionMethod: 'regex:element'
           };
         }
@@ -760,10 +389,21 @@ function extractPriceFromRawHTML(html, contextData) {
   debugWarn('[PriceChecker]', '❌ Regex extraction failed - no price found');
   return {
     success: false,
+    availability,
     error: 'Could not parse HTML - no parser available and regex extraction failed'
   };
 }
 
+/**
+ * Price fields that can change without a price event (see updateProductPriceDetails)
+ */
+const PRICE_DETAIL_FIELDS = ['shipping', 'unitPrice', 'unit', 'quantity'];
+
+/**
+ * Wait before fetching a page again to confirm an implausible reading
+ */
+const CONFIRM_FETCH_DELAY_MS = 3000;
+
 /**
  * Price check result types
  */
@@ -773,26 +413,35 @@ const PriceCheckResult = {
   PRICE_DROP: 'price_drop',
   PRICE_INCREASE: 'price_increase',
   CURRENCY_CHANGE: 'currency_change',
+  UNCONFIRMED: 'unconfirmed',
   OUT_OF_STOCK: 'out_of_stock',
+  DOMAIN_PAUSED: 'domain_paused',
   ERROR: 'error',
   NOT_FOUND: 'not_found'
 };
 
 /**
  * Check all tracked products
- * Processes products in priority order (oldest first)
+ * Only products that are due under their schedule (per product, per site or
+ * the global interval) are checked, highest priority tier first. When the
+ * run has a budget, the remaining due products wait for the next run.
  *
  * @param {Object} options - Check options
  * @param {number} options.batchSize - Number of products to check in one batch (default: 10)
  * @param {number} options.delayBetweenChecks - Delay between individual checks in ms (default: 2000)
- * @param {number} options.maxAge - Only check products older than this (in ms, default: 1 hour)
+ * @param {number} options.maxAge - Ignore schedules and check products older than this (in ms, 0 = all)
+ * @param {number} options.slackMs - Also check products due within this window (default: 0)
+ * @param {number} options.maxChecks - Budget for this run (default: settings.checking.maxChecksPerRun, 0 = unlimited)
+ * @param {string} options.trigger - What started the run, for the activity log ('scheduled' or 'manual')
  * @returns {Promise<Object>} - Check summary
  */
 async function checkAllProducts(options = {}) {
   const {
     batchSize = 10,
     delayBetweenChecks = 2000,
-    maxAge = 60 * 60 * 1000 // 1 hour default
+    maxAge,
+    slackMs = 0,
+    trigger = 'scheduled'
   } = options;
 
   debug('[PriceChecker]', 'Starting check for all tracked products...');
@@ -808,56 +457,75 @@ async function checkAllProducts(options = {}) {
         total: 0,
         checked: 0,
         skipped: 0,
+        deferred: 0,
+        paused: 0,
         success: 0,
         errors: 0,
         priceDrops: 0,
         priceIncreases: 0,
+        backInStock: 0,
         details: []
       };
     }
 
     debug('[PriceChecker]', `Found ${allProducts.length} tracked products.`);
 
-    // Filter products that need checking (based on lastChecked timestamp)
-    const now = Date.now();
-    const productsToCheck = allProducts.filter(product => {
-      const timeSinceLastCheck = now - (product.tracking?.lastChecked || 0);
-      return timeSinceLastCheck >= maxAge;
+    // Products on shops that recently blocked us wait for the cooldown to end
+    const backoffState = await loadBackoffState();
+    const checkable = allProducts.filter(product =>
+      !getPause(backoffState, getBackoffDomain(product.url))
+    );
+    const paused = allProducts.length - checkable.length;
+
+    // Pick due products in priority order, within the run budget
+    const settings = await StorageManager.getSettings();
+    const maxChecks = options.maxChecks ?? settings.checking?.maxChecksPerRun ?? 0;
+    const { due, deferred, notDue } = selectDueProducts(checkable, settings, {
+      maxAge,
+      slackMs,
+      maxChecks
     });
 
-    debug('[PriceChecker]', `${productsToCheck.length} products need checking (older than ${maxAge / 1000}s).`);
+    // Alternate between shops so no retailer gets consecutive requests
+    const productsToCheck = interleaveByDomain(due);
+
+    debug('[PriceChecker]', `${productsToCheck.length} products due for checking, ${deferred.length} deferred (budget ${maxChecks || 'unlimited'}), ${notDue} not due, ${paused} on paused domains.`);
 
     if (productsToCheck.length === 0) {
       return {
         total: allProducts.length,
         checked: 0,
-        skipped: allProducts.length,
+        skipped: notDue,
+        deferred: 0,
+        paused,
         success: 0,
         errors: 0,
         priceDrops: 0,
         priceIncreases: 0,
+        backInStock: 0,
         details: []
       };
     }
 
-    // Sort by priority (oldest lastChecked first)
-    productsToCheck.sort((a, b) => {
-      const aLastChecked = a.tracking?.lastChecked || 0;
-      const bLastChecked = b.tracking?.lastChecked || 0;
-      return aLastChecked - bLastChecked;
-    });
-
     const results = {
       total: allProducts.length,
       checked: 0,
-      skipped: allProducts.length - productsToCheck.length,
+      skipped: notDue,
+      deferred: deferred.length,
+      paused,
       success: 0,
       errors: 0,
       priceDrops: 0,
       priceIncreases: 0,
+      currencyChanges: 0,
+      unconfirmed: 0,
+      backInStock: 0,
       details: [] // Store detailed results for each check
     };
 
+    // Per-product results, written to the activity log in one go at the end
+    const activity = [];
+
     // Loop through all products in chunks
     for (let i = 0; i < productsToCheck.length; i += batchSize) {
       const batch = productsToCheck.slice(i, i + batchSize);
@@ -870,6 +538,13 @@ async function checkAllProducts(options = {}) {
         try {
           const result = await checkSingleProduct(product.productId);
 
+          // Domain was blocked earlier in this run - no request was made,
+          // so no delay is needed before the next product
+          if (result.status === PriceCheckResult.DOMAIN_PAUSED) {
+            results.paused++;
+            continue;
+          }
+
           results.checked++;
 
           // Store detailed result
@@ -877,8 +552,31 @@ async function checkAllProducts(options = {}) {
             productId: product.productId,
             ...result
           });
+          activity.push({
+            type: ACTIVITY_TYPES.CHECK_RESULT,
+            timestamp: Date.now(),
+            productId: product.productId,
+            domain: product.url,
+            message: `${product.title}: ${describeCheckResult(result, product.price?.currency)}`,
+            details: {
+              status: result.status,
+              oldPrice: result.oldPrice,
+              newPrice: result.newPrice,
+              error: result.error,
+              ...(result.discount?.suspicious ? { discountFlags: result.discount.flags } : {}),
+              ...(result.shippingChange ? { shippingChange: result.shippingChange } : {}),
+              ...(result.packSizeChange ? { packSizeChange: result.packSizeChange, oldQuantity: result.oldQuantity, quantity: result.quantity, unit: result.unit } : {}),
+              ...(result.currencyAction ? { currencyAction: result.currencyAction, oldCurrency: result.oldCurrency, currency: result.currency } : {}),
+              ...(result.reasons ? { outlierReasons: result.reasons, reference: result.reference, refetchPrice: result.refetchPrice } : {}),
+              ...(result.confirmedBy ? { confirmedBy: result.confirmedBy } : {})
+            }
+          });
 
-          if (result.status === PriceCheckResult.SUCCESS || result.status === PriceCheckResult.NO_CHANGE) {
+          if (result.status === PriceCheckResult.SUCCESS ||
+              result.status === PriceCheckResult.NO_CHANGE ||
+              result.status === PriceCheckResult.OUT_OF_STOCK ||
+              result.status === PriceCheckResult.CURRENCY_CHANGE ||
+              result.status === PriceCheckResult.UNCONFIRMED) {
             results.success++;
           } else if (result.status === PriceCheckResult.ERROR) {
             results.errors++;
@@ -888,6 +586,14 @@ async function checkAllProducts(options = {}) {
             results.priceDrops++;
           } else if (result.status === PriceCheckResult.PRICE_INCREASE) {
             results.priceIncreases++;
+          } else if (result.status === PriceCheckResult.CURRENCY_CHANGE) {
+            results.currencyChanges++;
+          } else if (result.status === PriceCheckResult.UNCONFIRMED) {
+            results.unconfirmed++;
+          }
+
+          if (result.backInStock) {
+            results.backInStock++;
           }
 
         } catch (error) {
@@ -899,6 +605,14 @@ async function checkAllProducts(options = {}) {
             status: PriceCheckResult.ERROR,
             error: error.message
           });
+          activity.push({
+            type: ACTIVITY_TYPES.CHECK_RESULT,
+            timestamp: Date.now(),
+            productId: product.productId,
+            domain: product.url,
+            message: `${product.title}: Check failed: ${error.message}`,
+            details: { status: PriceCheckResult.ERROR, error: error.message }
+          });
         }
 
         // Random delay between 2-5 seconds to appear human
@@ -922,6 +636,29 @@ async function checkAllProducts(options = {}) {
     // CRITICAL FIX: Close offscreen document after batch processing to free memory
     await closeOffscreenDocument();
 
+    await logActivities([
+      ...activity,
+      {
+        type: ACTIVITY_TYPES.CHECK_RUN,
+        message: `${trigger === 'manual' ? 'Manual' : 'Scheduled'} check: ${results.checked} checked, ${results.priceDrops} drops, ${results.priceIncreases} increases, ${results.errors} errors`,
+        details: {
+          trigger,
+          total: results.total,
+          checked: results.checked,
+          skipped: results.skipped,
+          deferred: results.deferred,
+          paused: results.paused,
+          success: results.success,
+          errors: results.errors,
+          priceDrops: results.priceDrops,
+          priceIncreases: results.priceIncreases,
+          currencyChanges: results.currencyChanges,
+          unconfirmed: results.unconfirmed,
+          backInStock: results.backInStock
+        }
+      }
+    ]);
+
     return results;
 
   } catch (error) {
@@ -959,12 +696,11 @@ async function checkSingleProduct(productId) {
       debugWarn('[PriceChecker]', `No permission for domain, skipping: ${product.url}`);
 
       // Mark product as stale (no permission)
-      product.tracking = product.tracking || {};
-      product.tracking.failedChecks = (product.tracking.failedChecks || 0) + 1;
-      product.tracking.lastChecked = Date.now();
-      product.tracking.status = 'no_permission';
-
-      await StorageManager.saveProduct(product);
+      await StorageManager.updateProductTracking(productId, {
+        failedChecks: (product.tracking?.failedChecks || 0) + 1,
+        lastChecked: Date.now(),
+        status: 'no_permission'
+      });
 
       return {
         status: PriceCheckResult.ERROR,
@@ -972,20 +708,39 @@ async function checkSingleProduct(productId) {
       };
     }
 
+    // Don't touch a shop that is cooling down after blocking us
+    const pause = await getDomainPause(product.url);
+    if (pause) {
+      debug('[PriceChecker]', `Skipping ${productId}: ${pause.domain} paused until ${new Date(pause.pausedUntil).toLocaleTimeString()}`);
+      return {
+        status: PriceCheckResult.DOMAIN_PAUSED,
+        domain: pause.domain,
+        reason: pause.reason,
+        pausedUntil: pause.pausedUntil
+      };
+    }
+
     // Fetch the product page
     debug('[PriceChecker]', `Fetching: ${product.url}`);
     const html = await fetchHTML(product.url, {
       maxRetries: 2,
       timeout: 15000
     });
+    await reportDomainSuccess(product.url);
 
     // Prepare context data for robust price parsing
     // Use domain-derived currency to fix initial detection errors
+    const settings = await StorageManager.getSettings();
     const derivedCurrency = getExpectedCurrencyFromDomain(product.domain);
     const contextData = {
+      url: product.url,
       domain: product.domain,
       locale: product.price?.locale,
-      expectedCurrency: derivedCurrency || product.price?.currency
+      expectedCurrency: derivedCurrency || product.price?.currency,
+      // Resolve the same size/color that was tracked on first detection
+      variant: product.variant || getVariantRefFromUrl(product.url),
+      // User-defined rule for this shop, the same one first detection used
+      siteRule: findSiteRule(getSiteRules(settings), product.url)
     };
 
     // Log if currency was corrected
@@ -996,21 +751,41 @@ async function checkSingleProduct(productId) {
     // Parse the HTML using offscreen document with context
     debug('[PriceChecker]', `Parsing HTML for price with context:`, contextData);
     const parseResult = await parseHTMLForPrice(html, contextData);
+    const availability = parseResult.availability || null;
+    const wasOutOfStock = isOutOfStock(product.availability);
+
+    // Out of stock: many shops hide the price, so this isn't a failed check.
+    // A price the page still shows is recorded with the status (no alerts).
+    if (isOutOfStock(availability)) {
+      debug('[PriceChecker]', `Product out of stock: ${productId}`);
+
+      const shownPrice = parseResult.success && typeof parseResult.price === 'number' &&
+        (!parseResult.currency || parseResult.currency === product.price?.currency)
+        ? buildCheckedPrice(product, parseResult)
+        : null;
+      await StorageManager.updateProductAvailability(productId, availability, {
+        failedChecks: 0,
+        status: 'out_of_stock'
+      }, shownPrice);
+
+      return {
+        status: PriceCheckResult.OUT_OF_STOCK,
+        availability,
+        price: shownPrice?.numeric ?? null
+      };
+    }
 
     // Check if parsing was successful
     if (!parseResult.success || parseResult.price === null) {
       debugWarn('[PriceChecker]', `Could not extract price for ${productId}`);
 
       // Update failed checks counter
-      product.tracking = product.tracking || {};
-      product.tracking.failedChecks = (product.tracking.failedChecks || 0) + 1;
-      product.tracking.lastChecked = Date.now();
-
-      if (product.tracking.failedChecks >= 3) {
-        product.tracking.status = 'stale';
-      }
-
-      await StorageManager.saveProduct(product);
+      const failedChecks = (product.tracking?.failedChecks || 0) + 1;
+      await StorageManager.updateProductTracking(productId, {
+        failedChecks,
+        lastChecked: Date.now(),
+        ...(failedChecks >= 3 ? { status: 'stale' } : {})
+      });
 
       return {
         status: PriceCheckResult.ERROR,
@@ -1020,47 +795,132 @@ async function checkSingleProduct(productId) {
 
     const newPrice = parseResult.price;
     const detectionMethod = parseResult.detectionMethod;
+    const backInStock = wasOutOfStock && availability !== null;
+    if (backInStock) {
+      debug('[PriceChecker]', `Product back in stock: ${productId} (${availability})`);
+    }
 
     debug('[PriceChecker]', `New price detected: ${newPrice} (via ${detectionMethod})`);
 
-    // Compare with current price
-    const oldPrice = product.price.numeric;
+    // Products tracked before identifiers were collected pick them up here
+    if (parseResult.identifiers &&
+        getIdentityKeys(parseResult.identifiers).join() !== getIdentityKeys(product.identifiers).join()) {
+      await StorageManager.updateProductIdentifiers(productId, parseResult.identifiers);
+    }
+
+    // A page in another currency (geo-redirect, country selector) is its own
+    // event, never a price drop or increase
+    const currencyDecision = decideCurrencyChange(product, {
+      currency: parseResult.currency,
+      currencyMethod: parseResult.currencyMethod,
+      price: newPrice,
+      locale: parseResult.locale
+    }, getCurrencyChangeRule(settings));
+    if (currencyDecision.action === CURRENCY_CHANGE_ACTIONS.CLEAR) {
+      debug('[PriceChecker]', `${productId} is back in ${product.price.currency}`);
+      await StorageManager.updateCurrencyChange(productId, null);
+    }
+
+    const checkedPrice = buildCheckedPrice(product, parseResult);
+
+    // Compare item prices, totals with shipping or unit prices, as chosen in
+    // the settings; a smaller pack is judged by its unit price, and gaining
+    // or losing free shipping is a price event either way
+    if (currencyDecision.action === CURRENCY_CHANGE_ACTIONS.FLAG ||
+        currencyDecision.action === CURRENCY_CHANGE_ACTIONS.REBASELINE) {
+      return await handleCurrencyChange(product, checkedPrice, currencyDecision, settings, {
+        availability,
+        backInStock,
+        detectionMethod
+      });
+    }
+
+    // A single implausible reading (accessory price, monthly installment,
+    // "from €1") is confirmed with a second fetch before it becomes the price
+    const sanity = decidePriceReading(product, { price: newPrice, detectionMethod });
+    let confirmedBy = sanity.confirmedBy;
+    if (sanity.action === SANITY_ACTIONS.CONFIRM) {
+      debug('[PriceChecker]', `Implausible reading ${newPrice} for ${productId} (${sanity.assessment.reasons.join(', ')}), fetching again`);
+      const confirmation = await confirmPriceReading(product, contextData, {
+        price: newPrice,
+        currency: parseResult.currency || product.price.currency
+      });
+      if (!confirmation.confirmed) {
+        return await holdPriceReading(product, { price: newPrice, detectionMethod }, sanity.assessment, confirmation, {
+          availability,
+          backInStock
+        });
+      }
+      confirmedBy = 'refetch';
+    } else if (!confirmedBy && product.unconfirmedPrice) {
+      await StorageManager.clearUnconfirmedPrice(productId);
+    }
+    if (confirmedBy) {
+      debug('[PriceChecker]', `Reading ${newPrice} for ${productId} confirmed (${confirmedBy})`);
+    }
+
+    const shippingChange = getShippingChange(product.price.shipping, checkedPrice.shipping);
+    const packSizeChange = getPackSizeChange(product.price, checkedPrice);
+    let priceBasis = getPriceBasis(settings);
+    if (priceBasis === PRICE_BASIS.UNIT && !canCompareUnitPrices(product.price, checkedPrice)) {
+      priceBasis = PRICE_BASIS.ITEM;
+    }
+    if (packSizeChange === PACK_SIZE_CHANGES.DECREASED) {
+      priceBasis = PRICE_BASIS.UNIT;
+    } else if (shippingChange && Math.abs(getComparablePrice(product.price, priceBasis) - getComparablePrice(checkedPrice, priceBasis)) < 0.01) {
+      priceBasis = PRICE_BASIS.TOTAL;
+    }
+    const oldPrice = getComparablePrice(product.price, priceBasis);
+    const comparedPrice = getComparablePrice(checkedPrice, priceBasis);
 
     // Check for no significant change (less than 1 cent)
-    if (Math.abs(oldPrice - newPrice) < 0.01) {
+    if (Math.abs(oldPrice - comparedPrice) < 0.01) {
       debug('[PriceChecker]', `Price unchanged for ${productId}`);
 
-      // Update timestamp and reset failed checks
-      product.tracking = product.tracking || {};
-      product.tracking.lastChecked = Date.now();
-      product.tracking.failedChecks = 0;
-      product.tracking.status = 'active';
-
-      await StorageManager.saveProduct(product);
+      // Update timestamp and reset failed checks; record stock changes
+      const trackingChanges = {
+        lastChecked: Date.now(),
+        failedChecks: 0,
+        status: 'active'
+      };
+      if (availability) {
+        await StorageManager.updateProductAvailability(productId, availability, trackingChanges);
+      } else {
+        await StorageManager.updateProductTracking(productId, trackingChanges);
+      }
+      if (saleInfoChanged(product.price, checkedPrice)) {
+        await StorageManager.updateProductSaleInfo(productId, {
+          wasPrice: checkedPrice.regularPrice ?? null,
+          saleEndsAt: checkedPrice.saleEndsAt ?? null
+        });
+      }
+      if (Math.abs(product.price.numeric - newPrice) >= 0.01) {
+        // Same total, but item price and shipping moved in opposite directions
+        await StorageManager.updateProductPrice(productId, checkedPrice, { availability, detectionMethod });
+      } else if (PRICE_DETAIL_FIELDS.some(field => checkedPrice[field] !== product.price[field])) {
+        // Shipping, unit price and pack size changes that aren't a price event are only recorded
+        await StorageManager.updateProductPriceDetails(productId, checkedPrice);
+      }
 
       return {
         status: PriceCheckResult.NO_CHANGE,
-        price: newPrice
+        price: newPrice,
+        wasPrice: checkedPrice.regularPrice ?? null,
+        shipping: checkedPrice.shipping ?? null,
+        unitPrice: checkedPrice.unitPrice ?? null,
+        availability,
+        backInStock
       };
     }
 
-    // Reset failed checks counter on successful price extraction
-    product.tracking = product.tracking || {};
-    product.tracking.failedChecks = 0;
-    product.tracking.status = 'active';
-    product.tracking.lastChecked = Date.now();
-
     // Calculate price change
-    const priceDiff = newPrice - oldPrice;
+    const priceDiff = comparedPrice - oldPrice;
     const priceChangePercent = (priceDiff / oldPrice) * 100;
 
     debug('[PriceChecker]', `Price change: ${priceDiff.toFixed(2)} (${priceChangePercent.toFixed(2)}%)`);
 
     // Update product price using storage manager
-    await StorageManager.updateProductPrice(productId, {
-      ...product.price,
-      numeric: newPrice
-    });
+    await StorageManager.updateProductPrice(productId, checkedPrice, { availability, detectionMethod });
 
     // Determine result status
     let status = PriceCheckResult.SUCCESS;
@@ -1070,44 +930,112 @@ async function checkSingleProduct(productId) {
       status = PriceCheckResult.PRICE_INCREASE;
     }
 
+    if (shippingChange) {
+      debug('[PriceChecker]', `Shipping change for ${productId}: ${shippingChange}`);
+    }
+    if (packSizeChange) {
+      debug('[PriceChecker]', `Pack size change for ${productId}: ${product.price.quantity} → ${checkedPrice.quantity} ${checkedPrice.unit}`);
+    }
+
+    // Fake-discount check against the history recorded before this drop
+    // (history and was prices are item prices)
+    const itemDropped = newPrice < product.price.numeric - 0.005;
+    const discount = status === PriceCheckResult.PRICE_DROP && itemDropped
+      ? analyzeDiscount({
+        history: product.priceHistory,
+        currency: product.price.currency,
+        oldPrice: product.price.numeric,
+        newPrice,
+        wasPrice: checkedPrice.regularPrice ?? null,
+        dropAt: Date.now()
+      })
+      : null;
+    if (discount?.suspicious) {
+      debug('[PriceChecker]', `Suspicious discount for ${productId}: ${discount.flags.join(', ')}`);
+    }
+
+    // Per-product target price (independent of the percentage threshold).
+    // Targets are item prices, so they're checked against the item price
+    // rather than the unit price or total compared above.
+    const targetPrice = product.notifications?.targetPrice ?? null;
+    const targetReached = isTargetReachedByCheck(product, checkedPrice);
+    if (targetReached) {
+      debug('[PriceChecker]', `Target price ${targetPrice} reached for ${productId}`);
+    }
+
     return {
       status,
       oldPrice,
-      newPrice,
+      newPrice: comparedPrice,
+      wasPrice: checkedPrice.regularPrice ?? null,
+      saleEndsAt: checkedPrice.saleEndsAt ?? null,
+      oldShipping: product.price.shipping ?? null,
+      shipping: checkedPrice.shipping ?? null,
+      shippingChange,
+      freeShipping: shippingChange === SHIPPING_CHANGES.FREE_SHIPPING_ADDED,
+      unit: checkedPrice.unit ?? null,
+      oldQuantity: product.price.quantity ?? null,
+      quantity: checkedPrice.quantity ?? null,
+      packSizeChange,
+      priceBasis,
       change: priceDiff,
       changePercent: priceChangePercent,
-      detectionMethod
+      targetPrice,
+      targetReached,
+      discount,
+      availability,
+      backInStock,
+      detectionMethod,
+      ...(confirmedBy ? { confirmedBy } : {})
     };
 
   } catch (error) {
     debugError('[PriceChecker]', `Error checking product ${productId}:`, error);
 
+    // CAPTCHA, 429 and 503 pause every product on the domain
+    const blockReason = classifyBlockError(error);
+    let pause = null;
+
     // Try to update failed checks even on error
     try {
       const product = await StorageManager.getProduct(productId);
       if (product) {
-        product.tracking = product.tracking || {};
+        const trackingChanges = { lastChecked: Date.now() };
+
+        if (blockReason) {
+          pause = await reportDomainBlocked(product.url, blockReason, { retryAfterMs: error.retryAfterMs });
+          if (pause) {
+            await logActivity(ACTIVITY_TYPES.DOMAIN_BLOCKED, {
+              productId,
+              domain: product.url,
+              message: `${pause.domain} paused until ${new Date(pause.pausedUntil).toLocaleString()} (${blockReason}, strike ${pause.strikes})`,
+              details: { reason: blockReason, strikes: pause.strikes, pausedUntil: pause.pausedUntil, status: error.status || null }
+            });
+          }
+        }
 
         // Check if this is a CAPTCHA error
         const isCaptcha = error.message && error.message.includes('CAPTCHA_DETECTED');
 
         if (isCaptcha) {
           // CAPTCHA detected - mark product but don't increment failed checks as aggressively
-          product.tracking.status = 'captcha_detected';
-          product.tracking.lastCaptcha = Date.now();
+          trackingChanges.status = 'captcha_detected';
+          trackingChanges.lastCaptcha = Date.now();
           // Don't increment failedChecks for CAPTCHA - it's not the product's fault
           debugWarn('[PriceChecker]', `CAPTCHA detected for ${productId}, will retry later`);
+        } else if (blockReason) {
+          // Rate limited - the shop's fault as much as the product's
+          debugWarn('[PriceChecker]', `${blockReason} for ${productId}, domain paused`);
         } else {
           // Regular error - increment failed checks
-          product.tracking.failedChecks = (product.tracking.failedChecks || 0) + 1;
+          trackingChanges.failedChecks = (product.tracking?.failedChecks || 0) + 1;
 
-          if (product.tracking.failedChecks >= 3) {
-            product.tracking.status = 'stale';
+          if (trackingChanges.failedChecks >= 3) {
+            trackingChanges.status = 'stale';
           }
         }
 
-        product.tracking.lastChecked = Date.now();
-        await StorageManager.saveProduct(product);
+        await StorageManager.updateProductTracking(productId, trackingChanges);
       }
     } catch (updateError) {
       debugError('[PriceChecker]', 'Failed to update error status:', updateError);
@@ -1116,25 +1044,145 @@ async function checkSingleProduct(productId) {
     return {
       status: PriceCheckResult.ERROR,
       error: error.message,
-      isCaptcha: error.message && error.message.includes('CAPTCHA_DETECTED')
+      isCaptcha: error.message && error.message.includes('CAPTCHA_DETECTED'),
+      ...(pause ? { domainPaused: true, pausedUntil: pause.pausedUntil } : {})
     };
   }
 }
 
+/**
+ * Stored price updated with a page's reading
+ * "Was" price and sale end; the regex fallback doesn't report them,
+ * so the stored ones are kept in that case.
+ * @param {Object} product - Stored product
+ * @param {Object} parseResult - Result of parseHTMLForPrice
+ * @returns {Object} Price object with the reading's price, sale, shipping and unit fields
+ */
+function buildCheckedPrice(product, parseResult) {
+  const price = { ...product.price, numeric: parseResult.price };
+  return applyUnitPrice(applyShipping(parseResult.wasPrice === undefined
+    ? price
+    : applySaleInfo(price, parseResult), parseResult.shipping), parseResult.unitInfo);
+}
+
+/**
+ * Fetch a product page again to confirm an implausible reading
+ * @param {Object} product - Stored product
+ * @param {Object} contextData - Parser context of the first fetch
+ * @param {Object} reading - Implausible reading { price, currency }
+ * @returns {Promise<Object>} - { confirmed, reason, price } (reason is one of OUTLIER_REASONS)
+ */
+async function confirmPriceReading(product, contextData, reading) {
+  try {
+    await new Promise(resolve => setTimeout(resolve, CONFIRM_FETCH_DELAY_MS));
+    const html = await fetchHTML(product.url, {
+      maxRetries: 1,
+      timeout: 15000
+    });
+    const parseResult = await parseHTMLForPrice(html, contextData);
+
+    if (!parseResult.success || parseResult.price === null) {
+      return { confirmed: false, reason: OUTLIER_REASONS.REFETCH_FAILED, price: null };
+    }
+    // Only the same price in the same currency confirms the reading
+    const refetch = { price: parseResult.price, currency: parseResult.currency || product.price.currency };
+    return isConfirmingReading(reading, refetch)
+      ? { confirmed: true, reason: null, price: parseResult.price }
+      : { confirmed: false, reason: OUTLIER_REASONS.REFETCH_DIFFERS, price: parseResult.price };
+  } catch (error) {
+    debugWarn('[PriceChecker]', `Confirmation fetch failed for ${product.productId}:`, error.message);
+    return { confirmed: false, reason: OUTLIER_REASONS.REFETCH_FAILED, price: null };
+  }
+}
+
+/**
+ * Hold an implausible reading until the next check
+ * The stored price is kept and the reading recorded with its reasons
+ * (see utils/price-sanity.js).
+ *
+ * @param {Object} product - Stored product
+ * @param {Object} reading - { price, detectionMethod }
+ * @param {Object} assessment - Result of assessPriceReading
+ * @param {Object} confirmation - Result of confirmPriceReading
+ * @param {Object} details - { availability, backInStock }
+ * @returns {Promise<Object>} - Check result with status UNCONFIRMED
+ */
+async function holdPriceReading(product, reading, assessment, confirmation, details) {
+  const { availability, backInStock } = details;
+  const rejected = createRejectedReading(product, reading, assessment, confirmation);
+  const unconfirmedPrice = buildUnconfirmedPrice(product.unconfirmedPrice, rejected);
+
+  debug('[PriceChecker]', `Holding reading ${reading.price} for ${product.productId}: ${rejected.reasons.join(', ')}`);
+  await StorageManager.holdUnconfirmedPrice(product.productId, unconfirmedPrice, rejected, { availability });
+
+  return {
+    status: PriceCheckResult.UNCONFIRMED,
+    oldPrice: product.price.numeric,
+    newPrice: reading.price,
+    reference: assessment.reference,
+    reasons: rejected.reasons,
+    refetchPrice: rejected.refetchPrice,
+    availability,
+    backInStock,
+    detectionMethod: reading.detectionMethod
+  };
+}
+
+/**
+ * Record a page that showed another currency
+ * Flagging keeps the stored price; a re-baseline starts over in the new
+ * currency, with the target price converted (see utils/currency-change.js).
+ *
+ * @param {Object} product - Stored product
+ * @param {Object} checkedPrice - Price object built from the check
+ * @param {Object} decision - Result of decideCurrencyChange
+ * @param {Object} settings - Extension settings
+ * @param {Object} details - { availability, backInStock, detectionMethod }
+ * @returns {Promise<Object>} - Check result with status CURRENCY_CHANGE
+ */
+async function handleCurrencyChange(product, checkedPrice, decision, settings, details) {
+  const { pending } = decision;
+  const { availability, backInStock, detectionMethod } = details;
+
+  if (decision.action === CURRENCY_CHANGE_ACTIONS.REBASELINE) {
+    const targetPrice = product.notifications?.targetPrice ?? null;
+    await StorageManager.rebaselineProductCurrency(product.productId, buildRebaselinedPrice(product.price, checkedPrice, pending), {
+      availability,
+      targetPrice: typeof targetPrice === 'number' ? convertAmount(targetPrice, pending.from, pending.to, getRateTable(settings)) : null
+    });
+    debugWarn('[PriceChecker]', `Currency of ${product.productId} changed ${pending.from} → ${pending.to}, new baseline ${pending.price}`);
+  } else {
+    await StorageManager.updateCurrencyChange(product.productId, pending);
+    const trackingChanges = { lastChecked: Date.now(), failedChecks: 0, status: 'active' };
+    if (availability) {
+      await StorageManager.updateProductAvailability(product.productId, availability, trackingChanges);
+    } else {
+      await StorageManager.updateProductTracking(product.productId, trackingChanges);
+    }
+    debugWarn('[PriceChecker]', `Currency of ${product.productId} shown as ${pending.to} instead of ${pending.from} (seen ${pending.count}x), price kept`);
+  }
+
+  return {
+    status: PriceCheckResult.CURRENCY_CHANGE,
+    currencyAction: decision.action,
+    oldCurrency: pending.from,
+    currency: pending.to,
+    oldPrice: product.price.numeric,
+    newPrice: pending.price,
+    availability,
+    backInStock,
+    detectionMethod
+  };
+}
+
 /**
  * Get products that need checking based on age
  * @param {number} maxAge - Maximum age since last check (ms)
  * @returns {Promise<Array>} - Products that need checking
  */
 async function getProductsNeedingCheck(maxAge = 60 * 60 * 1000) {
-  const allProductsObj = await StorageManager.getAllProducts();
-  const allProducts = Object.values(allProductsObj);
-  const now = Date.now();
-
-  return allProducts.filter(product => {
-    const timeSinceLastCheck = now - (product.tracking?.lastChecked || 0);
-    return timeSinceLastCheck >= maxAge;
-  });
+  // Served by the lastChecked index - no need to load every price history
+  return await StorageManager.getProductsCheckedBefore(Date.now() - maxAge);
 }
 
 /**
@@ -0,0 +1,487 @@
+// Price Drop Tracker - Product Database
+// IndexedDB-backed storage for products, price history and thumbnails
+
+import browser from '../utils/browser-polyfill.js';
+import { debug, debugError } from '../utils/debug.js';
+
+/**
+ * Database layout
+ *
+ * products      keyPath productId  - product record without its history
+ *               indexes: domain, status (tracking.status), lastChecked (tracking.lastChecked)
+ * priceHistory  keyPath productId  - { productId, entries: [...] }
+ * images        out-of-line key    - productId -> thumbnail data URL
+ * activity      autoIncrement id   - activity log entries, oldest first
+ *               (kept out of STORES: product imports and clears leave it alone)
+ *
+ * Each read-modify-write runs in a single readwrite transaction on the
+ * affected records, so concurrent writers (service worker, popup, options
+ * page) no longer need the global storage mutex.
+ */
+const DB_NAME = 'price-genius';
+const DB_VERSION = 2;
+
+export const STORES = {
+  PRODUCTS: 'products',
+  PRICE_HISTORY: 'priceHistory',
+  IMAGES: 'images'
+};
+
+export const ACTIVITY_STORE = 'activity';
+
+let dbPromise = null;
+let migrationPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction has committed
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Open (and create/upgrade) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openProductDB() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      if (!db.objectStoreNames.contains(STORES.PRODUCTS)) {
+        const products = db.createObjectStore(STORES.PRODUCTS, { keyPath: 'productId' });
+        products.createIndex('domain', 'domain', { unique: false });
+        products.createIndex('status', 'tracking.status', { unique: false });
+        products.createIndex('lastChecked', 'tracking.lastChecked', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(STORES.PRICE_HISTORY)) {
+        db.createObjectStore(STORES.PRICE_HISTORY, { keyPath: 'productId' });
+      }
+      if (!db.objectStoreNames.contains(STORES.IMAGES)) {
+        db.createObjectStore(STORES.IMAGES);
+      }
+      if (!db.objectStoreNames.contains(ACTIVITY_STORE)) {
+        db.createObjectStore(ACTIVITY_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another context upgraded the schema - reopen on next access
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => debug('[product-db]', '[ProductDB] Open blocked by another context');
+  }).catch(error => {
+    dbPromise = null;
+    throw error;
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a callback inside a transaction and wait for it to commit
+ * The callback receives the object stores by name and may await requests
+ * made on them (the transaction stays active while requests are pending).
+ * @param {string[]} storeNames - Stores to include
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - async (stores) => result
+ * @returns {Promise<*>} Callback result
+ */
+async function withTransaction(storeNames, mode, callback) {
+  const db = await openProductDB();
+  const tx = db.transaction(storeNames, mode);
+  const done = transactionDone(tx);
+  const stores = {};
+  storeNames.forEach(name => {
+    stores[name] = tx.objectStore(name);
+  });
+
+  let result;
+  try {
+    result = await callback(stores);
+  } catch (error) {
+    try {
+      tx.abort();
+    } catch (abortError) {
+      // Transaction already finished
+    }
+    done.catch(() => {});
+    throw error;
+  }
+
+  await done;
+  return result;
+}
+
+/**
+ * Split a product into its stored record and history entries
+ * @param {Object} product - Product as used by the rest of the extension
+ * @returns {{ record: Object, history: Object }}
+ */
+function splitProduct(product) {
+  const { priceHistory, ...record } = product;
+  return {
+    record,
+    history: { productId: product.productId, entries: Array.isArray(priceHistory) ? priceHistory : [] }
+  };
+}
+
+/**
+ * Join a stored record with its history
+ * @param {Object} record - Product record
+ * @param {Object|undefined} history - History record
+ * @returns {Object} Product with priceHistory
+ */
+function joinProduct(record, history) {
+  return { ...record, priceHistory: history?.entries || [] };
+}
+
+/**
+ * Get a single product with its price history
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getProductRecord(productId) {
+  return await withTransaction([STORES.PRODUCTS, STORES.PRICE_HISTORY], 'readonly', async (stores) => {
+    const [record, history] = await Promise.all([
+      promisifyRequest(stores[STORES.PRODUCTS].get(productId)),
+      promisifyRequest(stores[STORES.PRICE_HISTORY].get(productId))
+    ]);
+    return record ? joinProduct(record, history) : null;
+  });
+}
+
+/**
+ * Get all products with their price history
+ * @returns {Promise<Object>} Products keyed by productId
+ */
+export async function getAllProductRecords() {
+  return await withTransaction([STORES.PRODUCTS, STORES.PRICE_HISTORY], 'readonly', async (stores) => {
+    const [records, histories] = await Promise.all([
+      promisifyRequest(stores[STORES.PRODUCTS].getAll()),
+      promisifyRequest(stores[STORES.PRICE_HISTORY].getAll())
+    ]);
+
+    const historyById = new Map(histories.map(history => [history.productId, history]));
+    const products = {};
+    for (const record of records) {
+      products[record.productId] = joinProduct(record, historyById.get(record.productId));
+    }
+    return products;
+  });
+}
+
+/**
+ * Get all product records without their price history
+ * @returns {Promise<Array>} Product records
+ */
+export async function listProductRecords() {
+  return await withTransaction([STORES.PRODUCTS], 'readonly', async (stores) => {
+    return await promisifyRequest(stores[STORES.PRODUCTS].getAll());
+  });
+}
+
+/**
+ * Get products (without history) through an index
+ * @param {string} indexName - 'domain', 'status' or 'lastChecked'
+ * @param {IDBKeyRange|*} query - Key or key range
+ * @returns {Promise<Array>} Product records
+ */
+export async function getProductRecordsByIndex(indexName, query) {
+  return await withTransaction([STORES.PRODUCTS], 'readonly', async (stores) => {
+    return await promisifyRequest(stores[STORES.PRODUCTS].index(indexName).getAll(query));
+  });
+}
+
+/**
+ * Count stored products
+ * @returns {Promise<number>}
+ */
+export async function countProductRecords() {
+  return await withTransaction([STORES.PRODUCTS], 'readonly', async (stores) => {
+    return await promisifyRequest(stores[STORES.PRODUCTS].count());
+  });
+}
+
+/**
+ * Insert or replace a product and its history
+ * @param {Object} product - Product with priceHistory
+ * @returns {Promise<void>}
+ */
+export async function putProductRecord(product) {
+  const { record, history } = splitProduct(product);
+  await withTransaction([STORES.PRODUCTS, STORES.PRICE_HISTORY], 'readwrite', async (stores) => {
+    stores[STORES.PRODUCTS].put(record);
+    stores[STORES.PRICE_HISTORY].put(history);
+  });
+}
+
+/**
+ * Atomically read, modify and write one product
+ * @param {string} productId - Product ID
+ * @param {Function} mutator - (product) => void; mutate the joined product in place.
+ *   Return false to skip the write.
+ * @returns {Promise<Object|null>} Updated product, or null if it doesn't exist
+ */
+export async function updateProductRecord(productId, mutator) {
+  return await withTransaction([STORES.PRODUCTS, STORES.PRICE_HISTORY], 'readwrite', async (stores) => {
+    const [record, history] = await Promise.all([
+      promisifyRequest(stores[STORES.PRODUCTS].get(productId)),
+      promisifyRequest(stores[STORES.PRICE_HISTORY].get(productId))
+    ]);
+    if (!record) return null;
+
+    const product = joinProduct(record, history);
+    if (mutator(product) === false) return product;
+
+    const split = splitProduct(product);
+    stores[STORES.PRODUCTS].put(split.record);
+    stores[STORES.PRICE_HISTORY].put(split.history);
+    return product;
+  });
+}
+
+/**
+ * Atomically read, modify and write several product records
+ * Histories are left alone. Every record is written or, if anything fails,
+ * none is - for changes that must apply to a whole group of products.
+ * @param {string[]} productIds - Product IDs
+ * @param {Function} mutator - (record) => void; mutate the record in place.
+ *   Return false to skip writing that record.
+ * @returns {Promise<Array>} Records of the products that exist, after the change
+ */
+export async function updateProductRecords(productIds, mutator) {
+  return await withTransaction([STORES.PRODUCTS], 'readwrite', async (stores) => {
+    const records = await Promise.all(
+      productIds.map(productId => promisifyRequest(stores[STORES.PRODUCTS].get(productId)))
+    );
+
+    const existing = records.filter(Boolean);
+    for (const record of existing) {
+      if (mutator(record) !== false) {
+        stores[STORES.PRODUCTS].put(record);
+      }
+    }
+    return existing;
+  });
+}
+
+/**
+ * Delete a product, its history and its image
+ * @param {string} productId - Product ID
+ * @returns {Promise<boolean>} True if the product existed
+ */
+export async function deleteProductRecord(productId) {
+  return await withTransaction(Object.values(STORES), 'readwrite', async (stores) => {
+    const count = await promisifyRequest(stores[STORES.PRODUCTS].count(productId));
+    stores[STORES.PRODUCTS].delete(productId);
+    stores[STORES.PRICE_HISTORY].delete(productId);
+    stores[STORES.IMAGES].delete(productId);
+    return count > 0;
+  });
+}
+
+/**
+ * Get a product thumbnail
+ * @param {string} productId - Product ID
+ * @returns {Promise<string|null>} Data URL or null
+ */
+export async function getImageRecord(productId) {
+  return await withTransaction([STORES.IMAGES], 'readonly', async (stores) => {
+    return (await promisifyRequest(stores[STORES.IMAGES].get(productId))) || null;
+  });
+}
+
+/**
+ * Store a product thumbnail
+ * @param {string} productId - Product ID
+ * @param {string} dataUrl - Thumbnail data URL
+ * @returns {Promise<void>}
+ */
+export async function putImageRecord(productId, dataUrl) {
+  await withTransaction([STORES.IMAGES], 'readwrite', async (stores) => {
+    stores[STORES.IMAGES].put(dataUrl, productId);
+  });
+}
+
+/**
+ * Remove a product thumbnail
+ * @param {string} productId - Product ID
+ * @returns {Promise<void>}
+ */
+export async function deleteImageRecord(productId) {
+  await withTransaction([STORES.IMAGES], 'readwrite', async (stores) => {
+    stores[STORES.IMAGES].delete(productId);
+  });
+}
+
+/**
+ * Get all thumbnails
+ * @returns {Promise<Object>} productId -> data URL
+ */
+export async function getAllImageRecords() {
+  return await withTransaction([STORES.IMAGES], 'readonly', async (stores) => {
+    const [keys, values] = await Promise.all([
+      promisifyRequest(stores[STORES.IMAGES].getAllKeys()),
+      promisifyRequest(stores[STORES.IMAGES].getAll())
+    ]);
+    const images = {};
+    keys.forEach((key, index) => {
+      images[key] = values[index];
+    });
+    return images;
+  });
+}
+
+/**
+ * Remove every product, history and image
+ * @returns {Promise<void>}
+ */
+export async function clearProductDB() {
+  await withTransaction(Object.values(STORES), 'readwrite', async (stores) => {
+    Object.values(stores).forEach(store => store.clear());
+  });
+}
+
+/**
+ * Write many products (and optional images) in one transaction
+ * @param {Array} products - Products with priceHistory
+ * @param {Object} images - productId -> data URL
+ * @param {Object} options
+ * @param {boolean} options.clear - Remove every product, history and image
+ *   first, in the same transaction (a failed write keeps the old data)
+ * @returns {Promise<void>}
+ */
+export async function bulkPutProductRecords(products, images = {}, { clear = false } = {}) {
+  await withTransaction(Object.values(STORES), 'readwrite', async (stores) => {
+    if (clear) {
+      Object.values(stores).forEach(store => store.clear());
+    }
+    for (const product of products) {
+      const { record, history } = splitProduct(product);
+      stores[STORES.PRODUCTS].put(record);
+      stores[STORES.PRICE_HISTORY].put(history);
+    }
+    for (const [productId, dataUrl] of Object.entries(images)) {
+      if (dataUrl) {
+        stores[STORES.IMAGES].put(dataUrl, productId);
+      }
+    }
+  });
+}
+
+/**
+ * Append activity log entries, dropping the oldest beyond a cap
+ * @param {Array} entries - Entries without id
+ * @param {number} maxEntries - Entries to keep
+ * @returns {Promise<void>}
+ */
+export async function addActivityRecords(entries, maxEntries) {
+  await withTransaction([ACTIVITY_STORE], 'readwrite', async (stores) => {
+    const store = stores[ACTIVITY_STORE];
+    for (const entry of entries) {
+      store.add(entry);
+    }
+
+    const excess = await promisifyRequest(store.count()) - maxEntries;
+    if (excess > 0) {
+      const oldest = await promisifyRequest(store.getAllKeys(null, excess));
+      store.delete(IDBKeyRange.bound(oldest[0], oldest[oldest.length - 1]));
+    }
+  });
+}
+
+/**
+ * Get all activity log entries, oldest first
+ * @returns {Promise<Array>}
+ */
+export async function getActivityRecords() {
+  return await withTransaction([ACTIVITY_STORE], 'readonly', async (stores) => {
+    return await promisifyRequest(stores[ACTIVITY_STORE].getAll());
+  });
+}
+
+/**
+ * Remove all activity log entries
+ * @returns {Promise<void>}
+ */
+export async function clearActivityRecords() {
+  await withTransaction([ACTIVITY_STORE], 'readwrite', async (stores) => {
+    stores[ACTIVITY_STORE].clear();
+  });
+}
+
+/**
+ * One-time migration from the storage.local layout
+ * (`products` object plus `img_<productId>` keys).
+ * Data is copied first and only removed from storage.local once the
+ * IndexedDB transaction has committed, so an interrupted migration simply
+ * runs again on the next access.
+ * @returns {Promise<number>} Number of migrated products
+ */
+export function migrateFromStorageLocal() {
+  if (migrationPromise) return migrationPromise;
+
+  migrationPromise = (async () => {
+    const result = await browser.storage.local.get('products');
+    if (!result.products) {
+      return 0;
+    }
+
+    const all = await browser.storage.local.get(null);
+    const products = Object.values(result.products).filter(product => product && product.productId);
+    const images = {};
+    const imageKeys = [];
+    for (const [key, value] of Object.entries(all)) {
+      if (key.startsWith('img_')) {
+        images[key.slice(4)] = value;
+        imageKeys.push(key);
+      }
+    }
+
+    await bulkPutProductRecords(products, images);
+    await browser.storage.local.remove(['products', ...imageKeys]);
+
+    debug('[product-db]', `[ProductDB] Migrated ${products.length} products and ${imageKeys.length} images to IndexedDB`);
+    return products.length;
+  })().catch(error => {
+    migrationPromise = null;
+    debugError('[product-db]', '[ProductDB] Migration failed:', error);
+    throw error;
+  });
+
+  return migrationPromise;
+}
@@ -12,13 +12,32 @@
 import browser, { executeScript } from '../utils/browser-polyfill.js';
 import { StorageManager } from './storage-manager.js';
 import { checkAllProducts, checkSingleProduct, PriceCheckResult } from './price-checker.js';
-import { showBatchPriceDropNotifications, showInfoNotification } from '../utils/notification-manager.js';
+import { isTargetPriceReached } from '../utils/target-price.js';
+import { getAlarmPeriodMinutes } from '../utils/check-schedule.js';
+import { BACKOFF_STORAGE_KEY, getActivePauses, loadBackoffState } from '../utils/domain-backoff.js';
+import { getNextDigestTime } from '../utils/notification-budget.js';
+import { ACTIVITY_TYPES, logActivity } from '../utils/activity-log.js';
+import { CHEAPEST_STATE_KEY, buildOfferGroups, getCheapestChanges } from '../utils/offer-groups.js';
+import { getPriceBasis } from '../utils/shipping.js';
+import { getConversionOptions, getRateTable, convertAmount } from '../utils/exchange-rates.js';
+import { buildRebaselinedPrice } from '../utils/currency-change.js';
+import { mergeSiteRule } from '../utils/site-rules.js';
+import {
+  showBatchPriceDropNotifications,
+  showBackInStockNotification,
+  showCheapestStoreNotification,
+  showTargetMetNotification,
+  showDigestNotification,
+  showInfoNotification
+} from '../utils/notification-manager.js';
 import { debug, debugWarn, debugError } from '../utils/debug.js';
 
 // Alarm names
 const ALARMS = {
   PRICE_CHECK: 'price-check',
-  DAILY_CLEANUP: 'daily-cleanup'
+  DAILY_CLEANUP: 'daily-cleanup',
+  DOMAIN_RESUME: 'domain-resume',
+  NOTIFICATION_DIGEST: 'notification-digest'
 };
 
 // Message types
@@ -32,7 +51,13 @@ const MESSAGE_TYPES = {
   GET_SETTINGS: 'GET_SETTINGS',
   CHECK_NOW: 'CHECK_NOW',
   FORCE_CHECK_ALL: 'FORCE_CHECK_ALL',
-  REFRESH_SINGLE_PRODUCT: 'REFRESH_SINGLE_PRODUCT'
+  REFRESH_SINGLE_PRODUCT: 'REFRESH_SINGLE_PRODUCT',
+  SET_TARGET_PRICE: 'SET_TARGET_PRICE',
+  SET_CHECK_SCHEDULE: 'SET_CHECK_SCHEDULE',
+  LINK_PRODUCTS: 'LINK_PRODUCTS',
+  UNLINK_PRODUCT: 'UNLINK_PRODUCT',
+  ACCEPT_CURRENCY_CHANGE: 'ACCEPT_CURRENCY_CHANGE',
+  SAVE_SITE_RULE: 'SAVE_SITE_RULE'
 };
 
 debug('[ServiceWorker]', 'Price Drop Tracker: Service worker initializing...');
@@ -94,32 +119,22 @@ browser.runtime.onStartup.addListener(async () => {
 
 /**
  * Set up periodic alarms
- * - Price check alarm (based on user settings)
+ * - Price check alarm (at the shortest check interval in use)
  * - Daily cleanup alarm (removes old products)
+ * - Notification digest alarm (daily, drops held back by the daily limit)
  */
 async function setupAlarms() {
   debug('[ServiceWorker]', 'Setting up alarms...');
 
   try {
-    // Get current settings
-    const settings = await StorageManager.getSettings();
-
     // Clear existing alarms
     await browser.alarms.clearAll();
 
     // Set up price check alarm
-    if (settings.tracking.enabled) {
-      const checkIntervalMinutes = settings.tracking.checkInterval / 60; // Convert seconds to minutes
-
-      debug('[ServiceWorker]', `Creating price check alarm: every ${checkIntervalMinutes} minutes`);
+    await syncPriceCheckAlarm();
 
-      browser.alarms.create(ALARMS.PRICE_CHECK, {
-        delayInMinutes: 1, // First check in 1 minute
-        periodInMinutes: checkIntervalMinutes
-      });
-    } else {
-      debug('[ServiceWorker]', 'Price checking is disabled in settings');
-    }
+    // Pauses survive restarts, so their resume check must too
+    await scheduleDomainResume(await loadBackoffState());
 
     // Set up daily cleanup alarm (runs at 3 AM)
     debug('[ServiceWorker]', 'Creating daily cleanup alarm');
@@ -129,6 +144,12 @@ async function setupAlarms() {
       periodInMinutes: 24 * 60 // 24 hours
     });
 
+    // Daily digest of drops held back by the notification limit
+    browser.alarms.create(ALARMS.NOTIFICATION_DIGEST, {
+      when: getNextDigestTime(),
+      periodInMinutes: 24 * 60
+    });
+
     debug('[ServiceWorker]', 'Alarms configured successfully');
 
   } catch (error) {
@@ -136,6 +157,56 @@ async function setupAlarms() {
   }
 }
 
+/**
+ * Create or update the price check alarm
+ * The alarm fires at the shortest interval any product or site schedule
+ * needs; each run then only checks products that are due. Left alone if the
+ * period is unchanged, so the next run isn't pushed back.
+ */
+async function syncPriceCheckAlarm() {
+  const settings = await StorageManager.getSettings();
+  const products = await StorageManager.getAllProducts();
+  const periodInMinutes = getAlarmPeriodMinutes(Object.values(products), settings);
+
+  const existing = await browser.alarms.get(ALARMS.PRICE_CHECK);
+  if (existing && existing.periodInMinutes === periodInMinutes) {
+    return;
+  }
+
+  debug('[ServiceWorker]', `Creating price check alarm: every ${periodInMinutes} minutes`);
+
+  browser.alarms.create(ALARMS.PRICE_CHECK, {
+    delayInMinutes: 1, // First check in 1 minute
+    periodInMinutes
+  });
+}
+
+/**
+ * Schedule a one-off check for when the first paused shop resumes
+ * Without it, products on a shop paused for an hour would wait for the next
+ * regular run, which can be a day away.
+ * @param {Object} backoffState - Domain backoff state
+ */
+async function scheduleDomainResume(backoffState) {
+  const [next] = getActivePauses(backoffState);
+  if (!next) {
+    await browser.alarms.clear(ALARMS.DOMAIN_RESUME);
+    return;
+  }
+
+  debug('[ServiceWorker]', `Scheduling resume check for ${next.domain} at ${new Date(next.pausedUntil).toLocaleTimeString()}`);
+  browser.alarms.create(ALARMS.DOMAIN_RESUME, { when: next.pausedUntil + 60 * 1000 });
+}
+
+// Reschedule the resume check whenever a shop is paused or resumed
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[BACKOFF_STORAGE_KEY]) {
+    scheduleDomainResume(changes[BACKOFF_STORAGE_KEY].newValue || {}).catch(error => {
+      debugError('[ServiceWorker]', 'Error scheduling domain resume:', error);
+    });
+  }
+});
+
 /**
  * Get timestamp for next cleanup (3 AM)
  * @returns {number} - Timestamp in milliseconds
@@ -162,10 +233,12 @@ browser.alarms.onAlarm.addListener(async (alarm) => {
   debug('[ServiceWorker]', `[ServiceWorker] Alarm triggered: ${alarm.name}`);
 
   try {
-    if (alarm.name === ALARMS.PRICE_CHECK) {
-      await handlePriceCheckAlarm();
+    if (alarm.name === ALARMS.PRICE_CHECK || alarm.name === ALARMS.DOMAIN_RESUME) {
+      await handlePriceCheckAlarm(alarm);
     } else if (alarm.name === ALARMS.DAILY_CLEANUP) {
       await handleCleanupAlarm();
+    } else if (alarm.name === ALARMS.NOTIFICATION_DIGEST) {
+      await showDigestNotification();
     }
   } catch (error) {
     debugError('[ServiceWorker]', `[ServiceWorker] Error handling alarm ${alarm.name}:`, error);
@@ -174,26 +247,22 @@ browser.alarms.onAlarm.addListener(async (alarm) => {
 
 /**
  * Handle price check alarm
- * Checks all products that need updating
+ * Checks the products that are due under their schedules
  */
-async function handlePriceCheckAlarm() {
+async function handlePriceCheckAlarm(alarm) {
   debug('[ServiceWorker]', '[ServiceWorker] Running periodic price check...');
 
   try {
     const settings = await StorageManager.getSettings();
 
-    if (!settings.tracking.enabled) {
-      debug('[ServiceWorker]', '[ServiceWorker] Price checking is disabled, skipping');
-      return;
-    }
-
-    // Check products older than the check interval
-    const maxAge = settings.tracking.checkInterval * 1000; // Convert seconds to ms
+    // Products due before the next alarm are checked now rather than a full
+    // period late
+    const periodMs = (alarm?.periodInMinutes || 0) * 60 * 1000;
 
     const results = await checkAllProducts({
       batchSize: 10,
       delayBetweenChecks: 2000,
-      maxAge: maxAge
+      slackMs: periodMs / 2
     });
 
     debug('[ServiceWorker]', `[ServiceWorker] Price check complete:`, results);
@@ -205,6 +274,13 @@ async function handlePriceCheckAlarm() {
     if (settings.notifications.enabled && results.priceDrops > 0) {
       await notifyPriceDrops(results.details);
     }
+    if (settings.notifications.enabled && results.backInStock > 0) {
+      await notifyBackInStock(results.details);
+    }
+    await notifyCheapestStoreChanges();
+
+    // Schedules of removed products may no longer need the current period
+    await syncPriceCheckAlarm();
 
   } catch (error) {
     debugError('[ServiceWorker]', '[ServiceWorker] Error during price check:', error);
@@ -220,9 +296,14 @@ async function handleCleanupAlarm() {
 
   try {
     const settings = await StorageManager.getSettings();
-    const maxAgeDays = settings.tracking.maxAge;
 
-    await StorageManager.cleanupOldProducts(maxAgeDays);
+    if (settings.tracking.autoRemoveExpired === false) {
+      debug('[ServiceWorker]', '[ServiceWorker] Automatic removal is disabled, skipping cleanup');
+      return;
+    }
+
+    // Uses settings.tracking.duration
+    await StorageManager.cleanupOldProducts();
 
     debug('[ServiceWorker]', '[ServiceWorker] Cleanup complete');
 
@@ -261,7 +342,12 @@ async function notifyPriceDrops(checkDetails) {
           product,
           oldPrice: drop.oldPrice,
           newPrice: drop.newPrice,
-          dropPercentage: Math.abs(drop.changePercent || 0)
+          dropPercentage: Math.abs(drop.changePercent || 0),
+          targetReached: drop.targetReached === true,
+          suspicious: drop.discount?.suspicious === true,
+          freeShipping: drop.freeShipping === true,
+          includesShipping: drop.priceBasis === 'total',
+          unit: drop.priceBasis === 'unit' ? drop.unit : null
         };
       })
     );
@@ -279,6 +365,94 @@ async function notifyPriceDrops(checkDetails) {
   }
 }
 
+/**
+ * Send notifications for products that are available again
+ * @param {Array} checkDetails - Detailed price check results from price-checker
+ */
+async function notifyBackInStock(checkDetails) {
+  const restocked = checkDetails.filter(r => r.backInStock === true);
+
+  for (const result of restocked) {
+    try {
+      const product = await StorageManager.getProduct(result.productId);
+      if (!product) {
+        debugWarn('[ServiceWorker]', `[ServiceWorker] Product not found for notification: ${result.productId}`);
+        continue;
+      }
+
+      await showBackInStockNotification(product, result.newPrice ?? result.price ?? null);
+    } catch (error) {
+      debugError('[ServiceWorker]', '[ServiceWorker] Error sending back-in-stock notification:', error);
+    }
+  }
+}
+
+/**
+ * Send notifications when another store became the cheapest for a product
+ * tracked in several shops
+ * The cheapest offer of each group is remembered between runs, also while
+ * these notifications are off, so turning them on doesn't report old changes.
+ */
+async function notifyCheapestStoreChanges() {
+  try {
+    const [products, settings, stored] = await Promise.all([
+      StorageManager.getAllProducts(),
+      StorageManager.getSettings(),
+      browser.storage.local.get(CHEAPEST_STATE_KEY)
+    ]);
+
+    const groups = buildOfferGroups(Object.values(products), getPriceBasis(settings), getConversionOptions(settings));
+    const { changes, state } = getCheapestChanges(stored[CHEAPEST_STATE_KEY] || {}, groups);
+    await browser.storage.local.set({ [CHEAPEST_STATE_KEY]: state });
+
+    for (const change of changes) {
+      debug('[ServiceWorker]', `[ServiceWorker] ${change.cheapest.domain} is now cheapest (was ${change.previous.domain})`);
+      await showCheapestStoreNotification(products[change.cheapest.productId], change);
+    }
+  } catch (error) {
+    debugError('[ServiceWorker]', '[ServiceWorker] Error sending cheapest-store notifications:', error);
+  }
+}
+
+/**
+ * Start a new baseline in the currency a flagged product's page now shows
+ * (see utils/currency-change.js)
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object|null>} Updated product, or null if nothing was flagged
+ */
+async function acceptCurrencyChange(productId) {
+  const product = await StorageManager.getProduct(productId);
+  const pending = product?.currencyChange;
+  if (!pending) {
+    return null;
+  }
+
+  const settings = await StorageManager.getSettings();
+  const targetPrice = product.notifications?.targetPrice ?? null;
+  return await StorageManager.rebaselineProductCurrency(productId,
+    buildRebaselinedPrice(product.price, { ...product.price, numeric: pending.price }, pending), {
+      targetPrice: typeof targetPrice === 'number' ? convertAmount(targetPrice, pending.from, pending.to, getRateTable(settings)) : null
+    });
+}
+
+/**
+ * Save a price override picked on a page as the domain's site rule
+ * (see content-scripts/price-picker.js)
+ * @param {Object} override - { domain, price, title? }
+ * @returns {Promise<Object>} { rule } - the domain's rule as saved
+ */
+async function saveSiteRule(override) {
+  const settings = await StorageManager.getSettings();
+  const { rules, rule, errors } = mergeSiteRule(settings.extraction?.siteRules, override);
+  if (!rule) {
+    throw new Error(errors.join('; ') || 'Invalid site rule');
+  }
+
+  await StorageManager.saveSettings({ extraction: { siteRules: rules } });
+  debug('[ServiceWorker]', '[ServiceWorker] Site rule saved for', rule.domain);
+  return { rule };
+}
+
 /**
  * Message listener
  * Handles messages from content scripts and popup
@@ -334,6 +508,7 @@ async function handleMessage(message, sender) {
       debug('[ServiceWorker]', '[ServiceWorker] Refreshing single product:', data.productId);
       const refreshResult = await checkSingleProduct(data.productId);
       await updateBadge();
+      await notifyCheapestStoreChanges();
       // Return the updated product
       const refreshedProduct = await StorageManager.getProduct(data.productId);
       return { product: refreshedProduct, checkResult: refreshResult };
@@ -341,6 +516,51 @@ async function handleMessage(message, sender) {
     case MESSAGE_TYPES.GET_ALL_PRODUCTS:
       return await StorageManager.getAllProducts();
 
+    case MESSAGE_TYPES.SET_TARGET_PRICE:
+      const targetProduct = await StorageManager.setTargetPrice(data.productId, data.targetPrice ?? null);
+      if (!targetProduct) {
+        throw new Error('Product not found');
+      }
+      // Checks only alert on a crossing, so a target the price already meets is reported now
+      const targetMet = isTargetPriceReached(targetProduct.notifications?.targetPrice ?? null, null, targetProduct.price?.numeric);
+      if (targetMet) {
+        await showTargetMetNotification(targetProduct);
+      }
+      return { product: targetProduct, targetMet };
+
+    case MESSAGE_TYPES.SET_CHECK_SCHEDULE:
+      const scheduledProduct = await StorageManager.setCheckSchedule(data.productId, data.schedule ?? null);
+      if (!scheduledProduct) {
+        throw new Error('Product not found');
+      }
+      // A shorter interval may need a more frequent alarm
+      await syncPriceCheckAlarm();
+      return { product: scheduledProduct };
+
+    case MESSAGE_TYPES.LINK_PRODUCTS:
+      const linkedProduct = await StorageManager.linkProducts(data.productId, data.otherProductId);
+      if (!linkedProduct) {
+        throw new Error('Product not found');
+      }
+      return { product: linkedProduct };
+
+    case MESSAGE_TYPES.UNLINK_PRODUCT:
+      const unlinkedProduct = await StorageManager.unlinkProduct(data.productId);
+      if (!unlinkedProduct) {
+        throw new Error('Product not found');
+      }
+      return { product: unlinkedProduct };
+
+    case MESSAGE_TYPES.ACCEPT_CURRENCY_CHANGE:
+      const rebaselinedProduct = await acceptCurrencyChange(data.productId);
+      if (!rebaselinedProduct) {
+        throw new Error('No currency change to accept');
+      }
+      return { product: rebaselinedProduct };
+
+    case MESSAGE_TYPES.SAVE_SITE_RULE:
+      return await saveSiteRule(data.rule);
+
     case MESSAGE_TYPES.UPDATE_SETTINGS:
       await StorageManager.saveSettings(data.settings);
       // Re-setup alarms with new settings
@@ -354,7 +574,9 @@ async function handleMessage(message, sender) {
       try {
         const results = await checkAllProducts({
           batchSize: data.batchSize || 10,
-          maxAge: 0 // Check all products regardless of age
+          maxAge: 0, // Check all products regardless of age or schedule
+          maxChecks: 0, // No budget for manual checks
+          trigger: 'manual'
         });
         await updateBadge();
 
@@ -363,6 +585,10 @@ async function handleMessage(message, sender) {
         if (settings.notifications.enabled && results.priceDrops > 0) {
           await notifyPriceDrops(results.details);
         }
+        if (settings.notifications.enabled && results.backInStock > 0) {
+          await notifyBackInStock(results.details);
+        }
+        await notifyCheapestStoreChanges();
 
         return { success: true, results };
       } catch (error) {
@@ -373,7 +599,9 @@ async function handleMessage(message, sender) {
     case MESSAGE_TYPES.FORCE_CHECK_ALL:
       const forceResults = await checkAllProducts({
         batchSize: data.batchSize || 10,
-        maxAge: 0 // Check all products regardless of age
+        maxAge: 0, // Check all products regardless of age or schedule
+        maxChecks: 0, // No budget for manual checks
+        trigger: 'manual'
       });
       await updateBadge();
 
@@ -382,6 +610,10 @@ async function handleMessage(message, sender) {
       if (forceSettings.notifications.enabled && forceResults.priceDrops > 0) {
         await notifyPriceDrops(forceResults.details);
       }
+      if (forceSettings.notifications.enabled && forceResults.backInStock > 0) {
+        await notifyBackInStock(forceResults.details);
+      }
+      await notifyCheapestStoreChanges();
 
       return forceResults;
 
@@ -482,6 +714,17 @@ browser.permissions.onAdded.addListener(async (permissions) => {
   debug('[ServiceWorker]', '=================================================');
 
   try {
+    const origins = permissions.origins || [];
+    if (origins.length > 0) {
+      // "*://*.shop.example/*" -> "shop.example"
+      const domain = origins[0].replace(/^[^:]*:\/\//, '').replace(/^\*\./, '').replace(/\/.*$/, '');
+      await logActivity(ACTIVITY_TYPES.PERMISSION_GRANTED, {
+        domain,
+        message: `Access granted to ${domain}`,
+        details: { origins }
+      });
+    }
+
     // CRITICAL: Check if there's a pending permission URL from popup
     const result = await browser.storage.local.get('pendingPermissionUrl');
     const pendingUrl = result.pendingPermissionUrl;
@@ -1,9 +1,46 @@
 // Price Drop Tracker - Storage Manager
-// Handles all data persistence using Browser Storage API
+// Handles all data persistence: products, history and thumbnails in IndexedDB
+// (see product-db.js), settings and small runtime state in browser.storage.local
 
 import browser from '../utils/browser-polyfill.js';
 import { debug, debugWarn, debugError } from '../utils/debug.js';
-import { productStorageMutex } from '../utils/storage-mutex.js';
+import { appendPriceHistoryEntry, compactPriceHistory, computePriceStats } from '../utils/price-history.js';
+import { applySaleInfo } from '../utils/sale-price.js';
+import { applyShipping } from '../utils/shipping.js';
+import { applyUnitPrice } from '../utils/unit-price.js';
+import {
+  RUNTIME_KEYS,
+  IMPORT_MODES,
+  buildExport,
+  parseImport,
+  validateProducts,
+  sanitizeSettings,
+  mergeProducts
+} from '../utils/data-schema.js';
+import { isValidTargetPrice } from '../utils/target-price.js';
+import { normalizeSchedule } from '../utils/check-schedule.js';
+import { buildOfferGroups, indexOfferGroups } from '../utils/offer-groups.js';
+import { createCurrencyChangeEntry } from '../utils/currency-change.js';
+import { appendRejectedReading } from '../utils/price-sanity.js';
+import { ACTIVITY_TYPES, clearActivityLog, logActivities, logActivity } from '../utils/activity-log.js';
+import {
+  migrateFromStorageLocal,
+  getProductRecord,
+  getAllProductRecords,
+  listProductRecords,
+  getProductRecordsByIndex,
+  countProductRecords,
+  putProductRecord,
+  updateProductRecord,
+  updateProductRecords,
+  deleteProductRecord,
+  getImageRecord,
+  putImageRecord,
+  deleteImageRecord,
+  getAllImageRecords,
+  bulkPutProductRecords,
+  clearProductDB
+} from './product-db.js';
 
 /**
  * Default settings for the extension
@@ -13,21 +50,37 @@ const DEFAULT_SETTINGS = {
   tracking: {
     duration: 30,        // Days to track products
     maxProducts: 100,    // Maximum number of products to track
-    autoRemoveExpired: true
+    autoRemoveExpired: true,
+    priceBasis: 'item',  // 'item', 'total' (item + shipping) or 'unit' (per kg/l/item) for alerts and charts
+    currencyChange: 'confirm' // Page in another currency: 'confirm' (re-baseline when seen twice), 'rebaseline' or 'flag'
   },
   checking: {
     interval: 6,         // Hours between price checks
     batchSize: 5,        // Number of products to check at once
     timeout: 10000,      // Request timeout in milliseconds
-    retryAttempts: 3     // Number of retry attempts for failed checks
+    retryAttempts: 3,    // Number of retry attempts for failed checks
+    maxChecksPerRun: 50, // Budget per background run (0 = unlimited), highest priority first
+    domainSchedules: {}, // Per-site { intervalMinutes, priority }, e.g. { 'amazon.de': { intervalMinutes: 60 } }
+    rateLimits: {}       // Per-site requests per minute, overriding the built-in limits, e.g. { 'shop.example': 20 }
   },
   notifications: {
     enabled: true,
     minDropPercentage: 5,  // Minimum price drop % to trigger notification
     maxPerDay: 3,          // Maximum notifications per day
+    backInStock: true,     // Notify when an out-of-stock item becomes available
+    cheapestStore: true,   // Notify when another store becomes cheapest for a product tracked in several
+    skipSuspiciousDrops: false, // Don't notify drops flagged by utils/discount-analysis.js
     sound: true,
     badge: true
   },
+  currency: {
+    homeCurrency: '',      // ISO code mixed-currency comparisons are shown in ('' = majority currency of each group)
+    showConverted: false,  // Show prices converted to the home currency next to the originals
+    exchangeRates: {}      // User rate table { base, date, rates } ({} = built-in reference rates, see utils/exchange-rates.js)
+  },
+  extraction: {
+    siteRules: []          // User-defined per-domain selectors / JSON paths (see utils/site-rules.js)
+  },
   privacy: {
     activityLog: true,
     analytics: false
@@ -38,124 +91,167 @@ const DEFAULT_SETTINGS = {
   }
 };
 
+/**
+ * Makes sure product storage is ready
+ * Runs the one-time migration from the old storage.local layout first.
+ * @returns {Promise<void>}
+ */
+async function ensureProductStore() {
+  await migrateFromStorageLocal();
+}
+
+/**
+ * Signals product changes to open extension pages
+ * Products live in IndexedDB, which has no change events, so a timestamp in
+ * storage.local lets the popup react via storage.onChanged.
+ * @returns {Promise<void>}
+ */
+async function notifyProductsChanged() {
+  try {
+    await browser.storage.local.set({ productsUpdatedAt: Date.now() });
+  } catch (error) {
+    debugWarn('[storage-manager]', '[Storage] Could not signal product change:', error);
+  }
+}
+
+/**
+ * Adjusts the product counter in metadata
+ * @param {number} delta - Change in product count
+ * @returns {Promise<void>}
+ */
+async function updateProductCount(delta) {
+  const result = await browser.storage.local.get('metadata');
+  const metadata = result.metadata || { totalProducts: 0, lastCleanup: Date.now(), storageUsed: 0 };
+  metadata.totalProducts = Math.max(0, (metadata.totalProducts || 0) + delta);
+  await browser.storage.local.set({ metadata });
+}
+
 /**
  * Saves or updates a product in storage
  * @param {Object} productData - Product data to save
  * @returns {Promise<string>} Product ID
  */
 export async function saveProduct(productData) {
-  // CRITICAL FIX: Use mutex to prevent race conditions
-  // Without this, concurrent saves from popup + service worker can lose data
-  return await productStorageMutex.withLock(async () => {
-    try {
-      // Extract and separate image thumbnail if present
-      let imageThumbnail = null;
-      if (productData.imageThumbnail) {
-        imageThumbnail = productData.imageThumbnail;
-        delete productData.imageThumbnail; // Remove from main product object
-      }
-      // Also remove imageUrl if it somehow still exists
-      if (productData.imageUrl) {
-        delete productData.imageUrl;
-      }
+  try {
+    await ensureProductStore();
 
-      // Get existing products
-      const result = await browser.storage.local.get(['products', 'metadata']);
-      const products = result.products || {};
-      const metadata = result.metadata || { totalProducts: 0, lastCleanup: Date.now(), storageUsed: 0 };
-
-      const productId = productData.productId;
-
-      // Check if product exists
-      if (products[productId]) {
-        // Update existing
-        const existing = products[productId];
-
-        // Add to price history if price changed
-        if (existing.price.numeric !== productData.price.numeric) {
-          existing.priceHistory = existing.priceHistory || [];
-          const now = Date.now();
-
-          // Add ONLY the actual current price change
-          // Do NOT add fake historical entries with backdated timestamps
-          // The regularPrice is already stored in the price object itself
-          existing.priceHistory.push({
-            price: productData.price.numeric,
-            currency: productData.price.currency,
-            timestamp: now,
-            checkMethod: productData.detectionMethod
-          });
-
-          // Limit history to 30 entries
-          if (existing.priceHistory.length > 30) {
-            existing.priceHistory = existing.priceHistory.slice(-30);
-          }
-        }
+    // Extract and separate image thumbnail if present
+    let imageThumbnail = null;
+    if (productData.imageThumbnail) {
+      imageThumbnail = productData.imageThumbnail;
+      delete productData.imageThumbnail; // Remove from main product object
+    }
+    // Also remove imageUrl if it somehow still exists
+    if (productData.imageUrl) {
+      delete productData.imageUrl;
+    }
 
-        // Update fields
-        existing.price = productData.price;
-        existing.tracking.lastViewed = Date.now();
-        existing.tracking.lastChecked = Date.now();
+    const productId = productData.productId;
 
-        products[productId] = existing;
-      } else {
-        // Check max products limit
-        const settings = await getSettings();
-        if (Object.keys(products).length >= settings.tracking.maxProducts) {
-          throw new Error('Maximum product limit reached');
-        }
+    // Update existing product in a single transaction
+    const existing = await updateProductRecord(productId, (product) => {
+      // A visit to a page in another currency starts a new baseline
+      // (see utils/currency-change.js)
+      const currencyChanged = Boolean(product.price.currency && productData.price.currency &&
+        product.price.currency !== productData.price.currency);
 
-        // Create new product entry
-        // Initialize price history with only the ACTUAL current price
-        // The regularPrice (if any) is already stored in productData.price.regularPrice
-        // We should NOT create fake historical entries with backdated timestamps
+      // Add to price history if price changed
+      if (product.price.numeric !== productData.price.numeric || currencyChanged) {
         const now = Date.now();
-        const priceHistory = [{
+
+        // Add ONLY the actual current price change
+        // Do NOT add fake historical entries with backdated timestamps
+        // The regularPrice is already stored in the price object itself
+        // Old entries are downsampled instead of dropped (see utils/price-history.js)
+        appendPriceHistoryEntry(product, {
           price: productData.price.numeric,
           currency: productData.price.currency,
           timestamp: now,
-          checkMethod: productData.detectionMethod
-        }];
-
-        products[productId] = {
-          ...productData,
-          priceHistory,
-          tracking: {
-            firstSeen: Date.now(),
-            lastViewed: Date.now(),
-            lastChecked: Date.now(),
-            checkCount: 1,
-            failedChecks: 0,
-            status: 'tracking'
-          },
-          notifications: {
-            lastNotified: null,
-            notificationCount: 0,
-            userDismissed: false
-          }
-        };
-
-        metadata.totalProducts++;
+          checkMethod: productData.detectionMethod,
+          ...(currencyChanged ? createCurrencyChangeEntry(product.price, productData.price, now) : {}),
+          ...getPriceDetailFields(productData.price),
+          ...(productData.availability ? { availability: productData.availability } : {})
+        }, now);
       }
+      if (currencyChanged) {
+        delete product.currencyChange;
+        product.tracking.currencyChangedAt = Date.now();
+      }
+      // The user saw the page, so a held background reading is moot
+      delete product.unconfirmedPrice;
 
-      // Save back to storage
-      await browser.storage.local.set({ products, metadata });
+      // Update fields
+      product.price = productData.price;
+      if (productData.availability && product.availability !== productData.availability) {
+        product.availability = productData.availability;
+        product.availabilityChangedAt = Date.now();
+      }
+      // Identifiers only appear on the page; keep known ones when a visit finds none
+      if (productData.identifiers) {
+        product.identifiers = productData.identifiers;
+      }
+      product.tracking.lastViewed = Date.now();
+      product.tracking.lastChecked = Date.now();
+    });
 
-      // Save image thumbnail separately to keep product data lean
-      if (imageThumbnail) {
-        const imageKey = `img_${productId}`;
-        await browser.storage.local.set({ [imageKey]: imageThumbnail });
-        debug('[storage-manager]', `[Storage] Saved thumbnail for product: ${productId}`);
+    if (!existing) {
+      // Check max products limit
+      const settings = await getSettings();
+      if (await countProductRecords() >= settings.tracking.maxProducts) {
+        throw new Error('Maximum product limit reached');
       }
 
-      debug('[storage-manager]', `[Storage] Saved product: ${productId}`);
-      return productId;
+      // Create new product entry
+      // Initialize price history with only the ACTUAL current price
+      // The regularPrice (if any) is already stored in productData.price.regularPrice
+      // We should NOT create fake historical entries with backdated timestamps
+      const now = Date.now();
+      const newProduct = {
+        ...productData,
+        priceHistory: [],
+        availabilityChangedAt: productData.availability ? now : null,
+        tracking: {
+          firstSeen: Date.now(),
+          lastViewed: Date.now(),
+          lastChecked: Date.now(),
+          checkCount: 1,
+          failedChecks: 0,
+          status: 'tracking'
+        },
+        notifications: {
+          lastNotified: null,
+          notificationCount: 0,
+          userDismissed: false
+        }
+      };
+      appendPriceHistoryEntry(newProduct, {
+        price: productData.price.numeric,
+        currency: productData.price.currency,
+        timestamp: now,
+        checkMethod: productData.detectionMethod,
+        ...getPriceDetailFields(productData.price),
+        ...(productData.availability ? { availability: productData.availability } : {})
+      }, now);
+
+      await putProductRecord(newProduct);
+      await updateProductCount(1);
+    }
 
-    } catch (error) {
-      debugError('[storage-manager]', '[Storage] Error saving product:', error);
-      throw error;
+    // Save image thumbnail separately to keep product data lean
+    if (imageThumbnail) {
+      await putImageRecord(productId, imageThumbnail);
+      debug('[storage-manager]', `[Storage] Saved thumbnail for product: ${productId}`);
     }
-  });
+
+    await notifyProductsChanged();
+
+    debug('[storage-manager]', `[Storage] Saved product: ${productId}`);
+    return productId;
+
+  } catch (error) {
+    debugError('[storage-manager]', '[Storage] Error saving product:', error);
+    throw error;
+  }
 }
 
 /**
@@ -165,9 +261,8 @@ export async function saveProduct(productData) {
  */
 export async function getProduct(productId) {
   try {
-    const result = await browser.storage.local.get('products');
-    const products = result.products || {};
-    return products[productId] || null;
+    await ensureProductStore();
+    return await getProductRecord(productId);
   } catch (error) {
     debugError('[storage-manager]', '[Storage] Error getting product:', error);
     return null;
@@ -180,14 +275,80 @@ export async function getProduct(productId) {
  */
 export async function getAllProducts() {
   try {
-    const result = await browser.storage.local.get('products');
-    return result.products || {};
+    await ensureProductStore();
+    return await getAllProductRecords();
   } catch (error) {
     debugError('[storage-manager]', '[Storage] Error getting all products:', error);
     return {};
   }
 }
 
+/**
+ * Retrieves the products of one shop (without price history)
+ * @param {string} domain - Product domain (e.g. "www.amazon.de")
+ * @returns {Promise<Array>} Product records
+ */
+export async function getProductsByDomain(domain) {
+  try {
+    await ensureProductStore();
+    return await getProductRecordsByIndex('domain', domain);
+  } catch (error) {
+    debugError('[storage-manager]', '[Storage] Error getting products by domain:', error);
+    return [];
+  }
+}
+
+/**
+ * Retrieves products last checked before a point in time (without price history)
+ * @param {number} timestamp - Upper bound for tracking.lastChecked
+ * @returns {Promise<Array>} Product records
+ */
+export async function getProductsCheckedBefore(timestamp) {
+  try {
+    await ensureProductStore();
+    return await getProductRecordsByIndex('lastChecked', IDBKeyRange.upperBound(timestamp));
+  } catch (error) {
+    debugError('[storage-manager]', '[Storage] Error getting products by last check:', error);
+    return [];
+  }
+}
+
+/**
+ * Retrieves a product thumbnail
+ * @param {string} productId - Product ID
+ * @returns {Promise<string|null>} Data URL or null
+ */
+export async function getProductImage(productId) {
+  try {
+    await ensureProductStore();
+    return await getImageRecord(productId);
+  } catch (error) {
+    debugError('[storage-manager]', '[Storage] Error getting product image:', error);
+    return null;
+  }
+}
+
+/**
+ * Stores (or removes) a product thumbnail
+ * @param {string} productId - Product ID
+ * @param {string|null} dataUrl - Thumbnail data URL, or null to remove it
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveProductImage(productId, dataUrl) {
+  try {
+    await ensureProductStore();
+    if (dataUrl) {
+      await putImageRecord(productId, dataUrl);
+    } else {
+      await deleteImageRecord(productId);
+    }
+    return true;
+  } catch (error) {
+    debugError('[storage-manager]', '[Storage] Error saving product image:', error);
+    return false;
+  }
+}
+
 /**
  * Deletes a product from storage
  * @param {string} productId - Product ID to delete
@@ -195,19 +356,12 @@ export async function getAllProducts() {
  */
 export async function deleteProduct(productId) {
   try {
-    const result = await browser.storage.local.get(['products', 'metadata']);
-    const products = result.products || {};
-    const metadata = result.metadata || {};
-
-    if (products[productId]) {
-      delete products[productId];
-      metadata.totalProducts = Math.max(0, (metadata.totalProducts || 0) - 1);
-
-      await browser.storage.local.set({ products, metadata });
+    await ensureProductStore();
 
-      // Also delete associated image thumbnail
-      const imageKey = `img_${productId}`;
-      await browser.storage.local.remove(imageKey);
+    // Product, history and thumbnail are removed together
+    if (await deleteProductRecord(productId)) {
+      await updateProductCount(-1);
+      await notifyProductsChanged();
 
       debug('[storage-manager]', `[Storage] Deleted product and thumbnail: ${productId}`);
       return true;
@@ -220,50 +374,494 @@ export async function deleteProduct(productId) {
   }
 }
 
+/**
+ * History entry fields for the "was" price, shipping cost, unit price and pack size of a price, if known
+ * @param {Object} price - Price object
+ * @returns {Object} { wasPrice, shipping, unitPrice, unit, quantity } (missing fields left out)
+ */
+function getPriceDetailFields(price) {
+  return {
+    ...(typeof price?.regularPrice === 'number' ? { wasPrice: price.regularPrice } : {}),
+    ...(typeof price?.shipping === 'number' ? { shipping: price.shipping } : {}),
+    ...(typeof price?.unitPrice === 'number' ? { unitPrice: price.unitPrice, unit: price.unit } : {}),
+    ...(typeof price?.quantity === 'number' ? { quantity: price.quantity } : {})
+  };
+}
+
 /**
  * Updates the price for a product
  * @param {string} productId - Product ID
  * @param {Object} newPriceData - New price data
+ * @param {Object} details - Optional check details
+ * @param {string|null} details.availability - Stock status seen with this price
+ * @param {string} details.detectionMethod - How the price was found
  * @returns {Promise<Object|null>} Updated product or null
  */
-export async function updateProductPrice(productId, newPriceData) {
-  // CRITICAL FIX: Use mutex to prevent race conditions
-  return await productStorageMutex.withLock(async () => {
-    try {
-      const product = await getProduct(productId);
-      if (!product) return null;
+export async function updateProductPrice(productId, newPriceData, details = {}) {
+  try {
+    await ensureProductStore();
 
-      // Add to price history
-      product.priceHistory = product.priceHistory || [];
-      product.priceHistory.push({
+    const product = await updateProductRecord(productId, (product) => {
+      // Add to price history (updates all-time stats, compacts old entries)
+      appendPriceHistoryEntry(product, {
         price: newPriceData.numeric,
         currency: newPriceData.currency,
         timestamp: Date.now(),
-        checkMethod: newPriceData.detectionMethod || 'unknown'
+        checkMethod: details.detectionMethod || newPriceData.detectionMethod || 'unknown',
+        ...getPriceDetailFields(newPriceData),
+        ...(details.availability ? { availability: details.availability } : {})
       });
 
-      // Limit history
-      if (product.priceHistory.length > 30) {
-        product.priceHistory = product.priceHistory.slice(-30);
-      }
-
       // Update price
       product.price = newPriceData;
+      delete product.unconfirmedPrice;
       product.tracking.lastChecked = Date.now();
       product.tracking.checkCount++;
       product.tracking.failedChecks = 0; // Reset on success
+      product.tracking.status = 'active';
+      if (details.availability && product.availability !== details.availability) {
+        product.availability = details.availability;
+        product.availabilityChangedAt = Date.now();
+      }
+    });
+
+    if (product) {
+      await notifyProductsChanged();
+    }
+    return product;
+  } catch (error) {
+    debugError('[storage-manager]', '[Storage] Error updating product price:', error);
+    return null;
+  }
+}
+
+/**
+ * Updates tracking metadata (status, failedChecks, lastChecked) for a product
+ * Used by background checks that don't produce a new price entry.
+ * @param {string} productId - Product ID
+ * @param {Object} trackingChanges - Fields to merge into product.tracking
+ * @returns {Promise<Object|null>} Updated product or null
+ */
+export async function updateProductTracking(productId, trackingChanges) {
+  try {
+    await ensureProductStore();
+
+    const product = await updateProductRecord(productId, (product) => {
+      product.tracking = { ...product.tracking, ...trackingChanges };
+    });
+
+    if (product) {
+      await notifyProductsChanged();
+    }
+    return product;
+  } catch (error) {
+    debugError('[storage-manager]', '[Storage] Error updating product tracking:', error);
+    return null;
+  }
+}
+
+/**
+ * Records a changed "was" price or sale end without a price change
+ * @param {string} productId - Product ID
+ * @param {Object} saleInfo - { wasPrice, saleEndsAt } (see utils/sale-price.js)
+ * @returns {Promise<Object|null>} Updated product or null
+ */
+export async function updateProductSaleInfo(productId, saleInfo) {
+  try {
+    await ensureProductStore();
+
+    const product = await updateProductRecord(productId, (product) => {
+      product.price = applySaleInfo(product.price, saleInfo);
+    });
+
+    if (product) {
+      await notifyProductsChanged();
+      debug('[storage-manager]', `[Storage] Was price for ${productId}: ${product.price.regularPrice ?? 'none'}`);
+    }
+    return product;
+  } catch (error) {
+    debugError('[storage-manager]', '[Storage] Error updating sale info:', error);
+    return null;
+  }
+}
+
+/**
+ * Records a changed shipping cost, unit price or pack size without a price event
+ * @param {string} productId - Product ID
+ * @param {Object} price - Checked price object; its shipping, unitPrice, unit
+ *   and quantity replace the stored ones (missing ones are removed, except shipping)
+ * @returns {Promise<Object|null>} Updated product or null
+ */
+export async function updateProductPriceDetails(productId, price) {
+  try {
+    await ensureProductStore();
+
+    const product = await updateProductRecord(productId, (product) => {
+      const { unitPrice, unit, quantity, ...rest } = product.price;
+      product.price = applyUnitPrice(applyShipping(rest, price.shipping), price);
+    });
+
+    if (product) {
+      await notifyProductsChanged();
+      debug('[storage-manager]', `[Storage] Price details for ${productId}: shipping ${product.price.shipping ?? 'unknown'}, unit price ${product.price.unitPrice ?? 'none'}`);
+    }
+    return product;
+  } catch (error) {
+    debugError('[storage-manager]', '[Storage] Error updating price details:', error);
+    return null;
+  }
+}
+
+/**
+ * Records the stock status of a product
+ * A change is added to the price history (at the current price) so the
+ * history shows when an item went out of / came back in stock.
+ * @param {string} productId - Product ID
+ * @param {string} availability - Normalized availability (see utils/availability.js)
+ * @param {Object} trackingChanges - Optional fields to merge into product.tracking
+ * @param {Object|null} price - Price object the page showed with this status
+ *   (e.g. on an out-of-stock page), merged into the stored price; a change of
+ *   the amount is recorded like the status
+ * @returns {Promise<Object|null>} Updated product or null
+ */
+export async function updateProductAvailability(productId, availability, trackingChanges = {}, price = null) {
+  try {
+    await ensureProductStore();
+
+    const product = await updateProductRecord(productId, (product) => {
+      const now = Date.now();
+      const priceChanged = typeof price?.numeric === 'number' && Math.abs(price.numeric - product.price.numeric) >= 0.01;
+      if (typeof price?.numeric === 'number') {
+        // Sale, shipping and unit fields come with the shown price
+        product.price = { ...product.price, ...price };
+      }
+      if ((availability && product.availability !== availability) || priceChanged) {
+        appendPriceHistoryEntry(product, {
+          price: product.price.numeric,
+          currency: product.price.currency,
+          timestamp: now,
+          checkMethod: 'availability',
+          ...getPriceDetailFields(product.price),
+          ...(availability ? { availability } : {})
+        }, now);
+      }
+      if (availability && product.availability !== availability) {
+        product.availability = availability;
+        product.availabilityChangedAt = now;
+      }
+
+      product.tracking = {
+        ...product.tracking,
+        lastChecked: now,
+        checkCount: (product.tracking.checkCount || 0) + 1,
+        ...trackingChanges
+      };
+    });
+
+    if (product) {
+      await notifyProductsChanged();
+      debug('[storage-manager]', `[Storage] Availability for ${productId}: ${availability}`);
+    }
+    return product;
+  } catch (error) {
+    debugError('[storage-manager]', '[Storage] Error updating product availability:', error);
+    return null;
+  }
+}
+
+/**
+ * Sets or clears the target price alert for a product
+ * @param {string} productId - Product ID
+ * @param {number|null} targetPrice - Absolute target price, or null to clear
+ * @returns {Promise<Object|null>} Updated product or null
+ */
+export async function setTargetPrice(productId, targetPrice) {
+  if (targetPrice !== null && !isValidTargetPrice(targetPrice)) {
+    throw new Error('Invalid target price');
+  }
 
-      // Save
-      const products = await getAllProducts();
-      products[productId] = product;
-      await browser.storage.local.set({ products });
+  try {
+    await ensureProductStore();
+
+    const product = await updateProductRecord(productId, (product) => {
+      product.notifications = product.notifications || {};
+      product.notifications.targetPrice = targetPrice;
+      product.notifications.targetSetAt = targetPrice === null ? null : Date.now();
+    });
 
-      return product;
-    } catch (error) {
-      debugError('[storage-manager]', '[Storage] Error updating product price:', error);
-      return null;
+    if (product) {
+      await notifyProductsChanged();
+      debug('[storage-manager]', `[Storage] Target price for ${productId} set to ${targetPrice}`);
     }
-  });
+    return product;
+  } catch (error) {
+    debugError('[storage-manager]', '[Storage] Error setting target price:', error);
+    return null;
+  }
+}
+
+/**
+ * Sets or clears a product's own check schedule
+ * Fields left null fall back to the site schedule and global interval.
+ * @param {string} productId - Product ID
+ * @param {Object|null} schedule - { intervalMinutes, priority } or null to clear
+ * @returns {Promise<Object|null>} Updated product or null if not found
+ */
+export async function setCheckSchedule(productId, schedule) {
+  const normalized = normalizeSchedule(schedule);
+
+  try {
+    await ensureProductStore();
+
+    const product = await updateProductRecord(productId, (product) => {
+      if (normalized) {
+        product.schedule = normalized;
+      } else {
+        delete product.schedule;
+      }
+    });
+
+    if (product) {
+      await notifyProductsChanged();
+      debug('[storage-manager]', `[Storage] Check schedule for ${productId} set to`, normalized);
+    }
+    return product;
+  } catch (error) {
+    debugError('[storage-manager]', '[Storage] Error setting check schedule:', error);
+    return null;
+  }
+}
+
+/**
+ * Records the product identifiers found by a background check
+ * @param {string} productId - Product ID
+ * @param {Object} identifiers - { gtin, mpn, brand, model } (see utils/offer-groups.js)
+ * @returns {Promise<Object|null>} Updated product or null
+ */
+export async function updateProductIdentifiers(productId, identifiers) {
+  try {
+    await ensureProductStore();
+
+    const product = await updateProductRecord(productId, (product) => {
+      product.identifiers = identifiers;
+    });
+
+    if (product) {
+      await notifyProductsChanged();
+      debug('[storage-manager]', `[Storage] Identifiers for ${productId}:`, identifiers);
+    }
+    return product;
+  } catch (error) {
+    debugError('[storage-manager]', '[Storage] Error updating identifiers:', error);
+    return null;
+  }
+}
+
+/**
+ * Links a product by hand to the offer group of another product
+ * The product joins the other product's group: its manual group, or all
+ * products matched with it automatically.
+ * @param {string} productId - Product to link
+ * @param {string} otherProductId - Product whose group it joins
+ * @returns {Promise<Object|null>} Updated product or null
+ */
+export async function linkProducts(productId, otherProductId) {
+  if (productId === otherProductId) return null;
+
+  try {
+    const products = await getAllProducts();
+    const other = products[otherProductId];
+    if (!products[productId] || !other) return null;
+
+    const group = indexOfferGroups(buildOfferGroups(Object.values(products))).get(otherProductId);
+    const groupId = other.offerGroup?.id ||
+      `group_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    const memberIds = new Set([productId, otherProductId, ...(group?.offers.map(offer => offer.productId) || [])]);
+
+    // One transaction, so a failure can't leave the group half-linked
+    await updateProductRecords([...memberIds], (product) => {
+      product.offerGroup = { id: groupId };
+    });
+
+    await notifyProductsChanged();
+    debug('[storage-manager]', `[Storage] Linked ${productId} to ${otherProductId} (group ${groupId})`);
+    return await getProductRecord(productId);
+  } catch (error) {
+    debugError('[storage-manager]', '[Storage] Error linking products:', error);
+    return null;
+  }
+}
+
+/**
+ * Takes a product out of its offer group for good
+ * It is no longer matched automatically either.
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object|null>} Updated product or null
+ */
+export async function unlinkProduct(productId) {
+  try {
+    await ensureProductStore();
+
+    const product = await updateProductRecord(productId, (product) => {
+      product.offerGroup = { standalone: true };
+    });
+
+    if (product) {
+      await notifyProductsChanged();
+      debug('[storage-manager]', `[Storage] Unlinked ${productId} from its offer group`);
+    }
+    return product;
+  } catch (error) {
+    debugError('[storage-manager]', '[Storage] Error unlinking product:', error);
+    return null;
+  }
+}
+
+/**
+ * Flags a product whose page showed another currency, or clears the flag
+ * The stored price is kept until the change is confirmed or accepted.
+ * @param {string} productId - Product ID
+ * @param {Object|null} currencyChange - { from, to, price, locale, firstSeen, lastSeen, count } or null to clear
+ * @returns {Promise<Object|null>} Updated product or null
+ */
+export async function updateCurrencyChange(productId, currencyChange) {
+  try {
+    await ensureProductStore();
+
+    const product = await updateProductRecord(productId, (product) => {
+      if (currencyChange) {
+        product.currencyChange = currencyChange;
+      } else {
+        delete product.currencyChange;
+      }
+    });
+
+    if (product) {
+      await notifyProductsChanged();
+      debug('[storage-manager]', currencyChange
+        ? `[Storage] ${productId} now shown in ${currencyChange.to} (was ${currencyChange.from}, seen ${currencyChange.count}x)`
+        : `[Storage] Currency change flag of ${productId} cleared`);
+    }
+    return product;
+  } catch (error) {
+    debugError('[storage-manager]', '[Storage] Error updating currency change:', error);
+    return null;
+  }
+}
+
+/**
+ * Starts a new price baseline in another currency
+ * The switch is recorded as its own history entry (not a price change) and
+ * the statistics start over; a target price is replaced by the converted one,
+ * or removed when it can't be converted.
+ * @param {string} productId - Product ID
+ * @param {Object} newPriceData - Price object in the new currency
+ * @param {Object} details - Optional check details
+ * @param {string|null} details.availability - Stock status seen with this price
+ * @param {number|null} details.targetPrice - Target price in the new currency
+ * @returns {Promise<Object|null>} Updated product or null
+ */
+export async function rebaselineProductCurrency(productId, newPriceData, details = {}) {
+  try {
+    await ensureProductStore();
+
+    const product = await updateProductRecord(productId, (product) => {
+      const now = Date.now();
+      appendPriceHistoryEntry(product, {
+        ...createCurrencyChangeEntry(product.price, newPriceData, now),
+        ...getPriceDetailFields(newPriceData),
+        ...(details.availability ? { availability: details.availability } : {})
+      }, now);
+
+      if (typeof product.notifications?.targetPrice === 'number') {
+        product.notifications.targetPrice = typeof details.targetPrice === 'number' ? details.targetPrice : null;
+      }
+
+      product.price = newPriceData;
+      delete product.currencyChange;
+      product.tracking.lastChecked = now;
+      product.tracking.checkCount++;
+      product.tracking.failedChecks = 0;
+      product.tracking.status = 'active';
+      product.tracking.currencyChangedAt = now;
+      if (details.availability && product.availability !== details.availability) {
+        product.availability = details.availability;
+        product.availabilityChangedAt = now;
+      }
+    });
+
+    if (product) {
+      await notifyProductsChanged();
+      debug('[storage-manager]', `[Storage] ${productId} re-baselined in ${newPriceData.currency} at ${newPriceData.numeric}`);
+    }
+    return product;
+  } catch (error) {
+    debugError('[storage-manager]', '[Storage] Error re-baselining currency:', error);
+    return null;
+  }
+}
+
+/**
+ * Holds an implausible reading instead of recording it as the price
+ * The reading is kept with its reasons (see utils/price-sanity.js); the
+ * stored price doesn't change.
+ * @param {string} productId - Product ID
+ * @param {Object} unconfirmedPrice - { price, currency, reasons, firstSeen, lastSeen, count }
+ * @param {Object} rejectedReading - Reading that wasn't taken, with its reasons
+ * @param {Object} details - Optional check details
+ * @param {string|null} details.availability - Stock status seen with this reading
+ * @returns {Promise<Object|null>} Updated product or null
+ */
+export async function holdUnconfirmedPrice(productId, unconfirmedPrice, rejectedReading, details = {}) {
+  try {
+    await ensureProductStore();
+
+    const product = await updateProductRecord(productId, (product) => {
+      const now = Date.now();
+      product.unconfirmedPrice = unconfirmedPrice;
+      product.rejectedReadings = appendRejectedReading(product.rejectedReadings, rejectedReading);
+      product.tracking.lastChecked = now;
+      product.tracking.failedChecks = 0;
+      product.tracking.status = 'active';
+      if (details.availability && product.availability !== details.availability) {
+        product.availability = details.availability;
+        product.availabilityChangedAt = now;
+      }
+    });
+
+    if (product) {
+      await notifyProductsChanged();
+      debug('[storage-manager]', `[Storage] Unconfirmed reading ${rejectedReading.price} held for ${productId} (${rejectedReading.reasons.join(', ')})`);
+    }
+    return product;
+  } catch (error) {
+    debugError('[storage-manager]', '[Storage] Error holding unconfirmed price:', error);
+    return null;
+  }
+}
+
+/**
+ * Drops a held unconfirmed reading after a plausible one
+ * The reading stays in product.rejectedReadings.
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object|null>} Updated product or null
+ */
+export async function clearUnconfirmedPrice(productId) {
+  try {
+    await ensureProductStore();
+
+    const product = await updateProductRecord(productId, (product) => {
+      delete product.unconfirmedPrice;
+    });
+
+    if (product) {
+      await notifyProductsChanged();
+    }
+    return product;
+  } catch (error) {
+    debugError('[storage-manager]', '[Storage] Error clearing unconfirmed price:', error);
+    return null;
+  }
 }
 
 /**
@@ -278,32 +876,39 @@ export async function cleanupOldProducts() {
     const maxAge = settings.tracking.duration * 24 * 60 * 60 * 1000; // Convert days to ms
 
     let deletedCount = 0;
+    const removed = [];
 
     for (const [productId, product] of Object.entries(products)) {
       const age = now - product.tracking.firstSeen;
 
-      // Delete if too old
+      let reason = null;
       if (age > maxAge) {
-        await deleteProduct(productId);
-        deletedCount++;
-        continue;
-      }
-
-      // Delete if marked expired
-      if (product.tracking.status === 'expired') {
-        await deleteProduct(productId);
-        deletedCount++;
-        continue;
+        // Delete if too old
+        reason = `tracked longer than ${settings.tracking.duration} days`;
+      } else if (product.tracking.status === 'expired') {
+        // Delete if marked expired
+        reason = 'marked expired';
+      } else if (product.tracking.failedChecks >= 7 && product.tracking.status !== 'out_of_stock') {
+        // Delete if too many failed checks (7+ consecutive failures)
+        // Out-of-stock items are kept - they are expected to come back
+        reason = `${product.tracking.failedChecks} failed checks in a row`;
       }
 
-      // Delete if too many failed checks (7+ consecutive failures)
-      if (product.tracking.failedChecks >= 7) {
+      if (reason) {
         await deleteProduct(productId);
         deletedCount++;
-        continue;
+        removed.push({
+          type: ACTIVITY_TYPES.CLEANUP,
+          productId,
+          domain: product.url,
+          message: `Removed "${product.title}": ${reason}`,
+          details: { reason, firstSeen: product.tracking.firstSeen, failedChecks: product.tracking.failedChecks }
+        });
       }
     }
 
+    await logActivities(removed);
+
     // Update metadata
     const metadata = {
       totalProducts: Object.keys(products).length - deletedCount,
@@ -328,13 +933,28 @@ export async function cleanupOldProducts() {
 export async function getSettings() {
   try {
     const result = await browser.storage.local.get('settings');
-    return result.settings || DEFAULT_SETTINGS;
+    return withDefaultSettings(result.settings);
   } catch (error) {
     debugError('[storage-manager]', '[Storage] Error getting settings:', error);
     return DEFAULT_SETTINGS;
   }
 }
 
+/**
+ * Fills in settings keys added after the settings were first saved
+ * @param {Object|undefined} settings - Stored settings
+ * @returns {Object} Settings with every default section and key present
+ */
+function withDefaultSettings(settings) {
+  if (!settings) return DEFAULT_SETTINGS;
+
+  const merged = { ...settings };
+  for (const [section, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+    merged[section] = { ...defaults, ...(settings[section] || {}) };
+  }
+  return merged;
+}
+
 /**
  * Updates settings (merges with existing)
  * @param {Object} newSettings - New settings to merge
@@ -355,7 +975,9 @@ export async function updateSettings(newSettings) {
       checking: { ...currentSettings.checking, ...(newSettings.checking || {}) },
       notifications: { ...currentSettings.notifications, ...(newSettings.notifications || {}) },
       privacy: { ...currentSettings.privacy, ...(newSettings.privacy || {}) },
-      advanced: { ...currentSettings.advanced, ...(newSettings.advanced || {}) }
+      advanced: { ...currentSettings.advanced, ...(newSettings.advanced || {}) },
+      currency: { ...currentSettings.currency, ...(newSettings.currency || {}) },
+      extraction: { ...currentSettings.extraction, ...(newSettings.extraction || {}) }
     };
 
     // Validate
@@ -378,32 +1000,37 @@ export async function updateSettings(newSettings) {
 
 /**
  * Gets storage statistics
+ * Uses the browser's storage estimate instead of serializing all data.
  * @returns {Promise<Object|null>} Storage stats
  */
 export async function getStorageStats() {
   try {
-    const result = await browser.storage.local.get(null); // Get all data
-    const products = result.products || {};
-    const productIds = Object.keys(products);
+    await ensureProductStore();
 
-    // Calculate approximate size
-    const jsonSize = JSON.stringify(result).length;
-    const bytesUsed = jsonSize * 2; // Rough estimate (Unicode characters)
+    const productCount = await countProductRecords();
 
-    // Find oldest and newest
+    // Find oldest and newest from the (history-free) product records
     let oldest = Date.now();
     let newest = 0;
-
-    for (const product of Object.values(products)) {
+    const records = await listProductRecords();
+    for (const product of records) {
       if (product.tracking.firstSeen < oldest) oldest = product.tracking.firstSeen;
       if (product.tracking.firstSeen > newest) newest = product.tracking.firstSeen;
     }
 
+    let bytesUsed = 0;
+    let quota = 10485760; // 10MB fallback
+    if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+      const estimate = await navigator.storage.estimate();
+      bytesUsed = estimate.usage || 0;
+      quota = estimate.quota || quota;
+    }
+
     return {
-      productCount: productIds.length,
+      productCount,
       bytesUsed,
-      bytesAvailable: 10485760 - bytesUsed, // 10MB limit
-      percentageUsed: (bytesUsed / 10485760) * 100,
+      bytesAvailable: Math.max(0, quota - bytesUsed),
+      percentageUsed: (bytesUsed / quota) * 100,
       oldestProduct: oldest === Date.now() ? null : oldest,
       newestProduct: newest === 0 ? null : newest
     };
@@ -415,13 +1042,28 @@ export async function getStorageStats() {
 }
 
 /**
- * Exports all data as JSON string
- * @returns {Promise<string|null>} JSON string of all data
+ * Exports data as a versioned JSON document (see utils/data-schema.js)
+ * @param {Object} options - What to include
+ * @param {boolean} options.includeImages - Include thumbnails (default true)
+ * @param {boolean} options.includeSettings - Include settings and theme (default true)
+ * @param {boolean} options.includeRuntime - Include runtime state such as
+ *   notification cooldowns (default false)
+ * @returns {Promise<string|null>} JSON string of the export
  */
-export async function exportData() {
+export async function exportData(options = {}) {
   try {
-    const result = await browser.storage.local.get(null);
-    return JSON.stringify(result, null, 2);
+    await ensureProductStore();
+
+    const local = await browser.storage.local.get(['settings', 'theme', ...RUNTIME_KEYS]);
+    const exported = buildExport({
+      products: await getAllProductRecords(),
+      images: options.includeImages === false ? {} : await getAllImageRecords(),
+      settings: local.settings || DEFAULT_SETTINGS,
+      theme: local.theme,
+      runtime: local
+    }, options);
+
+    return JSON.stringify(exported, null, 2);
   } catch (error) {
     debugError('[storage-manager]', '[Storage] Error exporting data:', error);
     return null;
@@ -429,27 +1071,138 @@ export async function exportData() {
 }
 
 /**
- * Imports data from JSON string
+ * Imports data from an export file
+ * Products are validated one by one; invalid records are skipped and listed
+ * in the report instead of failing the whole import.
  * @param {string} jsonString - JSON string to import
- * @returns {Promise<boolean>} Success status
+ * @param {Object} options - Import options
+ * @param {string} options.mode - 'merge' (default) keeps existing products and
+ *   unions price histories; 'replace' removes all tracked products first
+ * @param {boolean} options.importSettings - Apply settings and theme from the file (default false)
+ * @param {boolean} options.importRuntime - Restore runtime state from the file (default false)
+ * @returns {Promise<Object>} Import report
+ *   { success, schemaVersion, mode, added, merged, rejected: [{ index, productId, title, errors }],
+ *     warnings, settingsImported, runtimeImported, error }
  */
-export async function importData(jsonString) {
+export async function importData(jsonString, options = {}) {
+  const {
+    mode = IMPORT_MODES.MERGE,
+    importSettings = false,
+    importRuntime = false
+  } = options;
+
+  const report = {
+    success: false,
+    schemaVersion: null,
+    mode,
+    added: 0,
+    merged: 0,
+    rejected: [],
+    warnings: [],
+    settingsImported: false,
+    runtimeImported: false,
+    error: null
+  };
+
   try {
-    const data = JSON.parse(jsonString);
+    if (mode !== IMPORT_MODES.MERGE && mode !== IMPORT_MODES.REPLACE) {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+
+    const data = parseImport(jsonString);
+    report.schemaVersion = data.schemaVersion;
+
+    const { accepted, rejected, warnings } = validateProducts(data.products);
+    report.rejected = rejected;
+    report.warnings = warnings;
 
-    // Validate structure
-    if (!data.products || typeof data.products !== 'object') {
-      throw new Error('Invalid data structure');
+    await ensureProductStore();
+
+    const existing = mode === IMPORT_MODES.MERGE ? await getAllProductRecords() : {};
+    const now = Date.now();
+    const toWrite = accepted.map(product => {
+      if (existing[product.productId]) {
+        report.merged++;
+        return mergeProducts(existing[product.productId], product, now);
+      }
+      report.added++;
+      return {
+        ...product,
+        priceHistory: compactPriceHistory(product.priceHistory, now),
+        // Imported stats may not match the history, so they're rebuilt
+        priceStats: computePriceStats(product.priceHistory)
+      };
+    });
+
+    // Only thumbnails of accepted products
+    const images = {};
+    for (const product of accepted) {
+      const image = data.images[product.productId];
+      if (typeof image === 'string' && image.startsWith('data:image/')) {
+        images[product.productId] = image;
+      }
     }
 
-    // Import
-    await browser.storage.local.set(data);
-    debug('[storage-manager]', '[Storage] Data imported successfully');
-    return true;
+    // Replace clears and writes in one transaction, so a failed import
+    // leaves the existing products alone
+    await bulkPutProductRecords(toWrite, images, { clear: mode === IMPORT_MODES.REPLACE });
+
+    const productCount = await countProductRecords();
+    const metaResult = await browser.storage.local.get('metadata');
+    await browser.storage.local.set({
+      metadata: { ...(metaResult.metadata || {}), totalProducts: productCount }
+    });
+
+    if (importSettings) {
+      const settings = sanitizeSettings(data.settings, DEFAULT_SETTINGS);
+      if (settings) {
+        await updateSettings(settings);
+        report.settingsImported = true;
+      }
+      if (data.theme === 'light' || data.theme === 'dark') {
+        await browser.storage.local.set({ theme: data.theme });
+      }
+    }
+
+    if (importRuntime) {
+      const runtime = {};
+      for (const key of RUNTIME_KEYS) {
+        if (data.runtime[key] !== undefined) {
+          runtime[key] = data.runtime[key];
+        }
+      }
+      if (Object.keys(runtime).length > 0) {
+        await browser.storage.local.set(runtime);
+        report.runtimeImported = true;
+      }
+    }
+
+    await notifyProductsChanged();
+
+    report.success = true;
+    await logActivity(ACTIVITY_TYPES.IMPORT, {
+      message: `Import (${mode}): ${report.added} added, ${report.merged} merged, ${report.rejected.length} rejected`,
+      details: {
+        mode,
+        schemaVersion: report.schemaVersion,
+        added: report.added,
+        merged: report.merged,
+        rejected: report.rejected.length,
+        settingsImported: report.settingsImported,
+        runtimeImported: report.runtimeImported
+      }
+    });
+    debug('[storage-manager]', `[Storage] Import (${mode}): ${report.added} added, ${report.merged} merged, ${report.rejected.length} rejected`);
+    return report;
 
   } catch (error) {
     debugError('[storage-manager]', '[Storage] Error importing data:', error);
-    return false;
+    report.error = error.message;
+    await logActivity(ACTIVITY_TYPES.IMPORT, {
+      message: `Import (${mode}) failed: ${error.message}`,
+      details: { mode, error: error.message }
+    });
+    return report;
   }
 }
 
@@ -459,7 +1212,10 @@ export async function importData(jsonString) {
  */
 export async function clearAllData() {
   try {
+    await clearProductDB();
+    await clearActivityLog();
     await browser.storage.local.clear();
+    await notifyProductsChanged();
     debug('[storage-manager]', '[Storage] All data cleared');
     return true;
   } catch (error) {
@@ -498,8 +1254,25 @@ export const StorageManager = {
   saveProduct,
   getProduct,
   getAllProducts,
+  getProductsByDomain,
+  getProductsCheckedBefore,
+  getProductImage,
+  saveProductImage,
   deleteProduct,
   updateProductPrice,
+  updateProductTracking,
+  updateProductAvailability,
+  updateProductSaleInfo,
+  updateProductPriceDetails,
+  setTargetPrice,
+  setCheckSchedule,
+  updateProductIdentifiers,
+  linkProducts,
+  updateCurrencyChange,
+  rebaselineProductCurrency,
+  holdUnconfirmedPrice,
+  clearUnconfirmedPrice,
+  unlinkProduct,
   cleanupOldProducts,
   getSettings,
   updateSettings,
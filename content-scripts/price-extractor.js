@@ -5,6 +5,7 @@
  */
 
 import { parsePrice } from '../utils/currency-parser.js';
+import { convertAmount } from '../utils/exchange-rates.js';
 import { debug, debugWarn, debugError } from '../utils/debug.js';
 
 /**
@@ -179,12 +180,16 @@ export function validatePrice(priceData) {
 
 /**
  * Compare two prices and calculate the difference
- * Handles currency mismatches and edge cases
+ * Handles currency mismatches and edge cases: with a rate table, a new
+ * price in another currency is converted to the old price's currency
+ * (see utils/exchange-rates.js)
  * @param {Object} oldPrice - Previous price object
  * @param {Object} newPrice - New price object
+ * @param {Object} options
+ * @param {Object} options.rates - Exchange rate table; without one, currencies must match
  * @returns {Object} Comparison result with dropped, amount, percentage, etc.
  */
-export function comparePrices(oldPrice, newPrice) {
+export function comparePrices(oldPrice, newPrice, options = {}) {
   // Validate both prices exist
   if (!oldPrice || !newPrice) {
     return {
@@ -205,7 +210,16 @@ export function comparePrices(oldPrice, newPrice) {
     };
   }
 
-  // Check for currency mismatch
+  // Check for currency mismatch; convert when a rate is known
+  let conversion = null;
+  if (oldPrice.currency !== newPrice.currency && options.rates) {
+    const converted = convertAmount(newPrice.numeric, newPrice.currency, oldPrice.currency, options.rates);
+    if (converted !== null) {
+      conversion = { newCurrency: newPrice.currency, originalNewPrice: newPrice.numeric };
+      newPrice = { ...newPrice, numeric: converted, currency: oldPrice.currency };
+    }
+  }
+
   if (oldPrice.currency !== newPrice.currency) {
     return {
       comparable: false,
@@ -240,7 +254,11 @@ export function comparePrices(oldPrice, newPrice) {
 
     // Additional useful info
     savedAmount: difference > 0 ? difference : 0,  // Only if dropped
-    savedPercentage: difference > 0 ? percentageChange : 0
+    savedPercentage: difference > 0 ? percentageChange : 0,
+
+    // New price converted from another currency
+    converted: conversion !== null,
+    ...(conversion || {})
   };
 }
 
@@ -0,0 +1,363 @@
+/**
+ * Price Picker - Point-and-Click Price Override
+ * Started from the popup when detection finds the wrong price or none.
+ * Highlights the page's price candidates and lets the user click the real
+ * price, then the product title. The picked elements are saved as a site
+ * rule for the domain (settings.extraction.siteRules, see utils/site-rules.js),
+ * so both detection on the page and background re-checks use them.
+ *
+ * Esc cancels at any step.
+ */
+
+import browser from '../utils/browser-polyfill.js';
+import { detectProduct, findAllPriceCandidates } from './product-detector.js';
+import { extractPriceFromElement } from './price-extractor.js';
+import { buildElementSelector } from '../utils/element-selector.js';
+import { normalizeRuleDomain } from '../utils/site-rules.js';
+import { debug, debugError } from '../utils/debug.js';
+
+const PICKER_ID = 'price-tracker-picker';
+const MAX_HIGHLIGHTS = 50;
+const BRAND_COLOR = '#1eadbd';
+
+/**
+ * Picker state while it is open
+ */
+let picker = null;
+
+/**
+ * Start the picker on the current page
+ * Returns once the picker is shown; the rule is saved when the user is done.
+ * @returns {{ started: boolean, candidates: number }}
+ */
+export function startPricePicker() {
+  if (picker) {
+    return { started: true, candidates: picker.candidates.length };
+  }
+
+  const candidates = getHighlightCandidates();
+  debug('[price-picker]', `[Price Picker] Started with ${candidates.length} candidates`);
+
+  const root = document.createElement('div');
+  root.id = PICKER_ID;
+  root.style.cssText = 'position: fixed; inset: 0; pointer-events: none; z-index: 2147483646;';
+
+  const banner = createBanner();
+  const hoverBox = createBox('2px solid #ff6b35', 'rgba(255, 107, 53, 0.12)');
+  root.appendChild(hoverBox);
+
+  picker = {
+    step: 'price',
+    root,
+    banner,
+    hoverBox,
+    candidates,
+    boxes: candidates.map(candidate => {
+      const box = createBox(`2px dashed ${BRAND_COLOR}`, 'rgba(30, 173, 189, 0.10)');
+      root.appendChild(box);
+      return box;
+    }),
+    hovered: null,
+    price: null,
+    priceSelector: null,
+    frame: null
+  };
+
+  document.body.appendChild(root);
+  document.body.appendChild(banner.element);
+
+  document.addEventListener('mousemove', handleMouseMove, true);
+  document.addEventListener('click', handleClick, true);
+  document.addEventListener('keydown', handleKeyDown, true);
+  window.addEventListener('scroll', scheduleLayout, true);
+  window.addEventListener('resize', scheduleLayout);
+
+  showStep();
+  layoutBoxes();
+  return { started: true, candidates: candidates.length };
+}
+
+/**
+ * Price candidates worth highlighting: innermost elements only
+ * @returns {Element[]}
+ */
+function getHighlightCandidates() {
+  const elements = findAllPriceCandidates().map(candidate => candidate.element);
+  return elements
+    .filter(element => !elements.some(other => other !== element && element.contains(other)))
+    .slice(0, MAX_HIGHLIGHTS);
+}
+
+/**
+ * Outline box drawn over an element
+ * @param {string} border - CSS border
+ * @param {string} background - CSS background
+ * @returns {HTMLElement}
+ */
+function createBox(border, background) {
+  const box = document.createElement('div');
+  box.style.cssText = `
+    position: fixed;
+    display: none;
+    border: ${border};
+    background: ${background};
+    border-radius: 3px;
+    box-sizing: border-box;
+    pointer-events: none;
+  `;
+  return box;
+}
+
+/**
+ * Instruction banner with Skip and Cancel buttons
+ * @returns {{ element: HTMLElement, text: HTMLElement, skip: HTMLButtonElement }}
+ */
+function createBanner() {
+  const element = document.createElement('div');
+  element.id = `${PICKER_ID}-banner`;
+  element.style.cssText = `
+    position: fixed;
+    top: 16px;
+    left: 50%;
+    transform: translateX(-50%);
+    max-width: 90vw;
+    background: ${BRAND_COLOR};
+    color: white;
+    padding: 12px 18px;
+    border-radius: 10px;
+    box-shadow: 0 6px 20px rgba(30, 173, 189, 0.3);
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+    font-size: 14px;
+    font-weight: 600;
+    z-index: 2147483647;
+    display: flex;
+    align-items: center;
+    gap: 12px;
+  `;
+
+  const text = document.createElement('span');
+  const buttonStyle = `
+    background: rgba(255, 255, 255, 0.2);
+    color: white;
+    border: 1px solid rgba(255, 255, 255, 0.5);
+    border-radius: 6px;
+    padding: 4px 10px;
+    font: inherit;
+    cursor: pointer;
+  `;
+
+  const skip = document.createElement('button');
+  skip.type = 'button';
+  skip.textContent = 'Skip';
+  skip.style.cssText = buttonStyle;
+  skip.addEventListener('click', () => finishPicking(null));
+
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.textContent = 'Cancel';
+  cancel.style.cssText = buttonStyle;
+  cancel.addEventListener('click', () => stopPricePicker());
+
+  element.appendChild(text);
+  element.appendChild(skip);
+  element.appendChild(cancel);
+  return { element, text, skip };
+}
+
+/**
+ * Show the instructions for the current step
+ * @param {string} [note] - Extra line (e.g. why a click was ignored)
+ */
+function showStep(note = '') {
+  const instructions = picker.step === 'price'
+    ? 'Click the product price'
+    : `Price ${picker.price.formatted || picker.price.numeric} picked - now click the product title`;
+  picker.banner.text.textContent = note ? `${note} ${instructions}` : `${instructions} (Esc to cancel)`;
+  picker.banner.skip.style.display = picker.step === 'title' ? '' : 'none';
+}
+
+/**
+ * Place a box over an element
+ * @param {HTMLElement} box - Box
+ * @param {Element|null} element - Element to cover
+ */
+function placeBox(box, element) {
+  const rect = element?.getBoundingClientRect();
+  if (!rect || rect.width === 0 || rect.height === 0) {
+    box.style.display = 'none';
+    return;
+  }
+  box.style.display = 'block';
+  box.style.top = `${rect.top - 2}px`;
+  box.style.left = `${rect.left - 2}px`;
+  box.style.width = `${rect.width + 4}px`;
+  box.style.height = `${rect.height + 4}px`;
+}
+
+/**
+ * Redraw the candidate boxes (candidates are only shown in the price step)
+ */
+function layoutBoxes() {
+  if (!picker) return;
+  picker.frame = null;
+  picker.candidates.forEach((element, index) => {
+    placeBox(picker.boxes[index], picker.step === 'price' ? element : null);
+  });
+  placeBox(picker.hoverBox, picker.hovered);
+}
+
+function scheduleLayout() {
+  if (picker && !picker.frame) {
+    picker.frame = requestAnimationFrame(layoutBoxes);
+  }
+}
+
+/**
+ * Check whether an event target belongs to the picker itself
+ * @param {EventTarget} target - Event target
+ * @returns {boolean}
+ */
+function isPickerElement(target) {
+  return target instanceof Node && (picker.root.contains(target) || picker.banner.element.contains(target));
+}
+
+function handleMouseMove(event) {
+  if (isPickerElement(event.target)) return;
+  picker.hovered = event.target;
+  placeBox(picker.hoverBox, picker.hovered);
+}
+
+function handleKeyDown(event) {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    event.stopPropagation();
+    stopPricePicker();
+  }
+}
+
+function handleClick(event) {
+  if (isPickerElement(event.target)) return;
+
+  // Keep the page from following links or adding to cart
+  event.preventDefault();
+  event.stopPropagation();
+
+  if (picker.step === 'price') {
+    pickPrice(event.target);
+  } else {
+    pickTitle(event.target);
+  }
+}
+
+/**
+ * Use the clicked element as the price
+ * A click inside a candidate (e.g. on the cents) picks the candidate.
+ * @param {Element} target - Clicked element
+ */
+function pickPrice(target) {
+  const element = picker.candidates.find(candidate => candidate.contains(target)) ||
+    picker.candidates.find(candidate => target.contains(candidate)) ||
+    target;
+
+  const price = extractPriceFromElement(element, {
+    domain: window.location.hostname,
+    locale: document.documentElement.lang
+  });
+  if (!price) {
+    showStep('That doesn\'t look like a price.');
+    return;
+  }
+
+  const selector = buildElementSelector(element, document);
+  if (!selector) {
+    showStep('That element can\'t be found again reliably - try the element around it.');
+    return;
+  }
+
+  debug('[price-picker]', '[Price Picker] Price picked:', selector, price.numeric);
+  picker.price = price;
+  picker.priceSelector = selector;
+  picker.step = 'title';
+  picker.hovered = null;
+  showStep();
+  layoutBoxes();
+}
+
+/**
+ * Use the clicked element as the title
+ * @param {Element} target - Clicked element
+ */
+function pickTitle(target) {
+  const text = target.textContent?.trim() || '';
+  if (text.length < 3 || text.length > 300) {
+    showStep('That doesn\'t look like a product title.');
+    return;
+  }
+
+  const selector = buildElementSelector(target, document);
+  if (!selector) {
+    showStep('That element can\'t be found again reliably - try the element around it.');
+    return;
+  }
+  finishPicking(selector);
+}
+
+/**
+ * Save the picked selectors as the domain's site rule, then track the page
+ * @param {string|null} titleSelector - Title selector, null when skipped
+ */
+async function finishPicking(titleSelector) {
+  const rule = {
+    domain: normalizeRuleDomain(window.location.hostname),
+    price: { selector: picker.priceSelector },
+    ...(titleSelector ? { title: { selector: titleSelector } } : {})
+  };
+  const banner = picker.banner;
+  stopPricePicker({ keepBanner: true });
+  banner.element.querySelectorAll('button').forEach(button => button.remove());
+  banner.text.textContent = 'Saving...';
+
+  try {
+    const response = await browser.runtime.sendMessage({ type: 'SAVE_SITE_RULE', data: { rule } });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Unable to save the site rule');
+    }
+    debug('[price-picker]', '[Price Picker] Site rule saved:', response.data.rule);
+
+    // Detection now uses the saved rule
+    const product = await detectProduct();
+    if (product) {
+      const tracked = await browser.runtime.sendMessage({ type: 'PRODUCT_DETECTED', data: product });
+      banner.text.textContent = tracked?.success && tracked.data?.alreadyTracked
+        ? `Saved for ${rule.domain}. This product is already tracked - the next check uses the new price.`
+        : `Saved for ${rule.domain}. Now tracking: ${product.price.formatted || product.price.numeric}`;
+    } else {
+      banner.text.textContent = `Saved for ${rule.domain}.`;
+    }
+  } catch (error) {
+    debugError('[price-picker]', '[Price Picker] Error saving site rule:', error);
+    banner.text.textContent = `Couldn't save: ${error.message}`;
+  }
+
+  setTimeout(() => banner.element.remove(), 5000);
+}
+
+/**
+ * Close the picker
+ * @param {Object} [options]
+ * @param {boolean} [options.keepBanner] - Leave the banner for a result message
+ */
+export function stopPricePicker({ keepBanner = false } = {}) {
+  if (!picker) return;
+
+  document.removeEventListener('mousemove', handleMouseMove, true);
+  document.removeEventListener('click', handleClick, true);
+  document.removeEventListener('keydown', handleKeyDown, true);
+  window.removeEventListener('scroll', scheduleLayout, true);
+  window.removeEventListener('resize', scheduleLayout);
+  if (picker.frame) cancelAnimationFrame(picker.frame);
+
+  picker.root.remove();
+  if (!keepBanner) picker.banner.element.remove();
+  picker = null;
+}
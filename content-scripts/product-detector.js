@@ -8,7 +8,16 @@ import browser from '../utils/browser-polyfill.js';
 
 import { parsePrice } from '../utils/currency-parser.js';
 import { generateProductId } from '../utils/product-hasher.js';
+import { getSelectedVariantRef, getVariantInfoFromEmbedded } from '../utils/variant-helper.js';
+import { findSchemaPrice, findEmbeddedProduct, getSchemaMatchVariant } from '../utils/price-extraction.js';
+import { normalizeAvailability, getPageAvailability } from '../utils/availability.js';
+import { applySaleInfo, extractSaleInfoFromDocument } from '../utils/sale-price.js';
+import { applyShipping, extractShippingFromDocument } from '../utils/shipping.js';
+import { applyUnitPrice, extractUnitPriceFromDocument } from '../utils/unit-price.js';
+import { extractIdentifiersFromDocument } from '../utils/offer-groups.js';
 import { getAdapter } from './site-adapters/adapter-factory.js';
+import { runAdapter, getAdapterMethod, isAdapterMethod, isRejectionFinal, ADAPTER_CONFIDENCE } from './site-adapters/adapter-runner.js';
+import { getSiteRules, SITE_RULE_METHOD } from '../utils/site-rules.js';
 import { createOptimizedThumbnail } from '../utils/thumbnail-generator.js';
 import { debug, debugWarn, debugError } from '../utils/debug.js';
 
@@ -28,32 +37,32 @@ export async function detectProduct() {
 
   // Try site-specific adapter first (Layer 0: Site-specific adapters)
   try {
-    const adapter = getAdapter(document, window.location.href);
+    const adapter = getAdapter(document, window.location.href, await loadSiteRules());
     if (adapter) {
       debug('[product-detector]', '[Price Drop Tracker] Using site-specific adapter');
 
-      // Check if this is actually a product page (if adapter has detectProduct method)
-      if (adapter.detectProduct && !adapter.detectProduct()) {
+      // Same adapter run as background re-checks (see adapter-runner.js)
+      const data = runAdapter(adapter);
+      if (!data && isRejectionFinal(adapter)) {
         debug('[product-detector]', '[Price Drop Tracker] Adapter detected this is not a product page');
         return null;
       }
 
-      const title = adapter.extractTitle();
-      const price = adapter.extractPrice();
-      const imageUrl = adapter.extractImage();
-      const productId = adapter.extractProductId();
-
-      if (title && price) {
+      if (!data) {
+        debug('[product-detector]', `[Price Drop Tracker] ${adapter.getName()} adapter rejected the page, trying generic detection`);
+      } else if (data.title && data.price) {
         const productData = {
-          title,
-          price,
-          imageUrl,
+          title: data.title,
+          price: data.price,
+          imageUrl: data.imageUrl,
           url: window.location.href,
           domain: window.location.hostname,
-          sku: productId,
-          availability: null,
-          confidence: 0.90,
-          detectionMethod: 'siteAdapter'
+          sku: data.productId,
+          variant: data.variant,
+          availability: data.availability,
+          identifiers: data.identifiers,
+          confidence: ADAPTER_CONFIDENCE,
+          detectionMethod: adapter.rule ? SITE_RULE_METHOD : getAdapterMethod(adapter)
         };
         debug('[product-detector]', '[Price Drop Tracker] Product detected via adapter (confidence: 0.90)');
         return await enhanceProductData(productData);
@@ -119,6 +128,20 @@ export async function detectProduct() {
   return enhanced;
 }
 
+/**
+ * Load the user-defined site rules (settings.extraction.siteRules)
+ * @returns {Promise<Object[]>} Normalized rules, empty when unavailable
+ */
+async function loadSiteRules() {
+  try {
+    const { settings } = await browser.storage.local.get('settings');
+    return getSiteRules(settings);
+  } catch (error) {
+    debugWarn('[product-detector]', '[Price Drop Tracker] Could not load site rules:', error);
+    return [];
+  }
+}
+
 /**
  * Check if current page is definitely NOT a product page
  * Enhanced to reduce false negatives on generic e-commerce sites
@@ -235,206 +258,67 @@ function makeAbsoluteUrl(url) {
 }
 
 /**
- * Recursively search for Product entities in nested JSON-LD structures
- * @param {Object|Array} obj - JSON-LD object or array to search
- * @param {Array} products - Accumulator array for found products
- * @returns {void}
+ * Context passed to the shared extraction engine
+ * @param {Object|null} variantRef - Selected variant
+ * @returns {Object}
  */
-function findProductsRecursively(obj, products = []) {
-  if (!obj || typeof obj !== 'object') {
-    return products;
-  }
-
-  const rawType = obj['@type'];
-  const types = (Array.isArray(rawType) ? rawType : [rawType])
-    .filter(type => typeof type === 'string')
-    .map(type => type.replace(/^https?:\/\/schema\.org\//i, ''));
-
-  // Check if this object is a Product
-  if (types.includes('Product')) {
-    products.push(obj);
-    return products;
-  }
-
-  // Check if this is a ProductGroup containing products
-  if (types.includes('ProductGroup')) {
-    products.push(obj);
-  }
-
-  if (types.includes('ProductGroup') && obj.hasVariant) {
-    const variants = Array.isArray(obj.hasVariant) ? obj.hasVariant : [obj.hasVariant];
-    for (const variant of variants) {
-      findProductsRecursively(variant, products);
-    }
-  }
-
-  // Recursively search arrays
-  if (Array.isArray(obj)) {
-    for (const item of obj) {
-      findProductsRecursively(item, products);
-    }
-  } else {
-    // Recursively search object properties
-    for (const key in obj) {
-      if (obj.hasOwnProperty(key) && typeof obj[key] === 'object') {
-        findProductsRecursively(obj[key], products);
-      }
-    }
-  }
-
-  return products;
+function getExtractionContext(variantRef) {
+  return {
+    domain: window.location.hostname,
+    locale: document.documentElement.lang,
+    variant: variantRef
+  };
 }
 
 /**
  * Extract product data from Schema.org JSON-LD
  * Highest confidence (0.95) - SEO-critical data
- * Enhanced with recursive @graph parsing for nested structures
+ * Products are found anywhere in the graph (see utils/price-extraction.js)
  * @returns {Object|null} Product data or null
  */
 function extractFromSchemaOrg() {
-  const scripts = document.querySelectorAll('script[type="application/ld+json"]');
-
-  debug('[product-detector]', `[Price Drop Tracker] Found ${scripts.length} JSON-LD scripts`);
+  // Variant selected via URL params or the add-to-cart form
+  const variantRef = getSelectedVariantRef(document, window.location.href);
+  const match = findSchemaPrice(document, getExtractionContext(variantRef));
 
-  for (const script of scripts) {
-    try {
-      const data = JSON.parse(script.textContent);
-
-      // Use recursive search to find all Product entities
-      const products = findProductsRecursively(data);
-
-      debug('[product-detector]', `[Price Drop Tracker] Found ${products.length} Product(s) in this script`);
-
-      for (const item of products) {
-        debug('[product-detector]', '[Price Drop Tracker] Processing Product:', item);
-
-        // Extract offers - handle multiple structures
-        let offersList = [];
-
-        if (item.offers) {
-          if (Array.isArray(item.offers)) {
-            offersList = item.offers;
-          } else {
-            offersList = [item.offers];
-          }
-        }
-
-        if (offersList.length === 0) {
-          debug('[product-detector]', '[Price Drop Tracker] No offers in Schema.org data');
-          continue;
-        }
-
-        // Try each offer until we find a valid one
-        let priceData = null;
-        let currency = null;
-        let availability = null; // Store availability from the successful offer
-
-        for (const offers of offersList) {
-          // Handle AggregateOffer (variable products)
-          const offerTypes = (Array.isArray(offers['@type']) ? offers['@type'] : [offers['@type']])
-            .filter(type => typeof type === 'string')
-            .map(type => type.replace(/^https?:\/\/schema\.org\//i, ''));
-
-          if (offerTypes.includes('AggregateOffer')) {
-            debug('[product-detector]', '[Price Drop Tracker] Found AggregateOffer (variable product)');
-
-            // Use lowPrice for variable products
-            const priceValue = offers.lowPrice || offers.price || offers.highPrice;
-            currency = offers.priceCurrency || 'EUR';
-
-            if (priceValue) {
-              debug('[product-detector]', '[Price Drop Tracker] Variable product price:', priceValue, 'Currency:', currency);
-
-              // Include currency symbol in the price string for better detection
-              const currencySymbol = currency === 'EUR' ? '€' : currency === 'USD' ? '$' : currency === 'GBP' ? '£' : '';
-              const priceString = currencySymbol
-                ? `${currencySymbol}${priceValue}`
-                : `${priceValue} ${currency}`;
-
-              priceData = parsePrice(priceString, {
-                domain: window.location.hostname,
-                locale: document.documentElement.lang,
-                expectedCurrency: currency
-              });
-
-              if (priceData) {
-                // Force the currency to match the detected one
-                priceData.currency = currency;
-                availability = offers.availability || null; // Store availability
-                break;
-              }
-            }
-          }
-          // Handle regular Offer
-          else {
-            const priceValue = offers.price || offers.lowPrice || offers.highPrice;
-            currency = offers.priceCurrency || 'EUR';
-
-            if (priceValue) {
-              debug('[product-detector]', '[Price Drop Tracker] Schema.org price:', priceValue, 'Currency:', currency);
-
-              // Include currency symbol in the price string
-              const currencySymbol = currency === 'EUR' ? '€' : currency === 'USD' ? '$' : currency === 'GBP' ? '£' : '';
-              const priceString = currencySymbol
-                ? `${currencySymbol}${priceValue}`
-                : `${priceValue} ${currency}`;
-
-              priceData = parsePrice(priceString, {
-                domain: window.location.hostname,
-                locale: document.documentElement.lang,
-                expectedCurrency: currency
-              });
-
-              if (priceData) {
-                // Force the currency to match the detected one
-                priceData.currency = currency;
-                availability = offers.availability || null; // Store availability
-                break;
-              }
-            }
-          }
-        }
-
-        if (!priceData) {
-          debug('[product-detector]', '[Price Drop Tracker] Failed to parse any offers');
-          continue;
-        }
-
-        debug('[product-detector]', '[Price Drop Tracker] ✓ Successfully parsed price:', priceData.numeric, priceData.currency);
-
-        // Extract image (handle different formats)
-        let imageUrl = null;
-        if (item.image) {
-          let rawImageUrl = null;
-          if (typeof item.image === 'string') {
-            rawImageUrl = item.image;
-          } else if (item.image.url) {
-            rawImageUrl = item.image.url;
-          } else if (Array.isArray(item.image) && item.image.length > 0) {
-            rawImageUrl = typeof item.image[0] === 'string' ? item.image[0] : item.image[0].url;
-          }
-          // Convert to absolute URL
-          imageUrl = makeAbsoluteUrl(rawImageUrl);
-        }
+  if (!match) {
+    debug('[product-detector]', '[Price Drop Tracker] No priced Product in Schema.org data');
+    return null;
+  }
 
-        return {
-          title: item.name || 'Unknown Product',
-          price: priceData,
-          imageUrl: imageUrl,
-          url: window.location.href,
-          domain: window.location.hostname,
-          sku: item.sku || item.gtin || null,
-          availability: availability, // Use stored availability instead of undefined 'offers'
-          confidence: 0.95,
-          detectionMethod: 'schemaOrg'
-        };
-      }
-    } catch (error) {
-      debugError('[product-detector]', '[Price Drop Tracker] Error parsing Schema.org:', error);
+  const item = match.node;
+  debug('[product-detector]', '[Price Drop Tracker] ✓ Successfully parsed price:', match.price.numeric, match.price.currency);
+
+  // Extract image (handle different formats)
+  let imageUrl = null;
+  if (item.image) {
+    let rawImageUrl = null;
+    if (typeof item.image === 'string') {
+      rawImageUrl = item.image;
+    } else if (item.image.url) {
+      rawImageUrl = item.image.url;
+    } else if (Array.isArray(item.image) && item.image.length > 0) {
+      rawImageUrl = typeof item.image[0] === 'string' ? item.image[0] : item.image[0].url;
     }
+    // Convert to absolute URL
+    imageUrl = makeAbsoluteUrl(rawImageUrl);
   }
 
-  return null;
+  // Record the variant we actually took the price from
+  const variant = getSchemaMatchVariant(match, variantRef);
+
+  return {
+    title: item.name || 'Unknown Product',
+    price: match.price,
+    imageUrl: imageUrl,
+    url: window.location.href,
+    domain: window.location.hostname,
+    sku: variant?.sku || item.sku || item.gtin || null,
+    variant,
+    availability: normalizeAvailability(match.offer.availability),
+    confidence: 0.95,
+    detectionMethod: 'schemaOrg'
+  };
 }
 
 /**
@@ -574,89 +458,13 @@ function extractFromEmbeddedProductJson() {
     return null;
   }
 
-  const currency =
-    document.querySelector('meta[property="product:price:currency"]')?.content ||
-    document.querySelector('meta[itemprop="priceCurrency"]')?.content ||
-    document.querySelector('[data-currency]')?.getAttribute('data-currency') ||
-    null;
-
-  const productJsonScripts = document.querySelectorAll(
-    'script[type="application/json"][id*="ProductJson" i], script[type="application/json"][id*="product" i], script[type="application/json"][data-product-json]'
-  );
-
-  for (const script of productJsonScripts) {
-    try {
-      const data = JSON.parse(script.textContent);
-      const product = normalizeEmbeddedProduct(data, currency);
-      if (product) {
-        return product;
-      }
-    } catch (error) {
-      debugWarn('[product-detector]', '[Price Drop Tracker] Failed to parse embedded product JSON:', error);
-    }
-  }
-
-  // ShopifyAnalytics.meta is JavaScript, not pure JSON. Keep this narrow:
-  // parse the product object only when the script clearly contains Shopify meta.
-  const inlineScripts = document.querySelectorAll('script:not([src])');
-  for (const script of inlineScripts) {
-    const text = script.textContent || '';
-    if (!text.includes('ShopifyAnalytics') || !text.includes('variants')) {
-      continue;
-    }
-
-    const productMatch = text.match(/"product"\s*:\s*(\{[\s\S]*?"variants"\s*:\s*\[[\s\S]*?\][\s\S]*?\})\s*[,}]/);
-    if (!productMatch) {
-      continue;
-    }
-
-    try {
-      const data = JSON.parse(productMatch[1]);
-      const product = normalizeEmbeddedProduct(data, currency);
-      if (product) {
-        return product;
-      }
-    } catch (error) {
-      debugWarn('[product-detector]', '[Price Drop Tracker] Failed to parse ShopifyAnalytics product JSON:', error);
-    }
-  }
-
-  return null;
-}
-
-/**
- * Normalize embedded product JSON into product data.
- * @param {Object} data - Parsed product data
- * @param {string|null} currency - Expected currency
- * @returns {Object|null}
- */
-function normalizeEmbeddedProduct(data, currency) {
-  if (!data || typeof data !== 'object') {
-    return null;
-  }
-
-  const product = data.product || data;
-  const variants = Array.isArray(product.variants) ? product.variants : [];
-  const selectedVariant = variants.find(variant => variant.available !== false) || variants[0] || null;
-  const rawPrice = selectedVariant?.price ?? product.price ?? product.price_min;
-
-  if (!rawPrice) {
-    return null;
-  }
-
-  const normalizedPrice = normalizePlatformPrice(rawPrice);
-  const currencyCode = currency || product.currency || product.priceCurrency || null;
-  const priceString = currencyCode ? `${normalizedPrice} ${currencyCode}` : String(normalizedPrice);
-  const priceData = parsePrice(priceString, {
-    domain: window.location.hostname,
-    locale: document.documentElement.lang,
-    expectedCurrency: currencyCode
-  });
-
-  if (!priceData || priceData.confidence < 0.60) {
+  const variantRef = getSelectedVariantRef(document, window.location.href);
+  const match = findEmbeddedProduct(document, getExtractionContext(variantRef));
+  if (!match || match.price.confidence < 0.60) {
     return null;
   }
 
+  const { price, product, variant: selectedVariant, variants } = match;
   const title =
     product.title ||
     product.name ||
@@ -677,34 +485,19 @@ function normalizeEmbeddedProduct(data, currency) {
 
   return {
     title,
-    price: priceData,
+    price,
     imageUrl: makeAbsoluteUrl(typeof rawImageUrl === 'string' ? rawImageUrl : rawImageUrl?.src),
     url: window.location.href,
     domain: window.location.hostname,
     sku: selectedVariant?.sku || selectedVariant?.id || product.id || null,
-    availability: selectedVariant?.available === false ? 'OutOfStock' : null,
+    // Single-variant products ("Default Title") are not variant-tracked
+    variant: variants.length > 1 ? getVariantInfoFromEmbedded(selectedVariant, product, variantRef?.params) : null,
+    availability: normalizeAvailability(selectedVariant?.available),
     confidence: 0.82,
     detectionMethod: 'embeddedProductJson'
   };
 }
 
-/**
- * Normalize platform prices. Shopify stores integer minor units in product JSON.
- * @param {string|number} rawPrice - Raw price
- * @returns {string|number}
- */
-function normalizePlatformPrice(rawPrice) {
-  if (typeof rawPrice !== 'number') {
-    return rawPrice;
-  }
-
-  if (Number.isInteger(rawPrice) && rawPrice >= 1000) {
-    return (rawPrice / 100).toFixed(2);
-  }
-
-  return rawPrice;
-}
-
 /**
  * Find "Add to Cart" button on the page
  * Strong indicator this is a product page
@@ -737,9 +530,10 @@ function findAddToCartButton() {
 
 /**
  * Find all potential price candidates on the page
+ * Also highlighted by the price picker (price-picker.js).
  * @returns {Array} Array of {element, text, score} objects
  */
-function findAllPriceCandidates() {
+export function findAllPriceCandidates() {
   const candidates = [];
   const allElements = document.querySelectorAll('span, div, p, b, strong, td, li');
 
@@ -1159,8 +953,39 @@ function extractFromSelectors() {
  * @returns {Promise<Object>} Enhanced product data
  */
 async function enhanceProductData(data) {
+  // Fall back to the variant selected via URL params / add-to-cart form
+  if (data.variant === undefined) {
+    data.variant = getSelectedVariantRef(document, data.url || window.location.href);
+  }
+
+  // Normalize stock status; fall back to page-level signals (schema, meta tags)
+  data.availability = normalizeAvailability(data.availability) || getPageAvailability(document, data.variant);
+
+  // "Was" price, sale end, shipping and unit price (site adapters resolve their own)
+  if (data.price && !isAdapterMethod(data.detectionMethod)) {
+    const saleInfo = typeof data.price.regularPrice === 'number'
+      ? { wasPrice: data.price.regularPrice, saleEndsAt: data.price.saleEndsAt ?? null }
+      : extractSaleInfoFromDocument(document, data.price.numeric, {
+        domain: data.domain || window.location.hostname,
+        locale: data.price.locale
+      });
+    data.price = applySaleInfo(data.price, saleInfo);
+    const contextData = {
+      domain: data.domain || window.location.hostname,
+      locale: data.price.locale,
+      expectedCurrency: data.price.currency
+    };
+    data.price = applyShipping(data.price, extractShippingFromDocument(document, data.price.numeric, contextData));
+    data.price = applyUnitPrice(data.price, extractUnitPriceFromDocument(document, data.price.numeric, contextData));
+  }
+
+  // GTIN / MPN / brand + model, to find the same product in other shops
+  if (data.identifiers === undefined) {
+    data.identifiers = extractIdentifiersFromDocument(document, { variantRef: data.variant });
+  }
+
   // Generate unique product ID
-  data.productId = generateProductId(data.url, data.title, data.domain);
+  data.productId = generateProductId(data.url, data.title, data.domain, data.variant);
 
   // Add timestamps
   data.detectedAt = Date.now();
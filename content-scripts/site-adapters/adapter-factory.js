@@ -3,99 +3,41 @@
  *
  * This factory is separated from base-adapter.js to break circular dependencies.
  * The adapters import BaseAdapter, and this factory imports the adapters.
+ *
+ * Which adapter matches which shop is declared in adapter-registry.js.
  */
 
-import { AmazonAdapter } from './amazon.js';
-import { EbayAdapter } from './ebay.js';
-import { WalmartAdapter } from './walmart.js';
-import { TargetAdapter } from './target.js';
-import { BestBuyAdapter } from './bestbuy.js';
-import { WooCommerceAdapter } from './woocommerce.js';
-import { OpenCartAdapter } from './opencart.js';
-import { ZalandoAdapter } from './zalando.js';
-import { EtsyAdapter } from './etsy.js';
-import { AliExpressAdapter } from './aliexpress.js';
-import { AlensaAdapter } from './alensa.js';
-import { BooztletAdapter } from './booztlet.js';
-import { SportsDirectAdapter } from './sportsdirect.js';
-import { ThomannAdapter } from './thomann.js';
-import { debug, debugWarn, debugError } from '../../utils/debug.js';
+import { RuleAdapter } from './rule-adapter.js';
+import { ADAPTER_REGISTRY } from './adapter-registry.js';
+import { findSiteRule } from '../../utils/site-rules.js';
+import { matchAdapters, describeAdapterMatch } from '../../utils/adapter-matching.js';
+import { debug } from '../../utils/debug.js';
 
 /**
- * Factory function to get the appropriate adapter for a given domain
+ * Factory function to get the appropriate adapter for a given page
  *
  * @param {Document} document - The DOM document
  * @param {string} url - The URL of the page
+ * @param {Object[]} siteRules - User-defined site rules (see utils/site-rules.js)
  * @returns {BaseAdapter|null} Adapter instance or null if no adapter found
  */
-export function getAdapter(document, url) {
-  const domain = new URL(url).hostname;
-
-  // Check for specific retailer domains first
-  if (domain.includes('amazon')) {
-    return new AmazonAdapter(document, url);
-  }
-
-  if (domain.includes('ebay')) {
-    return new EbayAdapter(document, url);
-  }
-
-  if (domain.includes('walmart')) {
-    return new WalmartAdapter(document, url);
-  }
-
-  if (domain.includes('target')) {
-    return new TargetAdapter(document, url);
-  }
-
-  if (domain.includes('bestbuy')) {
-    return new BestBuyAdapter(document, url);
-  }
-
-  if (domain.includes('zalando')) {
-    return new ZalandoAdapter(document, url);
-  }
-
-  if (domain.includes('etsy')) {
-    return new EtsyAdapter(document, url);
+export function getAdapter(document, url, siteRules = []) {
+  // A user-defined rule wins over the built-in adapters
+  const rule = findSiteRule(siteRules, url);
+  if (rule) {
+    debug('[adapter-factory]', `[Adapter Factory] Using site rule for ${rule.domain}`);
+    return new RuleAdapter(document, url, rule);
   }
 
-  if (domain.includes('aliexpress')) {
-    return new AliExpressAdapter(document, url);
-  }
-
-  // Match both boozt.com and booztlet.com
-  if (domain.includes('boozt')) {
-    return new BooztletAdapter(document, url);
-  }
-
-  if (domain.includes('sportsdirect')) {
-    return new SportsDirectAdapter(document, url);
-  }
-
-  if (domain.includes('alensa')) {
-    return new AlensaAdapter(document, url);
-  }
-
-  if (domain.includes('thomann')) {
-    return new ThomannAdapter(document, url);
-  }
-
-  // Check for platform-based sites (WooCommerce, OpenCart, etc.)
-  // These need to be detected by page structure, not domain
-  const wooAdapter = new WooCommerceAdapter(document, url);
-  if (wooAdapter.detectProduct()) {
-    debug('[adapter-factory]', '[Adapter Factory] Detected WooCommerce site');
-    return wooAdapter;
-  }
-
-  const openCartAdapter = new OpenCartAdapter(document, url);
-  if (openCartAdapter.detectProduct()) {
-    debug('[adapter-factory]', '[Adapter Factory] Detected OpenCart site');
-    return openCartAdapter;
-  }
+  const match = matchAdapters(ADAPTER_REGISTRY, url, document);
+  debug('[adapter-factory]', '[Adapter Factory]', describeAdapterMatch(match).join('; '));
 
   // Return null if no adapter found
   // Will fall back to generic detection in product-detector.js
-  return null;
+  if (!match.entry) return null;
+
+  const adapter = new match.entry.adapter(document, url);
+  // Shop platform adapters read shops of every kind (see isRejectionFinal)
+  adapter.platform = match.entry.platform || null;
+  return adapter;
 }
@@ -0,0 +1,82 @@
+/**
+ * Adapter Registry - Which site adapter reads which shop
+ *
+ * Each entry declares what it matches (see utils/adapter-matching.js):
+ *   hosts    - registrable-domain patterns: "target.com" (exact) or
+ *              "amazon.*" (the brand on any public suffix)
+ *   platform - a PLATFORM_FINGERPRINTS key, for shop software found on
+ *              any domain
+ *   priority - higher wins when several entries match
+ *
+ * Retailers outrank platforms, so a retailer running on a shop platform
+ * keeps its own adapter. Entry ids match the adapters' getName(), which is
+ * what detection methods record ("siteAdapter:amazon").
+ *
+ * To add an adapter, import its class and declare it here - the factory
+ * needs no change.
+ */
+
+import { AmazonAdapter } from './amazon.js';
+import { EbayAdapter } from './ebay.js';
+import { WalmartAdapter } from './walmart.js';
+import { TargetAdapter } from './target.js';
+import { BestBuyAdapter } from './bestbuy.js';
+import { ZalandoAdapter } from './zalando.js';
+import { EtsyAdapter } from './etsy.js';
+import { AliExpressAdapter } from './aliexpress.js';
+import { BooztletAdapter } from './booztlet.js';
+import { SportsDirectAdapter } from './sportsdirect.js';
+import { AlensaAdapter } from './alensa.js';
+import { ThomannAdapter } from './thomann.js';
+import { ShopifyAdapter } from './shopify.js';
+import { MagentoAdapter } from './magento.js';
+import { PrestaShopAdapter } from './prestashop.js';
+import { WooCommerceAdapter } from './woocommerce.js';
+import { OpenCartAdapter } from './opencart.js';
+import { findSiteRule } from '../../utils/site-rules.js';
+import { matchAdapters } from '../../utils/adapter-matching.js';
+
+/**
+ * Priority of adapters for a specific retailer
+ */
+const RETAILER_PRIORITY = 100;
+
+export const ADAPTER_REGISTRY = [
+  // Retailers, matched by domain
+  { id: 'amazon', adapter: AmazonAdapter, hosts: ['amazon.*'], priority: RETAILER_PRIORITY },
+  { id: 'ebay', adapter: EbayAdapter, hosts: ['ebay.*'], priority: RETAILER_PRIORITY },
+  { id: 'walmart', adapter: WalmartAdapter, hosts: ['walmart.*'], priority: RETAILER_PRIORITY },
+  // target.com only - Target Australia (target.com.au) is a different shop
+  { id: 'target', adapter: TargetAdapter, hosts: ['target.com'], priority: RETAILER_PRIORITY },
+  { id: 'bestbuy', adapter: BestBuyAdapter, hosts: ['bestbuy.*'], priority: RETAILER_PRIORITY },
+  { id: 'zalando', adapter: ZalandoAdapter, hosts: ['zalando.*'], priority: RETAILER_PRIORITY },
+  { id: 'etsy', adapter: EtsyAdapter, hosts: ['etsy.com'], priority: RETAILER_PRIORITY },
+  { id: 'aliexpress', adapter: AliExpressAdapter, hosts: ['aliexpress.*'], priority: RETAILER_PRIORITY },
+  { id: 'booztlet', adapter: BooztletAdapter, hosts: ['boozt.com', 'booztlet.com'], priority: RETAILER_PRIORITY },
+  { id: 'sportsdirect', adapter: SportsDirectAdapter, hosts: ['sportsdirect.*'], priority: RETAILER_PRIORITY },
+  { id: 'alensa', adapter: AlensaAdapter, hosts: ['alensa.*'], priority: RETAILER_PRIORITY },
+  { id: 'thomann', adapter: ThomannAdapter, hosts: ['thomann.*', 'thomannmusic.com'], priority: RETAILER_PRIORITY },
+
+  // Shop platforms, matched by fingerprint; the stronger fingerprints first
+  { id: 'shopify', adapter: ShopifyAdapter, platform: 'shopify', hosts: ['myshopify.com'], priority: 40 },
+  { id: 'magento', adapter: MagentoAdapter, platform: 'magento', priority: 40 },
+  { id: 'prestashop', adapter: PrestaShopAdapter, platform: 'prestashop', priority: 40 },
+  { id: 'woocommerce', adapter: WooCommerceAdapter, platform: 'woocommerce', priority: 30 },
+  { id: 'opencart', adapter: OpenCartAdapter, platform: 'opencart', priority: 20 }
+];
+
+/**
+ * Explain which adapter reads a page and why
+ * @param {string} url - Page URL
+ * @param {Document|null} document - Page; without it platforms are not checked
+ * @param {Object[]} siteRules - User-defined site rules (see utils/site-rules.js)
+ * @returns {Object} matchAdapters() result plus { siteRule } - pass it to
+ *   describeAdapterMatch() for readable lines
+ */
+export function explainAdapterChoice(url, document = null, siteRules = []) {
+  const match = matchAdapters(ADAPTER_REGISTRY, url, document);
+  return {
+    ...match,
+    siteRule: findSiteRule(siteRules, url)
+  };
+}
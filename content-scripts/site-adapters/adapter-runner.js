@@ -0,0 +1,159 @@
+/**
+ * Adapter Runner - Reads a page with its site adapter
+ *
+ * Shared by first detection (product-detector.js, on the live page) and
+ * background re-checks (offscreen document and the DOMParser fallback, on a
+ * parsed page), so a shop is read with the same site-specific logic both
+ * times. Results name the adapter that produced them
+ * (detectionMethod "siteAdapter:amazon").
+ *
+ * Adapters only use the document they are given - no page globals - so
+ * they work on DOMParser documents too.
+ */
+
+import { getAdapter } from './adapter-factory.js';
+import { applySaleInfo } from '../../utils/sale-price.js';
+import { applyShipping } from '../../utils/shipping.js';
+import { applyUnitPrice } from '../../utils/unit-price.js';
+import { getPageCurrency, getPageLocale, resolveDetectedCurrency } from '../../utils/currency-change.js';
+import { extractPriceData } from '../../utils/price-extraction.js';
+import { debug, debugError } from '../../utils/debug.js';
+
+/**
+ * Detection method of adapter results
+ */
+export const ADAPTER_METHOD = 'siteAdapter';
+
+/**
+ * Confidence of a price found by a site adapter
+ */
+export const ADAPTER_CONFIDENCE = 0.90;
+
+/**
+ * Detection method naming the adapter
+ * @param {BaseAdapter} adapter - Adapter
+ * @returns {string} e.g. "siteAdapter:amazon"
+ */
+export function getAdapterMethod(adapter) {
+  return `${ADAPTER_METHOD}:${adapter.getName()}`;
+}
+
+/**
+ * Check whether a detection method is an adapter's
+ * @param {string} detectionMethod - Detection method
+ * @returns {boolean}
+ */
+export function isAdapterMethod(detectionMethod) {
+  return typeof detectionMethod === 'string' &&
+    (detectionMethod === ADAPTER_METHOD || detectionMethod.startsWith(`${ADAPTER_METHOD}:`));
+}
+
+/**
+ * Check whether an adapter saying "not a product page" ends detection
+ * Retailer adapters and site rules know their shop's pages. Platform
+ * adapters only check common theme markup, so on pages they reject the
+ * generic detection layers still get a go.
+ * @param {BaseAdapter} adapter - Adapter from getAdapter()
+ * @returns {boolean}
+ */
+export function isRejectionFinal(adapter) {
+  return !adapter?.platform;
+}
+
+/**
+ * Read everything an adapter can find on its page
+ * @param {BaseAdapter} adapter - Adapter
+ * @returns {Object|null} { adapter, title, price, priceData, saleInfo, shipping, unitInfo,
+ *   imageUrl, productId, variant, availability, identifiers } - price has sale,
+ *   shipping and unit price applied, priceData is the plain extractPrice() result.
+ *   Null when the adapter says this is not a product page.
+ */
+export function runAdapter(adapter) {
+  if (adapter.detectProduct && !adapter.detectProduct()) {
+    debug('[adapter-runner]', `[Adapter Runner] ${adapter.getName()}: not a product page`);
+    return null;
+  }
+
+  const title = adapter.extractTitle();
+  const priceData = adapter.extractPrice();
+  const saleInfo = priceData ? adapter.extractSaleInfo(priceData) : null;
+  const shipping = priceData ? adapter.extractShipping(priceData) : null;
+  const unitInfo = priceData ? adapter.extractUnitPrice(priceData) : null;
+
+  return {
+    adapter: adapter.getName(),
+    title,
+    price: priceData ? applyUnitPrice(applyShipping(applySaleInfo(priceData, saleInfo), shipping), unitInfo) : null,
+    priceData,
+    saleInfo,
+    shipping,
+    unitInfo,
+    imageUrl: adapter.extractImage(),
+    productId: adapter.extractProductId(),
+    variant: adapter.extractVariant(),
+    availability: adapter.extractAvailability(),
+    identifiers: adapter.extractIdentifiers()
+  };
+}
+
+/**
+ * Extract the price of a parsed page with its site adapter
+ * Shops with a user-defined site rule are left to the rule (see
+ * extractPriceData), as on first detection.
+ * @param {Document} doc - Parsed page
+ * @param {Object} contextData - { url, variant, siteRule, ... }
+ * @returns {Object|null} Result shaped like extractPriceData()'s plus
+ *   { adapter }, or null if no adapter found a price
+ */
+export function extractPriceWithAdapter(doc, contextData = {}) {
+  if (!contextData.url || contextData.siteRule) return null;
+
+  try {
+    const adapter = getAdapter(doc, contextData.url);
+    if (!adapter) return null;
+
+    // Resolve the size/color that was tracked, not the page default
+    if (contextData.variant) {
+      adapter.variantRef = contextData.variant;
+    }
+
+    const data = runAdapter(adapter);
+    if (!data?.priceData || typeof data.priceData.numeric !== 'number') {
+      debug('[adapter-runner]', `[Adapter Runner] ${adapter.getName()} found no price, using the extraction engine`);
+      return null;
+    }
+
+    const { currency, currencyMethod } = resolveDetectedCurrency(data.priceData, getPageCurrency(doc));
+    return {
+      success: true,
+      price: data.priceData.numeric,
+      priceData: data.priceData,
+      currency,
+      currencyMethod,
+      locale: getPageLocale(doc),
+      wasPrice: data.saleInfo?.wasPrice ?? null,
+      saleEndsAt: data.saleInfo?.saleEndsAt ?? null,
+      shipping: data.shipping,
+      unitInfo: data.unitInfo,
+      identifiers: data.identifiers,
+      availability: data.availability,
+      adapter: data.adapter,
+      detectionMethod: getAdapterMethod(adapter),
+      confidence: ADAPTER_CONFIDENCE
+    };
+  } catch (error) {
+    debugError('[adapter-runner]', '[Adapter Runner] Error running adapter:', error);
+    return null;
+  }
+}
+
+/**
+ * Extract the price of a parsed page for a background check
+ * The site adapter first, as on first detection, then the shared engine.
+ * @param {Document} doc - Parsed page
+ * @param {Object} contextData - { url, domain, locale, expectedCurrency, variant, siteRule }
+ * @returns {Object} See extractPriceData()
+ */
+export function extractPagePrice(doc, contextData = {}) {
+  return extractPriceWithAdapter(doc, contextData) || extractPriceData(doc, contextData);
+}
@@ -225,6 +225,44 @@ export class AliExpressAdapter extends BaseAdapter {
     return null;
   }
 
+  /**
+   * Original price shown next to the discounted price
+   * @returns {string[]}
+   */
+  getWasPriceSelectors() {
+    return [
+      '[class*="price--originalText"]',
+      '.product-price-original .product-price-value',
+      '.uniform-banner-box-discounts span:first-child',
+      '[class*="originalPrice"]'
+    ];
+  }
+
+  /**
+   * Shipping cost block ("Free shipping", "Shipping: US $2.99")
+   * @returns {string[]}
+   */
+  getShippingSelectors() {
+    return [
+      '[class*="dynamic-shipping-titleLayout"]',
+      '[class*="shipping--wrap"] strong',
+      '.product-shipping-price',
+      '.dynamic-shipping'
+    ];
+  }
+
+  /**
+   * Sale countdown ("Ends: 05:12:33")
+   * @returns {string[]}
+   */
+  getSaleEndSelectors() {
+    return [
+      '[class*="countDown"]',
+      '[class*="countdown"]',
+      '.uniform-banner-box-countdown'
+    ];
+  }
+
   /**
    * Extract product image from AliExpress page
    * @returns {string|null}
@@ -2,6 +2,7 @@
 // Handles Amazon product detection across all regional domains
 
 import { BaseAdapter } from './base-adapter.js';
+import { detectAvailabilityFromText } from '../../utils/availability.js';
 
 /**
  * AmazonAdapter - Extracts product information from Amazon product pages
@@ -157,6 +158,84 @@ export class AmazonAdapter extends BaseAdapter {
     return null;
   }
 
+  /**
+   * Extracts the stock status from the buy box availability block
+   * ("In Stock", "Currently unavailable", "Only 3 left in stock")
+   * @returns {string|null} Normalized availability or null
+   */
+  extractAvailability() {
+    const element = this.querySelector('#availability, #outOfStock');
+    const fromText = detectAvailabilityFromText(element?.textContent);
+    return fromText || super.extractAvailability();
+  }
+
+  /**
+   * List price ("List Price:", "Was:", "Typical price") shown crossed out
+   * under the deal price
+   * @returns {string[]} CSS selectors
+   */
+  getWasPriceSelectors() {
+    return [
+      '#corePriceDisplay_desktop_feature_div .basisPrice .a-offscreen',  // "List Price:" (new layout)
+      '#corePrice_feature_div .basisPrice .a-offscreen',
+      '.a-price.a-text-price[data-a-strike="true"] .a-offscreen',       // Strikethrough price
+      '#listPrice',                                                    // Old layout
+      '#priceblock_listprice',
+      '.priceBlockStrikePriceString'
+    ];
+  }
+
+  /**
+   * Price per unit next to the buy box price ("($0.28 / Ounce)", "(9,98 €/kg)")
+   * @returns {string[]} CSS selectors
+   */
+  getUnitPriceSelectors() {
+    return [
+      '#corePriceDisplay_desktop_feature_div .a-price + .a-size-mini',
+      '#corePrice_feature_div .a-price + .a-size-mini',
+      '#corePriceDisplay_desktop_feature_div .a-size-mini'
+    ];
+  }
+
+  /**
+   * Product details rows ("Item model number", "Manufacturer", "EAN")
+   * @returns {string[]} CSS selectors
+   */
+  getIdentifierRowSelectors() {
+    return [
+      '#productDetails_techSpec_section_1 tr',
+      '#productDetails_detailBullets_sections1 tr',
+      '#productOverview_feature_div tr',
+      '#detailBullets_feature_div li',
+      '#detail-bullets .content li'
+    ];
+  }
+
+  /**
+   * Delivery charge of the buy box ("FREE delivery", "$5.99 delivery")
+   * @returns {string[]} CSS selectors
+   */
+  getShippingSelectors() {
+    return [
+      '#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE [data-csa-c-delivery-price]',
+      '#deliveryBlockMessage [data-csa-c-delivery-price]',
+      '#price-shipping-message',
+      '#ourprice_shippingmessage'
+    ];
+  }
+
+  /**
+   * Lightning deal countdown ("Ends in 05:12:33")
+   * @returns {string[]} CSS selectors
+   */
+  getSaleEndSelectors() {
+    return [
+      '[id^="deal_expiry_timer"]',
+      '#dealBadgeSupportingText',
+      '.dealBadgeSupportingText'
+    ];
+  }
+
   /**
    * Extracts the product image URL
    * @returns {string|null} Image URL or null
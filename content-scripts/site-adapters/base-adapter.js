@@ -3,6 +3,17 @@
 
 import { parsePrice } from '../../utils/currency-parser.js';
 import { debug, debugWarn, debugError } from '../../utils/debug.js';
+import { getSelectedVariantRef } from '../../utils/variant-helper.js';
+import { findSchemaPrice, getSchemaMatchVariant } from '../../utils/price-extraction.js';
+import { getPageAvailability } from '../../utils/availability.js';
+import {
+  GENERIC_WAS_PRICE_SELECTORS,
+  GENERIC_SALE_END_SELECTORS,
+  extractSaleInfoFromDocument
+} from '../../utils/sale-price.js';
+import { GENERIC_SHIPPING_SELECTORS, extractShippingFromDocument } from '../../utils/shipping.js';
+import { GENERIC_UNIT_PRICE_SELECTORS, extractUnitPriceFromDocument } from '../../utils/unit-price.js';
+import { GENERIC_IDENTIFIER_ROW_SELECTORS, extractIdentifiersFromDocument } from '../../utils/offer-groups.js';
 
 /**
  * BaseAdapter - Abstract base class for site-specific adapters
@@ -25,6 +36,16 @@ export class BaseAdapter {
     this.url = url;
     this.domain = new URL(url).hostname;
     this.locale = document.documentElement.lang || 'en-US';
+    this.jsonLdVariant = null; // Set when extractPriceFromJsonLd() resolves a variant
+    this.variantRef = null;    // Tracked variant, set for background re-checks
+  }
+
+  /**
+   * Short name recorded with the results of this adapter
+   * @returns {string} e.g. "amazon", "woocommerce"
+   */
+  getName() {
+    return this.constructor.name.replace(/Adapter$/, '').toLowerCase();
   }
 
   // ========== Abstract Methods (must be implemented by subclasses) ==========
@@ -69,8 +90,156 @@ export class BaseAdapter {
     throw new Error('extractProductId() must be implemented');
   }
 
+  // ========== Optional Methods ==========
+
+  /**
+   * Extracts the selected variant (size, color, ...)
+   * Override in subclass for sites that expose the selection in the DOM.
+   * Call after extractPrice() so a variant resolved from JSON-LD is reused.
+   * @returns {Object|null} Variant info or null for single-variant products
+   */
+  extractVariant() {
+    return this.jsonLdVariant || this.getVariantRef();
+  }
+
+  /**
+   * Extracts the stock status (InStock, OutOfStock, PreOrder, LimitedAvailability)
+   * Default: Schema.org offers of the selected variant, embedded platform JSON,
+   * then meta tags/microdata.
+   * Override in subclass for sites with a dedicated availability block.
+   * @returns {string|null} Normalized availability or null if unknown
+   */
+  extractAvailability() {
+    return getPageAvailability(this.document, this.jsonLdVariant || this.getVariantRef());
+  }
+
+  /**
+   * Extracts the "was" price (list/strikethrough price) and the sale end
+   * Default: Schema.org list price of the current offer, then the
+   * getWasPriceSelectors() / getSaleEndSelectors() elements.
+   * Call after extractPrice(); a regularPrice set by extractPrice() wins.
+   * @param {Object} price - Price returned by extractPrice()
+   * @returns {{ wasPrice: number|null, saleEndsAt: number|null }}
+   */
+  extractSaleInfo(price) {
+    const info = extractSaleInfoFromDocument(this.document, price?.numeric, {
+      domain: this.domain,
+      locale: this.locale,
+      expectedCurrency: this.getExpectedCurrency()
+    }, {
+      wasPriceSelectors: this.getWasPriceSelectors(),
+      saleEndSelectors: this.getSaleEndSelectors()
+    });
+
+    if (typeof price?.regularPrice === 'number') {
+      return { ...info, wasPrice: price.regularPrice };
+    }
+    return info;
+  }
+
+  /**
+   * Extracts the shipping cost
+   * Default: Schema.org shippingDetails, then the getShippingSelectors() elements.
+   * @param {Object} price - Price returned by extractPrice()
+   * @returns {number|null} Shipping cost (0 = free shipping) or null if unknown
+   */
+  extractShipping(price) {
+    return extractShippingFromDocument(this.document, price?.numeric, {
+      domain: this.domain,
+      locale: this.locale,
+      expectedCurrency: price?.currency || this.getExpectedCurrency()
+    }, {
+      selectors: this.getShippingSelectors()
+    });
+  }
+
+  /**
+   * Extracts the unit price (per kg, l or item) and pack size
+   * Default: Schema.org unit price, then the pack size in the product name,
+   * then the getUnitPriceSelectors() elements.
+   * @param {Object} price - Price returned by extractPrice()
+   * @returns {{ unitPrice: number, unit: string, quantity: number|null }|null}
+   */
+  extractUnitPrice(price) {
+    return extractUnitPriceFromDocument(this.document, price?.numeric, {
+      domain: this.domain,
+      locale: this.locale,
+      expectedCurrency: price?.currency || this.getExpectedCurrency()
+    }, {
+      selectors: this.getUnitPriceSelectors()
+    });
+  }
+
+  /**
+   * Extracts product identifiers (GTIN/EAN/UPC, MPN, brand, model number)
+   * used to recognize the same product in other shops
+   * Default: Schema.org Product data, microdata and meta tags, then the
+   * getIdentifierRowSelectors() specification rows.
+   * @returns {{ gtin: string|null, mpn: string|null, brand: string|null, model: string|null }|null}
+   */
+  extractIdentifiers() {
+    return extractIdentifiersFromDocument(this.document, {
+      variantRef: this.getVariantRef(),
+      rowSelectors: this.getIdentifierRowSelectors()
+    });
+  }
+
+  /**
+   * Selectors of specification rows ("EAN | 4006381333931", "Brand: Sony")
+   * Override in subclass with the site's product details table.
+   * @returns {string[]} CSS selectors of label/value rows
+   */
+  getIdentifierRowSelectors() {
+    return GENERIC_IDENTIFIER_ROW_SELECTORS;
+  }
+
+  /**
+   * Selectors of the unit price ("€9.98/kg", "($0.28 / Ounce)")
+   * Override in subclass for grocery and drugstore sites.
+   * @returns {string[]} CSS selectors
+   */
+  getUnitPriceSelectors() {
+    return GENERIC_UNIT_PRICE_SELECTORS;
+  }
+
+  /**
+   * Selectors of the shipping cost ("Free shipping", "+ $5.99 shipping")
+   * Override in subclass for sites that show shipping next to the price.
+   * @returns {string[]} CSS selectors
+   */
+  getShippingSelectors() {
+    return GENERIC_SHIPPING_SELECTORS;
+  }
+
+  /**
+   * Selectors of the crossed-out "was" price
+   * Override in subclass with the site's list price elements.
+   * @returns {string[]} CSS selectors, most specific first
+   */
+  getWasPriceSelectors() {
+    return GENERIC_WAS_PRICE_SELECTORS;
+  }
+
+  /**
+   * Selectors of the sale countdown / end date
+   * Override in subclass for sites with deal timers.
+   * @returns {string[]} CSS selectors
+   */
+  getSaleEndSelectors() {
+    return GENERIC_SALE_END_SELECTORS;
+  }
+
   // ========== Shared Helper Methods ==========
 
+  /**
+   * Gets the tracked variant (background re-checks), else the variant
+   * selected via URL params or the add-to-cart form
+   * @returns {Object|null} Variant reference or null
+   */
+  getVariantRef() {
+    return this.variantRef || getSelectedVariantRef(this.document, this.url);
+  }
+
   /**
    * Gets the expected currency for this domain
    * Override in subclass if the site has a known currency
@@ -98,6 +267,21 @@ export class BaseAdapter {
     return this.document.querySelectorAll(selector);
   }
 
+  /**
+   * Checks whether an element is crossed out (an old price)
+   * Parsed documents (background re-checks) have no computed styles, so
+   * <s>/<del> ancestors and inline styles are checked there.
+   * @param {Element} element - Element
+   * @returns {boolean} True if the text is struck through
+   */
+  isStruckThrough(element) {
+    const view = this.document.defaultView;
+    if (view?.getComputedStyle) {
+      return view.getComputedStyle(element).textDecoration.includes('line-through');
+    }
+    return !!element.closest('s, del, strike, [style*="line-through"]');
+  }
+
   /**
    * Parses a price string with domain and locale context
    * @param {string} priceString - Price text to parse
@@ -179,102 +363,24 @@ export class BaseAdapter {
    * Extracts price from Schema.org JSON-LD structured data
    * This is the most reliable method for dynamic sites (boozt.com, etc.)
    * Works in both content scripts AND background fetches
+   * Offers are read by the shared engine (utils/price-extraction.js)
    *
    * @returns {Object|null} Parsed price object or null
    */
   extractPriceFromJsonLd() {
     try {
-      const scripts = this.querySelectorAll('script[type="application/ld+json"]');
-
-      for (const script of scripts) {
-        try {
-          const data = JSON.parse(script.textContent);
-
-          // Handle @graph array format
-          const items = data['@graph'] || (Array.isArray(data) ? data : [data]);
-
-          for (const item of items) {
-            // Helper function to extract price from offers array
-            const extractFromOffers = (offers) => {
-              const expectedCurrency = this.getExpectedCurrency();
-              let matchingCurrencyOffer = null;
-              let fallbackOffer = null;
-
-              for (const offer of offers) {
-                // Skip approximate/conversion prices (eBay fix)
-                const offerText = JSON.stringify(offer).toLowerCase();
-                if (offerText.includes('approximately') || offerText.includes('approx.') || offerText.includes('approx ')) {
-                  debug('[base-adapter]', '[Adapter] Skipping approximate offer in JSON-LD');
-                  continue;
-                }
-
-                // Extract price
-                const priceValue = offer.price || offer.lowPrice;
-                if (priceValue) {
-                  const parsed = this.parsePriceWithContext(String(priceValue));
-                  if (parsed) {
-                    // CRITICAL: Use explicit priceCurrency from JSON-LD offer
-                    // The parser might guess wrong currency based on domain (.com = USD)
-                    // but JSON-LD explicitly specifies the correct currency
-                    if (offer.priceCurrency) {
-                      parsed.currency = offer.priceCurrency;
-                      debug('[base-adapter]', `[Adapter] Using explicit currency from JSON-LD: ${offer.priceCurrency}`);
-                    }
-
-                    const offerCurrency = parsed.currency;
-
-                    if (expectedCurrency && offerCurrency !== expectedCurrency) {
-                      debug('[base-adapter]', `[Adapter] Skipping offer with mismatched currency: ${offerCurrency} (expected ${expectedCurrency})`);
-                      if (!fallbackOffer) {
-                        fallbackOffer = parsed;
-                      }
-                      continue;
-                    }
-
-                    if (!matchingCurrencyOffer) {
-                      matchingCurrencyOffer = parsed;
-                      debug('[base-adapter]', '[Adapter] ✓ Found matching currency offer:', parsed.numeric, parsed.currency);
-                    }
-                  }
-                }
-              }
-
-              return matchingCurrencyOffer || fallbackOffer;
-            };
-
-            // Check if this is a Product with offers
-            if (item['@type'] === 'Product' && item.offers) {
-              const offers = Array.isArray(item.offers) ? item.offers : [item.offers];
-              const bestOffer = extractFromOffers(offers);
-              if (bestOffer) {
-                debug('[base-adapter]', '[Adapter] ✓ Extracted price from JSON-LD Product:', bestOffer.numeric, bestOffer.currency);
-                return bestOffer;
-              }
-            }
-
-            // BOOZT FIX: Handle ProductGroup with hasVariant array
-            // Boozt uses ProductGroup with multiple Product variants
-            if (item['@type'] === 'ProductGroup' && item.hasVariant) {
-              debug('[base-adapter]', '[Adapter] Found ProductGroup, checking variants...');
-              const variants = Array.isArray(item.hasVariant) ? item.hasVariant : [item.hasVariant];
-
-              // Try to extract price from first variant with offers
-              for (const variant of variants) {
-                if (variant['@type'] === 'Product' && variant.offers) {
-                  const offers = Array.isArray(variant.offers) ? variant.offers : [variant.offers];
-                  const bestOffer = extractFromOffers(offers);
-                  if (bestOffer) {
-                    debug('[base-adapter]', '[Adapter] ✓ Extracted price from JSON-LD ProductGroup variant:', bestOffer.numeric, bestOffer.currency);
-                    return bestOffer;
-                  }
-                }
-              }
-            }
-          }
-        } catch (e) {
-          // Ignore JSON parse errors for individual scripts
-          debugWarn('[base-adapter]', '[Adapter] Failed to parse JSON-LD script:', e.message);
-        }
+      const variantRef = this.getVariantRef();
+      const match = findSchemaPrice(this.document, {
+        domain: this.domain,
+        locale: this.locale,
+        expectedCurrency: this.getExpectedCurrency(),
+        variant: variantRef
+      });
+
+      if (match) {
+        this.jsonLdVariant = getSchemaMatchVariant(match, variantRef);
+        debug('[base-adapter]', '[Adapter] ✓ Extracted price from JSON-LD:', match.price.numeric, match.price.currency);
+        return match.price;
       }
     } catch (e) {
       debugError('[base-adapter]', '[Adapter] Error extracting JSON-LD:', e);
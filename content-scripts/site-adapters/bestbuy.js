@@ -101,6 +101,30 @@ export class BestBuyAdapter extends BaseAdapter {
     return null;
   }
 
+  /**
+   * Regular price of discounted items ("Was $399.99", "Comp. Value")
+   * @returns {string[]} CSS selectors
+   */
+  getWasPriceSelectors() {
+    return [
+      '[data-testid="regular-price"]',
+      '.pricing-price__regular-price',
+      '.pricing-price__was-price'
+    ];
+  }
+
+  /**
+   * Deal end ("Deal ends in 4:12:09", "Sale ends 10/31")
+   * @returns {string[]} CSS selectors
+   */
+  getSaleEndSelectors() {
+    return [
+      '[data-testid="deal-countdown"]',
+      '.pricing-price__sale-message',
+      '.deal-timer'
+    ];
+  }
+
   /**
    * Extracts the product image URL
    * @returns {string|null} Image URL or null
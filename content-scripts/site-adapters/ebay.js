@@ -185,6 +185,59 @@ export class EbayAdapter extends BaseAdapter {
     return null;
   }
 
+  /**
+   * Original price of discounted listings ("Was US $49.99", "List price")
+   * @returns {string[]} CSS selectors
+   */
+  getWasPriceSelectors() {
+    return [
+      '.x-additional-info .ux-textspans--STRIKETHROUGH',  // "Was" / "List price"
+      '.x-price-section .ux-textspans--STRIKETHROUGH',
+      '.x-price-transparency .ux-textspans--STRIKETHROUGH',
+      '#orgPrc',                                          // Classic layout
+      '#mm-saleOrgPrc',
+      '.vi-originalPrice'
+    ];
+  }
+
+  /**
+   * Shipping cost shown under the price ("US $5.99 Standard Shipping", "Free 2-4 day delivery")
+   * @returns {string[]} CSS selectors
+   */
+  getShippingSelectors() {
+    return [
+      '.ux-labels-values--shipping .ux-textspans--BOLD',
+      '.ux-labels-values--shipping .ux-labels-values__values-content',
+      '[data-testid="ux-labels-values--shipping"] .ux-textspans--BOLD',
+      '.d-shipping-minview .ux-textspans--BOLD',
+      '#fshippingCost',                                   // Classic layout
+      '#shSummary'
+    ];
+  }
+
+  /**
+   * Item specifics ("Brand", "MPN", "EAN", "UPC")
+   * @returns {string[]} CSS selectors
+   */
+  getIdentifierRowSelectors() {
+    return [
+      '.ux-layout-section-evo__col',
+      '[data-testid="ux-layout-section-evo"] .ux-labels-values'
+    ];
+  }
+
+  /**
+   * Sale countdown ("Sale ends in 2d 5h")
+   * @returns {string[]} CSS selectors
+   */
+  getSaleEndSelectors() {
+    return [
+      '.x-deal-timer',
+      '.vi-time-wrapperSb',
+      '[data-testid="x-deal-timer"]'
+    ];
+  }
+
   /**
    * Extracts the item image URL
    * @returns {string|null} Image URL or null
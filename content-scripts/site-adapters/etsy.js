@@ -3,6 +3,7 @@
 
 import { BaseAdapter } from './base-adapter.js';
 import { debug, debugWarn, debugError } from '../../utils/debug.js';
+import { buildVariantInfo } from '../../utils/variant-helper.js';
 
 /**
  * EtsyAdapter - Adapter for Etsy marketplace
@@ -180,13 +181,63 @@ export class EtsyAdapter extends BaseAdapter {
     return null;
   }
 
+  /**
+   * Read the selected listing variations (e.g. size: Large, color: Sage)
+   * @returns {Object} Attribute map (empty if no variation is selected)
+   */
+  getSelectedVariations() {
+    const attributes = {};
+    const selects = this.querySelectorAll('select[id^="variation-selector"], select[data-variation-number]');
+
+    for (const select of selects) {
+      const option = select.options?.[select.selectedIndex];
+      if (!option || !option.value) continue;
+
+      const label = select.id ? this.querySelector(`label[for="${CSS.escape(select.id)}"]`) : null;
+      const name = (label?.textContent || `option${Object.keys(attributes).length + 1}`).trim().toLowerCase();
+      // Option text often carries the price, e.g. "Large (€25.00)"
+      const value = option.textContent.replace(/\([^)]*\)/g, '').replace(/\s+/g, ' ').trim();
+      if (value) {
+        attributes[name] = value;
+      }
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Extract the selected variation (URL variation params + variation selects)
+   * @returns {Object|null}
+   */
+  extractVariant() {
+    const ref = this.getVariantRef();
+    const attributes = this.getSelectedVariations();
+    if (Object.keys(attributes).length === 0) {
+      return ref;
+    }
+
+    // Every combination of the listing's variation options is a variant
+    const variantCount = [...this.querySelectorAll('select[id^="variation-selector"], select[data-variation-number]')]
+      .reduce((count, select) => count * Math.max(1, [...(select.options || [])].filter(option => option.value).length), 1);
+
+    return buildVariantInfo({
+      ...(ref || {}),
+      attributes: { ...(ref?.attributes || {}), ...attributes },
+      variantCount
+    });
+  }
+
   /**
    * Extract price from Etsy listing
    * @returns {Object|null}
    */
   extractPrice() {
+    // Structured data only has the listing's price range (AggregateOffer.lowPrice).
+    // Once a variation is selected, the buy box shows that variation's own price.
+    const hasSelectedVariation = Object.keys(this.getSelectedVariations()).length > 0;
+
     // Try structured data first (most reliable)
-    const structuredData = this.extractStructuredData();
+    const structuredData = hasSelectedVariation ? null : this.extractStructuredData();
     if (structuredData?.offers) {
       const offers = Array.isArray(structuredData.offers)
         ? structuredData.offers[0]
@@ -286,6 +337,30 @@ export class EtsyAdapter extends BaseAdapter {
     return null;
   }
 
+  /**
+   * Original price of listings on sale
+   * @returns {string[]}
+   */
+  getWasPriceSelectors() {
+    return [
+      '[data-buy-box-region="price"] .wt-text-strikethrough',
+      '[data-selector="price-only"] ~ .wt-text-strikethrough',
+      'p.wt-text-strikethrough'
+    ];
+  }
+
+  /**
+   * Sale end ("Sale ends in 12 hours")
+   * @returns {string[]}
+   */
+  getSaleEndSelectors() {
+    return [
+      '[data-buy-box-region="price"] .wt-text-brick',
+      '[data-buy-box-region="price"] [class*="countdown"]',
+      '[data-buy-box-region="price"] .wt-text-caption'
+    ];
+  }
+
   /**
    * Extract product image from Etsy listing
    * @returns {string|null}
@@ -0,0 +1,131 @@
+/**
+ * Magento Site Adapter
+ * Handles price detection for shops built on Magento 2 / Adobe Commerce
+ *
+ * Chosen by the Magento fingerprint (x-magento-init scripts, data-mage-init
+ * widgets), not by domain. Price boxes carry the price type and the raw
+ * amount as attributes: data-price-type="finalPrice" data-price-amount="19.99".
+ */
+
+import { BaseAdapter } from './base-adapter.js';
+import { getPageCurrency } from '../../utils/currency-change.js';
+import { debug } from '../../utils/debug.js';
+
+export class MagentoAdapter extends BaseAdapter {
+  /**
+   * Gets the currency stated by the page (shops sell in any currency)
+   * @returns {string|null} Currency code or null
+   */
+  getExpectedCurrency() {
+    return getPageCurrency(this.document);
+  }
+
+  /**
+   * Detects if this is a Magento product page
+   * @returns {boolean} True if product page
+   */
+  detectProduct() {
+    return !!this.querySelector('form#product_addtocart_form') ||
+      !!this.querySelector('.product-info-main') ||
+      this.document.body?.classList?.contains('catalog-product-view') === true;
+  }
+
+  /**
+   * Extracts the SKU, else the product ID of the add-to-cart form
+   * @returns {string|null} Product ID or null
+   */
+  extractProductId() {
+    const sku = this.querySelector('.product.attribute.sku .value, [itemprop="sku"]')?.textContent?.trim();
+    if (sku) return sku;
+
+    return this.querySelector('form#product_addtocart_form input[name="product"]')?.getAttribute('value') ||
+      this.querySelector('[data-product-id]')?.getAttribute('data-product-id') ||
+      null;
+  }
+
+  /**
+   * Extracts the product title
+   * @returns {string|null} Product title or null
+   */
+  extractTitle() {
+    const selectors = [
+      '.page-title-wrapper.product .page-title span',
+      '.product-info-main .page-title span',
+      'h1.page-title',
+      'h1[itemprop="name"]'
+    ];
+
+    for (const selector of selectors) {
+      const title = this.querySelector(selector)?.textContent?.trim();
+      if (title) return title;
+    }
+
+    return null;
+  }
+
+  /**
+   * Extracts the current price
+   * @returns {Object|null} Parsed price object or null
+   */
+  extractPrice() {
+    const jsonLdPrice = this.extractPriceFromJsonLd();
+    if (jsonLdPrice) return jsonLdPrice;
+
+    // The final price box of the product, not of related/upsell items
+    const finalPrice = this.querySelector('.product-info-main [data-price-type="finalPrice"]') ||
+      this.querySelector('.product-info-price [data-price-type="finalPrice"]');
+
+    if (finalPrice) {
+      const text = finalPrice.querySelector('.price')?.textContent?.trim();
+      const parsed = text ? this.parsePriceWithContext(text) : null;
+      if (parsed && parsed.confidence >= 0.70) {
+        debug('[magento]', '[Magento Adapter] ✓ Price from final price box:', parsed.numeric, parsed.currency);
+        return parsed;
+      }
+    }
+
+    const selectors = [
+      '.product-info-main .price-box .special-price .price',
+      '.product-info-main .price-box .price',
+      '[itemprop="offers"] [itemprop="price"]'
+    ];
+
+    for (const selector of selectors) {
+      const text = this.querySelector(selector)?.textContent?.trim();
+      if (!text) continue;
+
+      const parsed = this.parsePriceWithContext(text);
+      if (parsed && parsed.confidence >= 0.70) {
+        debug('[magento]', `[Magento Adapter] ✓ Price from ${selector}:`, parsed.numeric, parsed.currency);
+        return parsed;
+      }
+    }
+
+    debug('[magento]', '[Magento Adapter] ✗ No price found');
+    return null;
+  }
+
+  /**
+   * Regular price of discounted items
+   * @returns {string[]} CSS selectors
+   */
+  getWasPriceSelectors() {
+    return [
+      '.product-info-main [data-price-type="oldPrice"] .price',
+      '.product-info-main .old-price .price',
+      ...super.getWasPriceSelectors()
+    ];
+  }
+
+  /**
+   * Extracts the product image URL
+   * @returns {string|null} Image URL or null
+   */
+  extractImage() {
+    const ogImage = this.querySelector('meta[property="og:image"]')?.getAttribute('content');
+    if (ogImage) return ogImage;
+
+    const image = this.querySelector('.gallery-placeholder img, .product.media img');
+    return image?.getAttribute('src') || null;
+  }
+}
@@ -218,11 +218,10 @@ export class OpenCartAdapter extends BaseAdapter {
 
         // Check all child elements for prices
         for (const child of childElements) {
-          const computedStyle = window.getComputedStyle(child);
           const childText = child.textContent?.trim();
 
           if (childText && (childText.includes('€') || /\d+[.,]\d+/.test(childText))) {
-            if (computedStyle.textDecoration.includes('line-through')) {
+            if (this.isStruckThrough(child)) {
               crossedOutPrices.push(childText);
               console.log(`[opencart] Skipping crossed-out price: "${childText}"`);
             } else {
@@ -233,8 +232,7 @@ export class OpenCartAdapter extends BaseAdapter {
 
         // If no child elements, check the parent element itself
         if (childElements.length === 0 || activePrices.length === 0) {
-          const computedStyle = window.getComputedStyle(element);
-          if (!computedStyle.textDecoration.includes('line-through')) {
+          if (!this.isStruckThrough(element)) {
             activePrices.push(priceText);
           } else {
             console.log(`[opencart] Skipping crossed-out element: "${priceText}"`);
@@ -0,0 +1,131 @@
+/**
+ * PrestaShop Site Adapter
+ * Handles price detection for shops built on PrestaShop
+ *
+ * Chosen by the PrestaShop fingerprint (generator tag, the global
+ * `prestashop` object), not by domain. Covers the 1.7+ classic theme
+ * (.current-price) and 1.6 themes (#our_price_display).
+ */
+
+import { BaseAdapter } from './base-adapter.js';
+import { getPageCurrency } from '../../utils/currency-change.js';
+import { debug } from '../../utils/debug.js';
+
+export class PrestaShopAdapter extends BaseAdapter {
+  /**
+   * Gets the currency stated by the page (shops sell in any currency)
+   * @returns {string|null} Currency code or null
+   */
+  getExpectedCurrency() {
+    return getPageCurrency(this.document);
+  }
+
+  /**
+   * Detects if this is a PrestaShop product page
+   * @returns {boolean} True if product page
+   */
+  detectProduct() {
+    return !!this.querySelector('form#add-to-cart-or-refresh') ||
+      !!this.querySelector('#buy_block') ||
+      this.document.body?.id === 'product';
+  }
+
+  /**
+   * Extracts the product ID (with the combination, if one is selected)
+   * @returns {string|null} Product ID or null
+   */
+  extractProductId() {
+    const productId = this.querySelector('input[name="id_product"]')?.getAttribute('value');
+    if (!productId) {
+      return this.querySelector('[itemprop="sku"]')?.textContent?.trim() || null;
+    }
+
+    const combination = this.querySelector('input[name="id_product_attribute"]')?.getAttribute('value');
+    return combination && combination !== '0' ? `${productId}-${combination}` : productId;
+  }
+
+  /**
+   * Extracts the product title
+   * @returns {string|null} Product title or null
+   */
+  extractTitle() {
+    const selectors = [
+      'h1.product-detail-name',
+      'h1[itemprop="name"]',
+      '#product h1',
+      'h1.h1'
+    ];
+
+    for (const selector of selectors) {
+      const title = this.querySelector(selector)?.textContent?.trim();
+      if (title) return title;
+    }
+
+    return null;
+  }
+
+  /**
+   * Extracts the current price
+   * @returns {Object|null} Parsed price object or null
+   */
+  extractPrice() {
+    const jsonLdPrice = this.extractPriceFromJsonLd();
+    if (jsonLdPrice) return jsonLdPrice;
+
+    // 1.7+ themes put the raw amount in a content attribute
+    const amount = this.querySelector('.current-price [itemprop="price"]')?.getAttribute('content');
+    const currency = this.getExpectedCurrency();
+    if (amount && currency) {
+      const parsed = this.parsePriceWithContext(`${amount} ${currency}`);
+      if (parsed && parsed.confidence >= 0.70) {
+        debug('[prestashop]', '[PrestaShop Adapter] ✓ Price from itemprop content:', parsed.numeric, parsed.currency);
+        return parsed;
+      }
+    }
+
+    const selectors = [
+      '.current-price-value',
+      '.current-price span',
+      '#our_price_display',
+      '.product-prices .price'
+    ];
+
+    for (const selector of selectors) {
+      const text = this.querySelector(selector)?.textContent?.trim();
+      if (!text) continue;
+
+      const parsed = this.parsePriceWithContext(text);
+      if (parsed && parsed.confidence >= 0.70) {
+        debug('[prestashop]', `[PrestaShop Adapter] ✓ Price from ${selector}:`, parsed.numeric, parsed.currency);
+        return parsed;
+      }
+    }
+
+    debug('[prestashop]', '[PrestaShop Adapter] ✗ No price found');
+    return null;
+  }
+
+  /**
+   * Regular price of discounted items
+   * @returns {string[]} CSS selectors
+   */
+  getWasPriceSelectors() {
+    return [
+      '.product-prices .regular-price',
+      '#old_price_display',
+      ...super.getWasPriceSelectors()
+    ];
+  }
+
+  /**
+   * Extracts the product image URL
+   * @returns {string|null} Image URL or null
+   */
+  extractImage() {
+    const ogImage = this.querySelector('meta[property="og:image"]')?.getAttribute('content');
+    if (ogImage) return ogImage;
+
+    const image = this.querySelector('.product-cover img, #bigpic');
+    return image?.getAttribute('src') || null;
+  }
+}
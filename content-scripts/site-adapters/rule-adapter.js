@@ -0,0 +1,121 @@
+/**
+ * Rule Site Adapter
+ * Runs a user-defined site rule (settings.extraction.siteRules, see
+ * utils/site-rules.js) as a site adapter, so shops without an adapter of
+ * their own can be supported from the settings page.
+ *
+ * Fields the rule doesn't define fall back to JSON-LD, Open Graph and the
+ * base adapter defaults.
+ */
+
+import { BaseAdapter } from './base-adapter.js';
+import { extractWithSiteRule } from '../../utils/site-rules.js';
+import { debug } from '../../utils/debug.js';
+
+export class RuleAdapter extends BaseAdapter {
+  /**
+   * @param {Document} document - The DOM document to extract from
+   * @param {string} url - The URL of the page
+   * @param {Object} rule - Normalized site rule
+   */
+  constructor(document, url, rule) {
+    super(document, url);
+    this.rule = rule;
+    this.extracted = null;
+  }
+
+  /**
+   * Values read with the rule (read once per page)
+   * @returns {Object} { title, price, wasPrice, image, sku, availability }
+   */
+  getExtracted() {
+    if (!this.extracted) {
+      this.extracted = extractWithSiteRule(this.document, this.rule, {
+        domain: this.domain,
+        locale: this.locale,
+        expectedCurrency: this.getExpectedCurrency()
+      });
+      debug('[rule-adapter]', `[Rule Adapter] ${this.rule.domain}:`, this.extracted);
+    }
+    return this.extracted;
+  }
+
+  /**
+   * The rule's currency, if it names one
+   * @returns {string|null} Currency code or null
+   */
+  getExpectedCurrency() {
+    return this.rule.currency || null;
+  }
+
+  /**
+   * A page is a product page when the rule finds its price
+   * @returns {boolean} True if the price selector or path matched
+   */
+  detectProduct() {
+    return this.getExtracted().price !== null;
+  }
+
+  /**
+   * Extracts the price with the rule
+   * @returns {Object|null} Parsed price object or null
+   */
+  extractPrice() {
+    return this.getExtracted().price;
+  }
+
+  /**
+   * Extracts the "was" price with the rule, if it defines one
+   * @param {Object} price - Price returned by extractPrice()
+   * @returns {{ wasPrice: number|null, saleEndsAt: number|null }}
+   */
+  extractSaleInfo(price) {
+    const info = super.extractSaleInfo(price);
+    const { wasPrice } = this.getExtracted();
+    return wasPrice !== null ? { ...info, wasPrice } : info;
+  }
+
+  /**
+   * Extracts the product title
+   * @returns {string|null} Product title or null
+   */
+  extractTitle() {
+    return this.getExtracted().title ||
+      this.querySelector('meta[property="og:title"]')?.getAttribute('content')?.trim() ||
+      this.querySelector('h1')?.textContent?.trim() ||
+      null;
+  }
+
+  /**
+   * Extracts the product image URL
+   * @returns {string|null} Image URL or null
+   */
+  extractImage() {
+    const image = this.getExtracted().image ||
+      this.querySelector('meta[property="og:image"]')?.getAttribute('content') ||
+      null;
+    if (!image) return null;
+
+    try {
+      return new URL(image, this.url).href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Extracts the product ID
+   * @returns {string|null} SKU read with the rule or null
+   */
+  extractProductId() {
+    return this.getExtracted().sku;
+  }
+
+  /**
+   * Extracts the stock status with the rule, then the page defaults
+   * @returns {string|null} Normalized availability or null if unknown
+   */
+  extractAvailability() {
+    return this.getExtracted().availability || super.extractAvailability();
+  }
+}
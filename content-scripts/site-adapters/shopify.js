@@ -0,0 +1,172 @@
+/**
+ * Shopify Site Adapter
+ * Handles price detection for shops built on Shopify
+ *
+ * Chosen by the Shopify fingerprint (CDN assets, ShopifyAnalytics), not by
+ * domain - most Shopify shops run on their own domain.
+ * Theme markup varies a lot, so structured data comes first: JSON-LD, then
+ * the theme's product JSON (prices in minor units), then common theme
+ * price elements.
+ */
+
+import { BaseAdapter } from './base-adapter.js';
+import { findEmbeddedProduct } from '../../utils/price-extraction.js';
+import { getVariantInfoFromEmbedded } from '../../utils/variant-helper.js';
+import { getPageCurrency } from '../../utils/currency-change.js';
+import { debug } from '../../utils/debug.js';
+
+export class ShopifyAdapter extends BaseAdapter {
+  /**
+   * Gets the currency stated by the page (shops sell in any currency)
+   * @returns {string|null} Currency code or null
+   */
+  getExpectedCurrency() {
+    return getPageCurrency(this.document);
+  }
+
+  /**
+   * Theme product JSON (read once per page)
+   * @returns {Object|null} { price, product, variant, variants } or null
+   */
+  getEmbeddedProduct() {
+    if (this.embedded === undefined) {
+      this.embedded = findEmbeddedProduct(this.document, {
+        domain: this.domain,
+        locale: this.locale,
+        expectedCurrency: this.getExpectedCurrency(),
+        variant: this.getVariantRef()
+      });
+    }
+    return this.embedded;
+  }
+
+  /**
+   * Detects if this is a Shopify product page
+   * @returns {boolean} True if product page
+   */
+  detectProduct() {
+    return /\/products\/[^/?#]+/.test(this.url) ||
+      !!this.querySelector('form[action*="/cart/add"]') ||
+      this.querySelector('meta[property="og:type"]')?.getAttribute('content') === 'product';
+  }
+
+  /**
+   * Extracts the variant SKU, else the variant or product ID
+   * @returns {string|null} Product ID or null
+   */
+  extractProductId() {
+    const embedded = this.getEmbeddedProduct();
+    const id = embedded?.variant?.sku || embedded?.variant?.id || embedded?.product?.id;
+    if (id) return String(id);
+
+    return this.querySelector('[itemprop="sku"]')?.textContent?.trim() || null;
+  }
+
+  /**
+   * Extracts the selected variant of products with several variants
+   * @returns {Object|null} Variant info or null for single-variant products
+   */
+  extractVariant() {
+    if (this.jsonLdVariant) return this.jsonLdVariant;
+
+    const embedded = this.getEmbeddedProduct();
+    if (embedded?.variants?.length > 1) {
+      return getVariantInfoFromEmbedded(embedded.variant, embedded.product, this.getVariantRef()?.params);
+    }
+    return this.getVariantRef();
+  }
+
+  /**
+   * Extracts the product title
+   * @returns {string|null} Product title or null
+   */
+  extractTitle() {
+    const embedded = this.getEmbeddedProduct();
+    if (embedded?.product?.title) return embedded.product.title;
+
+    const selectors = [
+      'h1.product__title',
+      'h1.product-single__title',
+      '.product__title h1',
+      'h1[itemprop="name"]',
+      'h1'
+    ];
+
+    for (const selector of selectors) {
+      const title = this.querySelector(selector)?.textContent?.trim();
+      if (title) return title;
+    }
+
+    return this.querySelector('meta[property="og:title"]')?.getAttribute('content') || null;
+  }
+
+  /**
+   * Extracts the current price
+   * @returns {Object|null} Parsed price object or null
+   */
+  extractPrice() {
+    const jsonLdPrice = this.extractPriceFromJsonLd();
+    if (jsonLdPrice) return jsonLdPrice;
+
+    const embedded = this.getEmbeddedProduct();
+    if (embedded?.price && embedded.price.confidence >= 0.60) {
+      debug('[shopify]', '[Shopify Adapter] ✓ Price from product JSON:', embedded.price.numeric, embedded.price.currency);
+      return embedded.price;
+    }
+
+    const selectors = [
+      '.price__sale .price-item--sale',
+      '.price-item--sale',
+      '.price__regular .price-item--regular',
+      '.product__price',
+      '.product-single__price',
+      '[data-product-price]'
+    ];
+
+    for (const selector of selectors) {
+      const text = this.querySelector(selector)?.textContent?.trim();
+      if (!text) continue;
+
+      const parsed = this.parsePriceWithContext(text);
+      if (parsed && parsed.confidence >= 0.70) {
+        debug('[shopify]', `[Shopify Adapter] ✓ Price from ${selector}:`, parsed.numeric, parsed.currency);
+        return parsed;
+      }
+    }
+
+    debug('[shopify]', '[Shopify Adapter] ✗ No price found');
+    return null;
+  }
+
+  /**
+   * Compare-at price of discounted items
+   * @returns {string[]} CSS selectors
+   */
+  getWasPriceSelectors() {
+    return [
+      '.price__sale .price-item--regular',
+      '.product__price--compare',
+      '.product-single__price--compare',
+      '[data-compare-price]',
+      ...super.getWasPriceSelectors()
+    ];
+  }
+
+  /**
+   * Extracts the product image URL
+   * @returns {string|null} Image URL or null
+   */
+  extractImage() {
+    const ogImage = this.querySelector('meta[property="og:image:secure_url"], meta[property="og:image"]')?.getAttribute('content');
+    if (ogImage) return ogImage;
+
+    const product = this.getEmbeddedProduct()?.product;
+    const image = product?.featured_image || (Array.isArray(product?.images) ? product.images[0] : null);
+    if (typeof image === 'string') {
+      // Theme JSON uses protocol-relative URLs ("//cdn.shopify.com/...")
+      return image.startsWith('//') ? `https:${image}` : image;
+    }
+
+    return null;
+  }
+}
@@ -100,6 +100,29 @@ export class TargetAdapter extends BaseAdapter {
     return null;
   }
 
+  /**
+   * Regular price shown next to a sale price ("reg $24.99")
+   * @returns {string[]} CSS selectors
+   */
+  getWasPriceSelectors() {
+    return [
+      '[data-test="product-regular-price"]',
+      '[data-test="product-price-reg"]',
+      '[data-test="product-price"] ~ [class*="regular"]'
+    ];
+  }
+
+  /**
+   * Deal end ("Sale ends Sat")
+   * @returns {string[]} CSS selectors
+   */
+  getSaleEndSelectors() {
+    return [
+      '[data-test="product-sale-end-date"]',
+      '[data-test="sale-ends"]'
+    ];
+  }
+
   /**
    * Extracts the product image URL
    * @returns {string|null} Image URL or null
@@ -100,6 +100,20 @@ export class WalmartAdapter extends BaseAdapter {
     return null;
   }
 
+  /**
+   * "Was" price shown crossed out next to rollbacks and clearance prices
+   * @returns {string[]} CSS selectors
+   */
+  getWasPriceSelectors() {
+    return [
+      '[data-testid="list-price"]',              // "Was $29.99"
+      '[data-seo-id="strike-through-price"]',
+      '.price-old',
+      '[data-automation-id="strikethrough-price"]',
+      '.strike'
+    ];
+  }
+
   /**
    * Extracts the product image URL
    * @returns {string|null} Image URL or null
@@ -3,6 +3,7 @@
 
 import { BaseAdapter } from './base-adapter.js';
 import { debug, debugWarn, debugError } from '../../utils/debug.js';
+import { filterOffersForVariant, buildVariantInfo } from '../../utils/variant-helper.js';
 
 /**
  * ZalandoAdapter - Adapter for Zalando e-commerce sites
@@ -129,13 +130,19 @@ export class ZalandoAdapter extends BaseAdapter {
     debug('[zalando]', '[Zalando] Extracting price...');
 
     // 1. Try JSON-LD first (Most reliable for Zalando)
+    // Zalando lists one offer per size (each with its own SKU); use the selected size
+    const variantRef = this.getVariantRef();
     const scripts = this.querySelectorAll('script[type="application/ld+json"]');
     for (const script of scripts) {
       try {
         const data = JSON.parse(script.textContent);
         if (data['@type'] === 'Product' && data.offers) {
-          const offers = Array.isArray(data.offers) ? data.offers : [data.offers];
+          const allOffers = Array.isArray(data.offers) ? data.offers : [data.offers];
+          const offers = filterOffersForVariant(allOffers, variantRef);
           if (offers[0] && offers[0].price) {
+            if (offers.length < allOffers.length) {
+              this.jsonLdVariant = buildVariantInfo({ ...variantRef, sku: offers[0].sku || variantRef.sku, variantCount: allOffers.length });
+            }
             const priceString = offers[0].price + " " + (offers[0].priceCurrency || "EUR");
             debug('[zalando]', '[Zalando] Found price via JSON-LD:', priceString);
             const parsed = this.parsePriceWithContext(priceString);
@@ -214,6 +221,30 @@ export class ZalandoAdapter extends BaseAdapter {
     return null;
   }
 
+  /**
+   * Original price of reduced items ("Originally: 89,95 €")
+   * @returns {string[]}
+   */
+  getWasPriceSelectors() {
+    return [
+      '[data-testid="pdp-price-container"] s',
+      '[data-testid="originalPrice"]',
+      '[data-testid="pdp-price-container"] [class*="strikethrough"]',
+      '[class*="originalPrice"]'
+    ];
+  }
+
+  /**
+   * Deal end of Zalando sale campaigns
+   * @returns {string[]}
+   */
+  getSaleEndSelectors() {
+    return [
+      '[data-testid="pdp-deal-countdown"]',
+      '[data-testid="countdown"]'
+    ];
+  }
+
   /**
    * Extract product image from Zalando page
    * @returns {string|null}
@@ -0,0 +1,199 @@
+import browser from '../utils/browser-polyfill.js';
+import { debug, debugError } from '../utils/debug.js';
+import { getAllProducts, getSettings } from '../background/storage-manager.js';
+import {
+  ACTIVITY_TYPE_LABELS,
+  isActivityLogEnabled,
+  filterActivity,
+  buildActivityExport,
+  getActivityLog,
+  clearActivityLog
+} from '../utils/activity-log.js';
+import { downloadTextFile } from '../utils/csv-export.js';
+import { showSuccess, showError } from '../utils/toast.js';
+
+const FILTER_IDS = ['filterType', 'filterProduct', 'filterDomain', 'filterFrom', 'filterTo'];
+
+let allEntries = [];
+
+// Initialize page
+document.addEventListener('DOMContentLoaded', async () => {
+  await applyTheme();
+
+  const settings = await getSettings();
+  document.getElementById('activityDisabled').style.display = isActivityLogEnabled(settings) ? 'none' : 'block';
+
+  const typeSelect = document.getElementById('filterType');
+  for (const [type, label] of Object.entries(ACTIVITY_TYPE_LABELS)) {
+    typeSelect.appendChild(new Option(label, type));
+  }
+
+  // Filters can be preset from links, e.g. activity-log.html?productId=...
+  const params = new URLSearchParams(window.location.search);
+
+  await loadEntries();
+
+  if (params.get('productId')) document.getElementById('filterProduct').value = params.get('productId');
+  if (params.get('domain')) document.getElementById('filterDomain').value = params.get('domain');
+  if (params.get('type')) typeSelect.value = params.get('type');
+
+  FILTER_IDS.forEach(id => {
+    document.getElementById(id).addEventListener('change', render);
+  });
+  document.getElementById('exportActivityBtn').addEventListener('click', exportEntries);
+  document.getElementById('clearActivityBtn').addEventListener('click', handleClear);
+
+  render();
+});
+
+/**
+ * Apply theme (dark/light mode)
+ */
+async function applyTheme() {
+  const result = await browser.storage.local.get(['theme']);
+  const theme = result.theme || 'light';
+  document.body.setAttribute('data-theme', theme);
+}
+
+/**
+ * Load the journal and fill the product and shop filters
+ */
+async function loadEntries() {
+  try {
+    allEntries = await getActivityLog();
+    const products = await getAllProducts();
+
+    // Products: tracked ones plus removed ones still in the log
+    const productTitles = new Map();
+    for (const product of Object.values(products)) {
+      productTitles.set(product.productId, product.title);
+    }
+    for (const entry of allEntries) {
+      if (entry.productId && !productTitles.has(entry.productId)) {
+        productTitles.set(entry.productId, `${entry.productId} (removed)`);
+      }
+    }
+    fillSelect('filterProduct', 'All products', [...productTitles.entries()]
+      .sort(([, a], [, b]) => a.localeCompare(b)));
+
+    const domains = [...new Set(allEntries.map(entry => entry.domain).filter(Boolean))].sort();
+    fillSelect('filterDomain', 'All shops', domains.map(domain => [domain, domain]));
+
+    debug('[ActivityLog]', `Loaded ${allEntries.length} entries`);
+  } catch (error) {
+    debugError('[ActivityLog]', 'Error loading activity log:', error);
+    showError('Failed to load the activity log.');
+  }
+}
+
+/**
+ * Replace the options of a filter select, keeping the current choice
+ * @param {string} id - Select element ID
+ * @param {string} allLabel - Label of the "no filter" option
+ * @param {Array<[string, string]>} options - [value, label] pairs
+ */
+function fillSelect(id, allLabel, options) {
+  const select = document.getElementById(id);
+  const current = select.value;
+
+  select.replaceChildren(new Option(allLabel, ''));
+  for (const [value, label] of options) {
+    select.appendChild(new Option(label, value));
+  }
+
+  select.value = options.some(([value]) => value === current) ? current : '';
+}
+
+/**
+ * Read the filters from the form
+ * @returns {Object} Filters for filterActivity
+ */
+function getFilters() {
+  const filters = {};
+  const type = document.getElementById('filterType').value;
+  const productId = document.getElementById('filterProduct').value;
+  const domain = document.getElementById('filterDomain').value;
+  const from = document.getElementById('filterFrom').value;
+  const to = document.getElementById('filterTo').value;
+
+  if (type) filters.type = type;
+  if (productId) filters.productId = productId;
+  if (domain) filters.domain = domain;
+  // Date inputs are local calendar days; "to" includes the whole day
+  if (from) filters.from = new Date(`${from}T00:00:00`).getTime();
+  if (to) filters.to = new Date(`${to}T23:59:59.999`).getTime();
+
+  return filters;
+}
+
+/**
+ * Render the entries matching the filters, newest first
+ */
+function render() {
+  const entries = filterActivity(allEntries, getFilters());
+  const list = document.getElementById('activityList');
+  list.replaceChildren();
+
+  for (const entry of entries) {
+    const li = document.createElement('li');
+    li.className = 'activity-entry';
+
+    const time = document.createElement('span');
+    time.className = 'activity-time';
+    time.textContent = new Date(entry.timestamp).toLocaleString();
+
+    const type = document.createElement('span');
+    type.className = 'activity-type';
+    type.dataset.type = entry.type;
+    type.textContent = ACTIVITY_TYPE_LABELS[entry.type] || entry.type;
+
+    const message = document.createElement('span');
+    message.className = 'activity-message';
+    message.textContent = entry.message;
+    if (entry.domain) {
+      const domain = document.createElement('span');
+      domain.className = 'activity-domain';
+      domain.textContent = entry.domain;
+      message.appendChild(domain);
+    }
+
+    li.append(time, type, message);
+    list.appendChild(li);
+  }
+
+  document.getElementById('activityEmpty').style.display = entries.length === 0 ? 'block' : 'none';
+  document.getElementById('activityCount').textContent = entries.length === allEntries.length
+    ? `${allEntries.length} events`
+    : `${entries.length} of ${allEntries.length} events`;
+}
+
+/**
+ * Download the filtered entries as JSON
+ */
+function exportEntries() {
+  const filters = getFilters();
+  const entries = filterActivity(allEntries, filters);
+  const exported = buildActivityExport(entries, filters);
+  const date = new Date().toISOString().split('T')[0];
+
+  downloadTextFile(JSON.stringify(exported, null, 2), `price-genius-activity-${date}.json`, 'application/json');
+  debug('[ActivityLog]', `Exported ${entries.length} entries`);
+}
+
+/**
+ * Delete the whole journal after confirmation
+ */
+async function handleClear() {
+  if (!confirm('Delete all activity log entries? This cannot be undone.')) {
+    return;
+  }
+
+  if (await clearActivityLog()) {
+    allEntries = [];
+    await loadEntries();
+    render();
+    showSuccess('Activity log cleared');
+  } else {
+    showError('Failed to clear the activity log. Please try again.');
+  }
+}
@@ -1,10 +1,23 @@
 import browser from '../utils/browser-polyfill.js';
 import { debug, debugError } from '../utils/debug.js';
 import Chart from '../lib/chart-loader.js';
+import { formatVariantLabel } from '../utils/variant-helper.js';
+import { getPriceStats } from '../utils/price-history.js';
+import { analyzeProductDiscount, describeDiscountFlags } from '../utils/discount-analysis.js';
+import { PRICE_BASIS, getPriceBasis, getTotalPriceSeries } from '../utils/shipping.js';
+import { formatQuantity } from '../utils/unit-price.js';
+import { getConversionOptions, convertAmount } from '../utils/exchange-rates.js';
+import { CURRENCY_CHANGE_METHOD, filterHistoryByCurrency } from '../utils/currency-change.js';
+import { describeOutlierReasons } from '../utils/price-sanity.js';
+import { CURRENCIES } from '../utils/currency-data.js';
+import { getAllProducts, getProductImage, getSettings } from '../background/storage-manager.js';
+import { buildHistoryCsv, downloadTextFile, toFileSlug } from '../utils/csv-export.js';
 
 let allProducts = {};
 let selectedProductId = null;
 let currentChart = null;
+let priceBasis = PRICE_BASIS.ITEM;
+let conversion = { homeCurrency: null, rates: null, showConverted: false };
 let ChartJS = Chart; // Store the imported Chart
 
 // Initialize page
@@ -30,6 +43,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Apply dark mode based on user preference
   await applyTheme();
 
+  const settings = await getSettings();
+  priceBasis = getPriceBasis(settings);
+  conversion = getConversionOptions(settings);
+
   await loadProducts();
 
   // Add search handler
@@ -37,6 +54,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (searchInput) {
     searchInput.addEventListener('input', handleSearch);
   }
+
+  document.getElementById('downloadHistoryBtn').addEventListener('click', downloadSelectedHistory);
 });
 
 /**
@@ -53,8 +72,7 @@ async function applyTheme() {
  */
 async function loadProducts() {
   try {
-    const result = await browser.storage.local.get(['products']);
-    const products = result.products || {};
+    const products = await getAllProducts();
 
     allProducts = products;
     const productIds = Object.keys(products);
@@ -253,10 +271,9 @@ function createProductItem(productId, product) {
 
   // Load image from separate storage if available
   if (product.hasImage) {
-    const imageKey = `img_${productId}`;
-    browser.storage.local.get(imageKey).then(result => {
-      if (result[imageKey]) {
-        img.src = result[imageKey];
+    getProductImage(productId).then(imageDataUrl => {
+      if (imageDataUrl) {
+        img.src = imageDataUrl;
       }
     }).catch(error => {
       debugError('[price-history]', '[PriceHistory] Error loading image:', error);
@@ -282,7 +299,7 @@ function createProductItem(productId, product) {
 
   const domain = document.createElement('div');
   domain.className = 'product-item-domain';
-  domain.textContent = product.domain || '';
+  domain.textContent = [product.domain, formatVariantLabel(product.variant)].filter(Boolean).join(' · ');
 
   info.appendChild(title);
   info.appendChild(domain);
@@ -337,11 +354,44 @@ function selectProduct(productId) {
   debug('[Price History] Selected product:', product.title);
 }
 
+/**
+ * Download the selected product's price history as CSV
+ */
+function downloadSelectedHistory() {
+  const product = allProducts[selectedProductId];
+  if (!product) return;
+
+  try {
+    const csv = buildHistoryCsv([product], { locale: navigator.language });
+    downloadTextFile(csv, `price-history-${toFileSlug(product.title)}.csv`);
+    debug('[price-history]', '[PriceHistory] Downloaded history CSV for', product.productId);
+  } catch (error) {
+    debugError('[price-history]', '[PriceHistory] CSV download failed:', error);
+  }
+}
+
+/**
+ * Amount in the home currency, shown next to the original
+ * Every reading is converted with the current rate table.
+ * @param {number} amount - Amount in the product's currency
+ * @param {string} currency - Product currency
+ * @returns {string} e.g. " (≈ €92.10)", or '' when converted prices are off
+ */
+function formatConverted(amount, currency) {
+  const home = conversion.homeCurrency;
+  if (!conversion.showConverted || !home || currency === home) return '';
+
+  const converted = convertAmount(amount, currency, home, conversion.rates);
+  if (converted === null) return '';
+  return ` (≈ ${CURRENCIES[home]?.symbol || home}${converted.toFixed(CURRENCIES[home]?.decimals ?? 2)})`;
+}
+
 /**
  * Render price history chart
  */
 async function renderChart(product) {
-  const priceHistory = product.priceHistory || [];
+  // Readings from before a currency change aren't comparable
+  const priceHistory = filterHistoryByCurrency(product.priceHistory, product.price.currency);
 
   if (priceHistory.length === 0) {
     // No history - show current price only
@@ -352,13 +402,36 @@ async function renderChart(product) {
     });
   }
 
-  // Prepare chart data
+  // Prepare chart data (full history can span years, so show the year when it does)
+  const firstYear = new Date(priceHistory[0].timestamp).getFullYear();
+  const spansYears = priceHistory.some(entry => new Date(entry.timestamp).getFullYear() !== firstYear);
   const labels = priceHistory.map(entry => {
     const date = new Date(entry.timestamp);
-    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return date.toLocaleDateString('en-US', spansYears
+      ? { month: 'short', day: 'numeric', year: '2-digit' }
+      : { month: 'short', day: 'numeric' });
   });
 
-  const prices = priceHistory.map(entry => entry.price);
+  // Item prices, or totals with shipping / unit prices when alerts compare those;
+  // readings without a unit price leave a gap
+  const withShipping = priceBasis === PRICE_BASIS.TOTAL;
+  const perUnit = priceBasis === PRICE_BASIS.UNIT && typeof product.price.unitPrice === 'number';
+  let prices = priceHistory.map(entry => entry.price);
+  if (withShipping) {
+    prices = getTotalPriceSeries(priceHistory, product.price.shipping);
+  } else if (perUnit) {
+    prices = priceHistory.map(entry => entry.unit === product.price.unit && typeof entry.unitPrice === 'number' ? entry.unitPrice : null);
+    prices[prices.length - 1] = product.price.unitPrice;
+  }
+
+  // The shop's "was" price at each reading; the latest one comes from the
+  // current price, which is updated even when the price itself didn't change.
+  // It is an item price, so it isn't drawn next to totals.
+  const wasPrices = priceHistory.map(entry => typeof entry.wasPrice === 'number' ? entry.wasPrice : null);
+  if (typeof product.price.regularPrice === 'number') {
+    wasPrices[wasPrices.length - 1] = product.price.regularPrice;
+  }
+  const hasWasPrice = !withShipping && !perUnit && wasPrices.some(value => value !== null);
 
   // Update chart title
   const chartTitle = document.getElementById('chartTitle');
@@ -370,6 +443,7 @@ async function renderChart(product) {
   const gridColor = isDarkMode ? '#374151' : '#e5e7eb';
   const lineColor = '#2563eb';
   const fillColor = isDarkMode ? 'rgba(37, 99, 235, 0.1)' : 'rgba(37, 99, 235, 0.05)';
+  const wasColor = isDarkMode ? '#9ca3af' : '#6b7280';
 
   // Destroy existing chart if any
   if (currentChart) {
@@ -399,7 +473,9 @@ async function renderChart(product) {
     data: {
       labels: labels,
       datasets: [{
-        label: `Price (${product.price.currency})`,
+        label: withShipping
+          ? `Price incl. shipping (${product.price.currency})`
+          : perUnit ? `Price per ${product.price.unit} (${product.price.currency})` : `Price (${product.price.currency})`,
         data: prices,
         borderColor: lineColor,
         backgroundColor: fillColor,
@@ -410,15 +486,31 @@ async function renderChart(product) {
         pointHoverRadius: 6,
         pointBackgroundColor: lineColor,
         pointBorderColor: '#ffffff',
-        pointBorderWidth: 2
-      }]
+        pointBorderWidth: 2,
+        spanGaps: perUnit
+      }, ...(hasWasPrice ? [{
+        // Reference line: a discount is only real if the price was this high before
+        label: 'Was price (shop)',
+        data: wasPrices,
+        borderColor: wasColor,
+        borderWidth: 1.5,
+        borderDash: [6, 4],
+        stepped: true,
+        spanGaps: false,
+        fill: false,
+        pointRadius: 0,
+        pointHoverRadius: 3
+      }] : [])]
     },
     options: {
       responsive: true,
       maintainAspectRatio: false,
       plugins: {
         legend: {
-          display: false
+          display: hasWasPrice || withShipping || perUnit,
+          labels: {
+            color: textColor
+          }
         },
         tooltip: {
           mode: 'index',
@@ -432,7 +524,27 @@ async function renderChart(product) {
           displayColors: false,
           callbacks: {
             label: function(context) {
-              return `${product.price.symbol}${context.parsed.y.toFixed(2)}`;
+              const converted = formatConverted(context.parsed.y, product.price.currency);
+              if (context.datasetIndex === 1) {
+                return `Was ${product.price.symbol}${context.parsed.y.toFixed(2)}${converted}`;
+              }
+              return `${product.price.symbol}${context.parsed.y.toFixed(2)}${converted}`;
+            },
+            afterLabel: function(context) {
+              // Downsampled entries show the closing price plus the range of that day/week
+              const entry = priceHistory[context.dataIndex];
+              if (context.datasetIndex === 0 && entry?.checkMethod === CURRENCY_CHANGE_METHOD) {
+                return `Currency changed, was ${entry.previousCurrency} ${entry.previousPrice.toFixed(2)}`;
+              }
+              // The range is of item prices
+              if (context.datasetIndex === 1 || withShipping || perUnit) {
+                return '';
+              }
+              if (!entry || entry.checkMethod !== 'compacted' || entry.min === entry.max) {
+                return '';
+              }
+              const period = entry.resolution === 'week' ? 'Week' : 'Day';
+              return `${period} range: ${product.price.symbol}${entry.min.toFixed(2)} – ${product.price.symbol}${entry.max.toFixed(2)}`;
             }
           }
         }
@@ -472,38 +584,37 @@ async function renderChart(product) {
 
 /**
  * Render price statistics
+ * Uses the all-time stats kept alongside the history, which stay exact after
+ * old history entries have been downsampled.
  */
 function renderStats(product) {
-  const priceHistory = product.priceHistory || [];
   const currentPriceValue = product.price.numeric;
   const symbol = product.price.symbol || '$';
 
-  // Calculate stats
-  let lowestPrice = currentPriceValue;
-  let highestPrice = currentPriceValue;
-  let totalPrice = currentPriceValue;
-  let count = 1;
-
-  if (priceHistory.length > 0) {
-    priceHistory.forEach(entry => {
-      const price = entry.price;
-      if (price < lowestPrice) lowestPrice = price;
-      if (price > highestPrice) highestPrice = price;
-      totalPrice += price;
-      count++;
-    });
-  }
-
-  const averagePrice = totalPrice / count;
-  const firstPrice = priceHistory.length > 0 ? priceHistory[0].price : currentPriceValue;
+  const stats = getPriceStats(product);
+  const lowestPrice = Math.min(stats.low, currentPriceValue);
+  const highestPrice = Math.max(stats.high, currentPriceValue);
+  const averagePrice = stats.average;
+  const firstPrice = stats.first;
   const priceChange = currentPriceValue - firstPrice;
   const priceChangePercent = firstPrice > 0 ? (priceChange / firstPrice) * 100 : 0;
 
   // Update UI
-  document.getElementById('currentPrice').textContent = `${symbol}${currentPriceValue.toFixed(2)}`;
-  document.getElementById('lowestPrice').textContent = `${symbol}${lowestPrice.toFixed(2)}`;
-  document.getElementById('highestPrice').textContent = `${symbol}${highestPrice.toFixed(2)}`;
-  document.getElementById('averagePrice').textContent = `${symbol}${averagePrice.toFixed(2)}`;
+  const currency = product.price.currency;
+  document.getElementById('currentPrice').textContent = `${symbol}${currentPriceValue.toFixed(2)}${formatConverted(currentPriceValue, currency)}`;
+  document.getElementById('lowestPrice').textContent = `${symbol}${lowestPrice.toFixed(2)}${formatConverted(lowestPrice, currency)}`;
+  document.getElementById('highestPrice').textContent = `${symbol}${highestPrice.toFixed(2)}${formatConverted(highestPrice, currency)}`;
+  document.getElementById('averagePrice').textContent = `${symbol}${averagePrice.toFixed(2)}${formatConverted(averagePrice, currency)}`;
+
+  const shipping = product.price.shipping;
+  document.getElementById('shippingCost').textContent = typeof shipping !== 'number'
+    ? 'Unknown'
+    : shipping === 0 ? 'Free' : `${symbol}${shipping.toFixed(2)}`;
+
+  const { unitPrice, unit, quantity } = product.price;
+  document.getElementById('unitPrice').textContent = typeof unitPrice !== 'number'
+    ? '--'
+    : `${symbol}${unitPrice.toFixed(2)}/${unit}${typeof quantity === 'number' ? ` (${formatQuantity(quantity, unit)})` : ''}`;
 
   const priceChangeEl = document.getElementById('priceChange');
   const changeSign = priceChange >= 0 ? '+' : '';
@@ -517,4 +628,24 @@ function renderStats(product) {
   } else {
     priceChangeEl.className = 'stat-value';
   }
+
+  // Fake-discount flags for the current price
+  const reasons = describeDiscountFlags(analyzeProductDiscount(product), value => `${symbol}${value.toFixed(2)}`);
+  const reasonList = document.getElementById('discountReasons');
+  reasonList.replaceChildren(...reasons.map(reason => {
+    const li = document.createElement('li');
+    li.textContent = reason;
+    return li;
+  }));
+  document.getElementById('discountWarning').style.display = reasons.length > 0 ? 'block' : 'none';
+
+  // Background readings held back as implausible (see utils/price-sanity.js), newest first
+  const rejected = Array.isArray(product.rejectedReadings) ? [...product.rejectedReadings].reverse() : [];
+  document.getElementById('rejectedReadingList').replaceChildren(...rejected.map(reading => {
+    const li = document.createElement('li');
+    const refetch = typeof reading.refetchPrice === 'number' ? `, second fetch ${symbol}${reading.refetchPrice.toFixed(2)}` : '';
+    li.textContent = `${new Date(reading.timestamp).toLocaleString()}: ${symbol}${reading.price.toFixed(2)} - ${describeOutlierReasons(reading.reasons)}${refetch}`;
+    return li;
+  }));
+  document.getElementById('rejectedReadings').style.display = rejected.length > 0 ? 'block' : 'none';
 }
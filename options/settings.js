@@ -1,6 +1,15 @@
 import browser from '../utils/browser-polyfill.js';
 
-import { getSettings, updateSettings, getStorageStats, exportData, importData, clearAllData } from '../background/storage-manager.js';
+import { getSettings, updateSettings, getStorageStats, exportData, importData, clearAllData, getAllProducts } from '../background/storage-manager.js';
+import { buildProductsCsv, buildHistoryCsv, downloadTextFile } from '../utils/csv-export.js';
+import { CHECK_INTERVAL_OPTIONS, normalizeSchedule, normalizeScheduleDomain, formatInterval } from '../utils/check-schedule.js';
+import { normalizeRequestsPerMinute } from '../utils/rate-limits.js';
+import { DEFAULT_EXCHANGE_RATES, getRateTable, parseRateTable, formatRateTable } from '../utils/exchange-rates.js';
+import { SITE_RULE_FIELDS, getSiteRules, parseSiteRules, formatSiteRules } from '../utils/site-rules.js';
+import { describeAdapterMatch } from '../utils/adapter-matching.js';
+import { explainAdapterChoice } from '../content-scripts/site-adapters/adapter-registry.js';
+import { fetchHTML } from '../utils/fetch-helper.js';
+import { CURRENCIES } from '../utils/currency-data.js';
 import { debounce } from '../utils/debounce.js';
 import { showSuccess, showError, showWarning } from '../utils/toast.js';
 import { debug, debugError } from '../utils/debug.js';
@@ -32,16 +41,30 @@ async function applyTheme() {
 async function loadSettings() {
   try {
     currentSettings = await getSettings();
+    renderCurrencyOptions();
 
     // Populate form fields
     document.getElementById('trackingDuration').value = currentSettings.tracking.duration;
     document.getElementById('maxProducts').value = currentSettings.tracking.maxProducts;
+    document.getElementById('priceBasis').value = currentSettings.tracking.priceBasis || 'item';
+    document.getElementById('homeCurrency').value = currentSettings.currency.homeCurrency || '';
+    document.getElementById('showConvertedPrices').checked = currentSettings.currency.showConverted === true;
+    document.getElementById('currencyChange').value = currentSettings.tracking.currencyChange || 'confirm';
+    renderRateTable();
     document.getElementById('checkInterval').value = currentSettings.checking.interval;
+    document.getElementById('maxChecksPerRun').value = currentSettings.checking.maxChecksPerRun;
+    renderDomainSchedules();
+    renderRateLimits();
+    renderSiteRules();
     document.getElementById('notificationsEnabled').checked = currentSettings.notifications.enabled;
     document.getElementById('minDropPercentage').value = currentSettings.notifications.minDropPercentage;
     document.getElementById('maxNotificationsPerDay').value = currentSettings.notifications.maxPerDay;
+    document.getElementById('backInStockNotifications').checked = currentSettings.notifications.backInStock !== false;
+    document.getElementById('cheapestStoreNotifications').checked = currentSettings.notifications.cheapestStore !== false;
+    document.getElementById('skipSuspiciousDrops').checked = currentSettings.notifications.skipSuspiciousDrops === true;
 
     // Advanced settings
+    document.getElementById('activityLogEnabled').checked = currentSettings.privacy?.activityLog !== false;
     document.getElementById('debugMode').checked = currentSettings.advanced?.debugMode || false;
 
     debug('[Settings]', 'Settings loaded successfully');
@@ -78,7 +101,7 @@ async function loadStorageStats() {
  */
 function setupEventListeners() {
   // Track changes to all settings inputs with debouncing
-  const inputs = ['trackingDuration', 'maxProducts', 'checkInterval', 'notificationsEnabled', 'minDropPercentage', 'maxNotificationsPerDay', 'debugMode'];
+  const inputs = ['trackingDuration', 'maxProducts', 'priceBasis', 'homeCurrency', 'showConvertedPrices', 'currencyChange', 'checkInterval', 'maxChecksPerRun', 'notificationsEnabled', 'minDropPercentage', 'maxNotificationsPerDay', 'backInStockNotifications', 'cheapestStoreNotifications', 'skipSuspiciousDrops', 'activityLogEnabled', 'debugMode'];
 
   // Debounce settings saves to prevent excessive writes (300ms delay)
   const debouncedSettingSave = debounce(handleSettingChange, 300);
@@ -93,6 +116,52 @@ function setupEventListeners() {
     }
   });
 
+  // Exchange rates
+  document.getElementById('saveRatesBtn').addEventListener('click', handleSaveRateTable);
+  document.getElementById('resetRatesBtn').addEventListener('click', handleResetRateTable);
+  document.getElementById('importRatesBtn').addEventListener('click', () => {
+    document.getElementById('importRatesInput').click();
+  });
+  document.getElementById('importRatesInput').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      document.getElementById('exchangeRates').value = await file.text();
+      await handleSaveRateTable();
+    }
+    e.target.value = ''; // Reset file input
+  });
+
+  // Site rules
+  document.getElementById('saveSiteRulesBtn').addEventListener('click', handleSaveSiteRules);
+  document.getElementById('clearSiteRulesBtn').addEventListener('click', handleClearSiteRules);
+  document.getElementById('adapterLookupBtn').addEventListener('click', handleAdapterLookup);
+  document.getElementById('adapterLookupUrl').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleAdapterLookup();
+  });
+
+  // Site schedules
+  const intervalSelect = document.getElementById('scheduleInterval');
+  intervalSelect.appendChild(new Option('Default frequency', ''));
+  for (const option of CHECK_INTERVAL_OPTIONS) {
+    intervalSelect.appendChild(new Option(option.label, String(option.minutes)));
+  }
+  document.getElementById('addScheduleBtn').addEventListener('click', handleAddDomainSchedule);
+  document.getElementById('domainScheduleList').addEventListener('click', async (e) => {
+    const button = e.target.closest('.schedule-remove');
+    if (button) {
+      await handleRemoveDomainSchedule(button.dataset.domain);
+    }
+  });
+
+  // Request limits
+  document.getElementById('addRateLimitBtn').addEventListener('click', handleAddRateLimit);
+  document.getElementById('rateLimitList').addEventListener('click', async (e) => {
+    const button = e.target.closest('.schedule-remove');
+    if (button) {
+      await handleRemoveRateLimit(button.dataset.domain);
+    }
+  });
+
   // Check now button
   document.getElementById('checkNowBtn').addEventListener('click', async () => {
     const btn = document.getElementById('checkNowBtn');
@@ -123,7 +192,10 @@ function setupEventListeners() {
   // Export data
   document.getElementById('exportDataBtn').addEventListener('click', async () => {
     try {
-      const data = await exportData();
+      const data = await exportData({
+        includeSettings: document.getElementById('exportIncludeSettings').checked,
+        includeRuntime: document.getElementById('exportIncludeRuntime').checked
+      });
 
       if (!data) {
         throw new Error('No data to export');
@@ -147,6 +219,10 @@ function setupEventListeners() {
     }
   });
 
+  // Export CSV
+  document.getElementById('exportProductsCsvBtn').addEventListener('click', () => exportCsv('products'));
+  document.getElementById('exportHistoryCsvBtn').addEventListener('click', () => exportCsv('history'));
+
   // Import data
   document.getElementById('importDataBtn').addEventListener('click', () => {
     document.getElementById('importFileInput').click();
@@ -157,20 +233,40 @@ function setupEventListeners() {
     if (!file) return;
 
     try {
+      const mode = document.getElementById('importMode').value;
+      if (mode === 'replace' && !confirm('⚠️ Replace mode removes all currently tracked products before importing. Continue?')) {
+        e.target.value = '';
+        return;
+      }
+
       const text = await file.text();
-      const success = await importData(text);
+      const report = await importData(text, {
+        mode,
+        importSettings: document.getElementById('importSettings').checked,
+        importRuntime: document.getElementById('importRuntime').checked
+      });
 
-      if (success) {
-        showSuccess('Data imported successfully!');
+      renderImportReport(report);
+
+      if (report.success) {
+        const summary = `${report.added} added, ${report.merged} merged`;
+        if (report.rejected.length > 0) {
+          showWarning(`Import finished: ${summary}, ${report.rejected.length} rejected (see details below)`);
+        } else {
+          showSuccess(`Data imported successfully! (${summary})`);
+        }
+        if (report.settingsImported) {
+          await loadSettings();
+        }
         await loadStorageStats();
-        debug('[Settings]', 'Data imported successfully');
+        debug('[Settings]', 'Data imported successfully', report);
       } else {
-        throw new Error('Import failed');
+        throw new Error(report.error || 'Import failed');
       }
 
     } catch (error) {
       debugError('[Settings] Import error:', error);
-      showError('Failed to import data. Please ensure the file is valid.');
+      showError(`Failed to import data: ${error.message}`);
     }
 
     e.target.value = ''; // Reset file input
@@ -206,6 +302,480 @@ function setupEventListeners() {
   });
 }
 
+/**
+ * Render the list of per-site check schedules
+ */
+function renderDomainSchedules() {
+  const list = document.getElementById('domainScheduleList');
+  const schedules = currentSettings.checking.domainSchedules || {};
+  list.replaceChildren();
+
+  for (const [domain, rule] of Object.entries(schedules).sort(([a], [b]) => a.localeCompare(b))) {
+    const schedule = normalizeSchedule(rule);
+    if (!schedule) continue;
+
+    const parts = [];
+    if (schedule.intervalMinutes) parts.push(formatInterval(schedule.intervalMinutes));
+    if (schedule.priority) parts.push(`${schedule.priority} priority`);
+
+    const li = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = `${domain} — ${parts.join(', ')}`;
+
+    const remove = document.createElement('button');
+    remove.className = 'schedule-remove';
+    remove.dataset.domain = domain;
+    remove.textContent = '✕';
+    remove.title = `Remove schedule for ${domain}`;
+    remove.setAttribute('aria-label', `Remove schedule for ${domain}`);
+
+    li.append(label, remove);
+    list.appendChild(li);
+  }
+}
+
+/**
+ * Save per-site schedules and let the service worker adjust its alarm
+ * @param {Object} domainSchedules - Map of domain -> schedule
+ */
+async function saveDomainSchedules(domainSchedules) {
+  const response = await browser.runtime.sendMessage({
+    type: 'UPDATE_SETTINGS',
+    data: { settings: { checking: { domainSchedules } } }
+  });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Failed to save schedules');
+  }
+
+  currentSettings = await getSettings();
+  renderDomainSchedules();
+  showSaveIndicator();
+}
+
+/**
+ * Add or replace the schedule for the entered domain
+ */
+async function handleAddDomainSchedule() {
+  const domainInput = document.getElementById('scheduleDomain');
+  const interval = document.getElementById('scheduleInterval').value;
+  const priority = document.getElementById('schedulePriority').value;
+
+  // Accept pasted URLs as well as bare domains
+  let domain = domainInput.value.trim();
+  try {
+    domain = new URL(domain.includes('://') ? domain : `https://${domain}`).hostname;
+  } catch (error) {
+    domain = '';
+  }
+  domain = normalizeScheduleDomain(domain);
+
+  if (!domain || !domain.includes('.')) {
+    showError('Please enter a shop domain, e.g. amazon.de');
+    return;
+  }
+
+  const schedule = normalizeSchedule({
+    intervalMinutes: interval ? parseInt(interval, 10) : null,
+    priority: priority || null
+  });
+  if (!schedule) {
+    showError('Choose a check frequency or a priority for this shop');
+    return;
+  }
+
+  try {
+    await saveDomainSchedules({ ...(currentSettings.checking.domainSchedules || {}), [domain]: schedule });
+    domainInput.value = '';
+    debug('[Settings]', `Schedule for ${domain} saved`, schedule);
+  } catch (error) {
+    debugError('[Settings] Error saving schedule:', error);
+    showError('Failed to save schedule. Please try again.');
+  }
+}
+
+/**
+ * Remove the schedule of a domain
+ * @param {string} domain - Domain to remove
+ */
+async function handleRemoveDomainSchedule(domain) {
+  const domainSchedules = { ...(currentSettings.checking.domainSchedules || {}) };
+  delete domainSchedules[domain];
+
+  try {
+    await saveDomainSchedules(domainSchedules);
+    debug('[Settings]', `Schedule for ${domain} removed`);
+  } catch (error) {
+    debugError('[Settings] Error removing schedule:', error);
+    showError('Failed to remove schedule. Please try again.');
+  }
+}
+
+/**
+ * Fill the home currency list (called before loadSettings sets the value)
+ */
+function renderCurrencyOptions() {
+  const select = document.getElementById('homeCurrency');
+  if (select.options.length > 1) return;
+
+  for (const [code, currency] of Object.entries(CURRENCIES).sort(([a], [b]) => a.localeCompare(b))) {
+    select.appendChild(new Option(`${code} — ${currency.name}`, code));
+  }
+}
+
+/**
+ * Show the exchange-rate table in use
+ */
+function renderRateTable() {
+  const table = getRateTable(currentSettings);
+  const builtIn = table === DEFAULT_EXCHANGE_RATES;
+  document.getElementById('exchangeRates').value = formatRateTable(table);
+  document.getElementById('exchangeRatesInfo').textContent =
+    `${builtIn ? 'Built-in reference rates' : 'Your rates'}${table.date ? ` from ${table.date}` : ''} — ${Object.keys(table.rates).length} currencies, base ${table.base}`;
+}
+
+/**
+ * Save exchange rates
+ * @param {Object} exchangeRates - Rate table ({} = built-in rates)
+ */
+async function saveRateTable(exchangeRates) {
+  const response = await browser.runtime.sendMessage({
+    type: 'UPDATE_SETTINGS',
+    data: { settings: { currency: { exchangeRates } } }
+  });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Failed to save exchange rates');
+  }
+
+  currentSettings = await getSettings();
+  renderRateTable();
+  showSaveIndicator();
+}
+
+/**
+ * Validate and save the rate table in the editor
+ */
+async function handleSaveRateTable() {
+  const { table, errors } = parseRateTable(document.getElementById('exchangeRates').value);
+  if (!table) {
+    showError(`Exchange rates not saved: ${errors[0]}`);
+    return;
+  }
+
+  try {
+    await saveRateTable(table);
+    if (errors.length > 0) {
+      showWarning(`Exchange rates saved; ${errors.length} skipped (${errors.join('; ')})`);
+    }
+    debug('[Settings]', 'Exchange rates saved', table);
+  } catch (error) {
+    debugError('[Settings] Error saving exchange rates:', error);
+    showError('Failed to save exchange rates. Please try again.');
+  }
+}
+
+/**
+ * Go back to the built-in reference rates
+ */
+async function handleResetRateTable() {
+  try {
+    await saveRateTable({});
+    debug('[Settings]', 'Exchange rates reset to built-in rates');
+  } catch (error) {
+    debugError('[Settings] Error resetting exchange rates:', error);
+    showError('Failed to reset exchange rates. Please try again.');
+  }
+}
+
+/**
+ * Show the site rules in use
+ */
+function renderSiteRules() {
+  const rules = getSiteRules(currentSettings);
+  document.getElementById('siteRules').value = rules.length > 0 ? formatSiteRules(rules) : '';
+  document.getElementById('siteRulesInfo').textContent = rules.length > 0
+    ? `${rules.length} rule${rules.length === 1 ? '' : 's'}: ${rules.map(rule => rule.domain).join(', ')}`
+    : 'No rules - built-in adapters and generic detection are used';
+}
+
+/**
+ * Selectors of rules that this browser can't parse
+ * @param {Object[]} rules - Normalized rules
+ * @returns {string[]} Error messages
+ */
+function findInvalidSelectors(rules) {
+  const errors = [];
+  for (const rule of rules) {
+    for (const field of SITE_RULE_FIELDS) {
+      const selector = rule[field]?.selector || rule[field]?.script;
+      if (!selector) continue;
+      try {
+        document.createDocumentFragment().querySelector(selector);
+      } catch (error) {
+        errors.push(`${rule.domain}: ${field} has an invalid selector (${selector})`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Save site rules
+ * @param {Object[]} siteRules - Normalized rules
+ */
+async function saveSiteRules(siteRules) {
+  const response = await browser.runtime.sendMessage({
+    type: 'UPDATE_SETTINGS',
+    data: { settings: { extraction: { siteRules } } }
+  });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Failed to save site rules');
+  }
+
+  currentSettings = await getSettings();
+  renderSiteRules();
+  showSaveIndicator();
+}
+
+/**
+ * Validate and save the rules in the editor
+ * Nothing is saved while a selector is invalid, so a typo can't silently
+ * turn a working rule off.
+ */
+async function handleSaveSiteRules() {
+  const { rules, errors } = parseSiteRules(document.getElementById('siteRules').value);
+  const selectorErrors = findInvalidSelectors(rules);
+  if (errors.some(error => error.startsWith('Invalid JSON')) || errors.includes('Expected a list of rules') ||
+      selectorErrors.length > 0) {
+    showError(`Site rules not saved: ${[...errors, ...selectorErrors][0]}`);
+    return;
+  }
+
+  try {
+    await saveSiteRules(rules);
+    if (errors.length > 0) {
+      showWarning(`Site rules saved; ${errors.length} problem${errors.length === 1 ? '' : 's'} skipped (${errors.join('; ')})`);
+    }
+    debug('[Settings]', 'Site rules saved', rules);
+  } catch (error) {
+    debugError('[Settings] Error saving site rules:', error);
+    showError('Failed to save site rules. Please try again.');
+  }
+}
+
+/**
+ * Remove every site rule
+ */
+async function handleClearSiteRules() {
+  if (!confirm('Remove all site rules? Shops without a built-in adapter fall back to generic detection.')) {
+    return;
+  }
+
+  try {
+    await saveSiteRules([]);
+    debug('[Settings]', 'Site rules removed');
+  } catch (error) {
+    debugError('[Settings] Error removing site rules:', error);
+    showError('Failed to remove site rules. Please try again.');
+  }
+}
+
+/**
+ * Explain which adapter reads the page in the lookup field
+ * The page is fetched to look for shop platform fingerprints; if it can't
+ * be loaded (no permission for the site, blocked, offline) only the domain
+ * is matched.
+ */
+async function handleAdapterLookup() {
+  const url = document.getElementById('adapterLookupUrl').value.trim();
+  const result = document.getElementById('adapterLookupResult');
+  if (!url) return;
+
+  const button = document.getElementById('adapterLookupBtn');
+  button.disabled = true;
+  result.style.display = 'block';
+  result.textContent = 'Loading page...';
+
+  let page = null;
+  try {
+    // A one-off lookup; it doesn't wait for the shared request limiter
+    const html = await fetchHTML(url, { maxRetries: 0, useRateLimiter: false });
+    page = new DOMParser().parseFromString(html, 'text/html');
+  } catch (error) {
+    debug('[Settings]', 'Adapter lookup could not load the page:', error.message);
+  }
+
+  const lines = describeAdapterMatch(explainAdapterChoice(url, page, getSiteRules(currentSettings)));
+  const list = document.createElement('ul');
+  for (const line of lines) {
+    const item = document.createElement('li');
+    item.textContent = line;
+    list.appendChild(item);
+  }
+  result.replaceChildren(list);
+  button.disabled = false;
+}
+
+/**
+ * Render the list of per-site request limits
+ */
+function renderRateLimits() {
+  const list = document.getElementById('rateLimitList');
+  const rateLimits = currentSettings.checking.rateLimits || {};
+  list.replaceChildren();
+
+  for (const [domain, value] of Object.entries(rateLimits).sort(([a], [b]) => a.localeCompare(b))) {
+    const requestsPerMinute = normalizeRequestsPerMinute(value);
+    if (!requestsPerMinute) continue;
+
+    const li = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = `${domain} — ${requestsPerMinute} per minute`;
+
+    const remove = document.createElement('button');
+    remove.className = 'schedule-remove';
+    remove.dataset.domain = domain;
+    remove.textContent = '✕';
+    remove.title = `Remove limit for ${domain}`;
+    remove.setAttribute('aria-label', `Remove limit for ${domain}`);
+
+    li.append(label, remove);
+    list.appendChild(li);
+  }
+}
+
+/**
+ * Save per-site request limits
+ * @param {Object} rateLimits - Map of domain -> requests per minute
+ */
+async function saveRateLimits(rateLimits) {
+  const response = await browser.runtime.sendMessage({
+    type: 'UPDATE_SETTINGS',
+    data: { settings: { checking: { rateLimits } } }
+  });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Failed to save request limits');
+  }
+
+  currentSettings = await getSettings();
+  renderRateLimits();
+  showSaveIndicator();
+}
+
+/**
+ * Add or replace the request limit for the entered domain
+ */
+async function handleAddRateLimit() {
+  const domainInput = document.getElementById('rateLimitDomain');
+  const requestsPerMinute = normalizeRequestsPerMinute(parseInt(document.getElementById('rateLimitValue').value, 10));
+
+  // Brand patterns ("amazon.*") are kept as typed; URLs are reduced to their host
+  let domain = domainInput.value.trim().toLowerCase();
+  if (!/^[a-z0-9-]+\.\*$/.test(domain)) {
+    try {
+      domain = normalizeScheduleDomain(new URL(domain.includes('://') ? domain : `https://${domain}`).hostname);
+    } catch (error) {
+      domain = '';
+    }
+  }
+
+  if (!domain || !domain.includes('.')) {
+    showError('Please enter a shop domain, e.g. shop.example or amazon.*');
+    return;
+  }
+  if (!requestsPerMinute) {
+    showError('Choose a request limit for this shop');
+    return;
+  }
+
+  try {
+    await saveRateLimits({ ...(currentSettings.checking.rateLimits || {}), [domain]: requestsPerMinute });
+    domainInput.value = '';
+    debug('[Settings]', `Request limit for ${domain} saved`, requestsPerMinute);
+  } catch (error) {
+    debugError('[Settings] Error saving request limit:', error);
+    showError('Failed to save request limit. Please try again.');
+  }
+}
+
+/**
+ * Remove the request limit of a domain
+ * @param {string} domain - Domain to remove
+ */
+async function handleRemoveRateLimit(domain) {
+  const rateLimits = { ...(currentSettings.checking.rateLimits || {}) };
+  delete rateLimits[domain];
+
+  try {
+    await saveRateLimits(rateLimits);
+    debug('[Settings]', `Request limit for ${domain} removed`);
+  } catch (error) {
+    debugError('[Settings] Error removing request limit:', error);
+    showError('Failed to remove request limit. Please try again.');
+  }
+}
+
+/**
+ * Export tracked products or their price history as CSV
+ * @param {string} kind - 'products' or 'history'
+ */
+async function exportCsv(kind) {
+  try {
+    const products = await getAllProducts();
+    if (Object.keys(products).length === 0) {
+      showWarning('No tracked products to export');
+      return;
+    }
+
+    const locale = document.getElementById('csvLocale').value || navigator.language;
+    const csv = kind === 'history'
+      ? buildHistoryCsv(products, { locale })
+      : buildProductsCsv(products, { locale });
+
+    const date = new Date().toISOString().slice(0, 10);
+    downloadTextFile(csv, `price-genius-${kind}-${date}.csv`);
+    showSuccess(`${kind === 'history' ? 'Price history' : 'Products'} exported as CSV`);
+    debug('[Settings]', `CSV export (${kind}) complete`);
+
+  } catch (error) {
+    debugError('[Settings] CSV export error:', error);
+    showError('Failed to export CSV. Please try again.');
+  }
+}
+
+/**
+ * Show the list of rejected products after an import
+ * @param {Object} report - Report returned by importData
+ */
+function renderImportReport(report) {
+  const container = document.getElementById('importReport');
+  container.replaceChildren();
+
+  if (!report.success || (report.rejected.length === 0 && report.warnings.length === 0)) {
+    container.style.display = 'none';
+    return;
+  }
+
+  const heading = document.createElement('p');
+  heading.className = 'setting-description';
+  heading.textContent = `Schema version ${report.schemaVersion} · ${report.rejected.length} rejected · ${report.warnings.length} with warnings`;
+  container.appendChild(heading);
+
+  const list = document.createElement('ul');
+  for (const item of report.rejected) {
+    const li = document.createElement('li');
+    const label = item.title || item.productId || `Record #${item.index + 1}`;
+    li.textContent = `❌ ${label}: ${item.errors.join(', ')}`;
+    list.appendChild(li);
+  }
+  for (const item of report.warnings) {
+    const li = document.createElement('li');
+    li.textContent = `⚠️ ${item.productId}: ${item.warnings.join(', ')}`;
+    list.appendChild(li);
+  }
+  container.appendChild(list);
+  container.style.display = 'block';
+}
+
 /**
  * Handle setting change with validation and save
  * @param {Event} e - Change event from input element
@@ -213,16 +783,28 @@ function setupEventListeners() {
 async function handleSettingChange(e) {
   try {
     const settingId = e.target.id;
-    const value = e.target.type === 'checkbox' ? e.target.checked : parseInt(e.target.value, 10);
+    let value = e.target.type === 'checkbox' ? e.target.checked : parseInt(e.target.value, 10);
+    if (['priceBasis', 'homeCurrency', 'currencyChange'].includes(settingId)) {
+      value = e.target.value;
+    }
 
     // Map UI field to settings object path
     const settingMap = {
       'trackingDuration': ['tracking', 'duration'],
       'maxProducts': ['tracking', 'maxProducts'],
+      'priceBasis': ['tracking', 'priceBasis'],
+      'homeCurrency': ['currency', 'homeCurrency'],
+      'showConvertedPrices': ['currency', 'showConverted'],
+      'currencyChange': ['tracking', 'currencyChange'],
       'checkInterval': ['checking', 'interval'],
+      'maxChecksPerRun': ['checking', 'maxChecksPerRun'],
       'notificationsEnabled': ['notifications', 'enabled'],
       'minDropPercentage': ['notifications', 'minDropPercentage'],
       'maxNotificationsPerDay': ['notifications', 'maxPerDay'],
+      'backInStockNotifications': ['notifications', 'backInStock'],
+      'cheapestStoreNotifications': ['notifications', 'cheapestStore'],
+      'skipSuspiciousDrops': ['notifications', 'skipSuspiciousDrops'],
+      'activityLogEnabled': ['privacy', 'activityLog'],
       'debugMode': ['advanced', 'debugMode']
     };
 
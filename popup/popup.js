@@ -7,10 +7,24 @@ import browser, { executeScript } from '../utils/browser-polyfill.js';
 import { debug, debugError, debugWarn } from '../utils/debug.js';
 import { isUrlSupported } from '../utils/domain-validator.js';
 import { hasPermissionForUrl, requestPermissionForUrl } from '../utils/permission-manager.js';
+import { formatVariantLabel } from '../utils/variant-helper.js';
+import { getFirstPrice } from '../utils/price-history.js';
+import { analyzeProductDiscount, describeDiscountFlags } from '../utils/discount-analysis.js';
+import { formatQuantity } from '../utils/unit-price.js';
+import { buildOfferGroups, indexOfferGroups } from '../utils/offer-groups.js';
+import { getPriceBasis } from '../utils/shipping.js';
+import { getConversionOptions, convertAmount } from '../utils/exchange-rates.js';
+import { describeOutlierReasons } from '../utils/price-sanity.js';
+import { getProductImage } from '../utils/image-helper.js';
+import { CHECK_INTERVAL_OPTIONS, normalizeSchedule, formatInterval } from '../utils/check-schedule.js';
+import { BACKOFF_STORAGE_KEY, BACKOFF_REASONS, getActivePauses, formatBackoffDomain, loadBackoffState } from '../utils/domain-backoff.js';
 
 let allProducts = {};
 let currentFilter = 'all';
 let currentTab = null; // Store current tab for permission requests
+let priceBasis = 'item'; // Price compared across stores (settings.tracking.priceBasis)
+let offerGroupIndex = new Map(); // productId -> offer group (see utils/offer-groups.js)
+let conversion = { homeCurrency: null, rates: null, showConverted: false }; // settings.currency (see utils/exchange-rates.js)
 
 // Initialize popup
 document.addEventListener('DOMContentLoaded', async () => {
@@ -32,11 +46,15 @@ document.addEventListener('DOMContentLoaded', async () => {
   setupEventListeners();
 
   // Listen for storage changes to auto-refresh popup when products are added/removed
+  // Products live in IndexedDB; the storage manager bumps productsUpdatedAt on every write
   browser.storage.onChanged.addListener((changes, areaName) => {
-    if (areaName === 'local' && changes.products) {
+    if (areaName === 'local' && (changes.productsUpdatedAt || changes.products)) {
       debug('[Popup]', 'Products changed in storage, reloading...');
       loadProducts();
     }
+    if (areaName === 'local' && changes[BACKOFF_STORAGE_KEY]) {
+      renderPausedDomains(changes[BACKOFF_STORAGE_KEY].newValue || {});
+    }
   });
 });
 
@@ -114,6 +132,12 @@ async function loadProducts() {
       allProducts = {};
     }
 
+    const settingsResponse = await browser.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    if (settingsResponse && settingsResponse.success) {
+      priceBasis = getPriceBasis(settingsResponse.data);
+      conversion = getConversionOptions(settingsResponse.data);
+    }
+
     const productIds = Object.keys(allProducts);
 
     if (productIds.length === 0) {
@@ -124,6 +148,7 @@ async function loadProducts() {
 
     updateStats(allProducts);
     displayProducts(allProducts, currentFilter);
+    renderPausedDomains(await loadBackoffState());
 
   } catch (error) {
     debugError('[Popup] Error loading products:', error);
@@ -132,6 +157,45 @@ async function loadProducts() {
   }
 }
 
+/**
+ * Format the time a paused shop resumes ("14:30", or "Tue 09:15" if not today)
+ * @param {number} timestamp - Resume time
+ * @returns {string}
+ */
+function formatResumeTime(timestamp) {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if (date.toDateString() === new Date().toDateString()) {
+    return time;
+  }
+  return `${date.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+}
+
+/**
+ * Show shops whose price checks are paused after a CAPTCHA or rate limit
+ * @param {Object} backoffState - Domain backoff state from storage
+ */
+function renderPausedDomains(backoffState) {
+  const container = document.getElementById('pausedDomains');
+  if (!container) return;
+
+  const pauses = getActivePauses(backoffState);
+  container.replaceChildren();
+
+  for (const pause of pauses) {
+    const why = pause.reason === BACKOFF_REASONS.CAPTCHA
+      ? 'the shop asked for a CAPTCHA'
+      : 'the shop is limiting requests';
+    const line = document.createElement('div');
+    line.className = 'paused-domain';
+    line.title = `Price checks for this shop are paused because ${why}. They resume automatically.`;
+    line.textContent = `⏸ ${formatBackoffDomain(pause.domain)} paused until ${formatResumeTime(pause.pausedUntil)}`;
+    container.appendChild(line);
+  }
+
+  container.style.display = pauses.length > 0 ? 'block' : 'none';
+}
+
 /**
  * Update statistics display
  */
@@ -158,7 +222,7 @@ function hasActivePriceDrop(product) {
     return false;
   }
 
-  const firstPrice = product.priceHistory[0].price;
+  const firstPrice = getFirstPrice(product);
   const currentPrice = product.price.numeric;
 
   return currentPrice < firstPrice;
@@ -203,11 +267,44 @@ function groupProductsByDomain(products) {
   return sortedGroups;
 }
 
+/**
+ * Group products by offer group (same product in several stores)
+ * @param {Array} products - Products to show
+ * @returns {Array} Sections { key, name, count, products }, cheapest offer first
+ */
+function groupProductsByOffer(products) {
+  const byId = new Map(products.map(product => [product.productId, product]));
+  const seen = new Set();
+  const sections = [];
+
+  for (const product of products) {
+    const group = offerGroupIndex.get(product.productId);
+    if (!group || seen.has(group.id)) continue;
+    seen.add(group.id);
+
+    const members = group.offers.map(offer => byId.get(offer.productId)).filter(Boolean);
+    const title = members[0].title.length > 40 ? members[0].title.slice(0, 40) + '…' : members[0].title;
+    const from = group.cheapest
+      ? ` · from ${formatPrice(group.cheapest.price, group.currency, members[0].price.locale || 'en-US')}`
+      : '';
+
+    sections.push({
+      key: group.id,
+      name: title,
+      count: `${group.storeCount} stores${from}`,
+      products: members
+    });
+  }
+
+  return sections;
+}
+
 /**
  * Display products based on filter
  */
 function displayProducts(products, filter) {
   const container = document.getElementById('productsList');
+  offerGroupIndex = indexOfferGroups(buildOfferGroups(Object.values(products), priceBasis, conversion));
   const filteredProducts = filterProducts(products, filter);
 
   if (filteredProducts.length === 0) {
@@ -255,21 +352,27 @@ function displayProducts(products, filter) {
     return bChecked - aChecked;
   });
 
-  // Group products by domain
-  const groupedProducts = groupProductsByDomain(filteredProducts);
+  // Group products by domain, or by product on the "Compare" tab
+  const sections = filter === 'compare'
+    ? groupProductsByOffer(filteredProducts)
+    : Object.entries(groupProductsByDomain(filteredProducts)).map(([domain, products]) => ({
+      key: domain,
+      name: getStoreName(domain),
+      count: `${products.length} ${products.length === 1 ? 'product' : 'products'}`,
+      products
+    }));
 
   // Create HTML for grouped products using DOMParser for security
   const parser = new DOMParser();
-  const htmlString = Object.entries(groupedProducts).map(([domain, products]) => {
-    const storeName = getStoreName(domain);
+  const htmlString = sections.map(({ key, name, count, products }) => {
     const productCards = products.map(product => createProductCard(product)).join('');
 
     return `
       <div class="product-group">
-        <div class="group-header" data-domain="${escapeHtml(domain)}">
+        <div class="group-header" data-group="${escapeHtml(key)}">
           <div class="group-info">
-            <span class="group-name">${escapeHtml(storeName)}</span>
-            <span class="group-count">${products.length} ${products.length === 1 ? 'product' : 'products'}</span>
+            <span class="group-name">${escapeHtml(name)}</span>
+            <span class="group-count">${escapeHtml(count)}</span>
           </div>
           <svg class="group-chevron" width="12" height="12" viewBox="0 0 12 12" fill="none" xmlns="http://www.w3.org/2000/svg">
             <path d="M3 4.5L6 7.5L9 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
@@ -315,6 +418,49 @@ function displayProducts(products, filter) {
       await handleRefreshSingleProduct(productId, e.currentTarget);
     });
 
+    card.querySelector('.btn-target')?.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await handleSetTargetPrice(productId);
+    });
+
+    card.querySelector('.btn-schedule')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      card.querySelector('.schedule-panel')?.classList.toggle('open');
+    });
+
+    card.querySelectorAll('.schedule-panel select').forEach(select => {
+      select.addEventListener('click', (e) => e.stopPropagation());
+      select.addEventListener('change', async () => {
+        await handleSetCheckSchedule(productId, card);
+      });
+    });
+
+    card.querySelector('.btn-link')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const panel = card.querySelector('.link-panel');
+      if (panel && !panel.classList.contains('open')) {
+        fillLinkOptions(productId, panel.querySelector('.link-target'));
+      }
+      panel?.classList.toggle('open');
+    });
+
+    card.querySelector('.link-target')?.addEventListener('click', (e) => e.stopPropagation());
+
+    card.querySelector('.btn-link-save')?.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await handleLinkProduct(productId, card.querySelector('.link-target').value);
+    });
+
+    card.querySelector('.btn-unlink')?.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await handleUnlinkProduct(productId);
+    });
+
+    card.querySelector('.btn-accept-currency')?.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await handleAcceptCurrencyChange(productId);
+    });
+
     card.querySelector('.btn-delete')?.addEventListener('click', async (e) => {
       e.stopPropagation();
       await handleDeleteProduct(productId);
@@ -323,10 +469,9 @@ function displayProducts(products, filter) {
     // Load image from separate storage (lazy loading for performance)
     const img = card.querySelector('.product-image[data-fallback]');
     if (img) {
-      const imageKey = `img_${productId}`;
-      browser.storage.local.get(imageKey).then(result => {
-        if (result[imageKey]) {
-          img.src = result[imageKey];
+      getProductImage(productId).then(imageDataUrl => {
+        if (imageDataUrl) {
+          img.src = imageDataUrl;
           img.style.display = 'block';
           const placeholder = document.getElementById(`placeholder-${productId}`);
           if (placeholder) {
@@ -364,6 +509,10 @@ function filterProducts(products, filter) {
     return productArray.filter(product => hasActivePriceDrop(product));
   }
 
+  if (filter === 'compare') {
+    return productArray.filter(product => offerGroupIndex.has(product.productId));
+  }
+
   if (filter === 'expiring') {
     const now = Date.now();
     const twentyFiveDays = 25 * 24 * 60 * 60 * 1000;
@@ -386,15 +535,16 @@ function createProductCard(product) {
   const locale = product.price.locale || 'en-US';
 
   // Determine the original/regular price
-  // Priority 1: Use regularPrice from product.price (e.g., from WooCommerce <del> tag)
+  // Priority 1: Use the shop's "was" price (regularPrice, see utils/sale-price.js)
   // Priority 2: Fall back to first price in history
   let firstPrice = currentPrice;
-  if (product.price.regularPrice && product.price.regularPrice > currentPrice) {
+  const onSale = product.price.regularPrice > currentPrice;
+  if (onSale) {
     // Product is currently on sale - use the regular price
     firstPrice = product.price.regularPrice;
   } else if (product.priceHistory && product.priceHistory.length > 0) {
-    // Use first historical price
-    firstPrice = product.priceHistory[0].price;
+    // Use first historical price (kept in all-time stats after compaction)
+    firstPrice = getFirstPrice(product) ?? currentPrice;
   }
 
   const hasPriceChange = firstPrice !== currentPrice;
@@ -407,12 +557,84 @@ function createProductCard(product) {
   const formattedCurrent = formatPrice(currentPrice, currency, locale);
   const formattedOriginal = formatPrice(firstPrice, currency, locale);
 
+  // Current price in the home currency, if the user wants to see it
+  const convertedPrice = conversion.showConverted && conversion.homeCurrency && currency !== conversion.homeCurrency
+    ? convertAmount(currentPrice, currency, conversion.homeCurrency, conversion.rates)
+    : null;
+
+  // Distance to the user's target price, if one is set
+  const targetPrice = product.notifications?.targetPrice ?? null;
+  const targetDistance = targetPrice ? currentPrice - targetPrice : null;
+  const targetReached = targetDistance !== null && targetDistance <= 0;
+  const targetText = targetPrice === null
+    ? ''
+    : targetReached
+      ? `Target reached (${formatPrice(targetPrice, currency, locale)})`
+      : `${formatPrice(targetDistance, currency, locale)} (${((targetDistance / currentPrice) * 100).toFixed(0)}%) above target ${formatPrice(targetPrice, currency, locale)}`;
+
+  // Possibly fake discount (inflated was price, raise before the drop)
+  const discount = analyzeProductDiscount(product);
+  const discountWarning = discount?.suspicious
+    ? describeDiscountFlags(discount, value => formatPrice(value, currency, locale)).join('. ')
+    : '';
+
+  // End of the sale, if the shop announces one
+  const saleEndsAt = onSale && product.price.saleEndsAt > Date.now() ? product.price.saleEndsAt : null;
+
+  // Shipping cost, if the shop shows one (0 = free shipping)
+  const shipping = typeof product.price.shipping === 'number' ? product.price.shipping : null;
+  const shippingText = shipping === null
+    ? ''
+    : shipping === 0 ? 'Free shipping' : `+ ${formatPrice(shipping, currency, locale)} shipping`;
+
+  // Price per kg/l/item and pack size, for groceries and multi-packs
+  const unitPriceText = typeof product.price.unitPrice === 'number'
+    ? `${formatPrice(product.price.unitPrice, currency, locale)}/${product.price.unit}${typeof product.price.quantity === 'number' ? ` · ${formatQuantity(product.price.quantity, product.price.unit)}` : ''}`
+    : '';
+
+  // Out-of-stock items are expected to fail price extraction, so they're never stale
+  const outOfStock = product.availability === 'OutOfStock' || product.tracking?.status === 'out_of_stock';
+
   // Check if product is stale (failed checks)
-  const isStale = product.tracking?.status === 'stale' || (product.tracking?.failedChecks || 0) >= 3;
+  const isStale = !outOfStock &&
+    (product.tracking?.status === 'stale' || (product.tracking?.failedChecks || 0) >= 3);
 
   // Get store name from domain
   const storeName = getStoreName(product.domain);
 
+  // Tracked variant (size, color, ...) if any
+  const variantLabel = formatVariantLabel(product.variant);
+
+  // Same product in other stores (see utils/offer-groups.js)
+  const offerGroup = offerGroupIndex.get(product.productId) || null;
+  let offerText = '';
+  if (offerGroup?.cheapest) {
+    const cheapest = offerGroup.cheapest;
+    const perUnit = offerGroup.basis === 'unit' ? `/${product.price.unit}` : '';
+    // Converted offers show the shop's own price, then the compared amount
+    const cheapestPrice = cheapest.originalCurrency
+      ? `${formatPrice(cheapest.originalPrice, cheapest.originalCurrency, locale)}${perUnit} (≈ ${formatPrice(cheapest.price, offerGroup.currency, locale)}${perUnit})`
+      : `${formatPrice(cheapest.price, offerGroup.currency, locale)}${perUnit}`;
+    offerText = cheapest.productId === product.productId
+      ? `Cheapest of ${offerGroup.storeCount} stores`
+      : `Cheaper at ${getStoreName(cheapest.domain)}: ${cheapestPrice}`;
+  }
+
+  // Page now shows another currency; the price is kept until confirmed (see utils/currency-change.js)
+  const currencyChange = product.currencyChange || null;
+
+  // Implausible background reading held until the next check (see utils/price-sanity.js)
+  const unconfirmedPrice = product.unconfirmedPrice || null;
+
+  // Own check schedule, if the user set one for this product
+  const schedule = normalizeSchedule(product.schedule);
+  const scheduleParts = [];
+  if (schedule?.intervalMinutes) scheduleParts.push(formatInterval(schedule.intervalMinutes));
+  if (schedule?.priority) scheduleParts.push(`${schedule.priority} priority`);
+  const intervalOptions = CHECK_INTERVAL_OPTIONS.map(option =>
+    `<option value="${option.minutes}" ${schedule?.intervalMinutes === option.minutes ? 'selected' : ''}>${option.label}</option>`
+  ).join('');
+
   return `
     <div class="product-card ${isStale ? 'stale' : ''}" data-product-id="${product.productId}">
       <div class="product-header">
@@ -429,22 +651,73 @@ function createProductCard(product) {
         <div class="product-info">
           <div class="product-title">${escapeHtml(product.title)}</div>
           <div class="product-store">${storeName}</div>
+          ${variantLabel ? `<div class="product-variant" title="Tracked variant">${escapeHtml(variantLabel)}</div>` : ''}
           <div class="product-pricing">
             <span class="current-price">${formattedCurrent}</span>
-            ${hasPriceChange ? `<span class="original-price">${formattedOriginal}</span>` : ''}
+            ${convertedPrice !== null ? `<span class="converted-price" title="Converted to ${escapeHtml(conversion.homeCurrency)}${conversion.rates.date ? ` at rates from ${escapeHtml(conversion.rates.date)}` : ''}">≈ ${formatPrice(convertedPrice, conversion.homeCurrency, locale)}</span>` : ''}
+            ${hasPriceChange ? `<span class="original-price" title="${onSale ? 'Was price shown by the shop' : 'First tracked price'}">${formattedOriginal}</span>` : ''}
             ${hasDropped ? `<span class="price-drop">${Math.abs(priceChangePercent).toFixed(0)}%</span>` : ''}
             ${hasIncreased ? `<span class="price-increase">${Math.abs(priceChangePercent).toFixed(0)}%</span>` : ''}
+            ${discountWarning ? `<span class="discount-warning" title="${escapeHtml(discountWarning)}">⚠ Suspicious</span>` : ''}
           </div>
+          ${targetPrice !== null ? `<div class="target-price ${targetReached ? 'reached' : ''}" title="Target price alert">🎯 ${targetText}</div>` : ''}
+          ${unitPriceText ? `<div class="unit-price-indicator" title="Unit price and pack size">⚖ ${unitPriceText}</div>` : ''}
+          ${shippingText ? `<div class="shipping-indicator" title="Total with shipping: ${formatPrice(currentPrice + shipping, currency, locale)}">🚚 ${shippingText}</div>` : ''}
+          ${saleEndsAt ? `<div class="sale-indicator" title="Sale end announced by the shop">🏷 Sale ends ${new Date(saleEndsAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}</div>` : ''}
+          ${offerText ? `<div class="offer-indicator ${offerGroup.cheapest.productId === product.productId ? 'cheapest' : ''}" title="${offerGroup.manual ? 'Linked by hand' : 'Matched by barcode, part number or model'}">🏬 ${escapeHtml(offerText)}</div>` : ''}
+          ${scheduleParts.length > 0 ? `<div class="schedule-indicator" title="Custom check schedule">⏱ ${scheduleParts.join(' · ')}</div>` : ''}
+          ${outOfStock ? '<div class="stock-indicator out-of-stock" title="The shop lists this item as unavailable">📦 Out of stock</div>' : ''}
+          ${currencyChange ? `<div class="currency-indicator" title="The shop showed ${currencyChange.to} instead of ${currencyChange.from} (${currencyChange.count}x since ${new Date(currencyChange.firstSeen).toLocaleDateString()}). Prices in different currencies aren't compared.">💱 Now in ${currencyChange.to}: ${formatPrice(currencyChange.price, currencyChange.to, locale)} <button class="btn-accept-currency" type="button" title="Track this product in ${currencyChange.to} from now on">Use ${currencyChange.to}</button></div>` : ''}
+          ${unconfirmedPrice ? `<div class="unconfirmed-indicator" title="Not taken: ${escapeHtml(describeOutlierReasons(unconfirmedPrice.reasons))}. The next check confirms or drops it.">❔ Unconfirmed reading: ${formatPrice(unconfirmedPrice.price, unconfirmedPrice.currency || currency, locale)}</div>` : ''}
           ${isStale ? '<div class="stale-indicator" title="Could not update price. The product page may have changed.">⚠️ Update failed</div>' : ''}
         </div>
       </div>
 
+      <div class="schedule-panel">
+        <select class="schedule-interval" aria-label="Check frequency for ${escapeHtml(product.title)}">
+          <option value="">Default frequency</option>
+          ${intervalOptions}
+        </select>
+        <select class="schedule-priority" aria-label="Check priority for ${escapeHtml(product.title)}">
+          <option value="">Default priority</option>
+          <option value="high" ${schedule?.priority === 'high' ? 'selected' : ''}>High priority</option>
+          <option value="normal" ${schedule?.priority === 'normal' ? 'selected' : ''}>Normal priority</option>
+          <option value="low" ${schedule?.priority === 'low' ? 'selected' : ''}>Low priority</option>
+        </select>
+      </div>
+
+      <div class="link-panel">
+        <select class="link-target" aria-label="Same product in another store as ${escapeHtml(product.title)}">
+          <option value="">Same product as…</option>
+        </select>
+        <button class="btn-link-save" type="button">Link</button>
+        ${offerGroup ? '<button class="btn-unlink" type="button" title="Don\'t compare this product with other stores">Unlink</button>' : ''}
+      </div>
+
       <div class="product-actions">
         <button class="product-icon-btn btn-refresh" title="Refresh price" aria-label="Refresh price for ${escapeHtml(product.title)}">
           <svg width="14" height="14" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
             <path d="M13.65 2.35C12.2 0.9 10.21 0 8 0C3.58 0 0.01 3.58 0.01 8C0.01 12.42 3.58 16 8 16C11.73 16 14.84 13.45 15.73 10H13.65C12.83 12.33 10.61 14 8 14C4.69 14 2 11.31 2 8C2 4.69 4.69 2 8 2C9.66 2 11.14 2.69 12.22 3.78L9 7H16V0L13.65 2.35Z" fill="currentColor"/>
           </svg>
         </button>
+        <button class="product-icon-btn btn-target" title="Set target price" aria-label="Set target price for ${escapeHtml(product.title)}">
+          <svg width="14" height="14" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+            <circle cx="8" cy="8" r="6.5" stroke="currentColor" stroke-width="1.5"/>
+            <circle cx="8" cy="8" r="3.5" stroke="currentColor" stroke-width="1.5"/>
+            <circle cx="8" cy="8" r="1" fill="currentColor"/>
+          </svg>
+        </button>
+        <button class="product-icon-btn btn-schedule" title="Check schedule" aria-label="Set check schedule for ${escapeHtml(product.title)}">
+          <svg width="14" height="14" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+            <circle cx="8" cy="8" r="6.5" stroke="currentColor" stroke-width="1.5"/>
+            <path d="M8 4.5V8L10.5 9.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+          </svg>
+        </button>
+        <button class="product-icon-btn btn-link" title="Compare with other stores" aria-label="Link ${escapeHtml(product.title)} with the same product in other stores">
+          <svg width="14" height="14" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+            <path d="M6.5 9.5L9.5 6.5M7 4L8.5 2.5C9.88 1.12 12.12 1.12 13.5 2.5C14.88 3.88 14.88 6.12 13.5 7.5L12 9M9 12L7.5 13.5C6.12 14.88 3.88 14.88 2.5 13.5C1.12 12.12 1.12 9.88 2.5 8.5L4 7" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+          </svg>
+        </button>
         <button class="product-icon-btn btn-visit" title="Visit page" aria-label="Visit product page for ${escapeHtml(product.title)}">
           <svg width="14" height="14" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
             <path d="M14 9V14C14 14.5304 13.7893 15.0391 13.4142 15.4142C13.0391 15.7893 12.5304 16 12 16H2C1.46957 16 0.960859 15.7893 0.585786 15.4142C0.210714 15.0391 0 14.5304 0 14V4C0 3.46957 0.210714 2.96086 0.585786 2.58579C0.960859 2.21071 1.46957 2 2 2H7M11 0H16M16 0V5M16 0L7 9" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
@@ -496,11 +769,12 @@ function getStoreName(domain) {
 
 /**
  * Escape HTML to prevent XSS
+ * Quotes are escaped too, so the result is safe inside attribute values.
  */
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 /**
@@ -669,6 +943,50 @@ async function executeProductDetection(tabId) {
   }
 }
 
+/**
+ * Start the price picker on the current tab
+ * The picker saves the picked price and title as the domain's site rule.
+ * @param {number} tabId - Tab ID to start the picker on
+ * @returns {Promise<Object>} - { success, candidates } or { success: false, error }
+ */
+async function executePricePicker(tabId) {
+  try {
+    const results = await executeScript({
+      target: { tabId: tabId },
+      func: async () => {
+        const api = (typeof browser !== 'undefined' ? browser : (typeof chrome !== 'undefined' ? chrome : null));
+
+        if (!api) {
+          return { success: false, error: 'Browser API not found in script context' };
+        }
+
+        try {
+          // The picker imports the detector - keep its auto-detection from running
+          window.__PRICE_TRACKER_MANUAL_MODE__ = true;
+
+          const { startPricePicker } = await import(api.runtime.getURL('content-scripts/price-picker.js'));
+          const { candidates } = startPricePicker();
+          return { success: true, candidates };
+        } catch (error) {
+          console.error('[Price Drop Tracker] Price picker error:', error);
+          return { success: false, error: error.message };
+        }
+      }
+    });
+
+    if (!results || results.length === 0) {
+      debugError('[Popup] No results from price picker injection');
+      return { success: false, error: 'Script execution failed' };
+    }
+
+    return results[0].result;
+
+  } catch (error) {
+    debugError('[Popup] Error starting price picker:', error);
+    return { success: false, error: `Script injection failed: ${error.message}` };
+  }
+}
+
 /**
  * Set up event listeners
  */
@@ -788,7 +1106,10 @@ function setupEventListeners() {
         }
       } else {
         const errorMsg = result && result.error ? result.error : 'Unable to detect product';
-        showTemporaryMessage(errorMsg, 'error');
+        // Detection found nothing usable - point at the picker
+        showTemporaryMessage(result && result.error === 'No product found on this page'
+          ? `${errorMsg}. Use the crosshair button at the top ("Pick the price on this page") to pick the price yourself.`
+          : errorMsg, 'error');
       }
 
       // Reset button
@@ -813,6 +1134,28 @@ function setupEventListeners() {
     });
   });
 
+  // Pick price button - fix a wrong or missing price with a site rule
+  const pickPriceBtn = document.getElementById('pickPriceBtn');
+  pickPriceBtn.addEventListener('click', async () => {
+    const tab = currentTab;
+    if (!tab || !tab.id || !tab.url) {
+      showTemporaryMessage('Unable to access current tab', 'error');
+      return;
+    }
+
+    pickPriceBtn.disabled = true;
+    const result = await executePricePicker(tab.id);
+    debug('[Popup]', 'Price picker result:', result);
+    pickPriceBtn.disabled = false;
+
+    if (result && result.success) {
+      // Close the popup so the page can be clicked
+      window.close();
+    } else {
+      showTemporaryMessage(result?.error || 'Unable to start the price picker', 'error');
+    }
+  });
+
   // Refresh button
   const refreshBtn = document.getElementById('refreshBtn');
   refreshBtn.addEventListener('click', async () => {
@@ -883,7 +1226,10 @@ async function handleRefreshSingleProduct(productId, buttonElement) {
       data: { productId }
     });
 
-    if (response && response.success) {
+    const checkResult = response?.data?.checkResult;
+    if (response && response.success && checkResult?.status === 'domain_paused') {
+      showTemporaryMessage(`${formatBackoffDomain(checkResult.domain)} paused until ${formatResumeTime(checkResult.pausedUntil)}`, 'error');
+    } else if (response && response.success) {
       // Update the product in our local cache
       const updatedProduct = response.data.product;
       if (updatedProduct) {
@@ -906,6 +1252,185 @@ async function handleRefreshSingleProduct(productId, buttonElement) {
   }
 }
 
+/**
+ * Handle setting or clearing a product's target price
+ * @param {string} productId - ID of product to update
+ */
+async function handleSetTargetPrice(productId) {
+  const product = allProducts[productId];
+  if (!product) return;
+
+  const current = product.notifications?.targetPrice;
+  const input = prompt(
+    'Notify me when the price drops to or below (leave empty to remove the target):',
+    current ? String(current) : ''
+  );
+
+  // Cancelled
+  if (input === null) {
+    return;
+  }
+
+  let targetPrice = null;
+  if (input.trim() !== '') {
+    targetPrice = parseFloat(input.trim().replace(/\s/g, '').replace(',', '.'));
+    if (!isFinite(targetPrice) || targetPrice <= 0) {
+      showTemporaryMessage('Please enter a valid price', 'error');
+      return;
+    }
+  }
+
+  try {
+    const response = await browser.runtime.sendMessage({
+      type: 'SET_TARGET_PRICE',
+      data: { productId, targetPrice }
+    });
+
+    if (response && response.success) {
+      allProducts[productId] = response.data.product;
+      displayProducts(allProducts, currentFilter);
+      const message = targetPrice === null
+        ? 'Target price removed'
+        : response.data.targetMet ? 'Target price saved - the price is already at or below it' : 'Target price saved';
+      showTemporaryMessage(message, 'success');
+    } else {
+      showTemporaryMessage('Failed to save target price', 'error');
+    }
+  } catch (error) {
+    debugError('[Popup] Error setting target price:', error);
+    showTemporaryMessage('Failed to save target price', 'error');
+  }
+}
+
+/**
+ * Save the check schedule chosen in a product card
+ * @param {string} productId - ID of product to update
+ * @param {HTMLElement} card - Product card holding the schedule selects
+ */
+async function handleSetCheckSchedule(productId, card) {
+  const interval = card.querySelector('.schedule-interval').value;
+  const priority = card.querySelector('.schedule-priority').value;
+  const schedule = {
+    intervalMinutes: interval ? parseInt(interval, 10) : null,
+    priority: priority || null
+  };
+
+  try {
+    const response = await browser.runtime.sendMessage({
+      type: 'SET_CHECK_SCHEDULE',
+      data: { productId, schedule }
+    });
+
+    if (response && response.success) {
+      allProducts[productId] = response.data.product;
+      displayProducts(allProducts, currentFilter);
+      showTemporaryMessage('Check schedule saved', 'success');
+    } else {
+      showTemporaryMessage('Failed to save check schedule', 'error');
+    }
+  } catch (error) {
+    debugError('[Popup] Error setting check schedule:', error);
+    showTemporaryMessage('Failed to save check schedule', 'error');
+  }
+}
+
+/**
+ * Fill the product choice of a link panel with the other tracked products
+ * Filled when the panel opens, so the popup doesn't build a long list per card.
+ * @param {string} productId - Product being linked
+ * @param {HTMLSelectElement} select - Target select
+ */
+function fillLinkOptions(productId, select) {
+  const group = offerGroupIndex.get(productId);
+  const others = Object.values(allProducts)
+    .filter(product => product.productId !== productId && !(group && offerGroupIndex.get(product.productId) === group))
+    .sort((a, b) => a.title.localeCompare(b.title));
+
+  select.replaceChildren(new Option('Same product as…', ''));
+  for (const product of others) {
+    const title = product.title.length > 50 ? product.title.slice(0, 50) + '…' : product.title;
+    select.appendChild(new Option(`${title} · ${getStoreName(product.domain)}`, product.productId));
+  }
+}
+
+/**
+ * Link a product by hand with the same product in another store
+ * @param {string} productId - Product being linked
+ * @param {string} otherProductId - Product in the other store
+ */
+async function handleLinkProduct(productId, otherProductId) {
+  if (!otherProductId) {
+    showTemporaryMessage('Choose the same product in another store', 'error');
+    return;
+  }
+
+  try {
+    const response = await browser.runtime.sendMessage({
+      type: 'LINK_PRODUCTS',
+      data: { productId, otherProductId }
+    });
+
+    if (response && response.success) {
+      // Linking can move several products into the group
+      await loadProducts();
+      showTemporaryMessage('Products linked', 'success');
+    } else {
+      showTemporaryMessage('Failed to link products', 'error');
+    }
+  } catch (error) {
+    debugError('[Popup] Error linking products:', error);
+    showTemporaryMessage('Failed to link products', 'error');
+  }
+}
+
+/**
+ * Take a product out of its offer group
+ * @param {string} productId - ID of product to unlink
+ */
+async function handleUnlinkProduct(productId) {
+  try {
+    const response = await browser.runtime.sendMessage({
+      type: 'UNLINK_PRODUCT',
+      data: { productId }
+    });
+
+    if (response && response.success) {
+      allProducts[productId] = response.data.product;
+      displayProducts(allProducts, currentFilter);
+      showTemporaryMessage('Product unlinked', 'success');
+    } else {
+      showTemporaryMessage('Failed to unlink product', 'error');
+    }
+  } catch (error) {
+    debugError('[Popup] Error unlinking product:', error);
+    showTemporaryMessage('Failed to unlink product', 'error');
+  }
+}
+
+/**
+ * Track a product in the currency its page now shows
+ * @param {string} productId - ID of the flagged product
+ */
+async function handleAcceptCurrencyChange(productId) {
+  try {
+    const response = await browser.runtime.sendMessage({
+      type: 'ACCEPT_CURRENCY_CHANGE',
+      data: { productId }
+    });
+
+    if (response && response.success) {
+      allProducts[productId] = response.data.product;
+      displayProducts(allProducts, currentFilter);
+      showTemporaryMessage(`Now tracking in ${response.data.product.price.currency}`, 'success');
+    } else {
+      showTemporaryMessage('Failed to change currency', 'error');
+    }
+  } catch (error) {
+    debugError('[Popup] Error accepting currency change:', error);
+    showTemporaryMessage('Failed to change currency', 'error');
+  }
+}
+
 /**
  * Handle deleting a product
  * @param {string} productId - ID of product to delete
@@ -0,0 +1,144 @@
+/**
+ * Activity Log Test Suite
+ * Tests for activity log entries, filters and exports
+ * Run with Node.js
+ */
+
+import {
+  ACTIVITY_TYPES,
+  isActivityLogEnabled,
+  createActivityEntry,
+  describeCheckResult,
+  filterActivity,
+  buildActivityExport
+} from '../utils/activity-log.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 5, 15, 12, 0, 0);
+
+const entries = [
+  { id: 1, ...createActivityEntry(ACTIVITY_TYPES.CHECK_RESULT, { productId: 'a', domain: 'https://www.amazon.de/dp/1', message: 'a' }, NOW - 3 * HOUR) },
+  { id: 2, ...createActivityEntry(ACTIVITY_TYPES.DOMAIN_BLOCKED, { productId: 'a', domain: 'smile.amazon.de', message: 'blocked' }, NOW - 2 * HOUR) },
+  { id: 3, ...createActivityEntry(ACTIVITY_TYPES.CHECK_RESULT, { productId: 'b', domain: 'otto.de', message: 'b' }, NOW - HOUR) },
+  { id: 4, ...createActivityEntry(ACTIVITY_TYPES.CHECK_RUN, { message: 'run' }, NOW - HOUR) }
+];
+
+const tests = [
+  {
+    name: "Logging is on unless the privacy toggle is off",
+    run: () => {
+      return isActivityLogEnabled({ privacy: { activityLog: true } }) &&
+        isActivityLogEnabled({}) &&
+        isActivityLogEnabled(undefined) &&
+        !isActivityLogEnabled({ privacy: { activityLog: false } });
+    }
+  },
+  {
+    name: "Entries get a normalized domain and defaults",
+    run: () => {
+      const entry = createActivityEntry(ACTIVITY_TYPES.PERMISSION_GRANTED, { domain: 'https://www.Shop.example/p/1' }, NOW);
+      return entry.domain === 'shop.example' && entry.timestamp === NOW &&
+        entry.productId === null && entry.message === 'Permission granted' &&
+        typeof entry.details === 'object';
+    }
+  },
+  {
+    name: "An explicit timestamp is kept",
+    run: () => createActivityEntry(ACTIVITY_TYPES.CHECK_RESULT, { timestamp: NOW - HOUR }, NOW).timestamp === NOW - HOUR
+  },
+  {
+    name: "Check results are described in one line",
+    run: () => {
+      return describeCheckResult({ status: 'price_drop', oldPrice: 100, newPrice: 80, changePercent: -20, targetReached: true }, 'EUR') ===
+          'Price dropped EUR 100.00 → EUR 80.00 (-20.0%), target reached' &&
+        describeCheckResult({ status: 'no_change', price: 9.5 }) === 'No change at 9.50' &&
+        describeCheckResult({ status: 'error', error: 'HTTP 404' }) === 'Check failed: HTTP 404' &&
+        describeCheckResult({ status: 'success' }) === 'Checked';
+    }
+  },
+  {
+    name: "Shipping and pack size changes are named in check results",
+    run: () => {
+      return describeCheckResult({ status: 'price_drop', oldPrice: 30, newPrice: 25, changePercent: -16.7, shippingChange: 'free_shipping_added' }) ===
+          'Price dropped 30.00 → 25.00 (-16.7%), free shipping' &&
+        describeCheckResult({ status: 'price_increase', oldPrice: 9.98, newPrice: 11.09, changePercent: 11.1, priceBasis: 'unit', unit: 'kg', packSizeChange: 'pack_size_decreased' }, 'EUR') ===
+          'Price rose EUR 9.98/kg → EUR 11.09/kg (+11.1%), smaller pack';
+    }
+  },
+  {
+    name: "Filters combine and sort newest first",
+    run: () => {
+      const all = filterActivity(entries);
+      const checks = filterActivity(entries, { type: ACTIVITY_TYPES.CHECK_RESULT });
+      const productA = filterActivity(entries, { productId: 'a' });
+      return all.map(e => e.id).join(',') === '4,3,2,1' &&
+        checks.map(e => e.id).join(',') === '3,1' &&
+        productA.map(e => e.id).join(',') === '2,1';
+    }
+  },
+  {
+    name: "Shop filter includes subdomains only",
+    run: () => {
+      return filterActivity(entries, { domain: 'amazon.de' }).length === 2 &&
+        filterActivity(entries, { domain: 'www.otto.de' }).length === 1 &&
+        filterActivity(entries, { domain: 'zon.de' }).length === 0;
+    }
+  },
+  {
+    name: "Time range is inclusive",
+    run: () => {
+      const range = filterActivity(entries, { from: NOW - 2 * HOUR, to: NOW - HOUR });
+      return range.map(e => e.id).join(',') === '4,3,2';
+    }
+  },
+  {
+    name: "Export is chronological and records the filters",
+    run: () => {
+      const exported = buildActivityExport(filterActivity(entries), { type: 'x' }, NOW);
+      return exported.kind === 'activity-log' && exported.exportedAt === NOW &&
+        exported.filters.type === 'x' && exported.entries[0].id === 1 && exported.entries.length === 4;
+    }
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Activity Log Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
@@ -0,0 +1,211 @@
+/**
+ * Adapter Matching Test Suite
+ * Tests for choosing site adapters by registrable domain and platform fingerprints
+ * Run with Node.js
+ */
+
+import {
+  PLATFORM_FINGERPRINTS,
+  getMatchHost,
+  getRegistrableDomain,
+  matchesHostPattern,
+  getPlatformSignals,
+  matchAdapters,
+  describeAdapterMatch
+} from '../utils/adapter-matching.js';
+import { ADAPTER_REGISTRY, explainAdapterChoice } from '../content-scripts/site-adapters/adapter-registry.js';
+import { getAdapter } from '../content-scripts/site-adapters/adapter-factory.js';
+
+/**
+ * Minimal parsed document: the selectors present, plus the page source
+ */
+function fakeDocument({ selectors = [], html = '' } = {}) {
+  const element = { tagName: 'DIV', textContent: '', getAttribute: () => null, querySelector: () => null, querySelectorAll: () => [] };
+  return {
+    defaultView: null,
+    documentElement: { lang: 'en', innerHTML: html, getAttribute: () => null },
+    body: { id: '', textContent: '', className: '', classList: { contains: () => false } },
+    querySelector: (selector) => selectors.includes(selector) ? element : null,
+    querySelectorAll: (selector) => selectors.includes(selector) ? [element] : []
+  };
+}
+
+const SHOPIFY_PAGE = { selectors: ['link[href*="cdn.shopify.com"], script[src*="cdn.shopify.com"]'], html: 'window.ShopifyAnalytics = {}' };
+const WOOCOMMERCE_PAGE = { selectors: ['.woocommerce-Price-amount'] };
+
+const tests = [
+  {
+    name: "Hosts are normalized from URLs and hostnames",
+    run: () => getMatchHost('https://www.Amazon.DE/dp/B01') === 'amazon.de' &&
+      getMatchHost('shop.example.') === 'shop.example' &&
+      getMatchHost('https://') === null &&
+      getMatchHost(null) === null
+  },
+  {
+    name: "Registrable domains respect two-label public suffixes",
+    run: () => getRegistrableDomain('https://smile.amazon.co.uk/x') === 'amazon.co.uk' &&
+      getRegistrableDomain('www.target.com.au') === 'target.com.au' &&
+      getRegistrableDomain('intl.thomann.de') === 'thomann.de' &&
+      getRegistrableDomain('localhost') === 'localhost' &&
+      getRegistrableDomain('192.168.1.10') === '192.168.1.10'
+  },
+  {
+    name: "Exact host patterns don't match look-alike domains",
+    run: () => matchesHostPattern('https://www.target.com/p/x', 'target.com') &&
+      !matchesHostPattern('https://www.target.com.au/p/x', 'target.com') &&
+      !matchesHostPattern('https://mytarget.com/', 'target.com') &&
+      !matchesHostPattern('https://target.com.evil.example/', 'target.com')
+  },
+  {
+    name: "Brand patterns match any public suffix of the brand only",
+    run: () => matchesHostPattern('https://www.amazon.co.uk/dp/1', 'amazon.*') &&
+      matchesHostPattern('https://www.amazon.de/dp/1', 'amazon.*') &&
+      !matchesHostPattern('https://amazonbooks.com/', 'amazon.*') &&
+      !matchesHostPattern('https://amazon.scam.example/', 'amazon.*')
+  },
+  {
+    name: "Platform signals are read from selectors and page source",
+    run: () => {
+      const signals = getPlatformSignals(fakeDocument(SHOPIFY_PAGE), 'shopify');
+      return signals.length === 2 &&
+        signals.includes('Shopify CDN assets') &&
+        signals.includes('ShopifyAnalytics script') &&
+        getPlatformSignals(fakeDocument(), 'shopify').length === 0 &&
+        getPlatformSignals(fakeDocument(SHOPIFY_PAGE), 'unknown').length === 0;
+    }
+  },
+  {
+    name: "Every platform in the registry has a fingerprint",
+    run: () => ['woocommerce', 'opencart', 'shopify', 'magento', 'prestashop'].every(platform =>
+      PLATFORM_FINGERPRINTS[platform] && ADAPTER_REGISTRY.some(entry => entry.platform === platform))
+  },
+  {
+    name: "Retailers outrank platform fingerprints",
+    run: () => {
+      const match = matchAdapters(ADAPTER_REGISTRY, 'https://www.ebay.de/itm/1', fakeDocument(WOOCOMMERCE_PAGE));
+      return match.entry.id === 'ebay' &&
+        match.candidates.length === 2 &&
+        match.candidates[1].entry.id === 'woocommerce' &&
+        match.candidates[1].matchedBy === 'platform';
+    }
+  },
+  {
+    name: "Higher priority wins, then host matches, then registry order",
+    run: () => {
+      const registry = [
+        { id: 'low', platform: 'shopify', priority: 10 },
+        { id: 'platform', platform: 'shopify', priority: 50 },
+        { id: 'host', hosts: ['shop.example'], priority: 50 },
+        { id: 'later', hosts: ['shop.example'], priority: 50 }
+      ];
+      const match = matchAdapters(registry, 'https://shop.example/p', fakeDocument(SHOPIFY_PAGE));
+      return match.candidates.map(candidate => candidate.entry.id).join(',') === 'host,later,platform,low';
+    }
+  },
+  {
+    name: "Without a document only host patterns are checked",
+    run: () => {
+      const match = matchAdapters(ADAPTER_REGISTRY, 'https://shop.example/products/mug');
+      return match.entry === null && match.platformsChecked === false &&
+        matchAdapters(ADAPTER_REGISTRY, 'https://demo.myshopify.com/products/mug').entry.id === 'shopify';
+    }
+  },
+  {
+    name: "Retailer stores on two-label suffixes get their adapter",
+    run: () => getRegistrableDomain('https://www.amazon.com.be/dp/1') === 'amazon.com.be' &&
+      getAdapter(fakeDocument(), 'https://www.amazon.com.be/dp/1').getName() === 'amazon' &&
+      ['amazon.com.au', 'amazon.co.jp', 'amazon.com.mx', 'amazon.com.br', 'amazon.com.tr', 'amazon.co.za']
+        .every(host => matchesHostPattern(`https://www.${host}/dp/1`, 'amazon.*')) &&
+      ['ebay.com.au', 'ebay.com.sg', 'ebay.com.my', 'ebay.com.hk', 'ebay.co.uk']
+        .every(host => matchesHostPattern(`https://www.${host}/itm/1`, 'ebay.*'))
+  },
+  {
+    name: "Look-alike domains no longer get a retailer's adapter",
+    run: () => getAdapter(fakeDocument(), 'https://www.target.com.au/p/1') === null &&
+      getAdapter(fakeDocument(), 'https://www.target.com/p/1').getName() === 'target' &&
+      getAdapter(fakeDocument(), 'https://www.thomannmusic.com/x.htm').getName() === 'thomann'
+  },
+  {
+    name: "Walmart and Best Buy adapters read their Canadian stores too",
+    run: () => getAdapter(fakeDocument(), 'https://www.walmart.ca/en/ip/1').getName() === 'walmart' &&
+      getAdapter(fakeDocument(), 'https://www.bestbuy.ca/en-ca/product/1').getName() === 'bestbuy' &&
+      getAdapter(fakeDocument(), 'https://www.walmart.com/ip/1').getName() === 'walmart' &&
+      getAdapter(fakeDocument(), 'https://www.walmartshop.example/ip/1') === null
+  },
+  {
+    name: "Platform shops get their platform's adapter",
+    run: () => getAdapter(fakeDocument(SHOPIFY_PAGE), 'https://shop.example/products/mug').getName() === 'shopify' &&
+      getAdapter(fakeDocument({ selectors: ['[data-mage-init]'] }), 'https://shop.example/mug.html').getName() === 'magento' &&
+      getAdapter(fakeDocument({ html: 'var prestashop = {}' }), 'https://shop.example/mug.html').getName() === 'prestashop' &&
+      getAdapter(fakeDocument(), 'https://shop.example/product/mug') === null
+  },
+  {
+    name: "Registry ids match the adapters' names",
+    run: () => ADAPTER_REGISTRY.every(entry =>
+      new entry.adapter(fakeDocument(), 'https://shop.example/').getName() === entry.id)
+  },
+  {
+    name: "The explanation names the chosen adapter and why",
+    run: () => {
+      const lines = describeAdapterMatch(explainAdapterChoice('https://www.amazon.co.uk/dp/1', fakeDocument(WOOCOMMERCE_PAGE)));
+      return lines[0] === 'Host: amazon.co.uk (registrable domain amazon.co.uk)' &&
+        lines[1] === 'Chosen: amazon: "amazon.co.uk" matches host pattern "amazon.*" (priority 100)' &&
+        lines[2] === 'Also matched: woocommerce: WooCommerce fingerprint - WooCommerce price markup (priority 30)';
+    }
+  },
+  {
+    name: "The explanation covers site rules, generic detection and unloaded pages",
+    run: () => {
+      const rules = [{ domain: 'amazon.de' }];
+      const ruled = describeAdapterMatch(explainAdapterChoice('https://www.amazon.de/dp/1', null, rules));
+      const generic = describeAdapterMatch(explainAdapterChoice('https://shop.example/', fakeDocument()));
+      return ruled[1].startsWith('Chosen: site rule for amazon.de') &&
+        ruled[2].startsWith('Also matched: amazon:') &&
+        ruled.some(line => line.includes('were not checked')) &&
+        generic[1].startsWith('Chosen: none') &&
+        generic.includes('No platform fingerprint found on the page') &&
+        describeAdapterMatch(explainAdapterChoice('not a url'))[0] === 'Not a valid URL';
+    }
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Adapter Matching Test Suite");
+console.log("=================================\n");
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
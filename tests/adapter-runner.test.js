@@ -0,0 +1,193 @@
+/**
+ * Adapter Runner Test Suite
+ * Tests for running site adapters on first detection and background re-checks
+ * Run with Node.js
+ */
+
+import {
+  ADAPTER_METHOD,
+  getAdapterMethod,
+  isAdapterMethod,
+  runAdapter,
+  isRejectionFinal,
+  extractPriceWithAdapter,
+  extractPagePrice
+} from '../content-scripts/site-adapters/adapter-runner.js';
+import { BaseAdapter } from '../content-scripts/site-adapters/base-adapter.js';
+import { getAdapter } from '../content-scripts/site-adapters/adapter-factory.js';
+import { getMethodStrength } from '../utils/price-sanity.js';
+
+/**
+ * Minimal parsed document: selector -> { attrs, text }, plus JSON-LD blocks
+ * No defaultView, like a DOMParser document.
+ */
+function fakeDocument({ elements = {}, jsonLd = [], html = '' } = {}) {
+  const toElement = ({ attrs = {}, text = '' }) => ({
+    tagName: 'DIV',
+    textContent: text,
+    getAttribute: name => attrs[name] ?? null,
+    querySelectorAll: () => [],
+    closest: () => null
+  });
+  return {
+    defaultView: null,
+    documentElement: { lang: 'en-GB', innerHTML: html, getAttribute: name => (name === 'lang' ? 'en-GB' : null) },
+    body: { textContent: '', classList: { contains: () => false } },
+    querySelector: (selector) => elements[selector] ? toElement(elements[selector]) : null,
+    querySelectorAll: (selector) => {
+      if (selector === 'script[type="application/ld+json"]') {
+        return jsonLd.map(data => ({ textContent: JSON.stringify(data) }));
+      }
+      return elements[selector] ? [toElement(elements[selector])] : [];
+    }
+  };
+}
+
+class FakeShopAdapter extends BaseAdapter {
+  detectProduct() { return this.querySelector('#product') !== null; }
+  extractTitle() { return 'Studio Headphones'; }
+  extractPrice() { return this.parsePriceWithContext('€79.99'); }
+  extractImage() { return null; }
+  extractProductId() { return 'SH-1'; }
+  extractSaleInfo() { return { wasPrice: 99.99, saleEndsAt: null }; }
+}
+
+const THOMANN_LD = {
+  '@type': 'Product',
+  name: 'Thomann Stage Piano',
+  sku: '512345',
+  offers: { '@type': 'Offer', price: '549.00', priceCurrency: 'EUR', availability: 'https://schema.org/InStock' }
+};
+
+const tests = [
+  {
+    name: "Adapter results name the adapter",
+    run: () => {
+      const adapter = new FakeShopAdapter(fakeDocument(), 'https://shop.example/p/1');
+      return adapter.getName() === 'fakeshop' &&
+        getAdapterMethod(adapter) === 'siteAdapter:fakeshop' &&
+        isAdapterMethod('siteAdapter:fakeshop') &&
+        isAdapterMethod(ADAPTER_METHOD) &&
+        !isAdapterMethod('siteRule') &&
+        !isAdapterMethod(null);
+    }
+  },
+  {
+    name: "Adapter readings count as strong as structured data",
+    run: () => getMethodStrength('siteAdapter:amazon') === 3 &&
+      getMethodStrength(ADAPTER_METHOD) === 3
+  },
+  {
+    name: "Running an adapter applies its sale info to the price",
+    run: () => {
+      const adapter = new FakeShopAdapter(fakeDocument({ elements: { '#product': {} } }), 'https://shop.example/p/1');
+      const data = runAdapter(adapter);
+      return data.adapter === 'fakeshop' && data.title === 'Studio Headphones' &&
+        data.priceData.numeric === 79.99 && data.price.regularPrice === 99.99 &&
+        data.productId === 'SH-1';
+    }
+  },
+  {
+    name: "Pages the adapter rejects give no result",
+    run: () => runAdapter(new FakeShopAdapter(fakeDocument(), 'https://shop.example/p/1')) === null
+  },
+  {
+    name: "Pages a platform adapter rejects are left to generic detection",
+    run: () => {
+      // Shopify shop page outside /products/, without a cart form
+      const shopify = getAdapter(fakeDocument({ html: '<script>window.ShopifyAnalytics = {}</script>' }), 'https://shop.example/p/mug');
+      const amazon = getAdapter(fakeDocument(), 'https://www.amazon.de/gp/help');
+      return shopify.getName() === 'shopify' &&
+        runAdapter(shopify) === null && !isRejectionFinal(shopify) &&
+        amazon.getName() === 'amazon' &&
+        runAdapter(amazon) === null && isRejectionFinal(amazon);
+    }
+  },
+  {
+    name: "The tracked variant is used instead of the page default",
+    run: () => {
+      const adapter = new FakeShopAdapter(fakeDocument(), 'https://shop.example/p/1');
+      adapter.variantRef = { sku: 'SH-1-BLACK' };
+      return adapter.getVariantRef().sku === 'SH-1-BLACK';
+    }
+  },
+  {
+    name: "Crossed-out prices are recognized without computed styles",
+    run: () => {
+      const adapter = new FakeShopAdapter(fakeDocument(), 'https://shop.example/p/1');
+      return adapter.isStruckThrough({ closest: selector => (selector.includes('del') ? {} : null) }) &&
+        !adapter.isStruckThrough({ closest: () => null });
+    }
+  },
+  {
+    name: "Background checks run the shop's adapter on a parsed page",
+    run: () => {
+      const result = extractPriceWithAdapter(fakeDocument({ jsonLd: [THOMANN_LD] }), {
+        url: 'https://www.thomann.de/intl/stage_piano.htm',
+        domain: 'www.thomann.de'
+      });
+      return result?.success && result.price === 549 && result.currency === 'EUR' &&
+        result.adapter === 'thomann' && result.detectionMethod === 'siteAdapter:thomann' &&
+        result.confidence === 0.90 && result.locale === 'en-GB';
+    }
+  },
+  {
+    name: "Shops with a site rule are left to the rule",
+    run: () => extractPriceWithAdapter(fakeDocument({ jsonLd: [THOMANN_LD] }), {
+      url: 'https://www.thomann.de/intl/stage_piano.htm',
+      siteRule: { domain: 'thomann.de', price: { selector: '.price' } }
+    }) === null && extractPriceWithAdapter(fakeDocument(), {}) === null
+  },
+  {
+    name: "Pages without an adapter use the extraction engine",
+    run: () => {
+      const result = extractPagePrice(fakeDocument({ jsonLd: [THOMANN_LD] }), {
+        url: 'https://music.example/piano',
+        domain: 'music.example'
+      });
+      return result.success && result.price === 549 && result.detectionMethod === 'schema.org' &&
+        result.adapter === undefined;
+    }
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Adapter Runner Test Suite");
+console.log("=================================\n");
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
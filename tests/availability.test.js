@@ -0,0 +1,178 @@
+/**
+ * Availability Test Suite
+ * Tests for normalizing stock status and resolving it per variant
+ * Run with Node.js
+ */
+
+import {
+  AVAILABILITY,
+  normalizeAvailability,
+  detectAvailabilityFromText,
+  isOutOfStock,
+  combineAvailability,
+  getSchemaAvailability,
+  getPageAvailability,
+  getAvailabilityFromRawHTML
+} from '../utils/availability.js';
+
+/**
+ * Zalando-style product: one offer per size, the first size sold out
+ */
+const SIZED_PRODUCT = {
+  '@type': 'Product',
+  name: 'Running Shoe',
+  offers: [
+    { '@type': 'Offer', sku: 'SHOE-40', price: '89.95', availability: 'https://schema.org/OutOfStock' },
+    { '@type': 'Offer', sku: 'SHOE-41', price: '89.95', availability: 'https://schema.org/InStock' },
+    { '@type': 'Offer', sku: 'SHOE-42', price: '89.95', availability: 'https://schema.org/OutOfStock' }
+  ]
+};
+
+const PRODUCT_GROUP = {
+  '@type': 'ProductGroup',
+  name: 'Hoodie',
+  hasVariant: [
+    { '@type': 'Product', sku: 'HOOD-S', size: 'S', offers: { price: '49.00', availability: 'OutOfStock' } },
+    { '@type': 'Product', sku: 'HOOD-M', size: 'M', offers: { price: '49.00', availability: 'PreOrder' } }
+  ]
+};
+
+/**
+ * Minimal parsed document with JSON-LD blocks and optional meta tags
+ */
+function fakeDocument({ jsonLd = [], meta = {} } = {}) {
+  return {
+    querySelector: (selector) => {
+      const key = Object.keys(meta).find(name => selector.includes(name));
+      return key ? { getAttribute: () => meta[key], textContent: '' } : null;
+    },
+    querySelectorAll: (selector) => selector === 'script[type="application/ld+json"]'
+      ? jsonLd.map(data => ({ textContent: JSON.stringify(data) }))
+      : []
+  };
+}
+
+function rawPage(data) {
+  return `<html><head><script type="application/ld+json">${JSON.stringify(data)}</script></head><body></body></html>`;
+}
+
+const tests = [
+  {
+    name: "Schema.org URLs, names, Open Graph values and booleans are normalized",
+    run: () => normalizeAvailability('https://schema.org/InStock') === AVAILABILITY.IN_STOCK &&
+      normalizeAvailability('http://schema.org/OutOfStock') === AVAILABILITY.OUT_OF_STOCK &&
+      normalizeAvailability('in stock') === AVAILABILITY.IN_STOCK &&
+      normalizeAvailability('oos') === AVAILABILITY.OUT_OF_STOCK &&
+      normalizeAvailability('Pre-Order') === AVAILABILITY.PRE_ORDER &&
+      normalizeAvailability('LimitedAvailability') === AVAILABILITY.LIMITED &&
+      normalizeAvailability(true) === AVAILABILITY.IN_STOCK &&
+      normalizeAvailability(false) === AVAILABILITY.OUT_OF_STOCK &&
+      normalizeAvailability('maybe') === null &&
+      normalizeAvailability(null) === null
+  },
+  {
+    name: "Stock status is read from page text",
+    run: () => detectAvailabilityFromText('Currently unavailable.') === AVAILABILITY.OUT_OF_STOCK &&
+      detectAvailabilityFromText('Derzeit nicht verfügbar') === AVAILABILITY.OUT_OF_STOCK &&
+      detectAvailabilityFromText('Only 3 left in stock - order soon.') === AVAILABILITY.LIMITED &&
+      detectAvailabilityFromText('In Stock') === AVAILABILITY.IN_STOCK &&
+      detectAvailabilityFromText('Free delivery') === null &&
+      isOutOfStock(AVAILABILITY.OUT_OF_STOCK) && !isOutOfStock(AVAILABILITY.PRE_ORDER)
+  },
+  {
+    name: "Combined offers report the most buyable status",
+    run: () => combineAvailability(['OutOfStock', 'InStock']) === AVAILABILITY.IN_STOCK &&
+      combineAvailability(['OutOfStock', 'PreOrder']) === AVAILABILITY.PRE_ORDER &&
+      combineAvailability(['OutOfStock', 'OutOfStock']) === AVAILABILITY.OUT_OF_STOCK &&
+      combineAvailability([null, 'unknown']) === null &&
+      combineAvailability([]) === null
+  },
+  {
+    name: "A sold-out first size doesn't mark the product out of stock",
+    run: () => getSchemaAvailability([SIZED_PRODUCT]) === AVAILABILITY.IN_STOCK &&
+      getSchemaAvailability([SIZED_PRODUCT], { sku: 'SHOE-99' }) === AVAILABILITY.IN_STOCK
+  },
+  {
+    name: "The tracked size's offer decides its stock status",
+    run: () => getSchemaAvailability([SIZED_PRODUCT], { sku: 'SHOE-42' }) === AVAILABILITY.OUT_OF_STOCK &&
+      getSchemaAvailability([SIZED_PRODUCT], { sku: 'shoe-41' }) === AVAILABILITY.IN_STOCK
+  },
+  {
+    name: "ProductGroup variants resolve by variant, else combine",
+    run: () => {
+      const nodes = [PRODUCT_GROUP, ...PRODUCT_GROUP.hasVariant];
+      return getSchemaAvailability(nodes, { sku: 'HOOD-S' }) === AVAILABILITY.OUT_OF_STOCK &&
+        getSchemaAvailability(nodes, { attributes: { size: 'M' } }) === AVAILABILITY.PRE_ORDER &&
+        getSchemaAvailability(nodes) === AVAILABILITY.PRE_ORDER;
+    }
+  },
+  {
+    name: "Related products after the main product are ignored",
+    run: () => {
+      const related = { '@type': 'Product', offers: { availability: 'InStock' } };
+      const soldOut = { '@type': 'Product', offers: { availability: 'OutOfStock' } };
+      return getSchemaAvailability([soldOut, related]) === AVAILABILITY.OUT_OF_STOCK;
+    }
+  },
+  {
+    name: "Pages fall back to meta tags when JSON-LD has no status",
+    run: () => getPageAvailability(fakeDocument({ jsonLd: [SIZED_PRODUCT] }), { sku: 'SHOE-40' }) === AVAILABILITY.OUT_OF_STOCK &&
+      getPageAvailability(fakeDocument({ jsonLd: [SIZED_PRODUCT] })) === AVAILABILITY.IN_STOCK &&
+      getPageAvailability(fakeDocument({ meta: { 'product:availability': 'oos' } })) === AVAILABILITY.OUT_OF_STOCK &&
+      getPageAvailability(fakeDocument()) === null
+  },
+  {
+    name: "Raw HTML resolves JSON-LD offers like a parsed page",
+    run: () => getAvailabilityFromRawHTML(rawPage(SIZED_PRODUCT)) === AVAILABILITY.IN_STOCK &&
+      getAvailabilityFromRawHTML(rawPage(SIZED_PRODUCT), { sku: 'SHOE-42' }) === AVAILABILITY.OUT_OF_STOCK &&
+      getAvailabilityFromRawHTML(rawPage({ '@graph': [PRODUCT_GROUP] }), { sku: 'HOOD-S' }) === AVAILABILITY.OUT_OF_STOCK
+  },
+  {
+    name: "Raw availability strings outside JSON-LD are combined, then meta tags",
+    run: () => getAvailabilityFromRawHTML('<script>window.p={"availability":"OutOfStock"},{"availability":"InStock"}</script>') === AVAILABILITY.IN_STOCK &&
+      getAvailabilityFromRawHTML('<meta property="og:availability" content="out of stock">') === AVAILABILITY.OUT_OF_STOCK &&
+      getAvailabilityFromRawHTML('<html></html>') === null &&
+      getAvailabilityFromRawHTML(null) === null
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Availability Test Suite");
+console.log("=================================\n");
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
@@ -0,0 +1,185 @@
+/**
+ * Check Schedule Test Suite
+ * Tests for per-product/per-site schedules, priority tiers and the alarm period
+ * Run with Node.js
+ */
+
+import {
+  PRIORITY_TIERS,
+  MIN_CHECK_INTERVAL_MINUTES,
+  getDomainSchedule,
+  resolveSchedule,
+  selectDueProducts,
+  getAlarmPeriodMinutes,
+  normalizeSchedule,
+  formatInterval
+} from '../utils/check-schedule.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const NOW = Date.UTC(2026, 5, 15, 12, 0, 0);
+
+const settings = {
+  checking: {
+    interval: 6,
+    domainSchedules: {
+      'amazon.de': { intervalMinutes: 60, priority: 'high' },
+      'ikea.com': { intervalMinutes: 1440 },
+      'shop.example.com': { priority: 'low' }
+    }
+  }
+};
+
+/**
+ * Build a product last checked some hours ago
+ */
+function product(id, domain, hoursAgo, schedule) {
+  return {
+    productId: id,
+    domain,
+    tracking: { lastChecked: hoursAgo === null ? 0 : NOW - hoursAgo * HOUR },
+    ...(schedule ? { schedule } : {})
+  };
+}
+
+const tests = [
+  {
+    name: "Site schedules match subdomains, most specific first",
+    run: () => {
+      return getDomainSchedule('www.amazon.de', settings.checking.domainSchedules).intervalMinutes === 60 &&
+        getDomainSchedule('smile.amazon.de', settings.checking.domainSchedules).priority === 'high' &&
+        getDomainSchedule('amazon.com', settings.checking.domainSchedules) === null &&
+        getDomainSchedule('notamazon.de', settings.checking.domainSchedules) === null;
+    }
+  },
+  {
+    name: "Product schedule overrides the site, field by field",
+    run: () => {
+      const own = resolveSchedule(product('a', 'www.amazon.de', 0, { priority: 'low' }), settings);
+      return own.intervalMinutes === 60 && own.intervalSource === 'domain' &&
+        own.priority === 'low' && own.prioritySource === 'product';
+    }
+  },
+  {
+    name: "Global interval applies without rules",
+    run: () => {
+      const schedule = resolveSchedule(product('a', 'other.org', 0), settings);
+      return schedule.intervalMinutes === 360 && schedule.priority === PRIORITY_TIERS.NORMAL &&
+        schedule.intervalSource === 'default';
+    }
+  },
+  {
+    name: "Intervals are clamped and junk rules ignored",
+    run: () => {
+      return normalizeSchedule({ intervalMinutes: 1 }).intervalMinutes === MIN_CHECK_INTERVAL_MINUTES &&
+        normalizeSchedule({ intervalMinutes: -5, priority: 'urgent' }) === null &&
+        normalizeSchedule(null) === null;
+    }
+  },
+  {
+    name: "Only due products are selected",
+    run: () => {
+      const { due, notDue } = selectDueProducts([
+        product('hourly-due', 'amazon.de', 2),
+        product('hourly-fresh', 'amazon.de', 0.5),
+        product('daily-fresh', 'ikea.com', 10),
+        product('default-due', 'other.org', 7),
+        product('never', 'other.org', null)
+      ], settings, { now: NOW });
+      const ids = due.map(p => p.productId);
+      return ids.length === 3 && ids.includes('hourly-due') && ids.includes('default-due') &&
+        ids.includes('never') && notDue === 2;
+    }
+  },
+  {
+    name: "Slack picks up products due just before the next alarm",
+    run: () => {
+      const almost = [product('a', 'amazon.de', 55 / 60)];
+      return selectDueProducts(almost, settings, { now: NOW }).due.length === 0 &&
+        selectDueProducts(almost, settings, { now: NOW, slackMs: 30 * MINUTE }).due.length === 1;
+    }
+  },
+  {
+    name: "Budget keeps the highest tiers, then the longest overdue",
+    run: () => {
+      const { due, deferred } = selectDueProducts([
+        product('low', 'shop.example.com', 100),
+        product('normal-old', 'other.org', 50),
+        product('normal-new', 'other.org', 7),
+        product('high', 'amazon.de', 2)
+      ], settings, { now: NOW, maxChecks: 2 });
+      return due.map(p => p.productId).join() === 'high,normal-old' &&
+        deferred.map(p => p.productId).join() === 'normal-new,low';
+    }
+  },
+  {
+    name: "maxAge ignores schedules (manual check of everything)",
+    run: () => {
+      const { due } = selectDueProducts([
+        product('a', 'ikea.com', 0.1),
+        product('b', 'amazon.de', 0)
+      ], settings, { now: NOW, maxAge: 0 });
+      return due.length === 2 && due[0].productId === 'b';
+    }
+  },
+  {
+    name: "Alarm period follows the shortest interval in use",
+    run: () => {
+      const base = { checking: { interval: 6 } };
+      return getAlarmPeriodMinutes([], base) === 360 &&
+        getAlarmPeriodMinutes([], settings) === 60 &&
+        getAlarmPeriodMinutes([product('a', 'x.org', 0, { intervalMinutes: 30 })], settings) === 30;
+    }
+  },
+  {
+    name: "Missing settings fall back to a 6 hour interval",
+    run: () => resolveSchedule(product('a', 'x.org', 0), {}).intervalMinutes === 360
+  },
+  {
+    name: "Intervals have readable labels",
+    run: () => formatInterval(60) === 'Hourly' && formatInterval(90) === 'Every 90 minutes' &&
+      formatInterval(2880) === 'Every 2 days'
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Check Schedule Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
@@ -0,0 +1,172 @@
+/**
+ * CSV Export Test Suite
+ * Tests for quoting, locale number formatting and the product/history exports
+ * Run with Node.js
+ */
+
+import {
+  PRODUCT_COLUMNS,
+  getCsvFormat,
+  escapeCsvField,
+  formatCsvNumber,
+  formatCsvDate,
+  buildProductsCsv,
+  buildHistoryCsv,
+  toFileSlug
+} from '../utils/csv-export.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 5, 15, 12, 30, 5);
+
+const products = {
+  b: {
+    productId: 'b',
+    title: 'Sofa, "Grey" 3-seater',
+    domain: 'www.example.de',
+    url: 'https://www.example.de/sofa?a=1&b=2',
+    price: { numeric: 1299.5, currency: 'EUR' },
+    priceHistory: [
+      { price: 1499, currency: 'EUR', timestamp: NOW - 2 * DAY, checkMethod: 'schema.org' },
+      { price: 1299.5, currency: 'EUR', timestamp: NOW, checkMethod: 'offscreen' }
+    ],
+    tracking: { firstSeen: NOW - 2 * DAY, lastChecked: NOW, status: 'active' }
+  },
+  a: {
+    productId: 'a',
+    title: '=HYPERLINK("http://evil")',
+    domain: 'shop.com',
+    url: 'https://shop.com/p',
+    price: { numeric: 10, currency: 'USD' },
+    priceHistory: [{ price: 10, currency: 'USD', timestamp: NOW, checkMethod: 'schema.org' }],
+    tracking: { firstSeen: NOW, lastChecked: 0, status: 'tracking' }
+  }
+};
+
+/**
+ * Split a generated CSV into rows (drops BOM and trailing newline)
+ */
+function rows(csv) {
+  return csv.replace(/^\uFEFF/, '').replace(/\r\n$/, '').split('\r\n');
+}
+
+const tests = [
+  {
+    name: "Decimal comma locales use semicolons",
+    run: () => {
+      const de = getCsvFormat('de-DE');
+      const en = getCsvFormat('en-US');
+      return de.decimalSeparator === ',' && de.delimiter === ';' &&
+        en.decimalSeparator === '.' && en.delimiter === ',';
+    }
+  },
+  {
+    name: "Fields with delimiters, quotes or newlines are quoted",
+    run: () => {
+      return escapeCsvField('a,b') === '"a,b"' &&
+        escapeCsvField('say "hi"') === '"say ""hi"""' &&
+        escapeCsvField('line\nbreak') === '"line\nbreak"' &&
+        escapeCsvField('a;b', ',') === 'a;b' &&
+        escapeCsvField('a;b', ';') === '"a;b"' &&
+        escapeCsvField(null) === '';
+    }
+  },
+  {
+    name: "Formula-like text is neutralized",
+    run: () => {
+      return escapeCsvField('=1+1') === "'=1+1" && escapeCsvField('@SUM(A1)') === "'@SUM(A1)" &&
+        escapeCsvField('-12,5', ';') === '-12,5';
+    }
+  },
+  {
+    name: "Numbers use the locale decimal separator without grouping",
+    run: () => {
+      return formatCsvNumber(1234.5, getCsvFormat('de-DE')) === '1234,5' &&
+        formatCsvNumber(1234.5, getCsvFormat('en-US')) === '1234.5' &&
+        formatCsvNumber(0.1 + 0.2, getCsvFormat('en-US')) === '0.3' &&
+        formatCsvNumber(NaN) === '' && formatCsvNumber(null) === '';
+    }
+  },
+  {
+    name: "Dates are written as YYYY-MM-DD HH:MM:SS",
+    run: () => formatCsvDate(NOW, { utc: true }) === '2026-06-15 12:30:05' && formatCsvDate(0) === ''
+  },
+  {
+    name: "Products CSV has a header, one row per product and stats",
+    run: () => {
+      const lines = rows(buildProductsCsv(products, { locale: 'en-US', utc: true }));
+      const sofa = lines[2];
+      return lines.length === 3 && lines[0] === PRODUCT_COLUMNS.join(',') &&
+        sofa.startsWith('b,"Sofa, ""Grey"" 3-seater",example.de,https://www.example.de/sofa?a=1&b=2,1299.5,1299.5,1499,EUR,active,') &&
+        lines[1].startsWith('a,"\'=HYPERLINK(""http://evil"")"') && lines[1].endsWith(',');
+    }
+  },
+  {
+    name: "Products CSV in decimal-comma locale",
+    run: () => {
+      const lines = rows(buildProductsCsv(products, { locale: 'de-DE', utc: true }));
+      return lines[0].split(';').length === PRODUCT_COLUMNS.length && lines[2].includes(';1299,5;1299,5;1499;EUR;');
+    }
+  },
+  {
+    name: "History CSV is long format, sorted by time",
+    run: () => {
+      const lines = rows(buildHistoryCsv(products, { locale: 'en-US', utc: true }));
+      return lines.length === 4 && lines[0] === 'productId,timestamp,price,currency,checkMethod' &&
+        lines[2] === 'b,2026-06-13 12:30:05,1499,EUR,schema.org' &&
+        lines[3] === 'b,2026-06-15 12:30:05,1299.5,EUR,offscreen';
+    }
+  },
+  {
+    name: "Exports start with a UTF-8 BOM and end with CRLF",
+    run: () => {
+      const csv = buildHistoryCsv([]);
+      return csv.charCodeAt(0) === 0xFEFF && csv.endsWith('\r\n');
+    }
+  },
+  {
+    name: "File slugs are safe",
+    run: () => toFileSlug('Café Crème / 500g!') === 'cafe-creme-500g' && toFileSlug('') === 'product'
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("CSV Export Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
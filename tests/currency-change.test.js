@@ -0,0 +1,240 @@
+/**
+ * Currency Change Test Suite
+ * Tests for telling a currency switch apart from a price change
+ * Run with Node.js
+ */
+
+import {
+  CURRENCY_CHANGE_RULES,
+  CURRENCY_CHANGE_ACTIONS,
+  CURRENCY_CHANGE_METHOD,
+  getPageCurrency,
+  getPageCurrencyFromRawHTML,
+  getPageLocale,
+  resolveDetectedCurrency,
+  isCurrencyChange,
+  getCurrencyChangeRule,
+  decideCurrencyChange,
+  buildRebaselinedPrice,
+  createCurrencyChangeEntry,
+  filterHistoryByCurrency
+} from '../utils/currency-change.js';
+import { appendPriceHistoryEntry, compactPriceHistory } from '../utils/price-history.js';
+import { analyzeProductDiscount } from '../utils/discount-analysis.js';
+import { describeCheckResult } from '../utils/activity-log.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 5, 1);
+
+/**
+ * Minimal document: selector -> { content, text }
+ */
+function fakeDocument(elements, lang = null) {
+  return {
+    querySelector: (selector) => elements[selector]
+      ? { getAttribute: () => elements[selector].content ?? null, textContent: elements[selector].text ?? '' }
+      : null,
+    documentElement: { getAttribute: () => lang }
+  };
+}
+
+/**
+ * Tracked product priced in SEK
+ */
+function product(extra = {}) {
+  return { productId: 'p1', price: { numeric: 1299, currency: 'SEK', symbol: 'kr', locale: 'sv-SE' }, ...extra };
+}
+
+const tests = [
+  {
+    name: "Currency meta tags and microdata are read",
+    run: () => getPageCurrency(fakeDocument({ 'meta[property="og:price:currency"]': { content: 'eur' } })) === 'EUR' &&
+      getPageCurrency(fakeDocument({ '[itemprop="priceCurrency"]': { text: ' GBP ' } })) === 'GBP' &&
+      getPageCurrency(fakeDocument({ 'meta[property="og:price:currency"]': { content: 'euro' } })) === null
+  },
+  {
+    name: "Currency meta tags and microdata are read from raw HTML",
+    run: () => getPageCurrencyFromRawHTML('<meta property="og:price:amount" content="19.99"><meta property="og:price:currency" content="sek">') === 'SEK' &&
+      getPageCurrencyFromRawHTML('<meta content="NOK" property="product:price:currency">') === 'NOK' &&
+      getPageCurrencyFromRawHTML('<span itemprop="priceCurrency"> GBP </span>') === 'GBP' &&
+      getPageCurrencyFromRawHTML('<meta property="og:price:currency" content="EUR"><meta property="product:price:currency" content="USD">') === 'USD' &&
+      getPageCurrencyFromRawHTML('<meta property="og:price:currency" content="euro">') === null &&
+      getPageCurrencyFromRawHTML(null) === null
+  },
+  {
+    name: "Page language becomes a locale",
+    run: () => getPageLocale(fakeDocument({}, 'de_de')) === 'de-DE' &&
+      getPageLocale(fakeDocument({}, 'sv')) === 'sv' &&
+      getPageLocale(fakeDocument({}, '')) === null
+  },
+  {
+    name: "Explicit parser currencies win over meta tags, guesses don't",
+    run: () => {
+      const schema = resolveDetectedCurrency({ currency: 'EUR', method: 'schema' }, 'SEK');
+      const guessed = resolveDetectedCurrency({ currency: 'SEK', method: 'expected' }, 'EUR');
+      const none = resolveDetectedCurrency({ currency: 'SEK', method: 'domain' }, null);
+      return schema.currency === 'EUR' && schema.currencyMethod === 'schema' &&
+        guessed.currency === 'EUR' && guessed.currencyMethod === 'meta' &&
+        none.currency === 'SEK' && none.currencyMethod === 'domain';
+    }
+  },
+  {
+    name: "Only explicit evidence counts as a currency change",
+    run: () => isCurrencyChange('SEK', { currency: 'EUR', currencyMethod: 'schema' }) &&
+      isCurrencyChange('SEK', { currency: 'EUR', currencyMethod: 'symbol' }) &&
+      !isCurrencyChange('SEK', { currency: 'EUR', currencyMethod: 'domain' }) &&
+      !isCurrencyChange('SEK', { currency: 'EUR', currencyMethod: 'expected' }) &&
+      !isCurrencyChange('SEK', { currency: 'SEK', currencyMethod: 'schema' }) &&
+      !isCurrencyChange('SEK', { currency: null, currencyMethod: null })
+  },
+  {
+    name: "Shared symbols are only a change when the stored currency doesn't use them",
+    run: () => !isCurrencyChange('CAD', { currency: 'USD', currencyMethod: 'symbol_disambiguated' }) &&
+      !isCurrencyChange('SEK', { currency: 'NOK', currencyMethod: 'symbol_weak' }) &&
+      isCurrencyChange('EUR', { currency: 'USD', currencyMethod: 'symbol_disambiguated' })
+  },
+  {
+    name: "Unknown rules fall back to confirm",
+    run: () => getCurrencyChangeRule({ tracking: { currencyChange: 'flag' } }) === CURRENCY_CHANGE_RULES.FLAG &&
+      getCurrencyChangeRule({ tracking: { currencyChange: 'ignore' } }) === CURRENCY_CHANGE_RULES.CONFIRM &&
+      getCurrencyChangeRule({}) === CURRENCY_CHANGE_RULES.CONFIRM
+  },
+  {
+    name: "Confirm rule flags first, re-baselines when seen again",
+    run: () => {
+      const reading = { currency: 'EUR', currencyMethod: 'schema', price: 115, locale: 'de-DE' };
+      const first = decideCurrencyChange(product(), reading, CURRENCY_CHANGE_RULES.CONFIRM, NOW);
+      const second = decideCurrencyChange(product({ currencyChange: first.pending }), reading, CURRENCY_CHANGE_RULES.CONFIRM, NOW + DAY);
+      return first.action === CURRENCY_CHANGE_ACTIONS.FLAG && first.pending.count === 1 &&
+        first.pending.from === 'SEK' && first.pending.to === 'EUR' &&
+        second.action === CURRENCY_CHANGE_ACTIONS.REBASELINE && second.pending.count === 2 &&
+        second.pending.firstSeen === NOW && second.pending.lastSeen === NOW + DAY;
+    }
+  },
+  {
+    name: "Re-baseline rule acts at once, flag rule never does",
+    run: () => {
+      const reading = { currency: 'EUR', currencyMethod: 'schema', price: 115 };
+      const flagged = { from: 'SEK', to: 'EUR', price: 115, firstSeen: NOW, lastSeen: NOW, count: 5 };
+      return decideCurrencyChange(product(), reading, CURRENCY_CHANGE_RULES.REBASELINE, NOW).action === CURRENCY_CHANGE_ACTIONS.REBASELINE &&
+        decideCurrencyChange(product({ currencyChange: flagged }), reading, CURRENCY_CHANGE_RULES.FLAG, NOW).action === CURRENCY_CHANGE_ACTIONS.FLAG;
+    }
+  },
+  {
+    name: "A page back in the stored currency clears the flag",
+    run: () => {
+      const flagged = { from: 'SEK', to: 'EUR', price: 115, firstSeen: NOW, lastSeen: NOW, count: 1 };
+      const back = { currency: 'SEK', currencyMethod: 'schema', price: 1299 };
+      return decideCurrencyChange(product({ currencyChange: flagged }), back).action === CURRENCY_CHANGE_ACTIONS.CLEAR &&
+        decideCurrencyChange(product(), back).action === CURRENCY_CHANGE_ACTIONS.NONE;
+    }
+  },
+  {
+    name: "Another new currency restarts the confirmation count",
+    run: () => {
+      const flagged = { from: 'SEK', to: 'EUR', price: 115, firstSeen: NOW, lastSeen: NOW, count: 1 };
+      const result = decideCurrencyChange(product({ currencyChange: flagged }),
+        { currency: 'NOK', currencyMethod: 'iso_code', price: 1350 }, CURRENCY_CHANGE_RULES.CONFIRM, NOW + DAY);
+      return result.action === CURRENCY_CHANGE_ACTIONS.FLAG && result.pending.count === 1 && result.pending.firstSeen === NOW + DAY;
+    }
+  },
+  {
+    name: "Re-baselined prices drop details measured in the old currency",
+    run: () => {
+      const oldPrice = { numeric: 1299, currency: 'SEK', symbol: 'kr', locale: 'sv-SE', regularPrice: 1499, shipping: 49, unitPrice: 2598, unit: 'kg', quantity: 0.5 };
+      const checked = { ...oldPrice, numeric: 115, shipping: 0 };
+      const price = buildRebaselinedPrice(oldPrice, checked, { from: 'SEK', to: 'EUR', locale: 'de-DE' });
+      return price.numeric === 115 && price.currency === 'EUR' && price.symbol === '€' && price.locale === 'de-DE' &&
+        price.regularPrice === undefined && price.unitPrice === undefined && price.unit === undefined &&
+        price.shipping === 0 && price.quantity === 0.5;
+    }
+  },
+  {
+    name: "The switch is a history entry and the statistics start over",
+    run: () => {
+      const tracked = { price: { numeric: 1299, currency: 'SEK' }, priceHistory: [] };
+      appendPriceHistoryEntry(tracked, { price: 1399, currency: 'SEK', timestamp: NOW - 2 * DAY }, NOW);
+      appendPriceHistoryEntry(tracked, { price: 1299, currency: 'SEK', timestamp: NOW - DAY }, NOW);
+      const entry = createCurrencyChangeEntry(tracked.price, { numeric: 115, currency: 'EUR' }, NOW);
+      appendPriceHistoryEntry(tracked, entry, NOW);
+      return entry.checkMethod === CURRENCY_CHANGE_METHOD && entry.previousPrice === 1299 && entry.previousCurrency === 'SEK' &&
+        tracked.priceStats.currency === 'EUR' && tracked.priceStats.first === 115 && tracked.priceStats.count === 1 &&
+        filterHistoryByCurrency(tracked.priceHistory, 'EUR').length === 1;
+    }
+  },
+  {
+    name: "Currency switches survive history compaction",
+    run: () => {
+      const history = [
+        { price: 1299, currency: 'SEK', timestamp: NOW - 60 * DAY },
+        { price: 115, currency: 'EUR', timestamp: NOW - 60 * DAY + 1000, checkMethod: CURRENCY_CHANGE_METHOD, previousPrice: 1299, previousCurrency: 'SEK' },
+        { price: 110, currency: 'EUR', timestamp: NOW - 60 * DAY + 2000 }
+      ];
+      const compacted = compactPriceHistory(history, NOW);
+      return compacted.length === 3 && compacted.some(entry => entry.checkMethod === CURRENCY_CHANGE_METHOD);
+    }
+  },
+  {
+    name: "Discount checks ignore readings in the old currency",
+    run: () => {
+      const tracked = {
+        price: { numeric: 99, currency: 'EUR', regularPrice: 150 },
+        priceHistory: [
+          { price: 1299, currency: 'SEK', timestamp: NOW - 40 * DAY },
+          { price: 115, currency: 'EUR', timestamp: NOW - 30 * DAY, checkMethod: CURRENCY_CHANGE_METHOD },
+          { price: 115, currency: 'EUR', timestamp: NOW - 10 * DAY },
+          { price: 99, currency: 'EUR', timestamp: NOW - DAY }
+        ]
+      };
+      const analysis = analyzeProductDiscount(tracked, {}, NOW);
+      return analysis.highestSeen === 115 && analysis.flags.includes('was_price_never_seen');
+    }
+  },
+  {
+    name: "Activity log describes currency changes",
+    run: () => describeCheckResult({ status: 'currency_change', oldCurrency: 'SEK', currency: 'EUR', newPrice: 115, currencyAction: 'flag' }) ===
+      'Currency changed SEK → EUR at EUR 115.00, price kept until confirmed'
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Currency Change Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
@@ -0,0 +1,223 @@
+/**
+ * Data Schema Test Suite
+ * Tests for versioned export/import, validation and merge rules
+ * Run with Node.js
+ */
+
+import {
+  EXPORT_SCHEMA_VERSION,
+  buildExport,
+  parseImport,
+  validateProduct,
+  validateProducts,
+  sanitizeSettings,
+  mergeProducts
+} from '../utils/data-schema.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 5, 15, 12, 0, 0);
+
+/**
+ * Build a valid product
+ */
+function product(overrides = {}) {
+  return {
+    productId: 'example_com_1',
+    url: 'https://example.com/p/1',
+    title: 'Example Product',
+    domain: 'example.com',
+    price: { numeric: 20, currency: 'EUR', formatted: '€20.00' },
+    priceHistory: [
+      { price: 25, currency: 'EUR', timestamp: NOW - 3 * DAY, checkMethod: 'schema.org' },
+      { price: 20, currency: 'EUR', timestamp: NOW - DAY, checkMethod: 'schema.org' }
+    ],
+    tracking: { firstSeen: NOW - 3 * DAY, lastChecked: NOW - DAY, status: 'active', checkCount: 2, failedChecks: 0 },
+    ...overrides
+  };
+}
+
+const tests = [
+  {
+    name: "Export carries the schema version and products as an array",
+    run: () => {
+      const exported = buildExport({ products: { a: product() }, images: {}, settings: { ui: {} } }, {}, NOW);
+      return exported.schemaVersion === EXPORT_SCHEMA_VERSION && Array.isArray(exported.products) &&
+        exported.exportedAt === NOW && exported.settings !== undefined && exported.runtime === undefined;
+    }
+  },
+  {
+    name: "Runtime keys are only exported on request",
+    run: () => {
+      const data = { products: {}, runtime: { notificationCooldowns: { a: 1 }, pendingPermissionUrl: 'https://x.com' } };
+      const exported = buildExport(data, { includeRuntime: true, includeSettings: false }, NOW);
+      return exported.runtime.notificationCooldowns.a === 1 &&
+        exported.runtime.pendingPermissionUrl === 'https://x.com' && exported.settings === undefined;
+    }
+  },
+  {
+    name: "Legacy (v1) storage dumps are still importable",
+    run: () => {
+      const legacy = {
+        products: { example_com_1: product() },
+        img_example_com_1: 'data:image/png;base64,AAA',
+        notificationCooldowns: { example_com_1: NOW },
+        settings: { ui: { currency: 'EUR' } }
+      };
+      const parsed = parseImport(JSON.stringify(legacy));
+      return parsed.schemaVersion === 1 && parsed.products.length === 1 &&
+        parsed.images.example_com_1 === 'data:image/png;base64,AAA' &&
+        parsed.runtime.notificationCooldowns.example_com_1 === NOW;
+    }
+  },
+  {
+    name: "Exports from a newer schema are refused",
+    run: () => {
+      try {
+        parseImport({ schemaVersion: EXPORT_SCHEMA_VERSION + 1, products: [] });
+        return false;
+      } catch (error) {
+        return /newer version/.test(error.message);
+      }
+    }
+  },
+  {
+    name: "Files without products are refused",
+    run: () => {
+      try {
+        parseImport({ schemaVersion: 2 });
+        return false;
+      } catch (error) {
+        return true;
+      }
+    }
+  },
+  {
+    name: "Products with invalid URL, price or currency are rejected",
+    run: () => {
+      const { accepted, rejected } = validateProducts([
+        product(),
+        product({ productId: 'b', url: 'javascript:alert(1)' }),
+        product({ productId: 'c', price: { numeric: -1, currency: 'EUR' } }),
+        product({ productId: 'd', price: { numeric: 5, currency: 'euro' } }),
+        product({ productId: 'e', title: '' })
+      ]);
+      return accepted.length === 1 && rejected.length === 4 &&
+        rejected.every(r => r.errors.length > 0) && rejected[0].productId === 'b';
+    }
+  },
+  {
+    name: "Duplicate product ids are rejected",
+    run: () => {
+      const { accepted, rejected } = validateProducts([product(), product()]);
+      return accepted.length === 1 && rejected.length === 1 && rejected[0].errors[0] === 'Duplicate productId';
+    }
+  },
+  {
+    name: "Invalid history entries are dropped with a warning",
+    run: () => {
+      const result = validateProduct(product({
+        priceHistory: [{ price: 'free', timestamp: NOW }, { price: 10, currency: 'EUR', timestamp: NOW }]
+      }));
+      return result.valid && result.product.priceHistory.length === 1 && result.warnings.length === 1;
+    }
+  },
+  {
+    name: "Missing tracking fields get safe defaults",
+    run: () => {
+      const result = validateProduct(product({ tracking: { status: 5 }, domain: undefined }));
+      return result.valid && result.product.tracking.status === 'tracking' &&
+        result.product.tracking.failedChecks === 0 && result.product.domain === 'example.com';
+    }
+  },
+  {
+    name: "Settings are sanitized against the defaults",
+    run: () => {
+      const defaults = { notifications: { enabled: true, maxPerDay: 10 }, ui: { currency: 'EUR' } };
+      const sanitized = sanitizeSettings({
+        notifications: { enabled: false, maxPerDay: 'lots', extra: 1 },
+        unknown: { a: 1 }
+      }, defaults);
+      return sanitized.notifications.enabled === false && sanitized.notifications.maxPerDay === undefined &&
+        sanitized.notifications.extra === undefined && sanitized.unknown === undefined && sanitized.ui === undefined;
+    }
+  },
+  {
+    name: "Merge unions histories without duplicates",
+    run: () => {
+      const existing = product();
+      const incoming = product({
+        priceHistory: [
+          existing.priceHistory[1],
+          { price: 18, currency: 'EUR', timestamp: NOW - 2 * DAY, checkMethod: 'schema.org' }
+        ]
+      });
+      const merged = mergeProducts(existing, incoming, NOW);
+      return merged.priceHistory.length === 3 && merged.priceStats.low === 18 && merged.priceStats.count === 3;
+    }
+  },
+  {
+    name: "Merge keeps the most recently checked tracking state",
+    run: () => {
+      const existing = product({ tracking: { firstSeen: NOW - 3 * DAY, lastChecked: NOW - DAY, status: 'stale' } });
+      const incoming = product({
+        price: { numeric: 15, currency: 'EUR' },
+        tracking: { firstSeen: NOW - 10 * DAY, lastChecked: NOW, status: 'active' }
+      });
+      const merged = mergeProducts(existing, incoming, NOW);
+      return merged.tracking.status === 'active' && merged.price.numeric === 15 &&
+        merged.tracking.firstSeen === NOW - 10 * DAY;
+    }
+  },
+  {
+    name: "Merge keeps an all-time low known only to stored stats",
+    run: () => {
+      const existing = product({
+        priceStats: { currency: 'EUR', first: 30, firstAt: NOW - 900 * DAY, low: 5, lowAt: NOW - 800 * DAY, high: 30, highAt: NOW - 900 * DAY, sum: 35, count: 2 }
+      });
+      const merged = mergeProducts(existing, product(), NOW);
+      return merged.priceStats.low === 5 && merged.priceStats.first === 30;
+    }
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Data Schema Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
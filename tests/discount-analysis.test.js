@@ -0,0 +1,177 @@
+/**
+ * Discount Analysis Test Suite
+ * Tests for fake-discount detection against the price history
+ * Run with Node.js
+ */
+
+import {
+  DISCOUNT_FLAGS,
+  analyzeDiscount,
+  analyzeProductDiscount,
+  describeDiscountFlags
+} from '../utils/discount-analysis.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 5, 15, 12, 0, 0);
+
+/**
+ * Build a history from [price, daysAgo] pairs
+ */
+function history(points) {
+  return points.map(([price, daysAgo]) => ({
+    price,
+    currency: 'EUR',
+    timestamp: NOW - daysAgo * DAY,
+    checkMethod: 'schema.org'
+  }));
+}
+
+const tests = [
+  {
+    name: "A was price above every recorded price is flagged",
+    run: () => {
+      const result = analyzeDiscount({
+        history: history([[80, 40], [79, 20], [80, 2]]),
+        oldPrice: 80,
+        newPrice: 70,
+        wasPrice: 120,
+        dropAt: NOW
+      });
+      return result.suspicious && result.flags.includes(DISCOUNT_FLAGS.WAS_PRICE_NEVER_SEEN) &&
+        result.highestSeen === 80;
+    }
+  },
+  {
+    name: "A was price we recorded before is not flagged",
+    run: () => {
+      const result = analyzeDiscount({
+        history: history([[120, 40], [100, 20], [100, 2]]),
+        oldPrice: 100,
+        newPrice: 90,
+        wasPrice: 120,
+        dropAt: NOW
+      });
+      return result.suspicious === false && result.flags.length === 0;
+    }
+  },
+  {
+    name: "Compacted day ranges count as seen prices",
+    run: () => {
+      const compacted = { price: 90, min: 85, max: 119, currency: 'EUR', timestamp: NOW - 60 * DAY, checkMethod: 'compacted' };
+      const result = analyzeDiscount({ history: [compacted], oldPrice: 90, newPrice: 80, wasPrice: 120, dropAt: NOW });
+      return !result.flags.includes(DISCOUNT_FLAGS.WAS_PRICE_NEVER_SEEN);
+    }
+  },
+  {
+    name: "The was price is not judged on a short history",
+    run: () => {
+      const result = analyzeDiscount({ history: history([[80, 3]]), oldPrice: 80, newPrice: 70, wasPrice: 120, dropAt: NOW });
+      return result.suspicious === false;
+    }
+  },
+  {
+    name: "A raise shortly before the drop is flagged when the drop only undoes it",
+    run: () => {
+      const result = analyzeDiscount({
+        history: history([[50, 60], [50, 30], [65, 10], [65, 1]]),
+        oldPrice: 65,
+        newPrice: 52,
+        wasPrice: null,
+        dropAt: NOW
+      });
+      return result.flags.includes(DISCOUNT_FLAGS.RAISED_BEFORE_DROP) &&
+        result.preRaisePrice === 50 && result.raisedAt === NOW - 10 * DAY;
+    }
+  },
+  {
+    name: "A drop well below the pre-raise price is a real discount",
+    run: () => {
+      const result = analyzeDiscount({
+        history: history([[50, 60], [65, 10]]),
+        oldPrice: 65,
+        newPrice: 40,
+        dropAt: NOW
+      });
+      return result.suspicious === false;
+    }
+  },
+  {
+    name: "Raises outside the window or below the minimum are ignored",
+    run: () => {
+      const old = analyzeDiscount({ history: history([[50, 90], [65, 45]]), oldPrice: 65, newPrice: 50, dropAt: NOW });
+      const small = analyzeDiscount({ history: history([[50, 20], [51, 10]]), oldPrice: 51, newPrice: 50, dropAt: NOW });
+      return old.suspicious === false && small.suspicious === false;
+    }
+  },
+  {
+    name: "Product analysis finds the latest drop in the history",
+    run: () => {
+      const product = {
+        price: { numeric: 52, currency: 'EUR' },
+        priceHistory: history([[50, 60], [65, 10], [52, 1], [52, 0]])
+      };
+      const result = analyzeProductDiscount(product, {}, NOW);
+      return result.oldPrice === 65 && result.flags.includes(DISCOUNT_FLAGS.RAISED_BEFORE_DROP);
+    }
+  },
+  {
+    name: "Products without a drop or was price have nothing to judge",
+    run: () => {
+      const rising = { price: { numeric: 60 }, priceHistory: history([[50, 20], [60, 1]]) };
+      const steady = { price: { numeric: 50, regularPrice: 70 }, priceHistory: history([[50, 20], [50, 1]]) };
+      return analyzeProductDiscount(rising, {}, NOW) === null &&
+        analyzeProductDiscount(steady, {}, NOW).flags[0] === DISCOUNT_FLAGS.WAS_PRICE_NEVER_SEEN;
+    }
+  },
+  {
+    name: "Flags are described with formatted prices",
+    run: () => {
+      const result = analyzeDiscount({ history: history([[80, 40]]), oldPrice: 80, newPrice: 70, wasPrice: 120, dropAt: NOW });
+      const [text] = describeDiscountFlags(result, value => `€${value}`);
+      return text.includes('€120') && text.includes('€80') &&
+        describeDiscountFlags({ suspicious: false, flags: [] }).length === 0;
+    }
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Discount Analysis Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
@@ -0,0 +1,157 @@
+/**
+ * Domain Backoff Test Suite
+ * Tests for the per-domain circuit breaker (CAPTCHA / 429 / 503)
+ * Run with Node.js
+ */
+
+import {
+  BACKOFF_REASONS,
+  MAX_COOLDOWN_MS,
+  STRIKE_RESET_MS,
+  getBackoffDomain,
+  classifyBlockError,
+  getCooldownMs,
+  recordBlock,
+  recordSuccess,
+  getPause,
+  getActivePauses,
+  pruneBackoffState,
+  formatBackoffDomain
+} from '../utils/domain-backoff.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const NOW = Date.UTC(2026, 5, 15, 12, 0, 0);
+
+/**
+ * Build an error like the ones thrown by fetchHTML
+ */
+function httpError(status, retryAfterMs) {
+  const error = new Error(`Failed to fetch https://x after 1 attempts: HTTP ${status}: Error`);
+  error.status = status;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+const tests = [
+  {
+    name: "Domains are keyed without www",
+    run: () => getBackoffDomain('https://www.Amazon.de/dp/B01') === 'amazon.de' &&
+      getBackoffDomain('shop.example.com') === 'shop.example.com' && getBackoffDomain('not a url://') === null
+  },
+  {
+    name: "CAPTCHA, 429 and 503 open the breaker; other errors don't",
+    run: () => {
+      const captcha = new Error('CAPTCHA_DETECTED: challenge');
+      return classifyBlockError(captcha) === BACKOFF_REASONS.CAPTCHA &&
+        classifyBlockError(httpError(429)) === BACKOFF_REASONS.RATE_LIMITED &&
+        classifyBlockError(httpError(503)) === BACKOFF_REASONS.UNAVAILABLE &&
+        classifyBlockError(new Error('Failed to fetch x after 3 attempts: HTTP 503: Service Unavailable')) === BACKOFF_REASONS.UNAVAILABLE &&
+        classifyBlockError(httpError(404)) === null &&
+        classifyBlockError(new Error('Request timeout after 15000ms')) === null;
+    }
+  },
+  {
+    name: "Cooldown doubles per strike and is capped",
+    run: () => getCooldownMs(BACKOFF_REASONS.CAPTCHA, 1) === HOUR &&
+      getCooldownMs(BACKOFF_REASONS.CAPTCHA, 2) === 2 * HOUR &&
+      getCooldownMs(BACKOFF_REASONS.CAPTCHA, 3) === 4 * HOUR &&
+      getCooldownMs(BACKOFF_REASONS.CAPTCHA, 20) === MAX_COOLDOWN_MS
+  },
+  {
+    name: "Retry-After extends the cooldown",
+    run: () => getCooldownMs(BACKOFF_REASONS.RATE_LIMITED, 1, 3 * HOUR) === 3 * HOUR &&
+      getCooldownMs(BACKOFF_REASONS.RATE_LIMITED, 1, 10 * 1000) === 30 * MINUTE
+  },
+  {
+    name: "A block pauses the whole domain until the cooldown ends",
+    run: () => {
+      const state = recordBlock({}, 'amazon.de', BACKOFF_REASONS.CAPTCHA, { now: NOW });
+      return getPause(state, 'amazon.de', NOW + 30 * MINUTE)?.pausedUntil === NOW + HOUR &&
+        getPause(state, 'amazon.de', NOW + HOUR) === null &&
+        getPause(state, 'amazon.com', NOW) === null;
+    }
+  },
+  {
+    name: "Repeated blocks escalate, old ones start over",
+    run: () => {
+      let state = recordBlock({}, 'amazon.de', BACKOFF_REASONS.CAPTCHA, { now: NOW });
+      state = recordBlock(state, 'amazon.de', BACKOFF_REASONS.CAPTCHA, { now: NOW + 2 * HOUR });
+      const escalated = state['amazon.de'];
+      const later = recordBlock(state, 'amazon.de', BACKOFF_REASONS.CAPTCHA, { now: NOW + 2 * HOUR + STRIKE_RESET_MS })['amazon.de'];
+      return escalated.strikes === 2 && escalated.pausedUntil === NOW + 4 * HOUR && later.strikes === 1;
+    }
+  },
+  {
+    name: "A successful check closes the breaker",
+    run: () => {
+      const state = recordBlock({}, 'amazon.de', BACKOFF_REASONS.RATE_LIMITED, { now: NOW });
+      const cleared = recordSuccess(state, 'amazon.de');
+      return !cleared['amazon.de'] && recordSuccess(cleared, 'amazon.de') === cleared;
+    }
+  },
+  {
+    name: "Active pauses are listed soonest first",
+    run: () => {
+      let state = recordBlock({}, 'a.com', BACKOFF_REASONS.CAPTCHA, { now: NOW });
+      state = recordBlock(state, 'b.com', BACKOFF_REASONS.UNAVAILABLE, { now: NOW });
+      state = recordBlock(state, 'c.com', BACKOFF_REASONS.UNAVAILABLE, { now: NOW - 2 * HOUR });
+      const pauses = getActivePauses(state, NOW);
+      return pauses.length === 2 && pauses[0].domain === 'b.com' && pauses[1].domain === 'a.com';
+    }
+  },
+  {
+    name: "Expired entries are pruned once their strikes reset",
+    run: () => {
+      const state = recordBlock({}, 'a.com', BACKOFF_REASONS.UNAVAILABLE, { now: NOW });
+      return Object.keys(pruneBackoffState(state, NOW + HOUR)).length === 1 &&
+        Object.keys(pruneBackoffState(state, NOW + STRIKE_RESET_MS)).length === 0;
+    }
+  },
+  {
+    name: "Paused domains are shown capitalized",
+    run: () => formatBackoffDomain('amazon.de') === 'Amazon.de'
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Domain Backoff Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
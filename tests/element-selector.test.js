@@ -0,0 +1,262 @@
+/**
+ * Element Selector Test Suite
+ * Tests for the selectors the price picker saves as site rules
+ * Run with Node.js
+ */
+
+import {
+  isGeneratedName,
+  isStableClassName,
+  getOwnSelectors,
+  isUniqueSelector,
+  buildElementSelector
+} from '../utils/element-selector.js';
+
+/**
+ * Minimal element tree: el('span', { class: 'price', id: 'x' }, [children])
+ */
+function el(tag, attrs = {}, children = []) {
+  const element = {
+    tagName: tag.toUpperCase(),
+    id: attrs.id || '',
+    classList: (attrs.class || '').split(/\s+/).filter(Boolean),
+    getAttribute: name => attrs[name] ?? null,
+    parentElement: null,
+    children
+  };
+  children.forEach(child => { child.parentElement = element; });
+  return element;
+}
+
+/**
+ * Match one compound selector (tag#id.class[attr="v"]:nth-of-type(n))
+ */
+function matchesCompound(element, compound) {
+  const tag = compound.match(/^[a-z][a-z0-9]*/)?.[0];
+  if (tag && element.tagName.toLowerCase() !== tag) return false;
+
+  for (const [, id] of compound.matchAll(/#([\w-]+)/g)) {
+    if (element.id !== id) return false;
+  }
+  for (const [, name] of compound.matchAll(/\.([\w-]+)/g)) {
+    if (!element.classList.includes(name)) return false;
+  }
+  for (const [, name, value] of compound.matchAll(/\[([\w-]+)(?:="((?:[^"\\]|\\.)*)")?\]/g)) {
+    const actual = name === 'id' ? element.id || null : element.getAttribute(name);
+    if (actual === null || (value !== undefined && actual !== value.replace(/\\(.)/g, '$1'))) return false;
+  }
+  const nth = compound.match(/:nth-of-type\((\d+)\)/);
+  if (nth) {
+    const siblings = element.parentElement.children.filter(child => child.tagName === element.tagName);
+    if (siblings.indexOf(element) + 1 !== Number(nth[1])) return false;
+  }
+  return true;
+}
+
+/**
+ * Match a selector with descendant (" ") and child (" > ") combinators
+ */
+function matchesSelector(element, selector) {
+  const parts = selector.trim().split(/\s+/);
+  const match = (node, index) => {
+    if (!node || !matchesCompound(node, parts[index])) return false;
+    if (index === 0) return true;
+    if (parts[index - 1] === '>') {
+      return match(node.parentElement, index - 2);
+    }
+    for (let ancestor = node.parentElement; ancestor; ancestor = ancestor.parentElement) {
+      if (match(ancestor, index - 1)) return true;
+    }
+    return false;
+  };
+  return match(element, parts.length - 1);
+}
+
+function fakeDocument(body) {
+  const html = el('html', {}, [body]);
+  const all = [];
+  const walk = node => { all.push(node); node.children.forEach(walk); };
+  walk(html);
+  return {
+    querySelectorAll: (selector) => {
+      if (selector.includes('[[')) throw new Error('Invalid selector');
+      return all.filter(node => matchesSelector(node, selector));
+    }
+  };
+}
+
+const tests = [
+  {
+    name: "Generated ids and class names are recognized",
+    run: () => {
+      return isGeneratedName('css-1x2y3z') &&
+        isGeneratedName('sc-bdVaJa') &&
+        isGeneratedName('product-12345') &&
+        isGeneratedName('ember482') &&
+        isGeneratedName('_a1b2c') &&
+        isGeneratedName('title__x7Yz3') &&
+        isGeneratedName(':r1f:') &&
+        isGeneratedName('aB3dE9') &&
+        !isGeneratedName('product-price') &&
+        !isGeneratedName('product__price') &&
+        !isGeneratedName('productTitle') &&
+        !isGeneratedName('col2');
+    }
+  },
+  {
+    name: "State classes and odd identifiers are not used",
+    run: () => {
+      return isStableClassName('price') &&
+        !isStableClassName('active') &&
+        !isStableClassName('is-selected') &&
+        !isStableClassName('js-price') &&
+        !isStableClassName('2col') &&
+        !isStableClassName('md:text-lg');
+    }
+  },
+  {
+    name: "Own selectors go id, attributes, then classes",
+    run: () => {
+      const selectors = getOwnSelectors(el('span', {
+        id: 'our-price',
+        itemprop: 'price',
+        'data-price': '19.99',
+        class: 'active amount product-price css-9x8y7z'
+      }));
+      return JSON.stringify(selectors) === JSON.stringify([
+        '#our-price',
+        'span[itemprop="price"]',
+        'span[data-price]',
+        'span.product-price.amount',
+        'span.product-price'
+      ]);
+    }
+  },
+  {
+    name: "Value attributes match by name, quotes are escaped",
+    run: () => {
+      const selectors = getOwnSelectors(el('div', { 'data-testid': 'price "main"', 'data-price-amount': '5' }));
+      return selectors[0] === 'div[data-testid="price \\"main\\""]' &&
+        selectors[1] === 'div[data-price-amount]';
+    }
+  },
+  {
+    name: "Generated ids are skipped",
+    run: () => {
+      const selectors = getOwnSelectors(el('span', { id: 'react-aria-5', class: 'price' }));
+      return selectors.length === 1 && selectors[0] === 'span.price';
+    }
+  },
+  {
+    name: "A unique id wins",
+    run: () => {
+      const price = el('span', { id: 'price', class: 'price' });
+      const doc = fakeDocument(el('body', {}, [el('div', {}, [price]), el('span', { class: 'price' })]));
+      return buildElementSelector(price, doc) === '#price';
+    }
+  },
+  {
+    name: "Shared classes are scoped to an anchored ancestor",
+    run: () => {
+      const price = el('span', { class: 'price' });
+      const doc = fakeDocument(el('body', {}, [
+        el('div', { class: 'product-main' }, [price]),
+        el('div', { class: 'related' }, [el('span', { class: 'price' }), el('span', { class: 'price' })])
+      ]));
+      return buildElementSelector(price, doc) === 'div.product-main span.price';
+    }
+  },
+  {
+    name: "Elements without names get a position path",
+    run: () => {
+      const price = el('span');
+      const doc = fakeDocument(el('body', {}, [
+        el('section', { id: 'buy-box' }, [el('span'), el('div', {}, [el('b'), price])])
+      ]));
+      const selector = buildElementSelector(price, doc);
+      return selector === '#buy-box > div > span' &&
+        isUniqueSelector(doc, selector, price);
+    }
+  },
+  {
+    name: "Same-tag siblings get nth-of-type",
+    run: () => {
+      const second = el('p');
+      const doc = fakeDocument(el('body', {}, [el('main', { id: 'content' }, [el('p'), second, el('p')])]));
+      return buildElementSelector(second, doc) === '#content > p:nth-of-type(2)';
+    }
+  },
+  {
+    name: "Pages without anchors fall back to a path from body",
+    run: () => {
+      const price = el('span');
+      const doc = fakeDocument(el('body', {}, [el('div', {}, [el('div', {}, [price])]), el('div')]));
+      return buildElementSelector(price, doc) === 'body > div:nth-of-type(1) > div > span';
+    }
+  },
+  {
+    name: "Deep nesting climbs past the anchor search depth",
+    run: () => {
+      const price = el('span');
+      let node = price;
+      for (let i = 0; i < 8; i++) node = el('div', {}, [node]);
+      const doc = fakeDocument(el('body', {}, [node, el('div')]));
+      const selector = buildElementSelector(price, doc);
+      return selector.startsWith('body > div:nth-of-type(1) > div > ') &&
+        selector.endsWith(' > span') &&
+        isUniqueSelector(doc, selector, price);
+    }
+  },
+  {
+    name: "Invalid selectors and missing elements are not unique",
+    run: () => {
+      const price = el('span', { class: 'price' });
+      const doc = fakeDocument(el('body', {}, [price]));
+      return !isUniqueSelector(doc, '[[bad', price) &&
+        !isUniqueSelector(doc, '.missing', price) &&
+        buildElementSelector(null, doc) === null;
+    }
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Element Selector Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
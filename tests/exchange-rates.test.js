@@ -0,0 +1,185 @@
+/**
+ * Exchange Rates Test Suite
+ * Tests for rate tables, currency conversion and mixed-currency offer groups
+ * Run with Node.js
+ */
+
+import {
+  DEFAULT_EXCHANGE_RATES,
+  normalizeRateTable,
+  parseRateTable,
+  getRateTable,
+  getHomeCurrency,
+  convertAmount,
+  canConvert,
+  convertPrice
+} from '../utils/exchange-rates.js';
+import { buildOfferGroups } from '../utils/offer-groups.js';
+
+const TABLE = { base: 'EUR', date: '2025-01-02', rates: { USD: 1.1, GBP: 0.8, JPY: 160 } };
+
+/**
+ * Tracked product with a shared barcode
+ */
+function product(productId, domain, numeric, currency) {
+  return {
+    productId,
+    title: `Headphones at ${domain}`,
+    domain,
+    price: { numeric, currency },
+    identifiers: { gtin: '4006381333931' }
+  };
+}
+
+const tests = [
+  {
+    name: "Full tables are normalized and the base gets rate 1",
+    run: () => {
+      const { table, errors } = normalizeRateTable({ base: 'usd', date: '2025-03-01', rates: { eur: '0.9', GBP: 0.78 } });
+      return errors.length === 0 && table.base === 'USD' && table.date === '2025-03-01' &&
+        table.rates.USD === 1 && table.rates.EUR === 0.9 && table.rates.GBP === 0.78;
+    }
+  },
+  {
+    name: "Flat maps are read with base EUR",
+    run: () => {
+      const { table } = normalizeRateTable({ USD: 1.05, GBP: 0.83 });
+      return table.base === 'EUR' && table.date === null && table.rates.EUR === 1 && table.rates.USD === 1.05;
+    }
+  },
+  {
+    name: "Invalid codes and rates are skipped with an error each",
+    run: () => {
+      const { table, errors } = normalizeRateTable({ rates: { USD: 1.05, DOLLAR: 1, GBP: -1, CHF: 'abc' } });
+      return table.rates.USD === 1.05 && !('GBP' in table.rates) && !('CHF' in table.rates) && errors.length === 3;
+    }
+  },
+  {
+    name: "Tables without a usable rate are rejected",
+    run: () => normalizeRateTable({ rates: { GBP: 0 } }).table === null &&
+      normalizeRateTable([1, 2]).table === null &&
+      normalizeRateTable({ base: 'euro', rates: { USD: 1 } }).table === null
+  },
+  {
+    name: "Invalid JSON is reported",
+    run: () => {
+      const { table, errors } = parseRateTable('{ "USD": ');
+      return table === null && errors[0].startsWith('Invalid JSON');
+    }
+  },
+  {
+    name: "Settings without a table use the built-in rates",
+    run: () => getRateTable({ currency: { exchangeRates: {} } }) === DEFAULT_EXCHANGE_RATES &&
+      getRateTable({}) === DEFAULT_EXCHANGE_RATES &&
+      getRateTable({ currency: { exchangeRates: TABLE } }).rates.USD === 1.1
+  },
+  {
+    name: "Home currency must be an ISO code",
+    run: () => getHomeCurrency({ currency: { homeCurrency: 'GBP' } }) === 'GBP' &&
+      getHomeCurrency({ currency: { homeCurrency: '' } }) === null &&
+      getHomeCurrency({}) === null
+  },
+  {
+    name: "Amounts convert through the base currency",
+    run: () => convertAmount(110, 'USD', 'EUR', TABLE) === 100 &&
+      convertAmount(100, 'EUR', 'GBP', TABLE) === 80 &&
+      convertAmount(110, 'USD', 'GBP', TABLE) === 80
+  },
+  {
+    name: "Converted amounts round to the target currency's minor unit",
+    run: () => convertAmount(10.01, 'EUR', 'JPY', TABLE) === 1602 &&
+      convertAmount(1, 'USD', 'EUR', TABLE) === 0.91
+  },
+  {
+    name: "Missing rates give null",
+    run: () => convertAmount(10, 'EUR', 'CHF', TABLE) === null &&
+      !canConvert('CHF', 'EUR', TABLE) && canConvert('USD', 'GBP', TABLE) &&
+      convertAmount(10, 'EUR', 'EUR', {}) === 10
+  },
+  {
+    name: "Price objects convert item, was, shipping and unit prices",
+    run: () => {
+      const converted = convertPrice({ numeric: 55, currency: 'USD', regularPrice: 66, shipping: 11, unitPrice: 22, unit: 'kg' }, 'EUR', TABLE);
+      return converted.currency === 'EUR' && converted.numeric === 50 && converted.regularPrice === 60 &&
+        converted.shipping === 10 && converted.unitPrice === 20 && converted.unit === 'kg' &&
+        converted.originalCurrency === 'USD' && converted.originalNumeric === 55;
+    }
+  },
+  {
+    name: "Mixed-currency groups compare in the home currency",
+    run: () => {
+      const [group] = buildOfferGroups([
+        product('de', 'amazon.de', 100, 'EUR'),
+        product('uk', 'amazon.co.uk', 72, 'GBP'),
+        product('us', 'amazon.com', 121, 'USD')
+      ], 'item', { homeCurrency: 'EUR', rates: TABLE });
+      const uk = group.offers.find(offer => offer.productId === 'uk');
+      return group.currency === 'EUR' && group.cheapest.productId === 'uk' && uk.price === 90 &&
+        uk.originalPrice === 72 && uk.originalCurrency === 'GBP' && group.offers.every(offer => offer.comparable);
+    }
+  },
+  {
+    name: "Without a home currency, groups compare in the majority currency",
+    run: () => {
+      const [group] = buildOfferGroups([
+        product('de', 'amazon.de', 100, 'EUR'),
+        product('fr', 'amazon.fr', 95, 'EUR'),
+        product('uk', 'amazon.co.uk', 72, 'GBP')
+      ], 'item', { homeCurrency: null, rates: TABLE });
+      return group.currency === 'EUR' && group.cheapest.productId === 'uk';
+    }
+  },
+  {
+    name: "Offers without a rate stay in the group but aren't compared",
+    run: () => {
+      const [group] = buildOfferGroups([
+        product('de', 'amazon.de', 100, 'EUR'),
+        product('ch', 'galaxus.ch', 50, 'CHF')
+      ], 'item', { homeCurrency: 'EUR', rates: TABLE });
+      const ch = group.offers.find(offer => offer.productId === 'ch');
+      return group.cheapest.productId === 'de' && ch.comparable === false && ch.currency === 'CHF';
+    }
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Exchange Rates Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
@@ -0,0 +1,154 @@
+/**
+ * Notification Budget Test Suite
+ * Tests for the daily notification limit and the overflow digest
+ * Run with Node.js
+ */
+
+import {
+  DEFAULT_MAX_PER_DAY,
+  DIGEST_HOUR,
+  MAX_DIGEST_ENTRIES,
+  getBudgetDay,
+  getMaxPerDay,
+  normalizeBudgetState,
+  getRemainingNotifications,
+  recordNotificationsSent,
+  queueDigestDrop,
+  sortDigestEntries,
+  getNextDigestTime
+} from '../utils/notification-budget.js';
+
+const HOUR = 60 * 60 * 1000;
+// Local noon, so day boundaries don't depend on the machine's time zone
+const NOW = new Date(2026, 5, 15, 12, 0, 0).getTime();
+const TOMORROW = new Date(2026, 5, 16, 8, 0, 0).getTime();
+
+/**
+ * Build a drop as passed to the notification manager
+ */
+function drop(id, oldPrice, newPrice, targetReached = false) {
+  return {
+    product: { productId: id, title: `Product ${id}`, price: { currency: 'EUR', locale: 'de-DE' } },
+    oldPrice,
+    newPrice,
+    dropPercentage: ((oldPrice - newPrice) / oldPrice) * 100,
+    targetReached
+  };
+}
+
+const tests = [
+  {
+    name: "Budget day is the local calendar day",
+    run: () => getBudgetDay(NOW) === '2026-06-15' && getBudgetDay(TOMORROW) === '2026-06-16'
+  },
+  {
+    name: "Daily limit comes from settings, with a default",
+    run: () => {
+      return getMaxPerDay({ notifications: { maxPerDay: 10 } }) === 10 &&
+        getMaxPerDay({ notifications: { maxPerDay: 0 } }) === DEFAULT_MAX_PER_DAY &&
+        getMaxPerDay({}) === DEFAULT_MAX_PER_DAY;
+    }
+  },
+  {
+    name: "Sent notifications use up the budget",
+    run: () => {
+      let state = normalizeBudgetState(null, NOW);
+      state = recordNotificationsSent(state, 1, NOW);
+      state = recordNotificationsSent(state, 2, NOW);
+      return state.sent === 3 &&
+        getRemainingNotifications(state, 5, NOW) === 2 &&
+        getRemainingNotifications(state, 3, NOW) === 0 &&
+        getRemainingNotifications(state, 2, NOW) === 0;
+    }
+  },
+  {
+    name: "Counter resets on a new day, the digest is kept",
+    run: () => {
+      let state = recordNotificationsSent(null, 3, NOW);
+      state = queueDigestDrop(state, drop('a', 100, 80), NOW);
+      const next = normalizeBudgetState(state, TOMORROW);
+      return next.sent === 0 && next.day === '2026-06-16' && next.digest.length === 1 &&
+        getRemainingNotifications(state, 3, TOMORROW) === 3;
+    }
+  },
+  {
+    name: "Repeated drops of one product merge into the whole drop",
+    run: () => {
+      let state = queueDigestDrop(null, drop('a', 100, 90), NOW);
+      state = queueDigestDrop(state, drop('a', 90, 75, true), NOW + HOUR);
+      const [entry] = state.digest;
+      return state.digest.length === 1 && entry.oldPrice === 100 && entry.newPrice === 75 &&
+        Math.round(entry.dropPercentage) === 25 && entry.targetReached === true &&
+        entry.currency === 'EUR' && entry.queuedAt === NOW + HOUR;
+    }
+  },
+  {
+    name: "Digest is capped, oldest entries dropped",
+    run: () => {
+      let state = null;
+      for (let i = 0; i < MAX_DIGEST_ENTRIES + 5; i++) {
+        state = queueDigestDrop(state, drop(`p${i}`, 100, 90), NOW);
+      }
+      return state.digest.length === MAX_DIGEST_ENTRIES && state.digest[0].productId === 'p5';
+    }
+  },
+  {
+    name: "Digest lists reached targets first, then biggest drops",
+    run: () => {
+      let state = queueDigestDrop(null, drop('small', 100, 95), NOW);
+      state = queueDigestDrop(state, drop('big', 100, 50), NOW);
+      state = queueDigestDrop(state, drop('target', 100, 90, true), NOW);
+      return sortDigestEntries(state.digest).map(e => e.productId).join(',') === 'target,big,small';
+    }
+  },
+  {
+    name: "Next digest is today before the digest hour, tomorrow after it",
+    run: () => {
+      const morning = new Date(2026, 5, 15, DIGEST_HOUR - 1, 0, 0).getTime();
+      return getNextDigestTime(morning) === new Date(2026, 5, 15, DIGEST_HOUR, 0, 0).getTime() &&
+        getNextDigestTime(NOW) === new Date(2026, 5, 16, DIGEST_HOUR, 0, 0).getTime();
+    }
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Notification Budget Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
@@ -0,0 +1,133 @@
+/**
+ * Notification Manager Test Suite
+ * Tests for which price drops show a notification
+ * Run with Node.js
+ *
+ * Runs against an in-memory browser API: storage.local in a Map, and
+ * notifications recorded instead of shown.
+ */
+
+const localArea = new Map();
+const createdNotifications = [];
+
+globalThis.browser = {
+  runtime: { getURL: path => `chrome-extension://test/${path}` },
+  storage: {
+    onChanged: { addListener() {} },
+    local: {
+      async get(keys) {
+        const names = keys === null ? [...localArea.keys()] : [].concat(keys);
+        return Object.fromEntries(names.filter(name => localArea.has(name)).map(name => [name, structuredClone(localArea.get(name))]));
+      },
+      async set(items) {
+        Object.entries(items).forEach(([key, value]) => localArea.set(key, structuredClone(value)));
+      },
+      async remove(keys) {
+        [].concat(keys).forEach(key => localArea.delete(key));
+      }
+    }
+  },
+  notifications: {
+    onClicked: { addListener() {} },
+    onClosed: { addListener() {} },
+    async create(id, options) {
+      createdNotifications.push({ id, ...options });
+      return id;
+    },
+    async clear() {
+      return true;
+    }
+  }
+};
+
+const { showPriceDropNotification } = await import('../utils/notification-manager.js');
+
+function product(productId) {
+  return {
+    productId,
+    title: 'Studio Headphones',
+    url: `https://shop.example/${productId}`,
+    price: { numeric: 59, currency: 'EUR', locale: 'en-IE' },
+    notifications: { targetPrice: 60 }
+  };
+}
+
+/**
+ * Show one drop of 99 -> 59 with the given settings
+ * @returns {Object|null} The created notification, or null
+ */
+async function notify(productId, notifications, options) {
+  localArea.clear();
+  localArea.set('settings', { notifications: { enabled: true, minDropPercentage: 5, ...notifications } });
+  const before = createdNotifications.length;
+  await showPriceDropNotification(product(productId), 99, 59, 40.4, options);
+  return createdNotifications[before] || null;
+}
+
+const tests = [
+  {
+    name: "A single suspicious drop is skipped when the setting is on",
+    run: async () => await notify('p1', { skipSuspiciousDrops: true }, { suspicious: true }) === null
+  },
+  {
+    name: "A single suspicious drop notifies, with a warning, when the setting is off",
+    run: async () => {
+      const shown = await notify('p2', { skipSuspiciousDrops: false }, { suspicious: true });
+      return shown?.id === 'p2' && shown.title === '🔔 Price Drop Alert!' &&
+        shown.message.includes('Suspicious discount');
+    }
+  },
+  {
+    name: "A suspicious drop that reaches the target price still notifies",
+    run: async () => {
+      const shown = await notify('p3', { skipSuspiciousDrops: true }, { suspicious: true, targetReached: true });
+      return shown?.id === 'p3' && shown.title === '🎯 Target Price Reached!';
+    }
+  },
+  {
+    name: "Drops that aren't suspicious are not affected by the setting",
+    run: async () => (await notify('p4', { skipSuspiciousDrops: true }, {}))?.id === 'p4'
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Notification Manager Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+for (const [index, test] of tests.entries()) {
+  let ok = false;
+  try {
+    ok = await test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+}
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
@@ -0,0 +1,240 @@
+/**
+ * Offer Groups Test Suite
+ * Tests for product identifiers and cross-store offer groups
+ * Run with Node.js
+ */
+
+import {
+  normalizeGtin,
+  normalizePartNumber,
+  normalizeBrand,
+  normalizeIdentifiers,
+  mergeIdentifiers,
+  getSchemaIdentifiers,
+  getIdentityKeys,
+  buildOfferGroups,
+  indexOfferGroups,
+  getCheapestChanges
+} from '../utils/offer-groups.js';
+
+/**
+ * Minimal tracked product
+ */
+function product(productId, domain, numeric, extra = {}) {
+  return {
+    productId,
+    title: `Headphones at ${domain}`,
+    domain,
+    price: { numeric, currency: 'EUR', ...(extra.price || {}) },
+    identifiers: extra.identifiers === undefined ? { gtin: '4006381333931' } : extra.identifiers,
+    ...(extra.availability ? { availability: extra.availability } : {}),
+    ...(extra.offerGroup ? { offerGroup: extra.offerGroup } : {})
+  };
+}
+
+const tests = [
+  {
+    name: "UPC, EAN-13 and GTIN-14 of the same code normalize to one GTIN",
+    run: () => normalizeGtin('036000291452') === '00036000291452' &&
+      normalizeGtin('0036000291452') === '00036000291452' &&
+      normalizeGtin(4006381333931) === '04006381333931' &&
+      normalizeGtin('https://id.gs1.org/01/04006381333931') === '04006381333931'
+  },
+  {
+    name: "GTINs with a wrong check digit or length are rejected",
+    run: () => normalizeGtin('4006381333932') === null &&
+      normalizeGtin('12345') === null &&
+      normalizeGtin('00000000000000') === null &&
+      normalizeGtin(null) === null
+  },
+  {
+    name: "Part numbers ignore case and punctuation, and need a digit",
+    run: () => normalizePartNumber('WH-1000XM5') === 'WH1000XM5' &&
+      normalizePartNumber('wh 1000 xm5') === 'WH1000XM5' &&
+      normalizePartNumber('Black') === null &&
+      normalizePartNumber('Does not apply') === null
+  },
+  {
+    name: "Brands are compared without case, accents and punctuation",
+    run: () => normalizeBrand('Nestlé') === 'nestle' &&
+      normalizeBrand('De’Longhi') === 'delonghi' &&
+      normalizeBrand('Unbranded') === null
+  },
+  {
+    name: "Identifiers keep only valid fields and merge per field",
+    run: () => {
+      const normalized = normalizeIdentifiers({ gtin: '123', mpn: 'N/A', brand: 'Sony', model: 'WH-1000XM5' });
+      const merged = mergeIdentifiers({ brand: 'Sony' }, { brand: 'Other', gtin: '4006381333931' });
+      return normalized.gtin === null && normalized.mpn === null && normalized.brand === 'Sony' &&
+        normalized.model === 'WH-1000XM5' &&
+        merged.brand === 'Sony' && merged.gtin === '04006381333931' &&
+        normalizeIdentifiers({ mpn: 'n/a' }) === null;
+    }
+  },
+  {
+    name: "Schema.org identifiers are read from the Product node",
+    run: () => {
+      const ids = getSchemaIdentifiers([{
+        '@type': 'Product',
+        name: 'WH-1000XM5',
+        gtin13: '4006381333931',
+        mpn: 'WH1000XM5/B',
+        brand: { '@type': 'Brand', name: 'Sony' }
+      }]);
+      return ids.gtin === '04006381333931' && ids.mpn === 'WH1000XM5/B' && ids.brand === 'Sony';
+    }
+  },
+  {
+    name: "Variant codes are dropped when the tracked variant is unknown",
+    run: () => {
+      const ids = getSchemaIdentifiers([
+        { '@type': 'ProductGroup', brand: 'Levi’s' },
+        { '@type': 'Product', sku: 'A-32', gtin13: '4006381333931' },
+        { '@type': 'Product', sku: 'A-34', gtin13: '5901234123457' }
+      ]);
+      return ids.gtin === null && ids.brand === 'Levi’s';
+    }
+  },
+  {
+    name: "Identity keys combine MPN and model with the brand",
+    run: () => {
+      const keys = getIdentityKeys({ gtin: '4006381333931', mpn: 'WH-1000XM5', brand: 'Sony', model: 'WH1000XM5' });
+      return keys.join(',') === 'gtin:04006381333931,mpn:sony:WH1000XM5,model:sony:WH1000XM5' &&
+        getIdentityKeys({ mpn: 'WH-1000XM5' }).length === 0 &&
+        getIdentityKeys(null).length === 0;
+    }
+  },
+  {
+    name: "Products sharing a GTIN form one group, cheapest first",
+    run: () => {
+      const groups = buildOfferGroups([
+        product('a', 'shop-a.de', 329),
+        product('b', 'shop-b.de', 299),
+        product('c', 'shop-c.de', 99, { identifiers: { gtin: '5901234123457' } })
+      ]);
+      return groups.length === 1 && groups[0].storeCount === 2 &&
+        groups[0].offers.map(offer => offer.productId).join(',') === 'b,a' &&
+        groups[0].cheapest.productId === 'b' && groups[0].manual === false;
+    }
+  },
+  {
+    name: "Matches are transitive across GTIN and brand + MPN",
+    run: () => {
+      const groups = buildOfferGroups([
+        product('a', 'shop-a.de', 329, { identifiers: { gtin: '4006381333931', brand: 'Sony', mpn: 'WH-1000XM5' } }),
+        product('b', 'shop-b.de', 299, { identifiers: { brand: 'SONY', mpn: 'wh1000xm5' } }),
+        product('c', 'shop-c.de', 319, { identifiers: { gtin: '04006381333931' } })
+      ]);
+      return groups.length === 1 && groups[0].offers.length === 3;
+    }
+  },
+  {
+    name: "Manual links and unlinks override automatic matching",
+    run: () => {
+      const groups = buildOfferGroups([
+        product('a', 'shop-a.de', 329),
+        product('b', 'shop-b.de', 299, { offerGroup: { standalone: true } }),
+        product('c', 'shop-c.de', 319),
+        product('d', 'shop-d.de', 310, { identifiers: null, offerGroup: { id: 'group_1' } }),
+        product('e', 'shop-e.de', 305, { identifiers: null, offerGroup: { id: 'group_1' } })
+      ]);
+      const index = indexOfferGroups(groups);
+      return groups.length === 2 && !index.has('b') &&
+        index.get('a') === index.get('c') &&
+        index.get('d').id === 'group_1' && index.get('d').manual === true && index.get('d').cheapest.productId === 'e';
+    }
+  },
+  {
+    name: "Out-of-stock offers and other currencies are never the cheapest",
+    run: () => {
+      const [group] = buildOfferGroups([
+        product('a', 'shop-a.de', 329),
+        product('b', 'shop-b.de', 299, { availability: 'OutOfStock' }),
+        product('c', 'shop-c.de', 319),
+        product('d', 'shop-d.ch', 250, { price: { currency: 'CHF' } })
+      ]);
+      return group.currency === 'EUR' && group.cheapest.productId === 'c' &&
+        group.offers[group.offers.length - 1].productId === 'd' &&
+        group.offers.find(offer => offer.productId === 'd').comparable === false;
+    }
+  },
+  {
+    name: "Unit prices are only compared when every offer has the same unit",
+    run: () => {
+      const [same] = buildOfferGroups([
+        product('a', 'shop-a.de', 4.99, { price: { unitPrice: 9.98, unit: 'kg' } }),
+        product('b', 'shop-b.de', 5.49, { price: { unitPrice: 5.49, unit: 'kg' } })
+      ], 'unit');
+      const [mixed] = buildOfferGroups([
+        product('a', 'shop-a.de', 4.99, { price: { unitPrice: 9.98, unit: 'kg' } }),
+        product('b', 'shop-b.de', 5.49)
+      ], 'unit');
+      return same.basis === 'unit' && same.cheapest.productId === 'b' &&
+        mixed.basis === 'item' && mixed.cheapest.productId === 'a';
+    }
+  },
+  {
+    name: "A new cheapest store is reported once, joining a group is not",
+    run: () => {
+      const before = buildOfferGroups([product('a', 'shop-a.de', 299), product('b', 'shop-b.de', 329)]);
+      const first = getCheapestChanges({}, before);
+
+      const after = buildOfferGroups([product('a', 'shop-a.de', 299), product('b', 'shop-b.de', 279)]);
+      const second = getCheapestChanges(first.state, after);
+      const third = getCheapestChanges(second.state, after);
+
+      const joined = buildOfferGroups([
+        product('a', 'shop-a.de', 299), product('b', 'shop-b.de', 279), product('c', 'shop-c.de', 199)
+      ]);
+      const fourth = getCheapestChanges({ a: 'b', b: 'b' }, joined);
+
+      return first.changes.length === 0 && first.state.b === 'a' &&
+        second.changes.length === 1 && second.changes[0].previous.productId === 'a' &&
+        second.changes[0].cheapest.productId === 'b' &&
+        third.changes.length === 0 &&
+        fourth.changes.length === 0 && fourth.state.a === 'c';
+    }
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Offer Groups Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
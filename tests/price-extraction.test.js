@@ -0,0 +1,236 @@
+/**
+ * Price Extraction Test Suite
+ * Tests for the shared extraction engine used by detection and background checks
+ * Run with Node.js
+ */
+
+import {
+  EXTRACTION_METHODS,
+  getExpectedCurrencyFromDomain,
+  getMethodConfidence,
+  isApproximatePrice,
+  findProductSchemaNodes,
+  normalizePlatformPrice,
+  selectOfferPrice,
+  findSchemaPriceInData,
+  getSchemaMatchVariant,
+  readEmbeddedProduct,
+  extractPriceData
+} from '../utils/price-extraction.js';
+import { SITE_RULE_METHOD } from '../utils/site-rules.js';
+
+/**
+ * Minimal document: selector -> { attrs, text }, JSON-LD blocks and other scripts
+ */
+function fakeDocument({ elements = {}, jsonLd = [], scripts = {} } = {}) {
+  const toElement = ({ attrs = {}, text = '' }) => ({
+    tagName: 'DIV',
+    textContent: text,
+    getAttribute: name => attrs[name] ?? null
+  });
+  const toScript = data => ({ textContent: typeof data === 'string' ? data : JSON.stringify(data) });
+  return {
+    documentElement: { getAttribute: () => null },
+    querySelector: (selector) => elements[selector] ? toElement(elements[selector]) : null,
+    querySelectorAll: (selector) => {
+      if (selector === 'script[type="application/ld+json"]') return jsonLd.map(toScript);
+      if (scripts[selector]) return scripts[selector].map(toScript);
+      return elements[selector] ? [toElement(elements[selector])] : [];
+    }
+  };
+}
+
+const EMBEDDED_SELECTOR =
+  'script[type="application/json"][id*="ProductJson" i], script[type="application/json"][id*="product" i], script[type="application/json"][data-product-json]';
+
+const tests = [
+  {
+    name: "Domain currencies come from the shop table",
+    run: () => getExpectedCurrencyFromDomain('www.amazon.co.uk') === 'GBP' &&
+      getExpectedCurrencyFromDomain('ebay.de') === 'EUR' &&
+      getExpectedCurrencyFromDomain('shop.example') === null
+  },
+  {
+    name: "Method confidences follow the detector's layers",
+    run: () => getMethodConfidence(EXTRACTION_METHODS.SCHEMA_ORG) === 0.95 &&
+      getMethodConfidence(SITE_RULE_METHOD) === 0.90 &&
+      getMethodConfidence(EXTRACTION_METHODS.EMBEDDED_JSON) === 0.82 &&
+      getMethodConfidence('selector: meta[property="og:price:amount"]') === 0.85 &&
+      getMethodConfidence('selector: .price') === 0.70 &&
+      getMethodConfidence(EXTRACTION_METHODS.NONE) === 0
+  },
+  {
+    name: "Approximate prices are recognized",
+    run: () => isApproximatePrice('Approximately EUR 12.34') &&
+      isApproximatePrice('approx. $5') &&
+      !isApproximatePrice('$12.34')
+  },
+  {
+    name: "Products are found anywhere in the graph, including variants",
+    run: () => {
+      const data = {
+        '@graph': [
+          { '@type': 'WebPage' },
+          { '@type': 'https://schema.org/ProductGroup', hasVariant: [{ '@type': 'Product', sku: 'A' }, { '@type': 'Product', sku: 'B' }] }
+        ]
+      };
+      const nodes = findProductSchemaNodes(data);
+      return nodes.length === 3 && nodes[1].sku === 'A' && nodes[2].sku === 'B';
+    }
+  },
+  {
+    name: "Platform minor units are converted, decimals are kept",
+    run: () => normalizePlatformPrice(129900) === '1299.00' &&
+      normalizePlatformPrice(19.99) === 19.99 &&
+      normalizePlatformPrice('19.99') === '19.99'
+  },
+  {
+    name: "Offer priceCurrency overrides the parser's guess",
+    run: () => {
+      const selected = selectOfferPrice([{ '@type': 'Offer', price: '49.95', priceCurrency: 'sek' }], { domain: 'shop.com' });
+      return selected.price.numeric === 49.95 && selected.price.currency === 'SEK' && selected.price.method === 'schema';
+    }
+  },
+  {
+    name: "AggregateOffer uses lowPrice, highPrice is the last resort",
+    run: () => {
+      const low = selectOfferPrice([{ '@type': 'AggregateOffer', lowPrice: 10, highPrice: 30, priceCurrency: 'EUR' }]);
+      const high = selectOfferPrice([{ '@type': 'Offer', highPrice: 30, priceCurrency: 'EUR' }]);
+      return low.price.numeric === 10 && high.price.numeric === 30;
+    }
+  },
+  {
+    name: "Approximate offers are skipped and the expected currency wins",
+    run: () => {
+      const selected = selectOfferPrice([
+        { '@type': 'Offer', price: '12.34', priceCurrency: 'EUR', description: 'Approximately' },
+        { '@type': 'Offer', price: '15.00', priceCurrency: 'USD' },
+        { '@type': 'Offer', price: '11.00', priceCurrency: 'GBP' }
+      ], { domain: 'www.amazon.co.uk' });
+      return selected.price.numeric === 11 && selected.price.currency === 'GBP';
+    }
+  },
+  {
+    name: "The tracked variant's node is used and reported",
+    run: () => {
+      const data = {
+        '@type': 'ProductGroup',
+        name: 'Shirt',
+        hasVariant: [
+          { '@type': 'Product', sku: 'SHIRT-S', offers: { '@type': 'Offer', price: '20.00', priceCurrency: 'EUR' } },
+          { '@type': 'Product', sku: 'SHIRT-L', offers: { '@type': 'Offer', price: '25.00', priceCurrency: 'EUR' } }
+        ]
+      };
+      const variantRef = { sku: 'SHIRT-L' };
+      const match = findSchemaPriceInData(data, { variant: variantRef });
+      const variant = getSchemaMatchVariant(match, variantRef);
+      return match.price.numeric === 25 && match.isVariant && variant?.sku === 'SHIRT-L';
+    }
+  },
+  {
+    name: "Embedded product JSON reads the selected variant in minor units",
+    run: () => {
+      const embedded = readEmbeddedProduct({
+        product: {
+          title: 'Mug',
+          variants: [{ id: 1, sku: 'MUG-RED', price: 1500 }, { id: 2, sku: 'MUG-BLUE', price: 1800 }]
+        }
+      }, { variant: { sku: 'MUG-BLUE' } }, 'usd');
+      return embedded.price.numeric === 18 && embedded.price.currency === 'USD' &&
+        embedded.variant.sku === 'MUG-BLUE' && embedded.variants.length === 2;
+    }
+  },
+  {
+    name: "JSON-LD wins over selectors and reports its confidence",
+    run: () => {
+      const result = extractPriceData(fakeDocument({
+        jsonLd: [{ '@type': 'Product', offers: { '@type': 'Offer', price: '249.00', priceCurrency: 'EUR', availability: 'https://schema.org/InStock' } }],
+        elements: { '.price': { text: '$199.00' } }
+      }), { domain: 'shop.example' });
+      return result.success && result.price === 249 && result.currency === 'EUR' &&
+        result.detectionMethod === 'schema.org' && result.confidence === 0.95 &&
+        result.priceData.numeric === 249;
+    }
+  },
+  {
+    name: "Embedded JSON is read when there is no JSON-LD",
+    run: () => {
+      const result = extractPriceData(fakeDocument({
+        scripts: { [EMBEDDED_SELECTOR]: [{ product: { title: 'Mug', price: 2499 } }] },
+        elements: { 'meta[property="product:price:currency"]': { attrs: { content: 'CAD' } } }
+      }), { domain: 'mugs.example' });
+      return result.price === 24.99 && result.currency === 'CAD' && result.detectionMethod === 'embeddedProductJson';
+    }
+  },
+  {
+    name: "Selectors skip approximate prices",
+    run: () => {
+      const result = extractPriceData(fakeDocument({
+        elements: {
+          '#prcIsum': { text: 'Approximately EUR 80.00' },
+          '.price': { text: '$99.00' }
+        }
+      }), { domain: 'ebay.com' });
+      return result.price === 99 && result.detectionMethod === 'selector: .price' && result.confidence === 0.70;
+    }
+  },
+  {
+    name: "A site rule is tried before everything else",
+    run: () => {
+      const result = extractPriceData(fakeDocument({
+        jsonLd: [{ '@type': 'Product', offers: { '@type': 'Offer', price: '249.00', priceCurrency: 'EUR' } }],
+        elements: { '.real-price': { text: '€199,00' } }
+      }), { domain: 'shop.example', siteRule: { domain: 'shop.example', price: { selector: '.real-price' } } });
+      return result.price === 199 && result.detectionMethod === SITE_RULE_METHOD && result.confidence === 0.90;
+    }
+  },
+  {
+    name: "Pages without a price report failure",
+    run: () => {
+      const result = extractPriceData(fakeDocument(), { domain: 'shop.example' });
+      return result.success === false && result.price === null && result.currency === null &&
+        result.detectionMethod === 'none' && result.confidence === 0;
+    }
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Price Extraction Test Suite");
+console.log("=================================\n");
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
@@ -0,0 +1,205 @@
+/**
+ * Price History Test Suite
+ * Tests for history downsampling and all-time statistics
+ * Run with Node.js
+ */
+
+import {
+  appendPriceHistoryEntry,
+  compactPriceHistory,
+  computePriceStats,
+  getPriceStats,
+  getFirstPrice
+} from '../utils/price-history.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 5, 15, 12, 0, 0);
+
+/**
+ * Build a raw history entry
+ */
+function entry(price, daysAgo, hours = 0, currency = 'EUR') {
+  return {
+    price,
+    currency,
+    timestamp: NOW - daysAgo * DAY + hours * 60 * 60 * 1000,
+    checkMethod: 'schema.org'
+  };
+}
+
+/**
+ * Simulate a product checked every 3 hours with a volatile price
+ */
+function buildVolatileProduct(days) {
+  const product = { price: { numeric: 100, currency: 'EUR' }, priceHistory: [] };
+  for (let i = days * 8; i >= 0; i--) {
+    const timestamp = NOW - i * 3 * 60 * 60 * 1000;
+    // Sawtooth between 80 and 119, with one all-time low far in the past
+    const price = i === days * 8 - 5 ? 42 : 80 + (i % 40);
+    appendPriceHistoryEntry(product, { price, currency: 'EUR', timestamp, checkMethod: 'schema.org' }, timestamp);
+  }
+  return product;
+}
+
+const tests = [
+  {
+    name: "Recent entries are kept as recorded",
+    run: () => {
+      const history = [entry(10, 2), entry(9, 1), entry(8, 0)];
+      const compacted = compactPriceHistory(history, NOW);
+      return compacted.length === 3 && compacted.every(e => e.checkMethod === 'schema.org');
+    }
+  },
+  {
+    name: "Entries older than 30 days collapse to daily min/max/close",
+    run: () => {
+      const history = [entry(10, 40, 1), entry(7, 40, 5), entry(12, 40, 9), entry(11, 40, 10)];
+      const [day] = compactPriceHistory(history, NOW);
+      return compactPriceHistory(history, NOW).length === 1 &&
+        day.resolution === 'day' && day.min === 7 && day.max === 12 &&
+        day.price === 11 && day.samples === 4;
+    }
+  },
+  {
+    name: "Entries older than a year collapse to weekly buckets",
+    run: () => {
+      const history = [];
+      for (let d = 400; d < 414; d++) history.push(entry(50 + d - 400, d));
+      const compacted = compactPriceHistory(history, NOW);
+      return compacted.length <= 3 && compacted.every(e => e.resolution === 'week') &&
+        Math.min(...compacted.map(e => e.min)) === 50 &&
+        Math.max(...compacted.map(e => e.max)) === 63;
+    }
+  },
+  {
+    name: "Compaction is idempotent",
+    run: () => {
+      const history = [entry(10, 40, 1), entry(7, 40, 5), entry(5, 2), entry(9, 500)];
+      const once = compactPriceHistory(history, NOW);
+      const twice = compactPriceHistory(once, NOW);
+      return JSON.stringify(once) === JSON.stringify(twice);
+    }
+  },
+  {
+    name: "Daily buckets merge into weekly buckets as they age",
+    run: () => {
+      const history = compactPriceHistory([entry(10, 300, 1), entry(4, 300, 2), entry(15, 301)], NOW);
+      const later = compactPriceHistory(history, NOW + 100 * DAY);
+      const total = later.reduce((sum, e) => sum + e.samples, 0);
+      return later.every(e => e.resolution === 'week') && total === 3 &&
+        Math.min(...later.map(e => e.min)) === 4 && Math.max(...later.map(e => e.max)) === 15;
+    }
+  },
+  {
+    name: "Different currencies are never merged",
+    run: () => {
+      const compacted = compactPriceHistory([entry(10, 40, 1, 'EUR'), entry(11, 40, 2, 'USD')], NOW);
+      return compacted.length === 2;
+    }
+  },
+  {
+    name: "Stats stay exact after compaction (all-time low kept)",
+    run: () => {
+      const product = buildVolatileProduct(60);
+      const stats = getPriceStats(product);
+      return stats.low === 42 && stats.high === 119 && stats.count === 60 * 8 + 1;
+    }
+  },
+  {
+    name: "History stays bounded over two years of 3-hour checks",
+    run: () => {
+      const product = buildVolatileProduct(730);
+      // 30 days raw (<= 240) + 335 daily + ~53 weekly
+      return product.priceHistory.length < 240 + 335 + 60 && getPriceStats(product).low === 42;
+    }
+  },
+  {
+    name: "Average is exact over all readings",
+    run: () => {
+      const product = { price: { numeric: 30, currency: 'EUR' }, priceHistory: [] };
+      [10, 20, 30].forEach((price, i) => appendPriceHistoryEntry(product, entry(price, 100 - i), NOW));
+      return Math.abs(getPriceStats(product).average - 20) < 1e-9;
+    }
+  },
+  {
+    name: "Availability-only entries are not counted in stats",
+    run: () => {
+      const product = { price: { numeric: 30, currency: 'EUR' }, priceHistory: [] };
+      appendPriceHistoryEntry(product, entry(30, 1), NOW);
+      appendPriceHistoryEntry(product, { ...entry(30, 0), checkMethod: 'availability', availability: 'OutOfStock' }, NOW);
+      return product.priceStats.count === 1 && product.priceHistory.length === 2;
+    }
+  },
+  {
+    name: "Stats are rebuilt for products saved without them",
+    run: () => {
+      const stats = computePriceStats([entry(20, 3), entry(15, 2), entry(25, 1)]);
+      return stats.first === 20 && stats.low === 15 && stats.high === 25 && stats.count === 3;
+    }
+  },
+  {
+    name: "First price survives compaction",
+    run: () => {
+      const product = buildVolatileProduct(400);
+      return getFirstPrice(product) === 80 + ((400 * 8) % 40);
+    }
+  },
+  {
+    name: "Compacted entries keep the closing was price",
+    run: () => {
+      const onSale = [{ ...entry(80, 40, 1), wasPrice: 100 }, { ...entry(79, 40, 5), wasPrice: 100 }];
+      const ended = [{ ...entry(80, 41, 1), wasPrice: 100 }, entry(100, 41, 5)];
+      const [endedDay, saleDay] = compactPriceHistory([...onSale, ...ended], NOW);
+      return saleDay.wasPrice === 100 && !('wasPrice' in endedDay);
+    }
+  },
+  {
+    name: "Compacted entries keep the last known shipping cost",
+    run: () => {
+      const [day] = compactPriceHistory([{ ...entry(20, 40, 1), shipping: 0 }, entry(20, 40, 5)], NOW);
+      return day.shipping === 0;
+    }
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Price History Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
@@ -0,0 +1,214 @@
+/**
+ * Price Sanity Test Suite
+ * Tests for holding back implausible price readings
+ * Run with Node.js
+ */
+
+import {
+  OUTLIER_REASONS,
+  SANITY_ACTIONS,
+  MAX_REJECTED_READINGS,
+  getMethodStrength,
+  getReferencePrice,
+  assessPriceReading,
+  isSameReading,
+  isConfirmingReading,
+  decidePriceReading,
+  createRejectedReading,
+  buildUnconfirmedPrice,
+  appendRejectedReading,
+  describeOutlierReasons
+} from '../utils/price-sanity.js';
+import { describeCheckResult } from '../utils/activity-log.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 5, 1);
+
+/**
+ * Product at 100 EUR with a steady history read from Schema.org
+ */
+function product(extra = {}) {
+  return {
+    productId: 'p1',
+    price: { numeric: 100, currency: 'EUR' },
+    priceHistory: [
+      { price: 105, currency: 'EUR', timestamp: NOW - 20 * DAY, checkMethod: 'schema.org' },
+      { price: 99, currency: 'EUR', timestamp: NOW - 10 * DAY, checkMethod: 'schema.org' },
+      { price: 100, currency: 'EUR', timestamp: NOW - 2 * DAY, checkMethod: 'schema.org' }
+    ],
+    ...extra
+  };
+}
+
+const tests = [
+  {
+    name: "Detection methods are ranked by reliability",
+    run: () => getMethodStrength('schema.org') === 3 &&
+      getMethodStrength('embeddedProductJson') === 3 &&
+      getMethodStrength('selector: .price') === 2 &&
+      getMethodStrength('regex:meta') === 2 &&
+      getMethodStrength('regex:element') === 1 &&
+      getMethodStrength('unknown') === 0 &&
+      getMethodStrength(undefined) === 0
+  },
+  {
+    name: "Reference is the median of recent readings in the current currency",
+    run: () => {
+      const tracked = product();
+      tracked.priceHistory.unshift(
+        { price: 1200, currency: 'SEK', timestamp: NOW - 30 * DAY },
+        { price: 20, currency: 'EUR', timestamp: NOW - 200 * DAY }
+      );
+      return getReferencePrice(tracked, NOW) === 100 &&
+        getReferencePrice({ price: { numeric: 50, currency: 'EUR' }, priceHistory: [] }, NOW) === 50 &&
+        getReferencePrice({}, NOW) === null;
+    }
+  },
+  {
+    name: "Normal moves and real sales are plausible",
+    run: () => assessPriceReading(product(), { price: 80, detectionMethod: 'schema.org' }, NOW).plausible &&
+      assessPriceReading(product(), { price: 35, detectionMethod: 'schema.org' }, NOW).plausible &&
+      assessPriceReading(product(), { price: 250, detectionMethod: 'schema.org' }, NOW).plausible
+  },
+  {
+    name: "A 'from €1' reading is an implausible drop",
+    run: () => {
+      const assessment = assessPriceReading(product(), { price: 1, detectionMethod: 'schema.org' }, NOW);
+      return !assessment.plausible && assessment.reasons.join() === OUTLIER_REASONS.EXTREME_DROP &&
+        assessment.reference === 100 && assessment.ratio === 0.01;
+    }
+  },
+  {
+    name: "A tripled price is an implausible increase",
+    run: () => {
+      const assessment = assessPriceReading(product(), { price: 320, detectionMethod: 'schema.org' }, NOW);
+      return !assessment.plausible && assessment.reasons.includes(OUTLIER_REASONS.EXTREME_INCREASE);
+    }
+  },
+  {
+    name: "Weak and downgraded sources get tighter limits",
+    run: () => {
+      const weak = assessPriceReading(product(), { price: 45, detectionMethod: 'regex:element' }, NOW);
+      const downgrade = assessPriceReading(product(), { price: 45, detectionMethod: 'selector: .price' }, NOW);
+      const usual = assessPriceReading(product(), { price: 45, detectionMethod: 'schema.org' }, NOW);
+      return !weak.plausible && weak.reasons.includes(OUTLIER_REASONS.WEAK_METHOD) &&
+        !downgrade.plausible && downgrade.reasons.includes(OUTLIER_REASONS.METHOD_DOWNGRADE) &&
+        !downgrade.reasons.includes(OUTLIER_REASONS.WEAK_METHOD) &&
+        usual.plausible;
+    }
+  },
+  {
+    name: "Products without a reference are never held",
+    run: () => assessPriceReading({ price: {}, priceHistory: [] }, { price: 1 }, NOW).plausible
+  },
+  {
+    name: "Readings within 2% are the same price",
+    run: () => isSameReading(100, 101.5) && !isSameReading(100, 103) &&
+      isSameReading(0.5, 0.51) && !isSameReading(100, null)
+  },
+  {
+    name: "A second fetch confirms only the same price in the same currency",
+    run: () => isConfirmingReading({ price: 19, currency: 'EUR' }, { price: 19.1, currency: 'EUR' }) &&
+      !isConfirmingReading({ price: 19, currency: 'EUR' }, { price: 19, currency: 'USD' }) &&
+      !isConfirmingReading({ price: 19, currency: 'EUR' }, { price: 25, currency: 'EUR' })
+  },
+  {
+    name: "Implausible readings need confirmation",
+    run: () => {
+      const decision = decidePriceReading(product(), { price: 4.99, detectionMethod: 'schema.org' }, NOW);
+      return decision.action === SANITY_ACTIONS.CONFIRM && decision.confirmedBy === null;
+    }
+  },
+  {
+    name: "Repeating the held reading confirms it",
+    run: () => {
+      const held = product({ unconfirmedPrice: { price: 4.99, currency: 'EUR', reasons: ['extreme_drop'], firstSeen: NOW - DAY, lastSeen: NOW - DAY, count: 1 } });
+      const repeated = decidePriceReading(held, { price: 5, detectionMethod: 'schema.org' }, NOW);
+      const other = decidePriceReading(held, { price: 12, detectionMethod: 'schema.org' }, NOW);
+      return repeated.action === SANITY_ACTIONS.ACCEPT && repeated.confirmedBy === 'next_check' &&
+        other.action === SANITY_ACTIONS.CONFIRM;
+    }
+  },
+  {
+    name: "Rejected readings keep their reasons and the second fetch",
+    run: () => {
+      const tracked = product();
+      const assessment = assessPriceReading(tracked, { price: 4.99, detectionMethod: 'schema.org' }, NOW);
+      const rejected = createRejectedReading(tracked, { price: 4.99, detectionMethod: 'schema.org' }, assessment,
+        { reason: OUTLIER_REASONS.REFETCH_DIFFERS, price: 100 }, NOW);
+      return rejected.price === 4.99 && rejected.currency === 'EUR' && rejected.timestamp === NOW &&
+        rejected.reasons.join() === 'extreme_drop,refetch_differs' &&
+        rejected.reference === 100 && rejected.refetchPrice === 100;
+    }
+  },
+  {
+    name: "Held readings count repeats of the same price",
+    run: () => {
+      const first = buildUnconfirmedPrice(null, { price: 4.99, currency: 'EUR', reasons: ['extreme_drop'], timestamp: NOW - DAY });
+      const second = buildUnconfirmedPrice(first, { price: 4.99, currency: 'EUR', reasons: ['extreme_drop'], timestamp: NOW });
+      const other = buildUnconfirmedPrice(second, { price: 9.99, currency: 'EUR', reasons: ['extreme_drop'], timestamp: NOW });
+      return first.count === 1 && second.count === 2 && second.firstSeen === NOW - DAY &&
+        second.lastSeen === NOW && other.count === 1 && other.firstSeen === NOW;
+    }
+  },
+  {
+    name: "Rejected reading lists are capped",
+    run: () => {
+      let list;
+      for (let i = 0; i < MAX_REJECTED_READINGS + 5; i++) {
+        list = appendRejectedReading(list, { price: i });
+      }
+      return list.length === MAX_REJECTED_READINGS && list[list.length - 1].price === MAX_REJECTED_READINGS + 4;
+    }
+  },
+  {
+    name: "Reasons and check results read well",
+    run: () => describeOutlierReasons(['extreme_drop', 'refetch_failed']) === 'implausible drop, second fetch failed' &&
+      describeCheckResult({ status: 'unconfirmed', oldPrice: 100, newPrice: 4.99, reasons: ['extreme_drop'] }, 'EUR') ===
+        'Unconfirmed reading EUR 4.99 held (implausible drop), price kept at EUR 100.00' &&
+      describeCheckResult({ status: 'price_drop', oldPrice: 100, newPrice: 5, confirmedBy: 'refetch' }, 'EUR')
+        .endsWith(', confirmed by a second fetch')
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Price Sanity Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
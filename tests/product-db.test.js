@@ -0,0 +1,815 @@
+/**
+ * Product Database Test Suite
+ * Tests for the IndexedDB product store and the storage.local migration
+ * Run with Node.js
+ *
+ * Node has no IndexedDB, so the suite installs a small in-memory one:
+ * transactions run one at a time, commit once no request is pending, and
+ * keep nothing when aborted - the guarantees product-db.js relies on.
+ */
+
+import { buildExport } from '../utils/data-schema.js';
+
+/**
+ * In-memory IndexedDB
+ */
+const databases = new Map();
+const idbFailures = { commits: 0, after: 0 };  // fail `commits` writes after `after` good ones
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function readPath(value, path) {
+  return path.split('.').reduce((obj, key) => obj?.[key], value);
+}
+
+function compareKeys(a, b) {
+  if (typeof a !== typeof b) return typeof a === 'number' ? -1 : 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+class FakeKeyRange {
+  constructor(lower, upper, lowerOpen = false, upperOpen = false) {
+    Object.assign(this, { lower, upper, lowerOpen, upperOpen });
+  }
+
+  static only(value) { return new FakeKeyRange(value, value); }
+  static bound(lower, upper, lowerOpen, upperOpen) { return new FakeKeyRange(lower, upper, lowerOpen, upperOpen); }
+  static lowerBound(lower, open) { return new FakeKeyRange(lower, undefined, open); }
+  static upperBound(upper, open) { return new FakeKeyRange(undefined, upper, false, open); }
+
+  includes(key) {
+    if (this.lower !== undefined) {
+      const order = compareKeys(key, this.lower);
+      if (order < 0 || (order === 0 && this.lowerOpen)) return false;
+    }
+    if (this.upper !== undefined) {
+      const order = compareKeys(key, this.upper);
+      if (order > 0 || (order === 0 && this.upperOpen)) return false;
+    }
+    return true;
+  }
+}
+
+function keyMatches(key, query) {
+  if (query === undefined || query === null) return true;
+  if (query instanceof FakeKeyRange) return query.includes(key);
+  return compareKeys(key, query) === 0;
+}
+
+class FakeRequest {
+  constructor() {
+    this.result = undefined;
+    this.error = null;
+    this.onsuccess = null;
+    this.onerror = null;
+  }
+}
+
+class FakeObjectStore {
+  constructor(tx, name) {
+    this.tx = tx;
+    this.name = name;
+  }
+
+  sortedEntries(store, query) {
+    return [...store.records.entries()]
+      .filter(([key]) => keyMatches(key, query))
+      .sort(([a], [b]) => compareKeys(a, b));
+  }
+
+  write(operation) {
+    if (this.tx.mode !== 'readwrite') throw new Error('ReadOnlyError');
+    return this.tx.request(this.name, operation);
+  }
+
+  get(key) {
+    return this.tx.request(this.name, store => clone(store.records.get(key)));
+  }
+
+  getAll(query, count) {
+    return this.tx.request(this.name, store => this.sortedEntries(store, query).slice(0, count).map(([, value]) => clone(value)));
+  }
+
+  getAllKeys(query, count) {
+    return this.tx.request(this.name, store => this.sortedEntries(store, query).slice(0, count).map(([key]) => key));
+  }
+
+  count(query) {
+    return this.tx.request(this.name, store => this.sortedEntries(store, query).length);
+  }
+
+  put(value, key, { add = false } = {}) {
+    return this.write(store => {
+      const stored = clone(value);
+      let storedKey = store.keyPath ? readPath(stored, store.keyPath) : key;
+      if (storedKey === undefined && store.autoIncrement) {
+        storedKey = store.nextKey++;
+        if (store.keyPath) stored[store.keyPath] = storedKey;
+      }
+      if (storedKey === undefined) throw new Error('DataError: no key');
+      if (add && store.records.has(storedKey)) throw new Error('ConstraintError');
+      store.records.set(storedKey, stored);
+      return storedKey;
+    });
+  }
+
+  add(value, key) {
+    return this.put(value, key, { add: true });
+  }
+
+  delete(query) {
+    return this.write(store => {
+      this.sortedEntries(store, query).forEach(([key]) => store.records.delete(key));
+    });
+  }
+
+  clear() {
+    return this.write(store => {
+      store.records.clear();
+    });
+  }
+
+  index(name) {
+    return {
+      getAll: (query, count) => this.tx.request(this.name, store => {
+        const keyPath = store.indexes.get(name);
+        if (!keyPath) throw new Error(`NotFoundError: index ${name}`);
+        return [...store.records.entries()]
+          .map(([key, value]) => ({ key, value, indexKey: readPath(value, keyPath) }))
+          .filter(entry => entry.indexKey !== undefined && keyMatches(entry.indexKey, query))
+          .sort((a, b) => compareKeys(a.indexKey, b.indexKey) || compareKeys(a.key, b.key))
+          .slice(0, count)
+          .map(entry => clone(entry.value));
+      })
+    };
+  }
+}
+
+class FakeTransaction {
+  constructor(data, storeNames, mode) {
+    this.data = data;
+    this.storeNames = [...storeNames];
+    this.mode = mode;
+    this.error = null;
+    this.oncomplete = null;
+    this.onabort = null;
+    this.onerror = null;
+    this.pending = 0;
+    this.state = 'waiting';
+
+    // Transactions run one after another, like overlapping readwrite scopes
+    const finished = new Promise(resolve => { this.finish = resolve; });
+    this.ready = data.queue.then(() => this.start());
+    data.queue = finished;
+  }
+
+  start() {
+    if (this.state !== 'waiting') return;
+    this.state = 'active';
+    this.working = new Map(this.storeNames.map(name => {
+      const store = this.data.stores.get(name);
+      return [name, { ...store, records: new Map(store.records) }];
+    }));
+    this.scheduleCommit();
+  }
+
+  objectStore(name) {
+    if (!this.storeNames.includes(name)) throw new Error(`NotFoundError: ${name}`);
+    return new FakeObjectStore(this, name);
+  }
+
+  request(storeName, operation) {
+    if (this.state === 'done') throw new Error('TransactionInactiveError');
+    const request = new FakeRequest();
+    this.pending++;
+
+    this.ready.then(() => setTimeout(() => {
+      if (this.state === 'done') return;
+      this.pending--;
+      try {
+        request.result = operation(this.working.get(storeName));
+      } catch (error) {
+        request.error = error;
+        request.onerror?.();
+        this.abort(error);
+        return;
+      }
+      request.onsuccess?.();
+      this.scheduleCommit();
+    }));
+
+    return request;
+  }
+
+  scheduleCommit() {
+    setTimeout(() => {
+      if (this.state === 'active' && this.pending === 0) this.commit();
+    });
+  }
+
+  commit() {
+    if (this.mode === 'readwrite' && idbFailures.commits > 0 && idbFailures.after-- <= 0) {
+      idbFailures.commits--;
+      this.abort(new Error('QuotaExceededError'));
+      return;
+    }
+    if (this.mode === 'readwrite') {
+      for (const [name, store] of this.working) {
+        Object.assign(this.data.stores.get(name), { records: store.records, nextKey: store.nextKey });
+      }
+    }
+    this.state = 'done';
+    this.oncomplete?.();
+    this.finish();
+  }
+
+  abort(error = null) {
+    if (this.state === 'done') throw new Error('InvalidStateError');
+    this.state = 'done';
+    this.error = error;
+    this.onabort?.();
+    this.finish();
+  }
+}
+
+class FakeDatabase {
+  constructor(data) {
+    this.data = data;
+    this.onversionchange = null;
+    this.objectStoreNames = { contains: name => data.stores.has(name) };
+  }
+
+  createObjectStore(name, { keyPath = null, autoIncrement = false } = {}) {
+    const store = { keyPath, autoIncrement, nextKey: 1, indexes: new Map(), records: new Map() };
+    this.data.stores.set(name, store);
+    return {
+      createIndex: (indexName, indexKeyPath) => {
+        store.indexes.set(indexName, indexKeyPath);
+      }
+    };
+  }
+
+  transaction(storeNames, mode = 'readonly') {
+    return new FakeTransaction(this.data, Array.isArray(storeNames) ? storeNames : [storeNames], mode);
+  }
+
+  close() {}
+}
+
+const fakeIndexedDB = {
+  open(name, version) {
+    const request = new FakeRequest();
+    setTimeout(() => {
+      let data = databases.get(name);
+      if (!data) {
+        data = { version: 0, stores: new Map(), queue: Promise.resolve() };
+        databases.set(name, data);
+      }
+      request.result = new FakeDatabase(data);
+      if (data.version < version) {
+        data.version = version;
+        request.onupgradeneeded?.();
+      }
+      request.onsuccess?.();
+    });
+    return request;
+  }
+};
+
+/**
+ * In-memory storage.local
+ */
+const localArea = new Map();
+const localFailures = { removes: 0 };
+
+globalThis.indexedDB = fakeIndexedDB;
+globalThis.IDBKeyRange = FakeKeyRange;
+globalThis.browser = {
+  runtime: {},
+  storage: {
+    onChanged: { addListener() {} },
+    local: {
+      async get(keys) {
+        const names = keys === null ? [...localArea.keys()] : [].concat(keys);
+        return Object.fromEntries(names.filter(name => localArea.has(name)).map(name => [name, clone(localArea.get(name))]));
+      },
+      async set(items) {
+        Object.entries(items).forEach(([key, value]) => localArea.set(key, clone(value)));
+      },
+      async remove(keys) {
+        if (localFailures.removes > 0) {
+          localFailures.removes--;
+          throw new Error('storage.local remove failed');
+        }
+        [].concat(keys).forEach(key => localArea.delete(key));
+      }
+    }
+  }
+};
+
+/**
+ * Fresh product-db module on an empty database
+ * Each import is a new module instance, like a restarted service worker.
+ * Data is cleared in place: the storage manager keeps its own instance and
+ * connection.
+ */
+let instanceCount = 0;
+async function freshProductDB({ keepData = false } = {}) {
+  if (!keepData) {
+    for (const data of databases.values()) {
+      data.stores.forEach(store => {
+        store.records.clear();
+        store.nextKey = 1;
+      });
+    }
+    localArea.clear();
+  }
+  idbFailures.commits = 0;
+  idbFailures.after = 0;
+  localFailures.removes = 0;
+  instanceCount++;
+  return await import(`../background/product-db.js?instance=${instanceCount}`);
+}
+
+/**
+ * Await a promise without the error logs of expected failures
+ */
+async function quietly(promise) {
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    return await promise;
+  } finally {
+    console.error = consoleError;
+  }
+}
+
+/**
+ * Await a promise that must reject
+ */
+async function rejects(promise) {
+  try {
+    await quietly(promise);
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+function makeProduct(productId, overrides = {}) {
+  return {
+    productId,
+    url: `https://shop.example/${productId}`,
+    title: `Product ${productId}`,
+    domain: 'shop.example',
+    price: { numeric: 50, currency: 'EUR' },
+    tracking: { status: 'active', lastChecked: 1000 },
+    priceHistory: [
+      { price: 60, currency: 'EUR', timestamp: 1 },
+      { price: 50, currency: 'EUR', timestamp: 2 }
+    ],
+    ...overrides
+  };
+}
+
+function seedStorageLocal() {
+  localArea.set('products', {
+    a1: makeProduct('a1'),
+    b2: makeProduct('b2', { domain: 'amazon.de' })
+  });
+  localArea.set('img_a1', 'data:image/png;base64,AAAA');
+  localArea.set('settings', { notifications: { enabled: true } });
+}
+
+const tests = [
+  {
+    name: "The database is created with product, history, image and activity stores",
+    run: async () => {
+      const db = await freshProductDB();
+      await db.countProductRecords();
+      const stores = databases.get('price-genius').stores;
+      const products = stores.get(db.STORES.PRODUCTS);
+      return products.keyPath === 'productId' &&
+        products.indexes.get('domain') === 'domain' &&
+        products.indexes.get('status') === 'tracking.status' &&
+        products.indexes.get('lastChecked') === 'tracking.lastChecked' &&
+        stores.get(db.STORES.PRICE_HISTORY).keyPath === 'productId' &&
+        stores.has(db.STORES.IMAGES) &&
+        stores.get(db.ACTIVITY_STORE).autoIncrement === true;
+    }
+  },
+  {
+    name: "Migration moves products, history and thumbnails out of storage.local",
+    run: async () => {
+      const db = await freshProductDB();
+      seedStorageLocal();
+
+      const migrated = await db.migrateFromStorageLocal();
+      const product = await db.getProductRecord('a1');
+      const records = await db.listProductRecords();
+
+      return migrated === 2 &&
+        product.title === 'Product a1' &&
+        product.priceHistory.length === 2 &&
+        records.length === 2 &&
+        records.every(record => !('priceHistory' in record)) &&
+        await db.getImageRecord('a1') === 'data:image/png;base64,AAAA' &&
+        await db.getImageRecord('b2') === null &&
+        !localArea.has('products') &&
+        !localArea.has('img_a1') &&
+        localArea.has('settings');
+    }
+  },
+  {
+    name: "Migration runs once and does nothing on later starts",
+    run: async () => {
+      const db = await freshProductDB();
+      seedStorageLocal();
+
+      const first = db.migrateFromStorageLocal();
+      const sameRun = first === db.migrateFromStorageLocal();
+      await first;
+      await db.updateProductRecord('a1', product => {
+        product.title = 'Renamed';
+      });
+
+      const restarted = await freshProductDB({ keepData: true });
+      const migrated = await restarted.migrateFromStorageLocal();
+
+      return sameRun &&
+        migrated === 0 &&
+        await restarted.countProductRecords() === 2 &&
+        (await restarted.getProductRecord('a1')).title === 'Renamed';
+    }
+  },
+  {
+    name: "A failed IndexedDB write keeps storage.local and the next access retries",
+    run: async () => {
+      const db = await freshProductDB();
+      seedStorageLocal();
+      idbFailures.commits = 1;
+
+      const failed = await rejects(db.migrateFromStorageLocal());
+      const keptData = localArea.has('products') && localArea.has('img_a1');
+      const emptyDb = await db.countProductRecords() === 0;
+
+      const migrated = await db.migrateFromStorageLocal();
+
+      return failed && keptData && emptyDb &&
+        migrated === 2 &&
+        await db.countProductRecords() === 2 &&
+        !localArea.has('products');
+    }
+  },
+  {
+    name: "A failed storage.local cleanup is retried without duplicating history",
+    run: async () => {
+      const db = await freshProductDB();
+      seedStorageLocal();
+      localFailures.removes = 1;
+
+      const failed = await rejects(db.migrateFromStorageLocal());
+      const copied = await db.countProductRecords() === 2 && localArea.has('products');
+
+      const restarted = await freshProductDB({ keepData: true });
+      const migrated = await restarted.migrateFromStorageLocal();
+      const product = await restarted.getProductRecord('a1');
+
+      return failed && copied &&
+        migrated === 2 &&
+        await restarted.countProductRecords() === 2 &&
+        product.priceHistory.length === 2 &&
+        !localArea.has('products') &&
+        !localArea.has('img_a1');
+    }
+  },
+  {
+    name: "updateProductRecord writes the record and its history together",
+    run: async () => {
+      const db = await freshProductDB();
+      await db.putProductRecord(makeProduct('a1'));
+
+      const updated = await db.updateProductRecord('a1', product => {
+        product.price = { numeric: 45, currency: 'EUR' };
+        product.priceHistory.push({ price: 45, currency: 'EUR', timestamp: 3 });
+      });
+      const stored = await db.getProductRecord('a1');
+      const [record] = await db.listProductRecords();
+
+      return updated.price.numeric === 45 &&
+        stored.price.numeric === 45 &&
+        stored.priceHistory.length === 3 &&
+        stored.priceHistory[2].price === 45 &&
+        !('priceHistory' in record);
+    }
+  },
+  {
+    name: "updateProductRecord skips missing products, false results and failed mutators",
+    run: async () => {
+      const db = await freshProductDB();
+      await db.putProductRecord(makeProduct('a1'));
+      let calledForMissing = false;
+
+      const missing = await db.updateProductRecord('zz', () => {
+        calledForMissing = true;
+      });
+      const skipped = await db.updateProductRecord('a1', product => {
+        product.title = 'Not saved';
+        return false;
+      });
+      const threw = await rejects(db.updateProductRecord('a1', product => {
+        product.priceHistory.push({ price: 1, timestamp: 9 });
+        throw new Error('mutator failed');
+      }));
+      const stored = await db.getProductRecord('a1');
+
+      return missing === null && !calledForMissing &&
+        skipped.title === 'Not saved' &&
+        threw &&
+        stored.title === 'Product a1' &&
+        stored.priceHistory.length === 2;
+    }
+  },
+  {
+    name: "Concurrent updates of one product don't lose writes",
+    run: async () => {
+      const db = await freshProductDB();
+      await db.putProductRecord(makeProduct('a1'));
+
+      await Promise.all([3, 4, 5, 6, 7].map(timestamp =>
+        db.updateProductRecord('a1', product => {
+          product.priceHistory.push({ price: 40, currency: 'EUR', timestamp });
+        })
+      ));
+      const stored = await db.getProductRecord('a1');
+
+      return stored.priceHistory.length === 7 &&
+        stored.priceHistory.slice(2).map(entry => entry.timestamp).join() === '3,4,5,6,7';
+    }
+  },
+  {
+    name: "updateProductRecords changes several records in one transaction",
+    run: async () => {
+      const db = await freshProductDB();
+      await db.bulkPutProductRecords([makeProduct('a1'), makeProduct('b2'), makeProduct('c3')]);
+
+      const updated = await db.updateProductRecords(['a1', 'zz', 'c3'], record => {
+        record.offerGroup = { id: 'group_1' };
+        if (record.productId === 'c3') return false;
+      });
+      const all = await db.getAllProductRecords();
+
+      idbFailures.commits = 1;
+      const failed = await rejects(db.updateProductRecords(['a1', 'b2'], record => {
+        record.offerGroup = { id: 'group_2' };
+      }));
+      const afterFailure = await db.getAllProductRecords();
+
+      return updated.map(record => record.productId).join() === 'a1,c3' &&
+        all.a1.offerGroup.id === 'group_1' &&
+        all.a1.priceHistory.length === 2 &&
+        !all.b2.offerGroup && !all.c3.offerGroup &&
+        failed &&
+        afterFailure.a1.offerGroup.id === 'group_1' &&
+        !afterFailure.b2.offerGroup;
+    }
+  },
+  {
+    name: "Linking products puts the whole group in one offer group, or none of it",
+    run: async () => {
+      const db = await freshProductDB();
+      const StorageManager = await import('../background/storage-manager.js');
+      const identifiers = { gtin: '04006381333931' };
+      await db.bulkPutProductRecords([
+        makeProduct('a1'),
+        makeProduct('b2', { identifiers }),
+        makeProduct('c3', { identifiers })
+      ]);
+
+      idbFailures.commits = 1;
+      const failed = await quietly(StorageManager.linkProducts('a1', 'b2'));
+      const untouched = Object.values(await db.getAllProductRecords()).every(product => !product.offerGroup);
+
+      // A failure after the first write must not leave part of the group linked
+      idbFailures.commits = 1;
+      idbFailures.after = 1;
+      const linked = await quietly(StorageManager.linkProducts('a1', 'b2'));
+      const all = await db.getAllProductRecords();
+      const groupId = linked?.offerGroup?.id;
+
+      return failed === null && untouched &&
+        typeof groupId === 'string' &&
+        all.b2.offerGroup.id === groupId &&
+        all.c3.offerGroup.id === groupId;
+    }
+  },
+  {
+    name: "bulkPutProductRecords can replace everything in the same transaction",
+    run: async () => {
+      const db = await freshProductDB();
+      await db.bulkPutProductRecords([makeProduct('a1')], { a1: 'data:image/png;base64,AAAA' });
+
+      idbFailures.commits = 1;
+      const failed = await rejects(db.bulkPutProductRecords([makeProduct('b2')], {}, { clear: true }));
+      const kept = Object.keys(await db.getAllProductRecords()).join() === 'a1' &&
+        await db.getImageRecord('a1') === 'data:image/png;base64,AAAA';
+
+      await db.bulkPutProductRecords([makeProduct('b2')], {}, { clear: true });
+      const all = await db.getAllProductRecords();
+
+      return failed && kept &&
+        Object.keys(all).join() === 'b2' &&
+        all.b2.priceHistory.length === 2 &&
+        await db.getImageRecord('a1') === null &&
+        !databases.get('price-genius').stores.get(db.STORES.PRICE_HISTORY).records.has('a1');
+    }
+  },
+  {
+    name: "A failed replace import keeps the existing products; imported stats are rebuilt",
+    run: async () => {
+      const db = await freshProductDB();
+      const StorageManager = await import('../background/storage-manager.js');
+      await db.putProductRecord(makeProduct('a1'));
+      const now = Date.now();
+      const history = [
+        { price: 60, currency: 'EUR', timestamp: now - 2000 },
+        { price: 50, currency: 'EUR', timestamp: now - 1000 }
+      ];
+      const json = JSON.stringify(buildExport({
+        products: {
+          b2: makeProduct('b2', {
+            priceHistory: history,
+            priceStats: { currency: 'EUR', first: 999, firstAt: 0, low: 1, lowAt: 0, high: 999, highAt: 0, sum: 1000, count: 2 }
+          })
+        },
+        images: {}
+      }, { includeSettings: false }, now));
+
+      idbFailures.commits = 1;
+      const failed = await quietly(StorageManager.importData(json, { mode: 'replace' }));
+      const kept = Object.keys(await db.getAllProductRecords()).join() === 'a1';
+
+      const imported = await StorageManager.importData(json, { mode: 'replace' });
+      const all = await db.getAllProductRecords();
+
+      return failed.success === false && kept &&
+        imported.success === true && imported.added === 1 &&
+        Object.keys(all).join() === 'b2' &&
+        all.b2.priceStats.low === 50 &&
+        all.b2.priceStats.high === 60 &&
+        all.b2.priceStats.count === 2;
+    }
+  },
+  {
+    name: "A price shown on a sold-out page keeps its sale, shipping and unit fields",
+    run: async () => {
+      const db = await freshProductDB();
+      const StorageManager = await import('../background/storage-manager.js');
+      await db.putProductRecord(makeProduct('a1', {
+        price: { numeric: 50, currency: 'EUR', symbol: '€', locale: 'de-DE', shipping: 4.99 }
+      }));
+
+      const product = await StorageManager.updateProductAvailability('a1', 'out_of_stock', { status: 'out_of_stock' }, {
+        numeric: 40,
+        currency: 'EUR',
+        symbol: '€',
+        locale: 'de-DE',
+        regularPrice: 50,
+        shipping: 0,
+        unitPrice: 8,
+        unit: 'kg',
+        quantity: 5
+      });
+      const stored = await db.getProductRecord('a1');
+      const last = stored.priceHistory[stored.priceHistory.length - 1];
+
+      return product !== null &&
+        stored.price.numeric === 40 && stored.price.symbol === '€' && stored.price.locale === 'de-DE' &&
+        stored.price.regularPrice === 50 && stored.price.shipping === 0 &&
+        stored.price.unitPrice === 8 && stored.price.unit === 'kg' &&
+        stored.availability === 'out_of_stock' &&
+        last.price === 40 && last.availability === 'out_of_stock';
+    }
+  },
+  {
+    name: "Indexes find products by domain, status and last check",
+    run: async () => {
+      const db = await freshProductDB();
+      await db.bulkPutProductRecords([
+        makeProduct('a1', { tracking: { status: 'active', lastChecked: 3000 } }),
+        makeProduct('b2', { domain: 'amazon.de', tracking: { status: 'paused', lastChecked: 500 } }),
+        makeProduct('c3', { domain: 'amazon.de', tracking: { status: 'active', lastChecked: 1000 } })
+      ]);
+
+      const ids = records => records.map(record => record.productId).join();
+      const byDomain = await db.getProductRecordsByIndex('domain', 'amazon.de');
+      const paused = await db.getProductRecordsByIndex('status', 'paused');
+      const due = await db.getProductRecordsByIndex('lastChecked', IDBKeyRange.upperBound(1000));
+
+      return ids(byDomain) === 'b2,c3' &&
+        ids(paused) === 'b2' &&
+        ids(due) === 'b2,c3' &&
+        byDomain.every(record => !('priceHistory' in record));
+    }
+  },
+  {
+    name: "bulkPutProductRecords writes products, history and images",
+    run: async () => {
+      const db = await freshProductDB();
+      await db.putProductRecord(makeProduct('a1'));
+
+      await db.bulkPutProductRecords([
+        makeProduct('a1', { title: 'Replaced', priceHistory: [{ price: 10, timestamp: 1 }] }),
+        makeProduct('b2', { priceHistory: undefined })
+      ], { a1: 'data:image/png;base64,BBBB', b2: null });
+
+      const all = await db.getAllProductRecords();
+      const images = await db.getAllImageRecords();
+
+      return Object.keys(all).join() === 'a1,b2' &&
+        all.a1.title === 'Replaced' &&
+        all.a1.priceHistory.length === 1 &&
+        Array.isArray(all.b2.priceHistory) && all.b2.priceHistory.length === 0 &&
+        Object.keys(images).join() === 'a1';
+    }
+  },
+  {
+    name: "A failed bulk write leaves the database unchanged",
+    run: async () => {
+      const db = await freshProductDB();
+      await db.putProductRecord(makeProduct('a1'));
+      idbFailures.commits = 1;
+
+      const failed = await rejects(db.bulkPutProductRecords([
+        makeProduct('a1', { title: 'Replaced' }),
+        makeProduct('b2')
+      ], { b2: 'data:image/png;base64,CCCC' }));
+
+      return failed &&
+        await db.countProductRecords() === 1 &&
+        (await db.getProductRecord('a1')).title === 'Product a1' &&
+        await db.getImageRecord('b2') === null;
+    }
+  },
+  {
+    name: "Deleting a product removes its history and image",
+    run: async () => {
+      const db = await freshProductDB();
+      await db.bulkPutProductRecords([makeProduct('a1'), makeProduct('b2')], { a1: 'data:image/png;base64,AAAA' });
+
+      const existed = await db.deleteProductRecord('a1');
+      const again = await db.deleteProductRecord('a1');
+      const historyLeft = databases.get('price-genius').stores.get(db.STORES.PRICE_HISTORY).records.has('a1');
+
+      return existed === true && again === false &&
+        await db.getProductRecord('a1') === null &&
+        await db.getImageRecord('a1') === null &&
+        !historyLeft &&
+        await db.countProductRecords() === 1;
+    }
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Product Database Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+for (const [index, test] of tests.entries()) {
+  let ok = false;
+  try {
+    ok = await test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+}
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
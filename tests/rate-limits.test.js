@@ -0,0 +1,157 @@
+/**
+ * Rate Limits Test Suite
+ * Tests for per-host request limits and domain interleaving
+ * Run with Node.js
+ */
+
+import {
+  DEFAULT_REQUESTS_PER_MINUTE,
+  MAX_REQUESTS_PER_MINUTE,
+  RATE_LIMIT_WINDOW_MS,
+  getRateLimitHost,
+  matchesRateLimitRule,
+  normalizeRequestsPerMinute,
+  getRateLimitForHost,
+  getRateLimitWait
+} from '../utils/rate-limits.js';
+import { interleaveByDomain } from '../utils/check-schedule.js';
+
+const NOW = Date.UTC(2026, 5, 15, 12, 0, 0);
+
+const tests = [
+  {
+    name: "Hosts are normalized from URLs and hostnames",
+    run: () => {
+      return getRateLimitHost('https://www.Amazon.de/dp/B0001') === 'amazon.de' &&
+        getRateLimitHost('shop.example.com.') === 'shop.example.com' &&
+        getRateLimitHost('not a url://') === null &&
+        getRateLimitHost(null) === null;
+    }
+  },
+  {
+    name: "Brand patterns match every country TLD but not lookalikes",
+    run: () => {
+      return matchesRateLimitRule('amazon.de', 'amazon.*') &&
+        matchesRateLimitRule('amazon.co.uk', 'amazon.*') &&
+        matchesRateLimitRule('smile.amazon.com', 'amazon.*') &&
+        !matchesRateLimitRule('amazonaws.com', 'amazon.*') &&
+        !matchesRateLimitRule('notamazon.de', 'amazon.*');
+    }
+  },
+  {
+    name: "Domain rules match subdomains only",
+    run: () => {
+      return matchesRateLimitRule('otto.de', 'otto.de') &&
+        matchesRateLimitRule('m.otto.de', 'otto.de') &&
+        !matchesRateLimitRule('lotto.de', 'otto.de');
+    }
+  },
+  {
+    name: "Large retailers get built-in limits, other shops the default",
+    run: () => {
+      const amazon = getRateLimitForHost('https://www.amazon.co.uk/dp/1');
+      const shop = getRateLimitForHost('https://small-shop.example/p/1');
+      return amazon.source === 'default-domain' && amazon.maxRequests === 4 &&
+        amazon.windowMs === RATE_LIMIT_WINDOW_MS &&
+        shop.source === 'default' && shop.maxRequests === DEFAULT_REQUESTS_PER_MINUTE &&
+        shop.host === 'small-shop.example';
+    }
+  },
+  {
+    name: "User overrides win over built-in limits",
+    run: () => {
+      const limit = getRateLimitForHost('amazon.de', { 'amazon.*': 2 });
+      return limit.source === 'user' && limit.maxRequests === 2;
+    }
+  },
+  {
+    name: "Exact domains beat brand patterns",
+    run: () => {
+      const overrides = { 'amazon.*': 2, 'amazon.de': 8 };
+      return getRateLimitForHost('amazon.de', overrides).maxRequests === 8 &&
+        getRateLimitForHost('amazon.fr', overrides).maxRequests === 2;
+    }
+  },
+  {
+    name: "Limits are clamped and junk overrides ignored",
+    run: () => {
+      return normalizeRequestsPerMinute(500) === MAX_REQUESTS_PER_MINUTE &&
+        normalizeRequestsPerMinute(0.2) === 1 &&
+        normalizeRequestsPerMinute('5') === null &&
+        getRateLimitForHost('amazon.de', { 'amazon.de': -1 }).source === 'default-domain';
+    }
+  },
+  {
+    name: "No wait below the limit, old requests pruned",
+    run: () => {
+      const limit = { maxRequests: 3, windowMs: RATE_LIMIT_WINDOW_MS };
+      const { waitMs, recent } = getRateLimitWait([NOW - 90000, NOW - 5000, NOW - 1000], limit, NOW);
+      return waitMs === 0 && recent.length === 2;
+    }
+  },
+  {
+    name: "Full bucket waits until the oldest request leaves the window",
+    run: () => {
+      const limit = { maxRequests: 2, windowMs: RATE_LIMIT_WINDOW_MS };
+      const { waitMs } = getRateLimitWait([NOW - 1000, NOW - 20000], limit, NOW);
+      return waitMs === 40000 + 100;
+    }
+  },
+  {
+    name: "Checks alternate between shops, keeping each shop's order",
+    run: () => {
+      const products = [
+        { productId: 'a1', domain: 'www.amazon.de' },
+        { productId: 'a2', domain: 'amazon.de' },
+        { productId: 'a3', domain: 'amazon.de' },
+        { productId: 'o1', domain: 'otto.de' },
+        { productId: 'i1', domain: 'ikea.com' },
+        { productId: 'o2', domain: 'otto.de' }
+      ];
+      return interleaveByDomain(products).map(p => p.productId).join(',') === 'a1,o1,i1,a2,o2,a3' &&
+        interleaveByDomain([]).length === 0;
+    }
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Rate Limits Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
@@ -0,0 +1,150 @@
+/**
+ * Sale Price Test Suite
+ * Tests for "was" price and sale end detection
+ * Run with Node.js
+ */
+
+import {
+  parseSaleEndDate,
+  parseSaleEndText,
+  getOfferSaleInfo,
+  collectSchemaOffers,
+  normalizeSaleInfo,
+  applySaleInfo,
+  saleInfoChanged
+} from '../utils/sale-price.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 5, 15, 12, 0, 0);
+
+const tests = [
+  {
+    name: "List and strikethrough prices are read from priceSpecification",
+    run: () => {
+      const offer = {
+        '@type': 'Offer',
+        price: '79.99',
+        priceSpecification: [
+          { '@type': 'UnitPriceSpecification', price: 79.99, priceType: 'https://schema.org/SalePrice', validThrough: '2026-06-20T23:59:59Z' },
+          { '@type': 'UnitPriceSpecification', price: '99.99', priceType: 'https://schema.org/StrikethroughPrice' }
+        ]
+      };
+      const info = getOfferSaleInfo(offer);
+      return info.wasPrice === 99.99 && info.saleEndsAt === Date.UTC(2026, 5, 20, 23, 59, 59);
+    }
+  },
+  {
+    name: "priceValidUntil is the sale end when no SalePrice spec has one",
+    run: () => {
+      const info = getOfferSaleInfo({
+        price: 20,
+        priceValidUntil: '2026-06-30',
+        priceSpecification: { priceType: 'ListPrice', price: 25 }
+      });
+      return info.wasPrice === 25 && info.saleEndsAt === new Date(2026, 5, 30, 23, 59, 59).getTime();
+    }
+  },
+  {
+    name: "Offers are collected from nested JSON-LD, price specifications are not",
+    run: () => {
+      const data = {
+        '@graph': [{
+          '@type': 'Product',
+          offers: [
+            { '@type': 'Offer', price: 10, priceSpecification: { priceType: 'ListPrice', price: 12 } },
+            { '@type': 'Offer', price: 11 }
+          ]
+        }]
+      };
+      const offers = collectSchemaOffers(data);
+      return offers.length === 2 && offers.every(offer => offer['@type'] === 'Offer');
+    }
+  },
+  {
+    name: "Sale end dates accept Unix seconds, milliseconds and ISO strings",
+    run: () => parseSaleEndDate(1781870400) === 1781870400000 &&
+      parseSaleEndDate('1781870400000') === 1781870400000 &&
+      parseSaleEndDate('2026-06-20T10:00:00Z') === Date.UTC(2026, 5, 20, 10) &&
+      parseSaleEndDate('soon') === null
+  },
+  {
+    name: "Countdown texts are turned into an end time",
+    run: () => parseSaleEndText('Ends in 05:12:33', NOW) === NOW + 5 * HOUR + 12 * 60000 + 33000 &&
+      parseSaleEndText('Sale ends in 2d 5h', NOW) === NOW + 53 * HOUR &&
+      parseSaleEndText('Sale ends in 12 hours', NOW) === NOW + 12 * HOUR &&
+      parseSaleEndText('Limited time deal', NOW) === null
+  },
+  {
+    name: "A was price at or below the current price is ignored",
+    run: () => {
+      const same = normalizeSaleInfo(50, { wasPrice: 50, saleEndsAt: NOW + HOUR }, NOW);
+      const lower = normalizeSaleInfo(50, { wasPrice: 40 }, NOW);
+      return same.wasPrice === null && same.saleEndsAt === null && lower.wasPrice === null;
+    }
+  },
+  {
+    name: "Implausible was prices and past sale ends are dropped",
+    run: () => {
+      const cents = normalizeSaleInfo(30, { wasPrice: 3999 }, NOW);
+      const expired = normalizeSaleInfo(30, { wasPrice: 39.99, saleEndsAt: NOW - HOUR }, NOW);
+      return cents.wasPrice === null && expired.wasPrice === 39.99 && expired.saleEndsAt === null;
+    }
+  },
+  {
+    name: "applySaleInfo sets the fields and clears them when the sale ends",
+    run: () => {
+      const onSale = applySaleInfo({ numeric: 80, currency: 'EUR' }, { wasPrice: 100, saleEndsAt: NOW + HOUR }, NOW);
+      const ended = applySaleInfo({ ...onSale, numeric: 100 }, { wasPrice: null, saleEndsAt: null }, NOW);
+      return onSale.regularPrice === 100 && onSale.saleEndsAt === NOW + HOUR &&
+        !('regularPrice' in ended) && !('saleEndsAt' in ended) && ended.currency === 'EUR';
+    }
+  },
+  {
+    name: "saleInfoChanged compares was price and sale end only",
+    run: () => saleInfoChanged({ numeric: 10, regularPrice: 12 }, { numeric: 11, regularPrice: 12 }) === false &&
+      saleInfoChanged({ numeric: 10 }, { numeric: 10, regularPrice: 12 }) === true &&
+      saleInfoChanged({ regularPrice: 12, saleEndsAt: NOW }, { regularPrice: 12 }) === true
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Sale Price Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
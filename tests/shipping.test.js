@@ -0,0 +1,148 @@
+/**
+ * Shipping Test Suite
+ * Tests for shipping cost detection and total price comparison
+ * Run with Node.js
+ */
+
+import {
+  PRICE_BASIS,
+  SHIPPING_CHANGES,
+  getOfferShippingCost,
+  parseShippingText,
+  normalizeShippingCost,
+  applyShipping,
+  getPriceBasis,
+  getTotalPrice,
+  getComparablePrice,
+  getTotalPriceSeries,
+  getShippingChange
+} from '../utils/shipping.js';
+
+const tests = [
+  {
+    name: "The cheapest shipping rate of an offer is used",
+    run: () => getOfferShippingCost({
+      price: '24.99',
+      shippingDetails: [
+        { '@type': 'OfferShippingDetails', shippingRate: { '@type': 'MonetaryAmount', value: '7.50', currency: 'USD' } },
+        { '@type': 'OfferShippingDetails', shippingRate: { '@type': 'MonetaryAmount', value: 4.99, currency: 'USD' } }
+      ]
+    }, 'USD') === 4.99
+  },
+  {
+    name: "Free shipping in schema.org is 0, not unknown",
+    run: () => getOfferShippingCost({ shippingDetails: { shippingRate: { value: 0, currency: 'EUR' } } }, 'EUR') === 0 &&
+      getOfferShippingCost({ price: 10 }, 'EUR') === null
+  },
+  {
+    name: "Rates in another currency and doesNotShip regions are skipped",
+    run: () => getOfferShippingCost({
+      shippingDetails: [
+        { doesNotShip: true, shippingRate: { value: 0, currency: 'USD' } },
+        { shippingRate: { value: 3, currency: 'GBP' } },
+        { shippingRate: { value: 6, currency: 'USD' } }
+      ]
+    }, 'USD') === 6
+  },
+  {
+    name: "Shipping texts are parsed in several languages",
+    run: () => parseShippingText('Free shipping') === 0 &&
+      parseShippingText('Kostenloser Versand') === 0 &&
+      parseShippingText('+ $5.99 shipping') === 5.99 &&
+      parseShippingText('Versand: 4,95 €', { domain: 'example.de', locale: 'de-DE' }) === 4.95
+  },
+  {
+    name: "Delivery dates are not read as a shipping cost",
+    run: () => parseShippingText('Delivery Tuesday, June 20') === null &&
+      parseShippingText('Arrives in 3 days') === null &&
+      parseShippingText('') === null
+  },
+  {
+    name: "Implausible shipping costs are dropped",
+    run: () => normalizeShippingCost(10, 60) === null &&
+      normalizeShippingCost(10, -1) === null &&
+      normalizeShippingCost(10, 4.999) === 5
+  },
+  {
+    name: "Unknown shipping keeps the stored cost",
+    run: () => {
+      const stored = { numeric: 20, currency: 'USD', shipping: 3 };
+      return applyShipping(stored, null).shipping === 3 &&
+        applyShipping(stored, 0).shipping === 0 &&
+        stored.shipping === 3;
+    }
+  },
+  {
+    name: "Totals add shipping only when the total basis is chosen",
+    run: () => {
+      const price = { numeric: 24.99, shipping: 5.99 };
+      return getPriceBasis({ tracking: { priceBasis: 'total' } }) === PRICE_BASIS.TOTAL &&
+        getPriceBasis({ tracking: {} }) === PRICE_BASIS.ITEM &&
+        getPriceBasis({ tracking: { priceBasis: 'bogus' } }) === PRICE_BASIS.ITEM &&
+        getComparablePrice(price, PRICE_BASIS.ITEM) === 24.99 &&
+        getComparablePrice(price, PRICE_BASIS.TOTAL) === 30.98 &&
+        getTotalPrice({ price: 10 }) === 10;
+    }
+  },
+  {
+    name: "Chart totals carry the last known shipping cost forward",
+    run: () => {
+      const series = getTotalPriceSeries([
+        { price: 10 },
+        { price: 10, shipping: 2 },
+        { price: 11 },
+        { price: 11 }
+      ], 0);
+      return series.join() === '12,12,13,11';
+    }
+  },
+  {
+    name: "Only changes to and from free shipping are price events",
+    run: () => getShippingChange(4.99, 0) === SHIPPING_CHANGES.FREE_SHIPPING_ADDED &&
+      getShippingChange(0, 4.99) === SHIPPING_CHANGES.FREE_SHIPPING_REMOVED &&
+      getShippingChange(4.99, 5.99) === null &&
+      getShippingChange(undefined, 0) === null
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Shipping Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
@@ -0,0 +1,277 @@
+/**
+ * Site Rules Test Suite
+ * Tests for user-defined per-domain extraction rules
+ * Run with Node.js
+ */
+
+import {
+  SITE_RULE_METHOD,
+  normalizeRuleDomain,
+  normalizeSiteRule,
+  normalizeSiteRules,
+  parseSiteRules,
+  getSiteRules,
+  mergeSiteRule,
+  findSiteRule,
+  readJsonPath,
+  readRuleField,
+  extractWithSiteRule
+} from '../utils/site-rules.js';
+import { getMethodStrength } from '../utils/price-sanity.js';
+
+/**
+ * Minimal document: selector -> { tag, attrs, text }, plus JSON-LD blocks
+ */
+function fakeDocument(elements = {}, jsonLd = []) {
+  const toElement = ({ tag = 'DIV', attrs = {}, text = '' }) => ({
+    tagName: tag,
+    textContent: text,
+    getAttribute: name => attrs[name] ?? null
+  });
+  return {
+    querySelector: (selector) => {
+      if (selector.startsWith('[[')) throw new Error('Invalid selector');
+      return elements[selector] ? toElement(elements[selector]) : null;
+    },
+    querySelectorAll: (selector) => selector === 'script[type="application/ld+json"]'
+      ? jsonLd.map(data => ({ textContent: typeof data === 'string' ? data : JSON.stringify(data) }))
+      : []
+  };
+}
+
+const PRODUCT_LD = {
+  '@context': 'https://schema.org',
+  '@graph': [
+    { '@type': 'WebPage', name: 'Shop page' },
+    {
+      '@type': 'Product',
+      name: 'Espresso Machine',
+      sku: 'EM-100',
+      image: ['https://shop.example/em.jpg'],
+      offers: [{ '@type': 'Offer', price: '249.00', priceCurrency: 'EUR', availability: 'https://schema.org/InStock' }]
+    }
+  ]
+};
+
+const tests = [
+  {
+    name: "Domains are reduced to the host name",
+    run: () => normalizeRuleDomain('https://www.Shop.example/product/1') === 'shop.example' &&
+      normalizeRuleDomain('shop.example:8080') === 'shop.example' &&
+      normalizeRuleDomain(null) === ''
+  },
+  {
+    name: "Selector strings and field objects are normalized",
+    run: () => {
+      const { rule, errors } = normalizeSiteRule({
+        domain: 'www.shop.example',
+        currency: 'eur',
+        title: ' h1.name ',
+        price: { selector: '[data-price]', attribute: 'data-price' },
+        sku: { jsonPath: 'sku' },
+        availability: { script: '#__NEXT_DATA__', jsonPath: 'props.stock' }
+      });
+      return errors.length === 0 && rule.domain === 'shop.example' && rule.currency === 'EUR' &&
+        rule.title.selector === 'h1.name' && rule.price.attribute === 'data-price' &&
+        rule.sku.jsonPath === 'sku' && rule.availability.script === '#__NEXT_DATA__';
+    }
+  },
+  {
+    name: "Rules without a domain or price are rejected",
+    run: () => normalizeSiteRule({ price: '.price' }).rule === null &&
+      normalizeSiteRule({ domain: 'localhost', price: '.price' }).rule === null &&
+      normalizeSiteRule({ domain: 'shop.example', title: 'h1' }).rule === null
+  },
+  {
+    name: "Bad fields are reported but the rule is kept",
+    run: () => {
+      const { rule, errors } = normalizeSiteRule({ domain: 'shop.example', price: '.price', image: 42, wasPrice: { selector: 'a', jsonPath: 'b' }, currency: 'euro' });
+      return rule !== null && rule.image === undefined && rule.wasPrice === undefined && rule.currency === undefined &&
+        errors.length === 3;
+    }
+  },
+  {
+    name: "Later rules for a domain replace earlier ones",
+    run: () => {
+      const { rules, errors } = normalizeSiteRules([
+        { domain: 'shop.example', price: '.old' },
+        { domain: 'www.shop.example', price: '.new' },
+        { nope: true }
+      ]);
+      return rules.length === 1 && rules[0].price.selector === '.new' && errors.length === 1 && errors[0].startsWith('Rule 3:');
+    }
+  },
+  {
+    name: "Rule text is parsed from JSON",
+    run: () => parseSiteRules('{ "rules": [{ "domain": "shop.example", "price": ".p" }] }').rules.length === 1 &&
+      parseSiteRules('[{').errors[0].startsWith('Invalid JSON') &&
+      parseSiteRules('{}').errors[0] === 'Expected a list of rules' &&
+      parseSiteRules('').rules.length === 0
+  },
+  {
+    name: "Settings rules are read and matched by host, most specific first",
+    run: () => {
+      const rules = getSiteRules({ extraction: { siteRules: [
+        { domain: 'shop.example', price: '.a' },
+        { domain: 'de.shop.example', price: '.b' }
+      ] } });
+      return findSiteRule(rules, 'https://www.shop.example/p/1').price.selector === '.a' &&
+        findSiteRule(rules, 'https://de.shop.example/p/1').price.selector === '.b' &&
+        findSiteRule(rules, 'https://othershop.example/p/1') === null &&
+        getSiteRules({}).length === 0;
+    }
+  },
+  {
+    name: "JSON paths read keys, indexes, wildcards and arrays",
+    run: () => {
+      const data = { product: { variants: [{ id: 1 }, { id: 2, price: 19.5 }] }, offers: [{ price: '10' }] };
+      return readJsonPath(data, '$.product.variants[1].price') === 19.5 &&
+        readJsonPath(data, 'product.variants[*].price') === 19.5 &&
+        readJsonPath(data, 'offers.price') === '10' &&
+        readJsonPath(data, 'product.missing.price') === undefined;
+    }
+  },
+  {
+    name: "Selectors read text, meta content, image src or a named attribute",
+    run: () => {
+      const doc = fakeDocument({
+        '.name': { text: '  Espresso\n  Machine ' },
+        'meta.price': { tag: 'META', attrs: { content: '249.00' } },
+        'img.main': { tag: 'IMG', attrs: { src: '/em.jpg' } },
+        '[data-price]': { attrs: { 'data-price': '199' }, text: 'ignored' }
+      });
+      return readRuleField(doc, { selector: '.name' }) === 'Espresso Machine' &&
+        readRuleField(doc, { selector: 'meta.price' }) === '249.00' &&
+        readRuleField(doc, { selector: 'img.main' }) === '/em.jpg' &&
+        readRuleField(doc, { selector: '[data-price]', attribute: 'data-price' }) === '199' &&
+        readRuleField(doc, { selector: '[[bad' }) === null &&
+        readRuleField(doc, { selector: '.missing' }) === null;
+    }
+  },
+  {
+    name: "JSON paths read JSON-LD Product nodes and script JSON",
+    run: () => {
+      const doc = fakeDocument({
+        '#__NEXT_DATA__': { tag: 'SCRIPT', text: JSON.stringify({ props: { product: { inStock: false } } }) }
+      }, ['not json', PRODUCT_LD]);
+      return readRuleField(doc, { jsonPath: 'name' }) === 'Espresso Machine' &&
+        readRuleField(doc, { jsonPath: 'offers.price' }) === '249.00' &&
+        readRuleField(doc, { script: '#__NEXT_DATA__', jsonPath: 'props.product.inStock' }) === false &&
+        readRuleField(doc, { script: '#missing', jsonPath: 'a' }) === null;
+    }
+  },
+  {
+    name: "A rule extracts every field from the page",
+    run: () => {
+      const doc = fakeDocument({
+        'h1': { text: 'Espresso Machine EM-100' },
+        '.price-now': { text: '199,00 €' },
+        '.price-old': { text: '249,00 €' },
+        '.stock': { text: 'Sold out' }
+      }, [PRODUCT_LD]);
+      const { rule } = normalizeSiteRule({
+        domain: 'shop.example',
+        title: 'h1',
+        price: '.price-now',
+        wasPrice: '.price-old',
+        image: { jsonPath: 'image' },
+        sku: { jsonPath: 'sku' },
+        availability: '.stock'
+      });
+      const data = extractWithSiteRule(doc, rule, { domain: 'shop.example', expectedCurrency: 'EUR' });
+      return data.title === 'Espresso Machine EM-100' && data.price.numeric === 199 && data.price.currency === 'EUR' &&
+        data.wasPrice === 249 && data.image === 'https://shop.example/em.jpg' && data.sku === 'EM-100' &&
+        data.availability === 'OutOfStock';
+    }
+  },
+  {
+    name: "Bare JSON numbers take the rule's currency",
+    run: () => {
+      const doc = fakeDocument({
+        '#state': { tag: 'SCRIPT', text: JSON.stringify({ product: { price: 1299, listPrice: 999 } }) }
+      });
+      const { rule } = normalizeSiteRule({
+        domain: 'shop.example',
+        currency: 'SEK',
+        price: { script: '#state', jsonPath: 'product.price' },
+        wasPrice: { script: '#state', jsonPath: 'product.listPrice' }
+      });
+      const data = extractWithSiteRule(doc, rule, { domain: 'shop.example' });
+      return data.price.numeric === 1299 && data.price.currency === 'SEK' && data.wasPrice === null &&
+        data.title === null && data.availability === null;
+    }
+  },
+  {
+    name: "Rule readings count as a strong price source",
+    run: () => SITE_RULE_METHOD === 'siteRule' && getMethodStrength(SITE_RULE_METHOD) === 3
+  },
+  {
+    name: "Picked overrides replace the domain's price and title, keep the rest",
+    run: () => {
+      const stored = [
+        { domain: 'shop.example', currency: 'EUR', price: '.old-price', title: 'h1', sku: { jsonPath: 'sku' } },
+        { domain: 'other.example', price: '.price' }
+      ];
+      const { rules, rule, errors } = mergeSiteRule(stored, {
+        domain: 'www.shop.example',
+        price: { selector: '#buy-box > span' },
+        title: null
+      });
+      return errors.length === 0 && rules.length === 2 &&
+        rules[0].domain === 'other.example' && rules[1] === rule &&
+        rule.price.selector === '#buy-box > span' && rule.title.selector === 'h1' &&
+        rule.currency === 'EUR' && rule.sku.jsonPath === 'sku';
+    }
+  },
+  {
+    name: "Picked overrides add new domains and reject invalid ones",
+    run: () => {
+      const added = mergeSiteRule([], { domain: 'new.example', price: { selector: '.p' }, title: { selector: 'h1' } });
+      const invalid = mergeSiteRule([{ domain: 'shop.example', price: '.price' }], { domain: 'localhost', price: { selector: '.p' } });
+      return added.rules.length === 1 && added.rule.title.selector === 'h1' &&
+        invalid.rule === null && invalid.rules.length === 1 && invalid.errors.length === 1;
+    }
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Site Rules Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
@@ -0,0 +1,126 @@
+/**
+ * Target Price Test Suite
+ * Tests for per-product target price alerts
+ * Run with Node.js
+ */
+
+import { isValidTargetPrice, isTargetPriceReached, isTargetReachedByCheck } from '../utils/target-price.js';
+import { getComparablePrice, PRICE_BASIS } from '../utils/shipping.js';
+
+/**
+ * Coffee sold per 500 g bag with a per-kg unit price, target €79 per bag
+ */
+function coffeeProduct(numeric, unitPrice, shipping = null) {
+  return {
+    price: { numeric, currency: 'EUR', unitPrice, unit: 'kg', quantity: 0.5, shipping },
+    notifications: { targetPrice: 79 }
+  };
+}
+
+const tests = [
+  {
+    name: "Only positive finite numbers are valid targets",
+    run: () => isValidTargetPrice(79) &&
+      isValidTargetPrice(0.5) &&
+      !isValidTargetPrice(0) &&
+      !isValidTargetPrice(-5) &&
+      !isValidTargetPrice(Infinity) &&
+      !isValidTargetPrice('79') &&
+      !isValidTargetPrice(null)
+  },
+  {
+    name: "A drop from above the target to below it reaches it",
+    run: () => isTargetPriceReached(79, 89.99, 74.99)
+  },
+  {
+    name: "A drop exactly to the target reaches it",
+    run: () => isTargetPriceReached(79, 89.99, 79)
+  },
+  {
+    name: "A drop that stays above the target doesn't reach it",
+    run: () => !isTargetPriceReached(79, 99.99, 89.99)
+  },
+  {
+    name: "A price that stays under the target doesn't re-alert",
+    run: () => !isTargetPriceReached(79, 75, 70) && !isTargetPriceReached(79, 79, 75)
+  },
+  {
+    name: "A target set at or above the current price is met at once",
+    run: () => isTargetPriceReached(79, null, 75) &&
+      isTargetPriceReached(79, null, 79) &&
+      !isTargetPriceReached(79, null, 85)
+  },
+  {
+    name: "Missing targets and prices never reach",
+    run: () => !isTargetPriceReached(null, 89.99, 74.99) &&
+      !isTargetPriceReached(0, 89.99, 74.99) &&
+      !isTargetPriceReached(79, 89.99, null) &&
+      !isTargetPriceReached(79, null, NaN)
+  },
+  {
+    name: "Unit-price checks compare the target with item prices",
+    run: () => {
+      const product = coffeeProduct(95, 190);
+      const checked = coffeeProduct(78, 156).price;
+      const unitChange = getComparablePrice(product.price, PRICE_BASIS.UNIT) > getComparablePrice(checked, PRICE_BASIS.UNIT);
+
+      // Unit prices (190 -> 156 per kg) never go under a per-bag target
+      return unitChange &&
+        isTargetReachedByCheck(product, checked) &&
+        !isTargetReachedByCheck(product, coffeeProduct(85, 170).price) &&
+        !isTargetReachedByCheck(coffeeProduct(78, 156), coffeeProduct(75, 150).price);
+    }
+  },
+  {
+    name: "Checks comparing totals with shipping still use the item price",
+    run: () => {
+      // €82 + €4.90 shipping drops to €78 + €4.90: the total stays over €79
+      const product = coffeeProduct(82, 164, 4.9);
+      const checked = coffeeProduct(78, 156, 4.9).price;
+      return getComparablePrice(checked, PRICE_BASIS.TOTAL) > 79 &&
+        isTargetReachedByCheck(product, checked) &&
+        !isTargetReachedByCheck({ price: product.price }, checked);
+    }
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Target Price Test Suite");
+console.log("=================================\n");
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
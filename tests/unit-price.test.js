@@ -0,0 +1,158 @@
+/**
+ * Unit Price Test Suite
+ * Tests for unit prices, pack sizes and shrinkflation detection
+ * Run with Node.js
+ */
+
+import {
+  BASE_UNITS,
+  PACK_SIZE_CHANGES,
+  resolveUnit,
+  parsePackSize,
+  parseUnitPriceText,
+  getOfferUnitPrice,
+  applyUnitPrice,
+  canCompareUnitPrices,
+  getPackSizeChange,
+  formatQuantity
+} from '../utils/unit-price.js';
+
+const near = (a, b) => Math.abs(a - b) < 0.0001;
+
+const tests = [
+  {
+    name: "Unit words resolve to kg, l or item",
+    run: () => resolveUnit('g').factor === 0.001 &&
+      resolveUnit('Ounce').unit === BASE_UNITS.KG &&
+      resolveUnit('fl oz').unit === BASE_UNITS.L &&
+      resolveUnit('Stück').unit === BASE_UNITS.ITEM &&
+      resolveUnit('inch') === null
+  },
+  {
+    name: "Pack sizes are read from product names",
+    run: () => {
+      const nutella = parsePackSize('Nutella 750g');
+      const oil = parsePackSize('Olive Oil 1,5 L');
+      const tabs = parsePackSize('Dishwasher Tabs 40 Stück');
+      return nutella.quantity === 0.75 && nutella.unit === BASE_UNITS.KG &&
+        oil.quantity === 1.5 && oil.unit === BASE_UNITS.L &&
+        tabs.quantity === 40 && tabs.unit === BASE_UNITS.ITEM;
+    }
+  },
+  {
+    name: "Multi-packs multiply the size",
+    run: () => parsePackSize('Cola 6 x 330 ml').quantity === 1.98 &&
+      parsePackSize('Shampoo 250ml 2er Pack').quantity === 0.5 &&
+      near(parsePackSize('Coffee Beans 12 oz (Pack of 6)').quantity, 72 * 0.028349523125) &&
+      parsePackSize('Batteries, Pack of 24').quantity === 24
+  },
+  {
+    name: "Names without a pack size give none",
+    run: () => parsePackSize('Galaxy S23 5G 128 GB') === null &&
+      parsePackSize('Laptop 15.6 inch') === null &&
+      parsePackSize('') === null
+  },
+  {
+    name: "Unit price texts are parsed and normalized",
+    run: () => near(parseUnitPriceText('€9.98/kg').unitPrice, 9.98) &&
+      near(parseUnitPriceText('£1.20 per 100g').unitPrice, 12) &&
+      near(parseUnitPriceText('Grundpreis: 9,98 € / 1 kg').unitPrice, 9.98) &&
+      near(parseUnitPriceText('1 kg = 9,98 €').unitPrice, 9.98) &&
+      parseUnitPriceText('9,98 €/l').unit === BASE_UNITS.L &&
+      parseUnitPriceText('In stock') === null
+  },
+  {
+    name: "Only the price right before the unit counts, cents are converted",
+    run: () => near(parseUnitPriceText('4,99 € (9,98 €/kg)').unitPrice, 9.98) &&
+      near(parseUnitPriceText('($0.28 / Ounce)').unitPrice, 0.28 / 0.028349523125) &&
+      near(parseUnitPriceText('27.4 ¢/oz').unitPrice, 0.274 / 0.028349523125)
+  },
+  {
+    name: "Schema.org referenceQuantity gives a unit price",
+    run: () => {
+      const info = getOfferUnitPrice({
+        price: 4.99,
+        priceSpecification: [
+          { '@type': 'UnitPriceSpecification', price: 4.99 },
+          { '@type': 'UnitPriceSpecification', price: 0.998, referenceQuantity: { value: 100, unitCode: 'GRM' } }
+        ]
+      });
+      return near(info.unitPrice, 9.98) && info.unit === BASE_UNITS.KG && getOfferUnitPrice({ price: 1 }) === null;
+    }
+  },
+  {
+    name: "A known pack size is divided into a new price",
+    run: () => {
+      const stored = { numeric: 4.99, unitPrice: 9.98, unit: 'kg', quantity: 0.5 };
+      const rechecked = applyUnitPrice({ ...stored, numeric: 5.49 }, null);
+      const textOnly = applyUnitPrice({ numeric: 5.49, unitPrice: 9.98, unit: 'kg' }, null);
+      return rechecked.unitPrice === 10.98 && rechecked.quantity === 0.5 &&
+        !('unitPrice' in textOnly);
+    }
+  },
+  {
+    name: "A smaller pack is a pack size decrease, small differences are not",
+    run: () => {
+      const before = { quantity: 0.5, unit: 'kg' };
+      return getPackSizeChange(before, { quantity: 0.45, unit: 'kg' }) === PACK_SIZE_CHANGES.DECREASED &&
+        getPackSizeChange(before, { quantity: 0.6, unit: 'kg' }) === PACK_SIZE_CHANGES.INCREASED &&
+        getPackSizeChange(before, { quantity: 0.4999, unit: 'kg' }) === null &&
+        getPackSizeChange(before, { quantity: 0.45, unit: 'l' }) === null;
+    }
+  },
+  {
+    name: "Unit prices compare only in the same unit",
+    run: () => canCompareUnitPrices({ unitPrice: 1, unit: 'kg' }, { unitPrice: 2, unit: 'kg' }) &&
+      !canCompareUnitPrices({ unitPrice: 1, unit: 'kg' }, { unitPrice: 2, unit: 'l' }) &&
+      !canCompareUnitPrices({ unitPrice: 1, unit: 'kg' }, { numeric: 2 })
+  },
+  {
+    name: "Pack sizes are formatted in everyday units",
+    run: () => formatQuantity(0.5, 'kg') === '500 g' &&
+      formatQuantity(1.98, 'l') === '1.98 l' &&
+      formatQuantity(0.33, 'l') === '330 ml' &&
+      formatQuantity(12, 'item') === '12 items'
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Unit Price Test Suite");
+console.log("=================================\n");
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
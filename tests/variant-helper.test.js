@@ -0,0 +1,203 @@
+/**
+ * Variant Helper Test Suite
+ * Tests for resolving product variants and variant-aware product IDs
+ * Run with Node.js
+ */
+
+import {
+  getVariantRefFromUrl,
+  getSelectedVariantRef,
+  buildVariantInfo,
+  isMultiVariant,
+  orderSchemaNodesForVariant,
+  filterOffersForVariant,
+  selectEmbeddedVariant,
+  getVariantInfoFromEmbedded
+} from '../utils/variant-helper.js';
+import { generateProductId } from '../utils/product-hasher.js';
+
+/**
+ * Document with a Shopify add-to-cart form selecting a variant
+ */
+function shopifyDocument(variantId) {
+  return {
+    querySelector: (selector) => selector === 'form[action*="/cart/add"] [name="id"]' ? { value: variantId } : null
+  };
+}
+
+const SHOPIFY_PRODUCT = {
+  title: 'Ceramic Mug',
+  options: ['Color'],
+  variants: [
+    { id: 111, sku: 'MUG-WHITE', option1: 'White', available: false },
+    { id: 222, sku: 'MUG-BLACK', option1: 'Black', available: true },
+    { id: 333, sku: 'MUG-SAGE', option1: 'Sage', available: true }
+  ]
+};
+
+const URL = 'https://shop.example/products/mug';
+const TITLE = 'Ceramic Mug';
+const DOMAIN = 'shop.example';
+// IDs as generated before variants were tracked
+const BASELINE_ID = '3611de56';
+const BASELINE_AMAZON_ID = '36dc61cd';
+
+const tests = [
+  {
+    name: "Variant references are read from URL params",
+    run: () => {
+      const ref = getVariantRefFromUrl('https://shop.example/p/1?size=42&Color=Black&utm_source=x');
+      return ref.attributes.size === '42' && ref.attributes.color === 'Black' &&
+        ref.params.size === '42' && !('utm_source' in ref.params) &&
+        getVariantRefFromUrl('https://shop.example/p/1') === null;
+    }
+  },
+  {
+    name: "The variant selected in a Shopify form is picked up",
+    run: () => getSelectedVariantRef(shopifyDocument('222'), URL)?.id === '222' &&
+      getSelectedVariantRef(shopifyDocument(''), URL) === null
+  },
+  {
+    name: "Only a variant count above one marks a product multi-variant",
+    run: () => isMultiVariant(buildVariantInfo({ sku: 'A', variantCount: 3 })) &&
+      !isMultiVariant(buildVariantInfo({ sku: 'A', variantCount: 1 })) &&
+      !isMultiVariant(buildVariantInfo({ sku: 'A' })) &&
+      !isMultiVariant(getSelectedVariantRef(shopifyDocument('222'), URL)) &&
+      !isMultiVariant(null)
+  },
+  {
+    name: "Embedded variants carry the product's variant count",
+    run: () => {
+      const info = getVariantInfoFromEmbedded(SHOPIFY_PRODUCT.variants[1], SHOPIFY_PRODUCT);
+      return info.id === '222' && info.sku === 'MUG-BLACK' && info.attributes.color === 'Black' && info.variantCount === 3;
+    }
+  },
+  {
+    name: "Schema nodes of the tracked variant come first",
+    run: () => {
+      const black = { '@type': 'Product', sku: 'MUG-BLACK', color: 'Black' };
+      const white = { '@type': 'Product', sku: 'MUG-WHITE', color: 'White' };
+      const group = { '@type': 'ProductGroup', hasVariant: [white, black] };
+      const bySku = orderSchemaNodesForVariant([white, black], { sku: 'mug-black' });
+      const byAttribute = orderSchemaNodesForVariant([group], { attributes: { color: 'black' } });
+      return bySku[0] === black && bySku.length === 2 &&
+        byAttribute[0] === black && byAttribute.includes(group);
+    }
+  },
+  {
+    name: "Schema nodes keep their order without a match or a reference",
+    run: () => {
+      const a = { sku: 'A' };
+      const b = { sku: 'B' };
+      const nodes = [a, b];
+      return orderSchemaNodesForVariant(nodes, { sku: 'C' }) === nodes &&
+        orderSchemaNodesForVariant(nodes, null) === nodes;
+    }
+  },
+  {
+    name: "Offers are narrowed to the tracked variant's SKU or URL",
+    run: () => {
+      const offers = [
+        { sku: 'SHOE-41', price: '89.95', url: 'https://shop.example/shoe?variant=41' },
+        { sku: 'SHOE-42', price: '79.95', url: 'https://shop.example/shoe?variant=42' }
+      ];
+      return filterOffersForVariant(offers, { sku: 'SHOE-42' }).length === 1 &&
+        filterOffersForVariant(offers, { sku: 'SHOE-42' })[0].price === '79.95' &&
+        filterOffersForVariant(offers, { id: '41' })[0].sku === 'SHOE-41';
+    }
+  },
+  {
+    name: "Offers stay whole without a match, a reference or a choice",
+    run: () => {
+      const offers = [{ sku: 'A' }, { sku: 'B' }];
+      const single = [{ sku: 'A' }];
+      return filterOffersForVariant(offers, { sku: 'C' }) === offers &&
+        filterOffersForVariant(offers, null) === offers &&
+        filterOffersForVariant(single, { sku: 'B' }) === single;
+    }
+  },
+  {
+    name: "Embedded variants resolve by ID or SKU, else the first available",
+    run: () => selectEmbeddedVariant(SHOPIFY_PRODUCT.variants, { id: '333' }).sku === 'MUG-SAGE' &&
+      selectEmbeddedVariant(SHOPIFY_PRODUCT.variants, { sku: 'mug-white' }).id === 111 &&
+      selectEmbeddedVariant(SHOPIFY_PRODUCT.variants, { id: '999' }).id === 222 &&
+      selectEmbeddedVariant(SHOPIFY_PRODUCT.variants, null).id === 222 &&
+      selectEmbeddedVariant([], { id: '1' }) === null
+  },
+  {
+    name: "Products without variants keep their original ID",
+    run: () => generateProductId(URL, TITLE, DOMAIN) === BASELINE_ID &&
+      generateProductId('https://www.amazon.de/dp/B01ABCDEFG', 'Kopfhörer', 'www.amazon.de') === BASELINE_AMAZON_ID
+  },
+  {
+    name: "Single-variant Shopify products keep their original ID",
+    run: () => {
+      const ref = getSelectedVariantRef(shopifyDocument('40123456789'), URL);
+      const single = getVariantInfoFromEmbedded({ id: 40123456789, sku: 'MUG', option1: 'Default Title' }, { variants: [{}] });
+      return generateProductId(URL, TITLE, DOMAIN, ref) === BASELINE_ID &&
+        generateProductId(URL, TITLE, DOMAIN, single) === BASELINE_ID;
+    }
+  },
+  {
+    name: "Size or SKU params on shops without variants don't change the ID",
+    run: () => {
+      const url = `${URL}?size=L&sku=MUG-1`;
+      return generateProductId(url, TITLE, DOMAIN, getVariantRefFromUrl(url)) === BASELINE_ID;
+    }
+  },
+  {
+    name: "Variants of a multi-variant product get their own stable IDs",
+    run: () => {
+      const black = getVariantInfoFromEmbedded(SHOPIFY_PRODUCT.variants[1], SHOPIFY_PRODUCT);
+      const sage = getVariantInfoFromEmbedded(SHOPIFY_PRODUCT.variants[2], SHOPIFY_PRODUCT);
+      const blackId = generateProductId(URL, TITLE, DOMAIN, black);
+      const sageId = generateProductId(URL, TITLE, DOMAIN, sage);
+      return blackId !== BASELINE_ID && blackId !== sageId &&
+        generateProductId(URL, TITLE, DOMAIN, { ...black }) === blackId &&
+        // URL params win over the SKU, independent of their order
+        generateProductId(`${URL}?variant=222&size=M`, TITLE, DOMAIN, black) ===
+          generateProductId(`${URL}?size=M&variant=222`, TITLE, DOMAIN, sage);
+    }
+  }
+];
+
+// Run tests
+console.log("=================================");
+console.log("Variant Helper Test Suite");
+console.log("=================================\n");
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+tests.forEach((test, index) => {
+  let ok = false;
+  try {
+    ok = test.run() === true;
+  } catch (error) {
+    console.log(`   Error: ${error.message}`);
+  }
+
+  if (ok) {
+    passed++;
+    console.log(`✅ ${index + 1}. ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${index + 1}. ${test.name}`);
+    failures.push(test.name);
+  }
+});
+
+console.log("\n=================================");
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`Success rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
+console.log("=================================");
+
+if (failures.length > 0) {
+  console.log("\nFailed tests:");
+  failures.forEach(name => console.log(`  - ${name}`));
+  if (typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+}
+
+export { tests };
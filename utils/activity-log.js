@@ -0,0 +1,245 @@
+/**
+ * Activity Log Module
+ * Bounded journal of background events, shown on the Activity Log page.
+ *
+ * Entries are stored in the `activity` IndexedDB store, oldest first, and
+ * capped at MAX_ACTIVITY_ENTRIES:
+ *
+ *   { id, timestamp, type, productId, domain, message, details }
+ *
+ * Nothing is recorded while settings.privacy.activityLog is off. The
+ * journal never leaves the device unless the user exports it.
+ *
+ * The pure functions work on plain entry arrays; the async helpers at the
+ * bottom read and write the database.
+ */
+
+import browser from './browser-polyfill.js';
+import { debugWarn } from './debug.js';
+import {
+  addActivityRecords,
+  getActivityRecords,
+  clearActivityRecords
+} from '../background/product-db.js';
+import { describeOutlierReasons } from './price-sanity.js';
+
+/**
+ * Entries kept; the oldest are dropped beyond it
+ */
+export const MAX_ACTIVITY_ENTRIES = 2000;
+
+/**
+ * Event types
+ */
+export const ACTIVITY_TYPES = {
+  CHECK_RUN: 'check_run',                 // One background or manual check run
+  CHECK_RESULT: 'check_result',           // Result for one product in a run
+  DOMAIN_BLOCKED: 'domain_blocked',       // CAPTCHA, 429 or 503 paused a shop
+  PERMISSION_GRANTED: 'permission_granted',
+  CLEANUP: 'cleanup',                     // Product removed by the daily cleanup
+  NOTIFICATION: 'notification',           // Notification shown
+  IMPORT: 'import'
+};
+
+/**
+ * Display names for event types
+ */
+export const ACTIVITY_TYPE_LABELS = {
+  [ACTIVITY_TYPES.CHECK_RUN]: 'Check run',
+  [ACTIVITY_TYPES.CHECK_RESULT]: 'Check result',
+  [ACTIVITY_TYPES.DOMAIN_BLOCKED]: 'Shop blocked',
+  [ACTIVITY_TYPES.PERMISSION_GRANTED]: 'Permission granted',
+  [ACTIVITY_TYPES.CLEANUP]: 'Cleanup',
+  [ACTIVITY_TYPES.NOTIFICATION]: 'Notification',
+  [ACTIVITY_TYPES.IMPORT]: 'Import'
+};
+
+/**
+ * Check whether logging is enabled
+ * @param {Object} settings - Extension settings
+ * @returns {boolean}
+ */
+export function isActivityLogEnabled(settings) {
+  return settings?.privacy?.activityLog !== false;
+}
+
+/**
+ * Normalize a domain for log entries and filters
+ * @param {string} urlOrHost - URL or hostname
+ * @returns {string|null}
+ */
+export function getActivityDomain(urlOrHost) {
+  if (!urlOrHost || typeof urlOrHost !== 'string') return null;
+
+  let host = urlOrHost;
+  if (urlOrHost.includes('://')) {
+    try {
+      host = new URL(urlOrHost).hostname;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return host.trim().toLowerCase().replace(/^www\./, '').replace(/\.$/, '') || null;
+}
+
+/**
+ * Build a log entry
+ * @param {string} type - One of ACTIVITY_TYPES
+ * @param {Object} fields
+ * @param {number} fields.timestamp - When it happened (default: now)
+ * @param {string} fields.message - One-line description
+ * @param {string} fields.productId - Related product
+ * @param {string} fields.domain - Related shop (URL or hostname)
+ * @param {Object} fields.details - Extra data for exports
+ * @param {number} now - Timestamp
+ * @returns {Object} Entry (without id)
+ */
+export function createActivityEntry(type, fields = {}, now = Date.now()) {
+  return {
+    timestamp: typeof fields.timestamp === 'number' ? fields.timestamp : now,
+    type,
+    productId: fields.productId || null,
+    domain: getActivityDomain(fields.domain),
+    message: fields.message || ACTIVITY_TYPE_LABELS[type] || type,
+    details: fields.details || {}
+  };
+}
+
+/**
+ * One-line description of a price check result
+ * @param {Object} result - Result of checkSingleProduct
+ * @param {string} currency - Product currency
+ * @returns {string}
+ */
+export function describeCheckResult(result, currency = '') {
+  const perUnit = result.priceBasis === 'unit' && result.unit ? `/${result.unit}` : '';
+  const price = value => `${currency ? `${currency} ` : ''}${Number(value).toFixed(2)}${perUnit}`;
+  const percent = typeof result.changePercent === 'number' ? ` (${result.changePercent > 0 ? '+' : ''}${result.changePercent.toFixed(1)}%)` : '';
+  const shipping = result.shippingChange === 'free_shipping_added' ? ', free shipping'
+    : result.shippingChange === 'free_shipping_removed' ? ', free shipping ended' : '';
+  const packSize = result.packSizeChange === 'pack_size_decreased' ? ', smaller pack'
+    : result.packSizeChange === 'pack_size_increased' ? ', larger pack' : '';
+  const confirmed = result.confirmedBy === 'refetch' ? ', confirmed by a second fetch'
+    : result.confirmedBy === 'next_check' ? ', confirmed by a second check' : '';
+
+  switch (result.status) {
+    case 'price_drop':
+      return `Price dropped ${price(result.oldPrice)} → ${price(result.newPrice)}${percent}${shipping}${packSize}${result.targetReached ? ', target reached' : ''}${result.discount?.suspicious ? ', suspicious discount' : ''}${confirmed}`;
+    case 'price_increase':
+      return `Price rose ${price(result.oldPrice)} → ${price(result.newPrice)}${percent}${shipping}${packSize}${confirmed}`;
+    case 'no_change':
+      return `No change${typeof result.price === 'number' ? ` at ${price(result.price)}` : ''}${result.backInStock ? ', back in stock' : ''}`;
+    case 'out_of_stock':
+      return 'Out of stock';
+    case 'currency_change':
+      return `Currency changed ${result.oldCurrency || '?'} → ${result.currency || '?'}${typeof result.newPrice === 'number' ? ` at ${result.currency} ${result.newPrice.toFixed(2)}` : ''}${result.currencyAction === 'rebaseline' ? ', new baseline' : result.currencyAction === 'flag' ? ', price kept until confirmed' : ''}`;
+    case 'unconfirmed':
+      return `Unconfirmed reading ${price(result.newPrice)} held (${describeOutlierReasons(result.reasons)}), price kept at ${price(result.oldPrice)}`;
+    case 'error':
+      return `Check failed: ${result.error || 'unknown error'}`;
+    case 'not_found':
+      return 'Product no longer tracked';
+    default:
+      return 'Checked';
+  }
+}
+
+/**
+ * Filter entries
+ * @param {Array} entries - Log entries
+ * @param {Object} filters
+ * @param {string} filters.type - Event type
+ * @param {string} filters.productId - Product
+ * @param {string} filters.domain - Shop, also matching its subdomains
+ * @param {number} filters.from - Earliest timestamp (inclusive)
+ * @param {number} filters.to - Latest timestamp (inclusive)
+ * @returns {Array} Matching entries, newest first
+ */
+export function filterActivity(entries, filters = {}) {
+  const domain = getActivityDomain(filters.domain);
+
+  return (entries || [])
+    .filter(entry =>
+      (!filters.type || entry.type === filters.type) &&
+      (!filters.productId || entry.productId === filters.productId) &&
+      (!domain || (entry.domain && (entry.domain === domain || entry.domain.endsWith(`.${domain}`)))) &&
+      (typeof filters.from !== 'number' || entry.timestamp >= filters.from) &&
+      (typeof filters.to !== 'number' || entry.timestamp <= filters.to)
+    )
+    .sort((a, b) => b.timestamp - a.timestamp || (b.id || 0) - (a.id || 0));
+}
+
+/**
+ * Build the export document for bug reports
+ * @param {Array} entries - Log entries
+ * @param {Object} filters - Filters applied, recorded for context
+ * @param {number} now - Export timestamp
+ * @returns {Object}
+ */
+export function buildActivityExport(entries, filters = {}, now = Date.now()) {
+  return {
+    app: 'price-genius',
+    kind: 'activity-log',
+    exportedAt: now,
+    filters,
+    entries: [...(entries || [])].sort((a, b) => a.timestamp - b.timestamp)
+  };
+}
+
+/**
+ * Record events, unless the activity log is turned off
+ * @param {Array<{ type: string, timestamp: number, message: string, productId: string, domain: string, details: Object }>} events
+ * @returns {Promise<void>}
+ */
+export async function logActivities(events) {
+  if (!events || events.length === 0) return;
+
+  try {
+    const { settings } = await browser.storage.local.get('settings');
+    if (!isActivityLogEnabled(settings)) return;
+
+    const now = Date.now();
+    const entries = events.map(({ type, ...fields }) => createActivityEntry(type, fields, now));
+    await addActivityRecords(entries, MAX_ACTIVITY_ENTRIES);
+  } catch (error) {
+    debugWarn('[activity-log]', 'Error recording activity:', error);
+  }
+}
+
+/**
+ * Record one event, unless the activity log is turned off
+ * @param {string} type - One of ACTIVITY_TYPES
+ * @param {Object} fields - { message, productId, domain, details }
+ * @returns {Promise<void>}
+ */
+export async function logActivity(type, fields = {}) {
+  await logActivities([{ type, ...fields }]);
+}
+
+/**
+ * Load the journal
+ * @returns {Promise<Array>} Entries, oldest first
+ */
+export async function getActivityLog() {
+  try {
+    return await getActivityRecords();
+  } catch (error) {
+    debugWarn('[activity-log]', 'Error reading activity log:', error);
+    return [];
+  }
+}
+
+/**
+ * Delete the journal
+ * @returns {Promise<boolean>} Success status
+ */
+export async function clearActivityLog() {
+  try {
+    await clearActivityRecords();
+    return true;
+  } catch (error) {
+    debugWarn('[activity-log]', 'Error clearing activity log:', error);
+    return false;
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * Adapter Matching Module
+ * Decides which site adapter reads a page, from the declarations in
+ * content-scripts/site-adapters/adapter-registry.js:
+ *
+ *   { id: 'amazon', hosts: ['amazon.*'], priority: 100 }
+ *   { id: 'shopify', platform: 'shopify', priority: 40 }
+ *
+ * Host patterns are compared with the page's registrable domain
+ * ("www.amazon.co.uk" -> "amazon.co.uk"), never as substrings:
+ *   "target.com" - exactly target.com (not mytarget.com or target.com.au)
+ *   "amazon.*"   - the brand on any public suffix (amazon.de, amazon.co.uk)
+ *
+ * Platform adapters (WooCommerce, OpenCart, Shopify, Magento, PrestaShop)
+ * match shops on their own domains by fingerprints in the page markup.
+ * When several adapters match, the highest priority wins; on a tie a host
+ * match beats a platform match, then registry order decides.
+ *
+ * Every decision comes with the reasons behind it, shown in the adapter
+ * lookup on the settings page.
+ *
+ * Pure functions only - no extension APIs; documents are passed in.
+ */
+
+/**
+ * Public suffixes with two labels ("co.uk"), for registrable domains
+ */
+const MULTI_PART_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'me.uk', 'ac.uk', 'gov.uk',
+  'com.au', 'net.au', 'org.au',
+  'co.nz', 'net.nz', 'org.nz',
+  'co.jp', 'ne.jp', 'or.jp',
+  'co.kr', 'co.in', 'co.id', 'co.il', 'co.th', 'co.za', 'co.ke',
+  'com.br', 'com.mx', 'com.ar', 'com.co', 'com.pe', 'com.ec',
+  'com.tr', 'com.sg', 'com.my', 'com.hk', 'com.tw', 'com.cn', 'com.ph', 'com.vn',
+  'com.pl', 'com.ua', 'com.sa', 'com.eg', 'com.ng', 'com.be'
+]);
+
+/**
+ * Platform fingerprints: markup a platform leaves on every shop built with it
+ * A signal is a CSS selector, or a string in the page source ("html").
+ */
+export const PLATFORM_FINGERPRINTS = {
+  woocommerce: {
+    name: 'WooCommerce',
+    signals: [
+      { selector: 'body.woocommerce, body.woocommerce-page', label: 'WooCommerce body class' },
+      { selector: 'meta[name="generator"][content^="WooCommerce" i]', label: 'WooCommerce generator tag' },
+      { selector: 'link[href*="/plugins/woocommerce/"], script[src*="/plugins/woocommerce/"]', label: 'WooCommerce plugin assets' },
+      { selector: '.woocommerce-Price-amount', label: 'WooCommerce price markup' }
+    ]
+  },
+  opencart: {
+    name: 'OpenCart',
+    signals: [
+      { selector: 'a[href*="route=product/"], form[action*="route=checkout/"]', label: 'OpenCart route links' },
+      { selector: 'link[href*="catalog/view/theme/"], script[src*="catalog/view/"]', label: 'OpenCart theme assets' },
+      { selector: 'img[src*="image/cache/catalog/"]', label: 'OpenCart image cache' }
+    ]
+  },
+  shopify: {
+    name: 'Shopify',
+    signals: [
+      { selector: 'meta[name="shopify-checkout-api-token"], meta[name="shopify-digital-wallet"]', label: 'Shopify meta tags' },
+      { selector: 'link[href*="cdn.shopify.com"], script[src*="cdn.shopify.com"]', label: 'Shopify CDN assets' },
+      { html: 'ShopifyAnalytics', label: 'ShopifyAnalytics script' }
+    ]
+  },
+  magento: {
+    name: 'Magento',
+    signals: [
+      { selector: 'script[type="text/x-magento-init"]', label: 'Magento init scripts' },
+      { selector: '[data-mage-init]', label: 'Magento widgets' },
+      { selector: 'form#product_addtocart_form', label: 'Magento add-to-cart form' }
+    ]
+  },
+  prestashop: {
+    name: 'PrestaShop',
+    signals: [
+      { selector: 'meta[name="generator"][content*="PrestaShop" i]', label: 'PrestaShop generator tag' },
+      { selector: 'form#add-to-cart-or-refresh', label: 'PrestaShop add-to-cart form' },
+      { html: 'var prestashop =', label: 'PrestaShop page object' }
+    ]
+  }
+};
+
+/**
+ * Host of a URL or hostname, without "www." ("https://www.Shop.de/x" -> "shop.de")
+ * @param {string} urlOrHost - URL or hostname
+ * @returns {string|null}
+ */
+export function getMatchHost(urlOrHost) {
+  if (!urlOrHost || typeof urlOrHost !== 'string') return null;
+
+  let host = urlOrHost;
+  if (urlOrHost.includes('://')) {
+    try {
+      host = new URL(urlOrHost).hostname;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  host = host.trim().toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(host) ? host : null;
+}
+
+/**
+ * Public suffix of a host ("amazon.co.uk" -> "co.uk", "ebay.de" -> "de")
+ * @param {string} host - Normalized host
+ * @returns {string}
+ */
+function getPublicSuffix(host) {
+  const labels = host.split('.');
+  const lastTwo = labels.slice(-2).join('.');
+  return labels.length > 2 && MULTI_PART_SUFFIXES.has(lastTwo) ? lastTwo : labels[labels.length - 1];
+}
+
+/**
+ * Registrable domain: the public suffix plus one label
+ * ("smile.amazon.co.uk" -> "amazon.co.uk", "shop.example" -> "shop.example")
+ * @param {string} urlOrHost - URL or hostname
+ * @returns {string|null}
+ */
+export function getRegistrableDomain(urlOrHost) {
+  const host = getMatchHost(urlOrHost);
+  if (!host) return null;
+  if (/^[\d.]+$/.test(host) || !host.includes('.')) return host; // IP addresses, localhost
+
+  const suffix = getPublicSuffix(host);
+  const name = host.slice(0, -(suffix.length + 1)).split('.').pop();
+  return name ? `${name}.${suffix}` : host;
+}
+
+/**
+ * Check whether a host pattern matches a page
+ * @param {string} urlOrHost - URL or hostname
+ * @param {string} pattern - "target.com" or "amazon.*"
+ * @returns {boolean}
+ */
+export function matchesHostPattern(urlOrHost, pattern) {
+  const domain = getRegistrableDomain(urlOrHost);
+  if (!domain || typeof pattern !== 'string' || !pattern) return false;
+
+  const rule = pattern.trim().toLowerCase().replace(/^www\./, '');
+  if (rule.endsWith('.*')) {
+    // Brand on any public suffix
+    const suffix = getPublicSuffix(domain);
+    return domain.slice(0, -(suffix.length + 1)) === rule.slice(0, -2);
+  }
+  return domain === rule;
+}
+
+/**
+ * Fingerprint signals of a platform found in a document
+ * @param {Document} doc - Page
+ * @param {string} platform - Key of PLATFORM_FINGERPRINTS
+ * @returns {string[]} Labels of the signals found
+ */
+export function getPlatformSignals(doc, platform) {
+  const fingerprint = PLATFORM_FINGERPRINTS[platform];
+  if (!fingerprint || !doc?.querySelector) return [];
+
+  let html = null;
+  const found = [];
+  for (const signal of fingerprint.signals) {
+    try {
+      if (signal.selector && doc.querySelector(signal.selector)) {
+        found.push(signal.label);
+      } else if (signal.html) {
+        if (html === null) html = doc.documentElement?.innerHTML || '';
+        if (html.includes(signal.html)) found.push(signal.label);
+      }
+    } catch (error) {
+      // Selector unsupported by this engine: treat as not found
+    }
+  }
+  return found;
+}
+
+/**
+ * Find the adapters that match a page, best first
+ * @param {Object[]} registry - Adapter declarations ({ id, hosts, platform, priority })
+ * @param {string} url - Page URL
+ * @param {Document|null} doc - Page; without it only host patterns are checked
+ * @returns {Object} { url, host, registrableDomain, entry, candidates, platformsChecked }
+ *   candidates: [{ entry, matchedBy: 'host'|'platform', pattern?, signals? }]
+ */
+export function matchAdapters(registry, url, doc = null) {
+  const host = getMatchHost(url);
+  const registrableDomain = getRegistrableDomain(url);
+  const candidates = [];
+
+  (Array.isArray(registry) ? registry : []).forEach((entry, order) => {
+    const pattern = (entry.hosts || []).find(hostPattern => matchesHostPattern(host, hostPattern));
+    if (pattern) {
+      candidates.push({ entry, order, matchedBy: 'host', pattern });
+      return;
+    }
+    if (entry.platform && doc) {
+      const signals = getPlatformSignals(doc, entry.platform);
+      if (signals.length > 0) {
+        candidates.push({ entry, order, matchedBy: 'platform', signals });
+      }
+    }
+  });
+
+  candidates.sort((a, b) =>
+    (b.entry.priority || 0) - (a.entry.priority || 0) ||
+    (a.matchedBy === 'host' ? 0 : 1) - (b.matchedBy === 'host' ? 0 : 1) ||
+    a.order - b.order);
+
+  return {
+    url,
+    host,
+    registrableDomain,
+    entry: candidates[0]?.entry || null,
+    candidates: candidates.map(({ order, ...candidate }) => candidate),
+    platformsChecked: !!doc
+  };
+}
+
+/**
+ * Why a candidate matched
+ * @param {Object} candidate - Candidate from matchAdapters
+ * @param {string} registrableDomain - Page's registrable domain
+ * @returns {string}
+ */
+function describeCandidate(candidate, registrableDomain) {
+  const { entry } = candidate;
+  const priority = `priority ${entry.priority || 0}`;
+  if (candidate.matchedBy === 'host') {
+    return `${entry.id}: "${registrableDomain}" matches host pattern "${candidate.pattern}" (${priority})`;
+  }
+  const platform = PLATFORM_FINGERPRINTS[entry.platform]?.name || entry.platform;
+  return `${entry.id}: ${platform} fingerprint - ${candidate.signals.join(', ')} (${priority})`;
+}
+
+/**
+ * Explain an adapter decision in plain lines
+ * @param {Object} match - Result of matchAdapters, plus { siteRule } if a
+ *   user-defined rule applies
+ * @returns {string[]}
+ */
+export function describeAdapterMatch(match) {
+  if (!match?.host) return ['Not a valid URL'];
+
+  const lines = [`Host: ${match.host} (registrable domain ${match.registrableDomain})`];
+
+  if (match.siteRule) {
+    lines.push(`Chosen: site rule for ${match.siteRule.domain} - user-defined rules win over built-in adapters`);
+  } else if (match.entry) {
+    lines.push(`Chosen: ${describeCandidate(match.candidates[0], match.registrableDomain)}`);
+  } else {
+    lines.push('Chosen: none - generic detection (JSON-LD, meta tags, page elements) is used');
+  }
+
+  const others = match.siteRule ? match.candidates : match.candidates.slice(1);
+  for (const candidate of others) {
+    lines.push(`Also matched: ${describeCandidate(candidate, match.registrableDomain)}`);
+  }
+
+  if (!match.platformsChecked) {
+    lines.push('Platform fingerprints (WooCommerce, OpenCart, Shopify, Magento, PrestaShop) were not checked - the page could not be loaded');
+  } else if (!match.candidates.some(candidate => candidate.matchedBy === 'platform')) {
+    lines.push('No platform fingerprint found on the page');
+  }
+
+  return lines;
+}
@@ -0,0 +1,338 @@
+/**
+ * Availability Module
+ * Normalizes stock status from Schema.org offers, meta tags and page text
+ * into a small set of Schema.org ItemAvailability values.
+ *
+ * Shared by the content-script detector, site adapters, the offscreen parser
+ * and the background price checker.
+ */
+
+import { filterOffersForVariant, orderSchemaNodesForVariant, schemaNodeMatchesVariant, selectEmbeddedVariant } from './variant-helper.js';
+
+/**
+ * Supported availability values (Schema.org ItemAvailability names)
+ */
+export const AVAILABILITY = {
+  IN_STOCK: 'InStock',
+  OUT_OF_STOCK: 'OutOfStock',
+  PRE_ORDER: 'PreOrder',
+  LIMITED: 'LimitedAvailability'
+};
+
+/**
+ * Map of lowercase Schema.org / platform values to normalized availability
+ */
+const AVAILABILITY_ALIASES = {
+  instock: AVAILABILITY.IN_STOCK,
+  onlineonly: AVAILABILITY.IN_STOCK,
+  available: AVAILABILITY.IN_STOCK,
+  outofstock: AVAILABILITY.OUT_OF_STOCK,
+  soldout: AVAILABILITY.OUT_OF_STOCK,
+  discontinued: AVAILABILITY.OUT_OF_STOCK,
+  oos: AVAILABILITY.OUT_OF_STOCK,
+  unavailable: AVAILABILITY.OUT_OF_STOCK,
+  preorder: AVAILABILITY.PRE_ORDER,
+  presale: AVAILABILITY.PRE_ORDER,
+  backorder: AVAILABILITY.PRE_ORDER,
+  limitedavailability: AVAILABILITY.LIMITED,
+  instoreonly: AVAILABILITY.LIMITED
+};
+
+/**
+ * Out-of-stock phrases shown on product pages (lowercase)
+ * Kept to unambiguous phrases; "only 2 left" style texts are handled separately.
+ */
+const OUT_OF_STOCK_PHRASES = [
+  'out of stock',
+  'sold out',
+  'currently unavailable',
+  'no longer available',
+  'temporarily unavailable',
+  'nicht verfügbar',
+  'ausverkauft',
+  'derzeit nicht verfügbar',
+  'rupture de stock',
+  'épuisé',
+  'agotado',
+  'esaurito',
+  'non disponibile',
+  'slutsåld',
+  'udsolgt',
+  'utsolgt',
+  'loppuunmyyty',
+  'läbi müüdud',
+  'otsas'
+];
+
+const PRE_ORDER_PHRASES = ['pre-order', 'preorder', 'vorbestellen', 'précommande'];
+
+/**
+ * Page blocks whose text states the stock status (Amazon buy box)
+ */
+const AVAILABILITY_TEXT_SELECTORS = ['#availability', '#outOfStock'];
+
+/**
+ * Availability values from most to least buyable, for combining offers
+ */
+const AVAILABILITY_RANK = [
+  AVAILABILITY.IN_STOCK,
+  AVAILABILITY.LIMITED,
+  AVAILABILITY.PRE_ORDER,
+  AVAILABILITY.OUT_OF_STOCK
+];
+
+const LIMITED_PATTERN = /\b(only|nur noch|plus que|solo)\s+\d+\s+(left|in stock|verfügbar|auf lager|en stock|disponibles?)\b/i;
+
+/**
+ * Normalize a raw availability value
+ * Accepts Schema.org URLs ("https://schema.org/InStock"), bare names,
+ * Open Graph values ("in stock", "oos") and platform booleans.
+ * @param {string|boolean|null} value - Raw availability
+ * @returns {string|null} Normalized availability or null if unknown
+ */
+export function normalizeAvailability(value) {
+  if (value === true) return AVAILABILITY.IN_STOCK;
+  if (value === false) return AVAILABILITY.OUT_OF_STOCK;
+  if (!value || typeof value !== 'string') return null;
+
+  const key = value
+    .trim()
+    .replace(/^https?:\/\/schema\.org\//i, '')
+    .replace(/[\s_-]/g, '')
+    .toLowerCase();
+
+  return AVAILABILITY_ALIASES[key] || null;
+}
+
+/**
+ * Detect availability from visible page text (e.g. an availability block)
+ * @param {string} text - Text to inspect
+ * @returns {string|null} Normalized availability or null if nothing matched
+ */
+export function detectAvailabilityFromText(text) {
+  if (!text || typeof text !== 'string') return null;
+  const lower = text.toLowerCase().replace(/\s+/g, ' ');
+
+  if (OUT_OF_STOCK_PHRASES.some(phrase => lower.includes(phrase))) {
+    return AVAILABILITY.OUT_OF_STOCK;
+  }
+  if (PRE_ORDER_PHRASES.some(phrase => lower.includes(phrase))) {
+    return AVAILABILITY.PRE_ORDER;
+  }
+  if (LIMITED_PATTERN.test(lower)) {
+    return AVAILABILITY.LIMITED;
+  }
+  if (/\bin stock\b|\bauf lager\b|\ben stock\b|\blaos\b/.test(lower)) {
+    return AVAILABILITY.IN_STOCK;
+  }
+
+  return null;
+}
+
+/**
+ * Check if an availability value means the item can't be bought right now
+ * @param {string|null} availability - Normalized availability
+ * @returns {boolean}
+ */
+export function isOutOfStock(availability) {
+  return availability === AVAILABILITY.OUT_OF_STOCK;
+}
+
+/**
+ * Availability of a product with several offers (one per size or seller):
+ * the most buyable one, so a sold-out first size doesn't mark the whole
+ * product out of stock
+ * @param {Array} values - Raw availability values
+ * @returns {string|null} Normalized availability or null if none is known
+ */
+export function combineAvailability(values) {
+  const known = new Set((values || []).map(normalizeAvailability).filter(Boolean));
+  return AVAILABILITY_RANK.find(value => known.has(value)) || null;
+}
+
+/**
+ * Get a node's offers as an array
+ * @param {Object} node - Schema.org node
+ * @returns {Array}
+ */
+function getOffers(node) {
+  if (!node?.offers) return [];
+  return Array.isArray(node.offers) ? node.offers : [node.offers];
+}
+
+/**
+ * Offers of the page's product: every variant of a ProductGroup, else the
+ * first Product with offers (later nodes may be related products)
+ * @param {Array} nodes - Product / ProductGroup nodes
+ * @returns {Array} Offers
+ */
+function getProductOffers(nodes) {
+  const group = nodes.find(node => node?.hasVariant);
+  if (group) {
+    const variants = Array.isArray(group.hasVariant) ? group.hasVariant : [group.hasVariant];
+    return [group, ...variants].flatMap(getOffers);
+  }
+  return getOffers(nodes.find(node => node?.offers));
+}
+
+/**
+ * Find availability in Schema.org Product nodes
+ * Uses the same variant resolution as price extraction so the stock status
+ * belongs to the tracked size/color. Without a tracked variant on the page,
+ * the product is as available as its most buyable offer.
+ * @param {Array} nodes - Product / ProductGroup nodes
+ * @param {Object|null} variantRef - Tracked variant reference
+ * @returns {string|null} Normalized availability or null
+ */
+export function getSchemaAvailability(nodes, variantRef = null) {
+  if (!Array.isArray(nodes)) return null;
+
+  if (variantRef) {
+    for (const node of orderSchemaNodesForVariant(nodes, variantRef)) {
+      const allOffers = getOffers(node);
+      const offers = filterOffersForVariant(allOffers, variantRef);
+      if (offers.length === allOffers.length && !schemaNodeMatchesVariant(node, variantRef)) continue;
+
+      const availability = combineAvailability(offers.map(offer => offer?.availability));
+      if (availability) return availability;
+    }
+  }
+
+  return combineAvailability(getProductOffers(nodes).map(offer => offer?.availability));
+}
+
+/**
+ * Find availability in meta tags and microdata of a document
+ * @param {Document} doc - Document to inspect
+ * @returns {string|null} Normalized availability or null
+ */
+export function getDocumentAvailability(doc) {
+  if (!doc?.querySelector) return null;
+
+  const meta = doc.querySelector(
+    'meta[property="product:availability"], meta[property="og:availability"], meta[itemprop="availability"]'
+  );
+  const metaValue = normalizeAvailability(meta?.getAttribute('content'));
+  if (metaValue) return metaValue;
+
+  const microdata = doc.querySelector('link[itemprop="availability"], [itemprop="availability"]');
+  if (microdata) {
+    return normalizeAvailability(microdata.getAttribute('href') || microdata.getAttribute('content')) ||
+      normalizeAvailability(microdata.textContent);
+  }
+
+  return null;
+}
+
+/**
+ * Collect Schema.org nodes (including ProductGroup variants) from JSON-LD texts
+ * @param {string[]} texts - Contents of JSON-LD scripts
+ * @returns {Array} Schema.org nodes
+ */
+function collectJsonLdNodes(texts) {
+  const nodes = [];
+
+  for (const text of texts) {
+    try {
+      const data = JSON.parse(text);
+      const items = data['@graph'] || (Array.isArray(data) ? data : [data]);
+      for (const item of items) {
+        nodes.push(item);
+        if (item?.hasVariant) {
+          nodes.push(...(Array.isArray(item.hasVariant) ? item.hasVariant : [item.hasVariant]));
+        }
+      }
+    } catch (error) {
+      // Ignore JSON parse errors for individual scripts
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * Collect Schema.org nodes from the JSON-LD scripts of a document
+ * @param {Document} doc - Document to inspect
+ * @returns {Array} Schema.org nodes
+ */
+function getJsonLdNodes(doc) {
+  return collectJsonLdNodes([...doc.querySelectorAll('script[type="application/ld+json"]')].map(script => script.textContent));
+}
+
+/**
+ * Find availability in embedded platform product JSON (Shopify "available" flags)
+ * @param {Document} doc - Document to inspect
+ * @param {Object|null} variantRef - Tracked variant reference
+ * @returns {string|null} Normalized availability or null
+ */
+function getEmbeddedAvailability(doc, variantRef) {
+  const scripts = doc.querySelectorAll(
+    'script[type="application/json"][id*="ProductJson" i], script[type="application/json"][id*="product" i], script[type="application/json"][data-product-json]'
+  );
+
+  for (const script of scripts) {
+    try {
+      const data = JSON.parse(script.textContent);
+      const product = data.product || data;
+      const variants = Array.isArray(product.variants) ? product.variants : [];
+      const selected = selectEmbeddedVariant(variants, variantRef);
+      const availability = normalizeAvailability(selected ? selected.available : product.available);
+      if (availability) return availability;
+    } catch (error) {
+      // Ignore JSON parse errors for individual scripts
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Determine the stock status of a product page
+ * Order: Schema.org offers, embedded platform JSON, meta tags/microdata,
+ * then known availability text blocks.
+ * @param {Document} doc - Rendered page or DOMParser document
+ * @param {Object|null} variantRef - Tracked variant reference
+ * @returns {string|null} Normalized availability or null if unknown
+ */
+export function getPageAvailability(doc, variantRef = null) {
+  if (!doc?.querySelectorAll) return null;
+
+  const fromSchema = getSchemaAvailability(getJsonLdNodes(doc), variantRef);
+  if (fromSchema) return fromSchema;
+
+  const fromEmbedded = getEmbeddedAvailability(doc, variantRef);
+  if (fromEmbedded) return fromEmbedded;
+
+  const fromMeta = getDocumentAvailability(doc);
+  if (fromMeta) return fromMeta;
+
+  for (const selector of AVAILABILITY_TEXT_SELECTORS) {
+    const fromText = detectAvailabilityFromText(doc.querySelector(selector)?.textContent);
+    if (fromText) return fromText;
+  }
+
+  return null;
+}
+
+/**
+ * Find availability in raw HTML (fallback when no DOM parser is available)
+ * JSON-LD scripts are parsed and resolved like on a document; availability
+ * strings elsewhere in the page are combined, never taken first-come.
+ * @param {string} html - Raw HTML
+ * @param {Object|null} variantRef - Tracked variant reference
+ * @returns {string|null} Normalized availability or null
+ */
+export function getAvailabilityFromRawHTML(html, variantRef = null) {
+  if (!html || typeof html !== 'string') return null;
+
+  const jsonLdTexts = [...html.matchAll(/<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)]
+    .map(match => match[1]);
+  const fromJsonLd = getSchemaAvailability(collectJsonLdNodes(jsonLdTexts), variantRef);
+  if (fromJsonLd) return fromJsonLd;
+
+  const fromSchema = combineAvailability([...html.matchAll(/"availability"\s*:\s*"([^"]+)"/gi)].map(match => match[1]));
+  if (fromSchema) return fromSchema;
+
+  const metaMatch = html.match(/<meta[^>]+property=["'](?:product|og):availability["'][^>]+content=["']([^"']+)["']/i);
+  return normalizeAvailability(metaMatch?.[1]);
+}
@@ -0,0 +1,302 @@
+/**
+ * Check Schedule Module
+ * Decides how often each product is re-checked and which products go first.
+ *
+ * The check interval of a product comes from (most specific first):
+ *   1. product.schedule            - set from the popup card
+ *   2. settings.checking.domainSchedules[domain] - per-site rule, also
+ *      matching subdomains ("amazon.de" covers "www.amazon.de")
+ *   3. settings.checking.interval  - global default, in hours
+ * Interval and priority are resolved independently, so a product can keep
+ * its site's interval and only raise its priority.
+ *
+ * When a run is budget-limited (settings.checking.maxChecksPerRun), due
+ * products are checked by priority tier first, then longest overdue first.
+ *
+ * Pure functions only - no extension APIs.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Priority tiers, highest first
+ */
+export const PRIORITY_TIERS = {
+  HIGH: 'high',
+  NORMAL: 'normal',
+  LOW: 'low'
+};
+
+const PRIORITY_RANK = {
+  [PRIORITY_TIERS.HIGH]: 0,
+  [PRIORITY_TIERS.NORMAL]: 1,
+  [PRIORITY_TIERS.LOW]: 2
+};
+
+/**
+ * Shortest allowed check interval (keeps shops from rate-limiting us)
+ */
+export const MIN_CHECK_INTERVAL_MINUTES = 15;
+
+/**
+ * Longest allowed check interval (one week)
+ */
+export const MAX_CHECK_INTERVAL_MINUTES = 7 * 24 * 60;
+
+/**
+ * Interval choices offered in the popup and settings page (minutes)
+ */
+export const CHECK_INTERVAL_OPTIONS = [
+  { minutes: 15, label: 'Every 15 minutes' },
+  { minutes: 30, label: 'Every 30 minutes' },
+  { minutes: 60, label: 'Hourly' },
+  { minutes: 180, label: 'Every 3 hours' },
+  { minutes: 360, label: 'Every 6 hours' },
+  { minutes: 720, label: 'Every 12 hours' },
+  { minutes: 1440, label: 'Daily' },
+  { minutes: 10080, label: 'Weekly' }
+];
+
+const DEFAULT_INTERVAL_HOURS = 6;
+
+/**
+ * Check if a value is a valid priority tier
+ * @param {*} priority
+ * @returns {boolean}
+ */
+export function isValidPriority(priority) {
+  return Object.prototype.hasOwnProperty.call(PRIORITY_RANK, priority);
+}
+
+/**
+ * Clamp an interval to the allowed range
+ * @param {*} minutes - Interval in minutes
+ * @returns {number|null} Clamped interval, or null if not a positive number
+ */
+export function normalizeIntervalMinutes(minutes) {
+  if (typeof minutes !== 'number' || !isFinite(minutes) || minutes <= 0) return null;
+  return Math.min(MAX_CHECK_INTERVAL_MINUTES, Math.max(MIN_CHECK_INTERVAL_MINUTES, Math.round(minutes)));
+}
+
+/**
+ * Normalize a schedule rule ({ intervalMinutes, priority })
+ * @param {Object|null} schedule - Raw schedule
+ * @returns {{ intervalMinutes: number|null, priority: string|null }|null} Null if the rule sets nothing
+ */
+export function normalizeSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object') return null;
+
+  const intervalMinutes = normalizeIntervalMinutes(schedule.intervalMinutes);
+  const priority = isValidPriority(schedule.priority) ? schedule.priority : null;
+
+  if (intervalMinutes === null && priority === null) return null;
+  return { intervalMinutes, priority };
+}
+
+/**
+ * Normalize a domain for schedule lookup
+ * @param {string} domain - Hostname
+ * @returns {string}
+ */
+export function normalizeScheduleDomain(domain) {
+  return String(domain || '').trim().toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+}
+
+/**
+ * Find the per-site schedule for a domain
+ * The most specific rule wins ("smile.amazon.de" before "amazon.de").
+ * @param {string} domain - Product hostname
+ * @param {Object} domainSchedules - Map of domain -> schedule
+ * @returns {Object|null} Normalized schedule or null
+ */
+export function getDomainSchedule(domain, domainSchedules) {
+  if (!domainSchedules || typeof domainSchedules !== 'object') return null;
+
+  let host = normalizeScheduleDomain(domain);
+  while (host.includes('.')) {
+    const rule = normalizeSchedule(domainSchedules[host]);
+    if (rule) return rule;
+    host = host.slice(host.indexOf('.') + 1);
+  }
+
+  return null;
+}
+
+/**
+ * Global default check interval from settings
+ * @param {Object} settings - Extension settings
+ * @returns {number} Interval in minutes
+ */
+export function getDefaultIntervalMinutes(settings) {
+  const hours = settings?.checking?.interval;
+  const minutes = typeof hours === 'number' && hours > 0 ? hours * 60 : DEFAULT_INTERVAL_HOURS * 60;
+  return normalizeIntervalMinutes(minutes);
+}
+
+/**
+ * Resolve the effective schedule of a product
+ * @param {Object} product - Product object
+ * @param {Object} settings - Extension settings
+ * @returns {{ intervalMinutes: number, priority: string, intervalSource: string, prioritySource: string }}
+ *   Sources are 'product', 'domain' or 'default'
+ */
+export function resolveSchedule(product, settings) {
+  const own = normalizeSchedule(product?.schedule);
+  const site = getDomainSchedule(product?.domain, settings?.checking?.domainSchedules);
+
+  let intervalMinutes = getDefaultIntervalMinutes(settings);
+  let intervalSource = 'default';
+  if (own?.intervalMinutes) {
+    intervalMinutes = own.intervalMinutes;
+    intervalSource = 'product';
+  } else if (site?.intervalMinutes) {
+    intervalMinutes = site.intervalMinutes;
+    intervalSource = 'domain';
+  }
+
+  let priority = PRIORITY_TIERS.NORMAL;
+  let prioritySource = 'default';
+  if (own?.priority) {
+    priority = own.priority;
+    prioritySource = 'product';
+  } else if (site?.priority) {
+    priority = site.priority;
+    prioritySource = 'domain';
+  }
+
+  return { intervalMinutes, priority, intervalSource, prioritySource };
+}
+
+/**
+ * Time the product is next due for a check
+ * @param {Object} product - Product object
+ * @param {Object} schedule - Result of resolveSchedule
+ * @returns {number} Timestamp (0 for never-checked products)
+ */
+export function getNextCheckTime(product, schedule) {
+  const lastChecked = product?.tracking?.lastChecked || 0;
+  if (!lastChecked) return 0;
+  return lastChecked + schedule.intervalMinutes * MINUTE_MS;
+}
+
+/**
+ * Pick the products due for a check, in check order
+ * @param {Array} products - Products
+ * @param {Object} settings - Extension settings
+ * @param {Object} options
+ * @param {number} options.now - Current timestamp
+ * @param {number} options.maxAge - Ignore schedules and take products not checked for this long (ms)
+ * @param {number} options.slackMs - Treat products due within this window as due (absorbs alarm jitter)
+ * @param {number} options.maxChecks - Budget for this run (0 = unlimited)
+ * @returns {{ due: Array, deferred: Array, notDue: number }}
+ *   `due` fits the budget; `deferred` was due but over budget
+ */
+export function selectDueProducts(products, settings, options = {}) {
+  const {
+    now = Date.now(),
+    maxAge,
+    slackMs = 0,
+    maxChecks = 0
+  } = options;
+
+  const candidates = [];
+  let notDue = 0;
+
+  for (const product of products || []) {
+    const schedule = resolveSchedule(product, settings);
+    const lastChecked = product.tracking?.lastChecked || 0;
+    const dueAt = typeof maxAge === 'number'
+      ? lastChecked + maxAge
+      : getNextCheckTime(product, schedule);
+
+    if (dueAt - slackMs > now) {
+      notDue++;
+      continue;
+    }
+
+    candidates.push({ product, rank: PRIORITY_RANK[schedule.priority], overdue: now - dueAt });
+  }
+
+  candidates.sort((a, b) => (a.rank - b.rank) || (b.overdue - a.overdue));
+
+  const ordered = candidates.map(c => c.product);
+  const limit = maxChecks > 0 ? maxChecks : ordered.length;
+
+  return {
+    due: ordered.slice(0, limit),
+    deferred: ordered.slice(limit),
+    notDue
+  };
+}
+
+/**
+ * Reorder products so consecutive checks hit different shops
+ * Round-robin over domains in order of first appearance; each domain keeps
+ * its own order, so the highest-priority product of every shop still goes
+ * first. Requests to a single retailer end up spaced out by the checks of
+ * the other shops in between.
+ * @param {Array} products - Products in check order
+ * @returns {Array} Interleaved products
+ */
+export function interleaveByDomain(products) {
+  const queues = new Map();
+  for (const product of products || []) {
+    const domain = normalizeScheduleDomain(product.domain);
+    if (!queues.has(domain)) queues.set(domain, []);
+    queues.get(domain).push(product);
+  }
+
+  const result = [];
+  let remaining = true;
+  for (let round = 0; remaining; round++) {
+    remaining = false;
+    for (const queue of queues.values()) {
+      if (round < queue.length) {
+        result.push(queue[round]);
+        remaining = remaining || round + 1 < queue.length;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Period for the background check alarm
+ * The alarm fires at the shortest interval in use, so every product is
+ * checked close to its own schedule; each run only checks due products.
+ * @param {Array} products - Products
+ * @param {Object} settings - Extension settings
+ * @returns {number} Period in minutes
+ */
+export function getAlarmPeriodMinutes(products, settings) {
+  let period = getDefaultIntervalMinutes(settings);
+
+  const domainSchedules = settings?.checking?.domainSchedules;
+  if (domainSchedules && typeof domainSchedules === 'object') {
+    for (const rule of Object.values(domainSchedules)) {
+      const interval = normalizeSchedule(rule)?.intervalMinutes;
+      if (interval) period = Math.min(period, interval);
+    }
+  }
+
+  for (const product of products || []) {
+    const interval = normalizeSchedule(product?.schedule)?.intervalMinutes;
+    if (interval) period = Math.min(period, interval);
+  }
+
+  return period;
+}
+
+/**
+ * Human-readable interval ("Hourly", "Every 90 minutes")
+ * @param {number} minutes - Interval in minutes
+ * @returns {string}
+ */
+export function formatInterval(minutes) {
+  const option = CHECK_INTERVAL_OPTIONS.find(o => o.minutes === minutes);
+  if (option) return option.label;
+  if (minutes % 1440 === 0) return `Every ${minutes / 1440} days`;
+  if (minutes % 60 === 0) return `Every ${minutes / 60} hours`;
+  return `Every ${minutes} minutes`;
+}
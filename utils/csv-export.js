@@ -0,0 +1,241 @@
+/**
+ * CSV Export Module
+ * Spreadsheet-friendly exports of tracked products and their price history.
+ *
+ * - Fields are quoted per RFC 4180 (embedded quotes doubled, CRLF rows)
+ * - Numbers use the decimal separator of the chosen locale; locales with a
+ *   decimal comma get ";" as the field delimiter, like their spreadsheets expect
+ * - Text that a spreadsheet would evaluate as a formula is prefixed with "'"
+ * - Output starts with a UTF-8 BOM so Excel detects the encoding
+ *
+ * Pure functions except downloadTextFile (extension pages only).
+ */
+
+import { getPriceStats } from './price-history.js';
+
+const BOM = '\uFEFF';
+const ROW_SEPARATOR = '\r\n';
+
+/**
+ * Products CSV columns
+ */
+export const PRODUCT_COLUMNS = [
+  'productId',
+  'title',
+  'store',
+  'url',
+  'currentPrice',
+  'lowestPrice',
+  'highestPrice',
+  'currency',
+  'status',
+  'firstSeen',
+  'lastChecked'
+];
+
+/**
+ * History CSV columns (one row per history entry)
+ */
+export const HISTORY_COLUMNS = [
+  'productId',
+  'timestamp',
+  'price',
+  'currency',
+  'checkMethod'
+];
+
+/**
+ * Get the CSV conventions for a locale
+ * @param {string} locale - BCP 47 locale (e.g. 'en-US', 'de-DE')
+ * @returns {{ locale: string, decimalSeparator: string, delimiter: string }}
+ */
+export function getCsvFormat(locale = 'en-US') {
+  let decimalSeparator = '.';
+  try {
+    const part = new Intl.NumberFormat(locale).formatToParts(1.5).find(p => p.type === 'decimal');
+    if (part) decimalSeparator = part.value;
+  } catch (error) {
+    // Unknown locale - keep the defaults
+  }
+
+  return {
+    locale,
+    decimalSeparator,
+    delimiter: decimalSeparator === ',' ? ';' : ','
+  };
+}
+
+/**
+ * Quote a field if needed
+ * @param {*} value - Field value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string}
+ */
+export function escapeCsvField(value, delimiter = ',') {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+
+  // Keep spreadsheets from evaluating text as a formula (=, +, -, @, tab, CR);
+  // formatted negative numbers are left alone
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^-\d+([.,]\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Format a number for a CSV field
+ * No grouping separators, up to 4 decimals, locale decimal separator.
+ * @param {number|null} value - Number to format
+ * @param {Object} format - Result of getCsvFormat
+ * @returns {string} Formatted number ('' for missing values)
+ */
+export function formatCsvNumber(value, format = getCsvFormat()) {
+  if (typeof value !== 'number' || !isFinite(value)) return '';
+  const rounded = Math.round(value * 10000) / 10000;
+  return String(rounded).replace('.', format.decimalSeparator);
+}
+
+/**
+ * Format a timestamp as "YYYY-MM-DD HH:MM:SS", which spreadsheets read as a date
+ * @param {number|null} timestamp - Milliseconds since epoch
+ * @param {Object} options
+ * @param {boolean} options.utc - Use UTC instead of local time
+ * @returns {string} Formatted date ('' for missing values)
+ */
+export function formatCsvDate(timestamp, { utc = false } = {}) {
+  if (typeof timestamp !== 'number' || !isFinite(timestamp) || timestamp <= 0) return '';
+
+  const date = new Date(timestamp);
+  const pad = n => String(n).padStart(2, '0');
+  const parts = utc
+    ? [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()]
+    : [date.getFullYear(), date.getMonth() + 1, date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds()];
+
+  return `${parts[0]}-${pad(parts[1])}-${pad(parts[2])} ${pad(parts[3])}:${pad(parts[4])}:${pad(parts[5])}`;
+}
+
+/**
+ * Join rows into a CSV document
+ * Numbers must already be formatted; everything is escaped here.
+ * @param {Array<Array>} rows - Rows including the header row
+ * @param {Object} format - Result of getCsvFormat
+ * @returns {string}
+ */
+function toCsv(rows, format) {
+  return BOM + rows
+    .map(row => row.map(field => escapeCsvField(field, format.delimiter)).join(format.delimiter))
+    .join(ROW_SEPARATOR) + ROW_SEPARATOR;
+}
+
+/**
+ * Sort products by title for stable output
+ * @param {Object|Array} products - Products keyed by productId, or an array
+ * @returns {Array}
+ */
+function sortProducts(products) {
+  const list = Array.isArray(products) ? products : Object.values(products || {});
+  return [...list].sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+}
+
+/**
+ * Build the products CSV (one row per tracked product)
+ * @param {Object|Array} products - Products keyed by productId, or an array
+ * @param {Object} options
+ * @param {string} options.locale - Locale for number formatting
+ * @param {boolean} options.utc - Write dates in UTC
+ * @returns {string} CSV document
+ */
+export function buildProductsCsv(products, { locale = 'en-US', utc = false } = {}) {
+  const format = getCsvFormat(locale);
+  const rows = [PRODUCT_COLUMNS];
+
+  for (const product of sortProducts(products)) {
+    const current = product.price?.numeric;
+    const stats = product.price ? getPriceStats(product) : null;
+
+    rows.push([
+      product.productId,
+      product.title,
+      (product.domain || '').replace(/^www\./, ''),
+      product.url,
+      formatCsvNumber(current, format),
+      formatCsvNumber(stats ? Math.min(stats.low, current) : null, format),
+      formatCsvNumber(stats ? Math.max(stats.high, current) : null, format),
+      product.price?.currency,
+      product.tracking?.status,
+      formatCsvDate(product.tracking?.firstSeen, { utc }),
+      formatCsvDate(product.tracking?.lastChecked, { utc })
+    ]);
+  }
+
+  return toCsv(rows, format);
+}
+
+/**
+ * Build the long-format history CSV (one row per history entry)
+ * Downsampled entries appear with checkMethod "compacted" and their closing price.
+ * @param {Object|Array} products - Products keyed by productId, or an array
+ * @param {Object} options
+ * @param {string} options.locale - Locale for number formatting
+ * @param {boolean} options.utc - Write dates in UTC
+ * @returns {string} CSV document
+ */
+export function buildHistoryCsv(products, { locale = 'en-US', utc = false } = {}) {
+  const format = getCsvFormat(locale);
+  const rows = [HISTORY_COLUMNS];
+
+  for (const product of sortProducts(products)) {
+    const history = [...(product.priceHistory || [])].sort((a, b) => a.timestamp - b.timestamp);
+    for (const entry of history) {
+      rows.push([
+        product.productId,
+        formatCsvDate(entry.timestamp, { utc }),
+        formatCsvNumber(entry.price, format),
+        entry.currency || product.price?.currency,
+        entry.checkMethod
+      ]);
+    }
+  }
+
+  return toCsv(rows, format);
+}
+
+/**
+ * Build a file-name-safe slug from a product title
+ * @param {string} title - Product title
+ * @returns {string}
+ */
+export function toFileSlug(title) {
+  const slug = (title || 'product')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50);
+  return slug || 'product';
+}
+
+/**
+ * Offer text content as a file download (extension pages only)
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadTextFile(content, filename, type = 'text/csv;charset=utf-8') {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+
+  URL.revokeObjectURL(url);
+}
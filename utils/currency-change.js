@@ -0,0 +1,251 @@
+/**
+ * Currency Change Module
+ * Tells a shop that switched currency (geo-redirect, a store serving another
+ * region, a cookie-dependent country selector) apart from a price change, so
+ * a page that goes from SEK 1,299 to EUR 115 isn't recorded as a 90% drop.
+ *
+ * Background checks report the currency the page showed and how it was
+ * found. Only explicit evidence counts - JSON-LD priceCurrency, currency meta
+ * tags, ISO codes and unambiguous symbols; a currency that was only guessed
+ * from the domain or the stored price is never a change. A "$" or "kr" is
+ * ambiguous: it is only a change when the stored currency doesn't use it.
+ *
+ * What happens then is chosen in settings.tracking.currencyChange:
+ *   - confirm    - flag the product, re-baseline when the next check shows
+ *                  the same currency again (default)
+ *   - rebaseline - start a new baseline in the new currency right away
+ *   - flag       - keep the old price and flag the product until the user
+ *                  accepts the new currency or the page switches back
+ *
+ * A re-baseline is recorded in the price history as its own entry
+ * (checkMethod 'currency_change'); statistics start over in the new currency.
+ *
+ * Pure functions only - shared by the price checker, storage manager and popup.
+ */
+
+import { CURRENCIES, CURRENCY_SYMBOLS } from './currency-data.js';
+
+export const CURRENCY_CHANGE_RULES = {
+  CONFIRM: 'confirm',
+  REBASELINE: 'rebaseline',
+  FLAG: 'flag'
+};
+
+/**
+ * What a check does about the page's currency
+ */
+export const CURRENCY_CHANGE_ACTIONS = {
+  NONE: 'none',             // Same currency, or no evidence of another one
+  CLEAR: 'clear',           // Page is back in the stored currency - drop the flag
+  FLAG: 'flag',             // Keep the old price, mark the product
+  REBASELINE: 'rebaseline'  // Start over in the new currency
+};
+
+/**
+ * Check-method marker of the history entry that starts a new currency
+ */
+export const CURRENCY_CHANGE_METHOD = 'currency_change';
+
+/**
+ * Currency sources that name the currency outright
+ */
+const EXPLICIT_METHODS = ['schema', 'meta', 'iso_code', 'symbol'];
+
+/**
+ * Currency sources based on a symbol several currencies share
+ */
+const AMBIGUOUS_METHODS = ['symbol_disambiguated', 'symbol_contextual', 'symbol_weak'];
+
+/**
+ * Elements that state the currency of the page's price
+ */
+export const CURRENCY_META_SELECTORS = [
+  'meta[property="product:price:currency"]',
+  'meta[property="og:price:currency"]',
+  'meta[itemprop="priceCurrency"]',
+  '[itemprop="priceCurrency"]'
+];
+
+/**
+ * Read the currency stated by the page's meta tags or microdata
+ * @param {Document} doc - Document (page or DOMParser result)
+ * @returns {string|null} ISO code
+ */
+export function getPageCurrency(doc) {
+  for (const selector of CURRENCY_META_SELECTORS) {
+    const element = doc?.querySelector(selector);
+    const code = (element?.getAttribute('content') || element?.textContent || '').trim().toUpperCase();
+    if (CURRENCIES[code]) return code;
+  }
+  return null;
+}
+
+/**
+ * Read the currency stated by meta tags or microdata in raw HTML
+ * (background checks without a DOM parser), in getPageCurrency's order
+ * @param {string} html - Raw HTML
+ * @returns {string|null} ISO code
+ */
+export function getPageCurrencyFromRawHTML(html) {
+  if (!html || typeof html !== 'string') return null;
+
+  for (const name of ['product:price:currency', 'og:price:currency', 'priceCurrency']) {
+    const tagPattern = new RegExp(`<[a-z]+[^>]*(?:property|itemprop)=["']${name}["'][^>]*>([^<]*)`, 'gi');
+    for (const [tag, text] of html.matchAll(tagPattern)) {
+      const content = tag.match(/\scontent=["']([^"']*)["']/i)?.[1] ?? text;
+      const code = content.trim().toUpperCase();
+      if (CURRENCIES[code]) return code;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the page language as a locale (e.g. "de-DE")
+ * @param {Document} doc - Document
+ * @returns {string|null}
+ */
+export function getPageLocale(doc) {
+  const lang = (doc?.documentElement?.getAttribute('lang') || '').trim().replace('_', '-');
+  if (!/^[a-z]{2,3}(-[a-z0-9]{2,4})?$/i.test(lang)) return null;
+
+  const [language, region] = lang.split('-');
+  return region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+}
+
+/**
+ * Combine the parser's currency with the page's currency meta tags
+ * @param {Object|null} parsed - { currency, method } of the price that was used
+ * @param {string|null} pageCurrency - Result of getPageCurrency
+ * @returns {{ currency: string|null, currencyMethod: string|null }}
+ */
+export function resolveDetectedCurrency(parsed, pageCurrency = null) {
+  if (parsed?.currency && EXPLICIT_METHODS.includes(parsed.method)) {
+    return { currency: parsed.currency, currencyMethod: parsed.method };
+  }
+  if (pageCurrency) {
+    return { currency: pageCurrency, currencyMethod: 'meta' };
+  }
+  return { currency: parsed?.currency || null, currencyMethod: parsed?.method || null };
+}
+
+/**
+ * Check whether a reading shows another currency than the stored one
+ * @param {string} storedCurrency - Currency of the tracked price
+ * @param {Object} reading - { currency, currencyMethod }
+ * @returns {boolean}
+ */
+export function isCurrencyChange(storedCurrency, reading) {
+  const { currency, currencyMethod } = reading || {};
+  if (!storedCurrency || !currency || currency === storedCurrency) return false;
+
+  if (EXPLICIT_METHODS.includes(currencyMethod)) return true;
+  if (AMBIGUOUS_METHODS.includes(currencyMethod)) {
+    // "$" on a CAD product disambiguated as USD by a .com domain is still CAD
+    const sharing = CURRENCY_SYMBOLS[CURRENCIES[currency]?.symbol] || [currency];
+    return !sharing.includes(storedCurrency);
+  }
+  return false;
+}
+
+/**
+ * Read the currency change rule
+ * @param {Object} settings - Extension settings
+ * @returns {string} One of CURRENCY_CHANGE_RULES
+ */
+export function getCurrencyChangeRule(settings) {
+  const rule = settings?.tracking?.currencyChange;
+  return Object.values(CURRENCY_CHANGE_RULES).includes(rule) ? rule : CURRENCY_CHANGE_RULES.CONFIRM;
+}
+
+/**
+ * Decide what a check does about the page's currency
+ * @param {Object} product - Tracked product (price, currencyChange)
+ * @param {Object} reading - { currency, currencyMethod, price, locale }
+ * @param {string} rule - One of CURRENCY_CHANGE_RULES
+ * @param {number} now - Current timestamp
+ * @returns {{ action: string, pending: Object|null }} pending is the product's
+ *   new currencyChange flag ({ from, to, price, locale, firstSeen, lastSeen, count })
+ */
+export function decideCurrencyChange(product, reading, rule = CURRENCY_CHANGE_RULES.CONFIRM, now = Date.now()) {
+  const stored = product?.price?.currency;
+  const previous = product?.currencyChange || null;
+
+  if (!isCurrencyChange(stored, reading)) {
+    return { action: previous ? CURRENCY_CHANGE_ACTIONS.CLEAR : CURRENCY_CHANGE_ACTIONS.NONE, pending: null };
+  }
+
+  const sameTarget = previous?.to === reading.currency;
+  const pending = {
+    from: stored,
+    to: reading.currency,
+    price: reading.price,
+    locale: reading.locale || null,
+    firstSeen: sameTarget ? previous.firstSeen : now,
+    lastSeen: now,
+    count: sameTarget ? previous.count + 1 : 1
+  };
+
+  if (rule === CURRENCY_CHANGE_RULES.REBASELINE ||
+      (rule === CURRENCY_CHANGE_RULES.CONFIRM && pending.count >= 2)) {
+    return { action: CURRENCY_CHANGE_ACTIONS.REBASELINE, pending };
+  }
+  return { action: CURRENCY_CHANGE_ACTIONS.FLAG, pending };
+}
+
+/**
+ * Price object in the new currency
+ * Fields measured in the old currency (was price, shipping, unit price) are
+ * only kept when the check found them again.
+ * @param {Object} oldPrice - Stored price object
+ * @param {Object} checkedPrice - Price object built from the check (old currency fields)
+ * @param {Object} pending - currencyChange flag
+ * @returns {Object} Price object in the new currency
+ */
+export function buildRebaselinedPrice(oldPrice, checkedPrice, pending) {
+  const price = {
+    ...checkedPrice,
+    currency: pending.to,
+    symbol: CURRENCIES[pending.to]?.symbol || pending.to,
+    locale: pending.locale || oldPrice?.locale
+  };
+  for (const field of ['regularPrice', 'shipping', 'unitPrice']) {
+    if (price[field] === oldPrice?.[field] && price[field] !== 0) {
+      delete price[field];
+    }
+  }
+  if (price.unitPrice === undefined) {
+    delete price.unit;
+  }
+  return price;
+}
+
+/**
+ * History entry that records the switch to a new currency
+ * @param {Object} oldPrice - Stored price object
+ * @param {Object} newPrice - Price object in the new currency
+ * @param {number} now - Current timestamp
+ * @returns {Object} History entry
+ */
+export function createCurrencyChangeEntry(oldPrice, newPrice, now = Date.now()) {
+  return {
+    price: newPrice.numeric,
+    currency: newPrice.currency,
+    timestamp: now,
+    checkMethod: CURRENCY_CHANGE_METHOD,
+    previousPrice: oldPrice.numeric,
+    previousCurrency: oldPrice.currency
+  };
+}
+
+/**
+ * History entries in a currency, for charts and discount checks
+ * Entries without a currency (very old data) are kept.
+ * @param {Array} history - Price history
+ * @param {string} currency - ISO code
+ * @returns {Array}
+ */
+export function filterHistoryByCurrency(history, currency) {
+  return (Array.isArray(history) ? history : [])
+    .filter(entry => !currency || !entry?.currency || entry.currency === currency);
+}
@@ -0,0 +1,363 @@
+/**
+ * Data Schema Module
+ * Versioned export format, import validation and merge rules.
+ *
+ * Export format (schemaVersion 2):
+ *   {
+ *     schemaVersion: 2,
+ *     app: 'price-genius',
+ *     exportedAt: 1767225600000,
+ *     products: [ { productId, url, title, domain, price, priceHistory, tracking, ... } ],
+ *     images: { [productId]: 'data:image/...' },   // optional
+ *     settings: { ... },                           // optional
+ *     theme: 'dark',                               // optional, with settings
+ *     runtime: { notificationCooldowns, ... }      // optional
+ *   }
+ *
+ * Files without schemaVersion are treated as version 1: the raw
+ * storage.local dump written by earlier versions (`products` object,
+ * `img_<productId>` keys, `settings` and runtime keys side by side).
+ *
+ * Pure functions only - no extension APIs.
+ */
+
+import { compactPriceHistory, computePriceStats } from './price-history.js';
+
+export const EXPORT_SCHEMA_VERSION = 2;
+
+/**
+ * storage.local keys holding runtime state rather than user data
+ * Only exported/imported when explicitly requested.
+ */
+export const RUNTIME_KEYS = [
+  'notificationCooldowns',
+  'pendingPermissionUrl',
+  'rateLimiter_requests',
+  'domainBackoff',
+  'notificationBudget',
+  'offerGroupCheapest'
+];
+
+/**
+ * Import modes
+ */
+export const IMPORT_MODES = {
+  REPLACE: 'replace',  // Remove all tracked products, then import
+  MERGE: 'merge'       // Keep existing products, union histories
+};
+
+/**
+ * Build an export document
+ * @param {Object} data - Collected data
+ * @param {Object} data.products - Products keyed by productId
+ * @param {Object} data.images - productId -> data URL
+ * @param {Object} data.settings - Settings object
+ * @param {string} data.theme - UI theme preference
+ * @param {Object} data.runtime - Runtime keys from storage.local
+ * @param {Object} options - What to include
+ * @param {boolean} options.includeImages - Include thumbnails (default true)
+ * @param {boolean} options.includeSettings - Include settings (default true)
+ * @param {boolean} options.includeRuntime - Include runtime keys (default false)
+ * @param {number} now - Export timestamp
+ * @returns {Object} Export document
+ */
+export function buildExport(data, options = {}, now = Date.now()) {
+  const {
+    includeImages = true,
+    includeSettings = true,
+    includeRuntime = false
+  } = options;
+
+  const exported = {
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    app: 'price-genius',
+    exportedAt: now,
+    products: Object.values(data.products || {})
+  };
+
+  if (includeImages) {
+    exported.images = { ...(data.images || {}) };
+  }
+  if (includeSettings && data.settings) {
+    exported.settings = data.settings;
+    if (data.theme) {
+      exported.theme = data.theme;
+    }
+  }
+  if (includeRuntime) {
+    exported.runtime = {};
+    for (const key of RUNTIME_KEYS) {
+      if (data.runtime && data.runtime[key] !== undefined) {
+        exported.runtime[key] = data.runtime[key];
+      }
+    }
+  }
+
+  return exported;
+}
+
+/**
+ * Normalize an import document to the current shape
+ * @param {string|Object} input - File contents or parsed JSON
+ * @returns {{ schemaVersion: number, products: Array, images: Object, settings: Object|null, theme: string|null, runtime: Object }}
+ * @throws {Error} On invalid JSON, unsupported versions or missing products
+ */
+export function parseImport(input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Import file is not a JSON object');
+  }
+
+  const schemaVersion = data.schemaVersion === undefined ? 1 : data.schemaVersion;
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+    throw new Error(`Invalid schemaVersion: ${data.schemaVersion}`);
+  }
+  if (schemaVersion > EXPORT_SCHEMA_VERSION) {
+    throw new Error(`Export was made by a newer version (schema ${schemaVersion}); please update the extension`);
+  }
+
+  if (!data.products || typeof data.products !== 'object') {
+    throw new Error('Import file contains no products');
+  }
+
+  if (schemaVersion === 1) {
+    // Legacy storage.local dump
+    const images = {};
+    const runtime = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (key.startsWith('img_')) {
+        images[key.slice(4)] = value;
+      } else if (RUNTIME_KEYS.includes(key)) {
+        runtime[key] = value;
+      }
+    }
+
+    return {
+      schemaVersion,
+      products: Object.values(data.products),
+      images,
+      settings: data.settings || null,
+      theme: typeof data.theme === 'string' ? data.theme : null,
+      runtime
+    };
+  }
+
+  return {
+    schemaVersion,
+    products: Array.isArray(data.products) ? data.products : Object.values(data.products),
+    images: data.images && typeof data.images === 'object' ? data.images : {},
+    settings: data.settings || null,
+    theme: typeof data.theme === 'string' ? data.theme : null,
+    runtime: data.runtime && typeof data.runtime === 'object' ? data.runtime : {}
+  };
+}
+
+/**
+ * Check that a value is a finite, non-negative number
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidAmount(value) {
+  return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+/**
+ * Validate and normalize one imported product
+ * Invalid history entries are dropped (and reported); a product with an
+ * invalid identity, URL or current price is rejected as a whole.
+ * @param {Object} product - Imported product
+ * @returns {{ valid: boolean, errors: string[], warnings: string[], product: Object|null }}
+ */
+export function validateProduct(product) {
+  const errors = [];
+  const warnings = [];
+
+  if (!product || typeof product !== 'object' || Array.isArray(product)) {
+    return { valid: false, errors: ['Not an object'], warnings, product: null };
+  }
+
+  if (typeof product.productId !== 'string' || product.productId.trim() === '') {
+    errors.push('Missing productId');
+  }
+  if (typeof product.title !== 'string' || product.title.trim() === '') {
+    errors.push('Missing title');
+  }
+
+  let url = null;
+  try {
+    url = new URL(product.url);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      errors.push(`Unsupported URL protocol: ${url.protocol}`);
+    }
+  } catch (error) {
+    errors.push('Invalid url');
+  }
+
+  if (!product.price || !isValidAmount(product.price.numeric)) {
+    errors.push('Invalid price.numeric');
+  }
+  if (!product.price || typeof product.price.currency !== 'string' || !/^[A-Z]{3}$/.test(product.price.currency)) {
+    errors.push('Invalid price.currency');
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, warnings, product: null };
+  }
+
+  const history = Array.isArray(product.priceHistory) ? product.priceHistory : [];
+  const priceHistory = history.filter(entry =>
+    entry && isValidAmount(entry.price) && typeof entry.timestamp === 'number' && isFinite(entry.timestamp)
+  );
+  if (priceHistory.length !== history.length) {
+    warnings.push(`Dropped ${history.length - priceHistory.length} invalid history entries`);
+  }
+
+  const now = Date.now();
+  const tracking = product.tracking && typeof product.tracking === 'object' ? product.tracking : {};
+
+  return {
+    valid: true,
+    errors,
+    warnings,
+    product: {
+      ...product,
+      domain: typeof product.domain === 'string' && product.domain ? product.domain : url.hostname,
+      priceHistory,
+      tracking: {
+        ...tracking,
+        firstSeen: typeof tracking.firstSeen === 'number' ? tracking.firstSeen : (priceHistory[0]?.timestamp || now),
+        lastViewed: typeof tracking.lastViewed === 'number' ? tracking.lastViewed : now,
+        lastChecked: typeof tracking.lastChecked === 'number' ? tracking.lastChecked : 0,
+        checkCount: typeof tracking.checkCount === 'number' ? tracking.checkCount : 0,
+        failedChecks: typeof tracking.failedChecks === 'number' ? tracking.failedChecks : 0,
+        status: typeof tracking.status === 'string' ? tracking.status : 'tracking'
+      },
+      notifications: product.notifications && typeof product.notifications === 'object'
+        ? product.notifications
+        : { lastNotified: null, notificationCount: 0, userDismissed: false }
+    }
+  };
+}
+
+/**
+ * Validate a list of imported products
+ * @param {Array} products - Imported products
+ * @returns {{ accepted: Array, rejected: Array<{ index: number, productId: string|null, title: string|null, errors: string[] }>, warnings: Array }}
+ */
+export function validateProducts(products) {
+  const accepted = [];
+  const rejected = [];
+  const warnings = [];
+  const seen = new Set();
+
+  (Array.isArray(products) ? products : []).forEach((product, index) => {
+    const result = validateProduct(product);
+    const productId = typeof product?.productId === 'string' ? product.productId : null;
+
+    if (!result.valid) {
+      rejected.push({ index, productId, title: product?.title || null, errors: result.errors });
+      return;
+    }
+    if (seen.has(productId)) {
+      rejected.push({ index, productId, title: product.title, errors: ['Duplicate productId'] });
+      return;
+    }
+
+    seen.add(productId);
+    accepted.push(result.product);
+    if (result.warnings.length > 0) {
+      warnings.push({ productId, warnings: result.warnings });
+    }
+  });
+
+  return { accepted, rejected, warnings };
+}
+
+/**
+ * Keep only known settings keys with the same type as the defaults
+ * @param {Object} settings - Imported settings
+ * @param {Object} defaults - Default settings (shape reference)
+ * @returns {Object|null} Sanitized settings or null if nothing usable
+ */
+export function sanitizeSettings(settings, defaults) {
+  if (!settings || typeof settings !== 'object') return null;
+
+  const sanitized = {};
+  let found = false;
+
+  for (const [section, defaultValues] of Object.entries(defaults)) {
+    const imported = settings[section];
+    if (!imported || typeof imported !== 'object') continue;
+
+    for (const [key, defaultValue] of Object.entries(defaultValues)) {
+      if (imported[key] !== undefined && typeof imported[key] === typeof defaultValue) {
+        sanitized[section] = sanitized[section] || {};
+        sanitized[section][key] = imported[key];
+        found = true;
+      }
+    }
+  }
+
+  return found ? sanitized : null;
+}
+
+/**
+ * Merge an imported product into an existing one
+ * Price histories are unioned (duplicates removed) and compacted; the
+ * product state (price, availability, tracking) comes from whichever copy
+ * was checked most recently.
+ * @param {Object} existing - Stored product
+ * @param {Object} incoming - Validated imported product
+ * @param {number} now - Current timestamp (for compaction)
+ * @returns {Object} Merged product
+ */
+export function mergeProducts(existing, incoming, now = Date.now()) {
+  const existingChecked = existing.tracking?.lastChecked || 0;
+  const incomingChecked = incoming.tracking?.lastChecked || 0;
+  const newer = incomingChecked > existingChecked ? incoming : existing;
+  const older = newer === incoming ? existing : incoming;
+
+  const seen = new Set();
+  const union = [];
+  for (const entry of [...(existing.priceHistory || []), ...(incoming.priceHistory || [])]) {
+    const key = `${entry.timestamp}|${entry.price}|${entry.currency || ''}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      union.push(entry);
+    }
+  }
+  union.sort((a, b) => a.timestamp - b.timestamp);
+
+  // Stats rebuilt from the union; stored stats of either copy may know of
+  // lows/highs whose raw entries were already compacted away
+  const priceStats = computePriceStats(union);
+  for (const stats of [existing.priceStats, incoming.priceStats]) {
+    if (!priceStats || !stats || stats.currency !== priceStats.currency) continue;
+    if (stats.low < priceStats.low) {
+      priceStats.low = stats.low;
+      priceStats.lowAt = stats.lowAt;
+    }
+    if (stats.high > priceStats.high) {
+      priceStats.high = stats.high;
+      priceStats.highAt = stats.highAt;
+    }
+    if (stats.firstAt < priceStats.firstAt) {
+      priceStats.first = stats.first;
+      priceStats.firstAt = stats.firstAt;
+    }
+  }
+
+  return {
+    ...older,
+    ...newer,
+    priceHistory: compactPriceHistory(union, now),
+    priceStats,
+    tracking: {
+      ...newer.tracking,
+      firstSeen: Math.min(
+        existing.tracking?.firstSeen ?? Infinity,
+        incoming.tracking?.firstSeen ?? Infinity
+      )
+    }
+  };
+}
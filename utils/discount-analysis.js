@@ -0,0 +1,207 @@
+/**
+ * Discount Analysis Module
+ * Flags price drops that are likely fake discounts, based on our own
+ * price history:
+ *
+ *   - was_price_never_seen - the shop's "was" price (price.regularPrice)
+ *     is above every price we recorded while tracking the product
+ *   - raised_before_drop   - the price was raised shortly before the drop,
+ *     and the "discounted" price is no lower than before the raise
+ *
+ * The was-price check needs `minHistoryDays` of history before the drop;
+ * with less, a product first seen on sale would always be flagged.
+ *
+ * Pure functions only - shared by the price checker, popup and options pages.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reasons a discount is flagged
+ */
+export const DISCOUNT_FLAGS = {
+  WAS_PRICE_NEVER_SEEN: 'was_price_never_seen',
+  RAISED_BEFORE_DROP: 'raised_before_drop'
+};
+
+/**
+ * Thresholds (overridable per call, e.g. in tests)
+ */
+export const DISCOUNT_ANALYSIS_DEFAULTS = {
+  minHistoryDays: 7,       // History needed before judging a was price
+  wasPriceTolerance: 0.02, // Was price may be 2% above the highest price seen
+  raiseWindowDays: 30,     // How far back a raise counts as "shortly before"
+  minRaisePercent: 5,      // Smaller increases are ordinary fluctuation
+  raiseMargin: 0.02        // Drop must go 2% below the pre-raise price to count as real
+};
+
+/**
+ * Check-method marker for availability-only history entries (repeat the price)
+ */
+const AVAILABILITY_ONLY_METHOD = 'availability';
+
+/**
+ * Highest price represented by an entry (compacted entries carry min/max)
+ * @param {Object} entry - History entry
+ * @returns {number}
+ */
+function entryMax(entry) {
+  return typeof entry.max === 'number' ? entry.max : entry.price;
+}
+
+/**
+ * Price readings of a history, oldest first
+ * Readings in another currency (before a currency change) are left out.
+ * @param {Array} history - Price history
+ * @param {string|null} currency - Currency of the current price
+ * @returns {Array}
+ */
+function getPriceReadings(history, currency = null) {
+  return (Array.isArray(history) ? history : [])
+    .filter(entry => entry && typeof entry.price === 'number' && isFinite(entry.price) &&
+      typeof entry.timestamp === 'number' && entry.checkMethod !== AVAILABILITY_ONLY_METHOD &&
+      (!currency || !entry.currency || entry.currency === currency))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Find a raise to the pre-drop price within the window before the drop
+ * Walks back over the readings at the raised level; the first reading
+ * clearly below it is the price before the raise.
+ * @param {Array} readings - Readings before the drop, oldest first
+ * @param {number} oldPrice - Price right before the drop
+ * @param {number} dropAt - Timestamp of the drop
+ * @param {Object} options - Thresholds
+ * @returns {{ preRaisePrice: number, raisedAt: number }|null}
+ */
+function findRecentRaise(readings, oldPrice, dropAt, options) {
+  const windowStart = dropAt - options.raiseWindowDays * DAY_MS;
+  let raisedAt = null;
+
+  for (let i = readings.length - 1; i >= 0; i--) {
+    const entry = readings[i];
+    if (entry.price >= oldPrice * 0.99) {
+      raisedAt = entry.timestamp;
+      continue;
+    }
+
+    const raisePercent = ((oldPrice - entry.price) / entry.price) * 100;
+    if (raisedAt === null || raisedAt < windowStart || raisePercent < options.minRaisePercent) {
+      return null;
+    }
+    return { preRaisePrice: entry.price, raisedAt };
+  }
+
+  return null;
+}
+
+/**
+ * Analyze one price drop (or a claimed sale)
+ * @param {Object} input
+ * @param {Array} input.history - Price history recorded before the drop
+ * @param {string|null} input.currency - Currency of the prices (other readings are ignored)
+ * @param {number|null} input.oldPrice - Price before the drop (null: no drop, only check the was price)
+ * @param {number} input.newPrice - Current price
+ * @param {number|null} input.wasPrice - Was price claimed by the shop
+ * @param {number} input.dropAt - When the drop was seen
+ * @param {Object} options - Threshold overrides (see DISCOUNT_ANALYSIS_DEFAULTS)
+ * @returns {{ suspicious: boolean, flags: string[], oldPrice: number|null, newPrice: number,
+ *   wasPrice: number|null, highestSeen: number|null, preRaisePrice: number|null, raisedAt: number|null }}
+ */
+export function analyzeDiscount(input, options = {}) {
+  const settings = { ...DISCOUNT_ANALYSIS_DEFAULTS, ...options };
+  const { oldPrice = null, newPrice, wasPrice = null, dropAt = Date.now() } = input;
+  const readings = getPriceReadings(input.history, input.currency).filter(entry => entry.timestamp < dropAt);
+  const flags = [];
+
+  // 1. Claimed was price never recorded by us
+  let highestSeen = null;
+  if (readings.length > 0) {
+    highestSeen = Math.max(...readings.map(entryMax));
+  }
+  const historyLongEnough = readings.length > 0 &&
+    dropAt - readings[0].timestamp >= settings.minHistoryDays * DAY_MS;
+
+  if (typeof wasPrice === 'number' && wasPrice > newPrice && historyLongEnough &&
+      wasPrice > highestSeen * (1 + settings.wasPriceTolerance)) {
+    flags.push(DISCOUNT_FLAGS.WAS_PRICE_NEVER_SEEN);
+  }
+
+  // 2. Price raised shortly before the drop, and the drop only undoes the raise
+  let raise = null;
+  if (typeof oldPrice === 'number' && oldPrice > newPrice) {
+    raise = findRecentRaise(readings, oldPrice, dropAt, settings);
+    if (raise && newPrice >= raise.preRaisePrice * (1 - settings.raiseMargin)) {
+      flags.push(DISCOUNT_FLAGS.RAISED_BEFORE_DROP);
+    } else {
+      raise = null;
+    }
+  }
+
+  return {
+    suspicious: flags.length > 0,
+    flags,
+    oldPrice,
+    newPrice,
+    wasPrice: typeof wasPrice === 'number' ? wasPrice : null,
+    highestSeen,
+    preRaisePrice: raise ? raise.preRaisePrice : null,
+    raisedAt: raise ? raise.raisedAt : null
+  };
+}
+
+/**
+ * Analyze the current discount of a tracked product
+ * The discount is the latest drop in its history and/or the was price the
+ * shop shows now.
+ * @param {Object} product - Product with price and priceHistory
+ * @param {Object} options - Threshold overrides
+ * @param {number} now - Current timestamp
+ * @returns {Object|null} Result of analyzeDiscount, or null if there is no discount to judge
+ */
+export function analyzeProductDiscount(product, options = {}, now = Date.now()) {
+  const current = product?.price?.numeric;
+  if (typeof current !== 'number') return null;
+
+  const wasPrice = typeof product.price.regularPrice === 'number' ? product.price.regularPrice : null;
+  const readings = getPriceReadings(product.priceHistory, product.price.currency);
+
+  // Latest reading at another price, and the first reading after it
+  let oldPrice = null;
+  let dropAt = now;
+  for (let i = readings.length - 1; i >= 0; i--) {
+    if (Math.abs(readings[i].price - current) >= 0.01) {
+      if (readings[i].price > current) {
+        oldPrice = readings[i].price;
+        dropAt = readings[i + 1]?.timestamp ?? now;
+      }
+      break;
+    }
+  }
+
+  if (oldPrice === null && (wasPrice === null || wasPrice <= current)) {
+    return null;
+  }
+
+  return analyzeDiscount({ history: readings, currency: product.price.currency, oldPrice, newPrice: current, wasPrice, dropAt }, options);
+}
+
+/**
+ * Explain the flags of an analysis
+ * @param {Object} analysis - Result of analyzeDiscount
+ * @param {Function} formatPrice - Formats a number as a price
+ * @returns {string[]} One sentence per flag
+ */
+export function describeDiscountFlags(analysis, formatPrice = value => value.toFixed(2)) {
+  if (!analysis?.suspicious) return [];
+
+  return analysis.flags.map(flag => {
+    if (flag === DISCOUNT_FLAGS.WAS_PRICE_NEVER_SEEN) {
+      return `The shop’s “was” price ${formatPrice(analysis.wasPrice)} was never seen while tracking (highest: ${formatPrice(analysis.highestSeen)})`;
+    }
+    if (flag === DISCOUNT_FLAGS.RAISED_BEFORE_DROP) {
+      return `The price was raised from ${formatPrice(analysis.preRaisePrice)} to ${formatPrice(analysis.oldPrice)} on ${new Date(analysis.raisedAt).toLocaleDateString()} before this drop`;
+    }
+    return flag;
+  });
+}
@@ -0,0 +1,267 @@
+/**
+ * Domain Backoff Module
+ * Per-domain circuit breaker for background price checks.
+ *
+ * When a shop answers with a CAPTCHA, 429 (Too Many Requests) or 503, every
+ * product on that domain is paused instead of only the one that was blocked.
+ * Repeated blocks double the cooldown (up to a day); a successful check
+ * closes the breaker again. State lives in storage.local under
+ * `domainBackoff`, so pauses survive service-worker restarts:
+ *
+ *   { 'amazon.de': { reason: 'captcha', strikes: 2, pausedUntil, lastBlockedAt } }
+ *
+ * The pure functions take and return plain state objects; the async helpers
+ * at the bottom read and write storage.
+ */
+
+import browser from './browser-polyfill.js';
+import { debug, debugWarn } from './debug.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+export const BACKOFF_STORAGE_KEY = 'domainBackoff';
+
+/**
+ * Why a domain was paused
+ */
+export const BACKOFF_REASONS = {
+  CAPTCHA: 'captcha',
+  RATE_LIMITED: 'rate_limited',   // HTTP 429
+  UNAVAILABLE: 'unavailable'      // HTTP 503
+};
+
+/**
+ * First cooldown per reason; doubled for every further block
+ */
+const BASE_COOLDOWN_MS = {
+  [BACKOFF_REASONS.CAPTCHA]: HOUR_MS,
+  [BACKOFF_REASONS.RATE_LIMITED]: 30 * MINUTE_MS,
+  [BACKOFF_REASONS.UNAVAILABLE]: 15 * MINUTE_MS
+};
+
+export const MAX_COOLDOWN_MS = 24 * HOUR_MS;
+
+/**
+ * Blocks further apart than this start the cooldown over
+ */
+export const STRIKE_RESET_MS = 2 * MAX_COOLDOWN_MS;
+
+/**
+ * Domain key for a URL or hostname ("https://www.amazon.de/dp/1" -> "amazon.de")
+ * @param {string} urlOrHost - URL or hostname
+ * @returns {string|null}
+ */
+export function getBackoffDomain(urlOrHost) {
+  if (!urlOrHost || typeof urlOrHost !== 'string') return null;
+
+  let host = urlOrHost;
+  if (urlOrHost.includes('://')) {
+    try {
+      host = new URL(urlOrHost).hostname;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return host.trim().toLowerCase().replace(/^www\./, '').replace(/\.$/, '') || null;
+}
+
+/**
+ * Decide whether a fetch error means the shop is blocking us
+ * @param {Error} error - Error thrown by fetchHTML
+ * @returns {string|null} One of BACKOFF_REASONS, or null for other errors
+ */
+export function classifyBlockError(error) {
+  if (!error) return null;
+
+  if (error.code === 'CAPTCHA_DETECTED' || String(error.message || '').includes('CAPTCHA_DETECTED')) {
+    return BACKOFF_REASONS.CAPTCHA;
+  }
+
+  const status = error.status || Number(String(error.message || '').match(/HTTP (\d{3})\b/)?.[1]);
+  if (status === 429) return BACKOFF_REASONS.RATE_LIMITED;
+  if (status === 503) return BACKOFF_REASONS.UNAVAILABLE;
+
+  return null;
+}
+
+/**
+ * Cooldown for the n-th consecutive block
+ * @param {string} reason - One of BACKOFF_REASONS
+ * @param {number} strikes - Consecutive blocks, including this one
+ * @param {number} retryAfterMs - Server-requested delay, if any
+ * @returns {number} Cooldown in ms
+ */
+export function getCooldownMs(reason, strikes, retryAfterMs = 0) {
+  const base = BASE_COOLDOWN_MS[reason] || BASE_COOLDOWN_MS[BACKOFF_REASONS.UNAVAILABLE];
+  const exponential = base * Math.pow(2, Math.max(0, strikes - 1));
+  const requested = typeof retryAfterMs === 'number' && isFinite(retryAfterMs) ? retryAfterMs : 0;
+  return Math.min(MAX_COOLDOWN_MS, Math.max(exponential, requested));
+}
+
+/**
+ * Record a block and open the breaker for a domain
+ * @param {Object} state - Backoff state
+ * @param {string} domain - Domain key
+ * @param {string} reason - One of BACKOFF_REASONS
+ * @param {Object} options
+ * @param {number} options.now - Current timestamp
+ * @param {number} options.retryAfterMs - Server-requested delay
+ * @returns {Object} New state
+ */
+export function recordBlock(state, domain, reason, { now = Date.now(), retryAfterMs = 0 } = {}) {
+  const previous = state?.[domain];
+  const continues = previous && now - previous.lastBlockedAt < STRIKE_RESET_MS;
+  const strikes = continues ? previous.strikes + 1 : 1;
+
+  return {
+    ...(state || {}),
+    [domain]: {
+      reason,
+      strikes,
+      lastBlockedAt: now,
+      pausedUntil: now + getCooldownMs(reason, strikes, retryAfterMs)
+    }
+  };
+}
+
+/**
+ * Close the breaker after a successful check
+ * @param {Object} state - Backoff state
+ * @param {string} domain - Domain key
+ * @returns {Object} New state (same object if nothing changed)
+ */
+export function recordSuccess(state, domain) {
+  if (!state?.[domain]) return state || {};
+
+  const next = { ...state };
+  delete next[domain];
+  return next;
+}
+
+/**
+ * Get the active pause of a domain
+ * @param {Object} state - Backoff state
+ * @param {string} domain - Domain key
+ * @param {number} now - Current timestamp
+ * @returns {Object|null} { domain, reason, strikes, pausedUntil } or null
+ */
+export function getPause(state, domain, now = Date.now()) {
+  const entry = state?.[domain];
+  if (!entry || entry.pausedUntil <= now) return null;
+  return { domain, ...entry };
+}
+
+/**
+ * List all active pauses, soonest to resume first
+ * @param {Object} state - Backoff state
+ * @param {number} now - Current timestamp
+ * @returns {Array<Object>}
+ */
+export function getActivePauses(state, now = Date.now()) {
+  return Object.keys(state || {})
+    .map(domain => getPause(state, domain, now))
+    .filter(Boolean)
+    .sort((a, b) => a.pausedUntil - b.pausedUntil);
+}
+
+/**
+ * Drop entries whose strikes have expired
+ * @param {Object} state - Backoff state
+ * @param {number} now - Current timestamp
+ * @returns {Object} New state
+ */
+export function pruneBackoffState(state, now = Date.now()) {
+  const next = {};
+  for (const [domain, entry] of Object.entries(state || {})) {
+    if (entry && (entry.pausedUntil > now || now - entry.lastBlockedAt < STRIKE_RESET_MS)) {
+      next[domain] = entry;
+    }
+  }
+  return next;
+}
+
+/**
+ * Display name for a paused domain ("amazon.de" -> "Amazon.de")
+ * @param {string} domain - Domain key
+ * @returns {string}
+ */
+export function formatBackoffDomain(domain) {
+  return domain ? domain.charAt(0).toUpperCase() + domain.slice(1) : '';
+}
+
+/**
+ * Load the backoff state from storage
+ * @returns {Promise<Object>}
+ */
+export async function loadBackoffState() {
+  try {
+    const result = await browser.storage.local.get(BACKOFF_STORAGE_KEY);
+    return result[BACKOFF_STORAGE_KEY] || {};
+  } catch (error) {
+    debugWarn('[domain-backoff]', 'Error reading backoff state:', error);
+    return {};
+  }
+}
+
+/**
+ * Save the backoff state to storage
+ * @param {Object} state - Backoff state
+ * @returns {Promise<void>}
+ */
+async function saveBackoffState(state) {
+  try {
+    await browser.storage.local.set({ [BACKOFF_STORAGE_KEY]: pruneBackoffState(state) });
+  } catch (error) {
+    debugWarn('[domain-backoff]', 'Error saving backoff state:', error);
+  }
+}
+
+/**
+ * Pause a domain after a blocked request
+ * @param {string} url - URL that was blocked
+ * @param {string} reason - One of BACKOFF_REASONS
+ * @param {Object} options
+ * @param {number} options.retryAfterMs - Server-requested delay
+ * @returns {Promise<Object|null>} The new pause, or null for an invalid URL
+ */
+export async function reportDomainBlocked(url, reason, { retryAfterMs = 0 } = {}) {
+  const domain = getBackoffDomain(url);
+  if (!domain) return null;
+
+  const now = Date.now();
+  const state = recordBlock(await loadBackoffState(), domain, reason, { now, retryAfterMs });
+  await saveBackoffState(state);
+
+  const pause = getPause(state, domain, now);
+  debugWarn('[domain-backoff]', `${domain} paused until ${new Date(pause.pausedUntil).toISOString()} (${reason}, strike ${pause.strikes})`);
+  return pause;
+}
+
+/**
+ * Close the breaker of a domain after a successful request
+ * @param {string} url - URL that was fetched
+ * @returns {Promise<void>}
+ */
+export async function reportDomainSuccess(url) {
+  const domain = getBackoffDomain(url);
+  if (!domain) return;
+
+  const state = await loadBackoffState();
+  if (!state[domain]) return;
+
+  await saveBackoffState(recordSuccess(state, domain));
+  debug('[domain-backoff]', `${domain} resumed after a successful check`);
+}
+
+/**
+ * Get the active pause for a URL's domain
+ * @param {string} url - Product URL
+ * @returns {Promise<Object|null>}
+ */
+export async function getDomainPause(url) {
+  const domain = getBackoffDomain(url);
+  if (!domain) return null;
+  return getPause(await loadBackoffState(), domain);
+}
@@ -0,0 +1,228 @@
+/**
+ * Element Selector Module
+ * Builds a CSS selector for an element the user picked on a page, stable
+ * enough to find the same element on the next visit and in background
+ * re-checks (see content-scripts/price-picker.js).
+ *
+ * Selectors are tried from most to least stable, and the first one that
+ * matches only the picked element wins:
+ *   1. the element's id
+ *   2. a descriptive attribute (itemprop, data-testid, data-price, ...)
+ *   3. tag plus stable class names
+ *   4. one of the above scoped to the nearest ancestor that has one
+ *   5. an nth-of-type path from the nearest anchored ancestor (or <body>)
+ *
+ * Generated ids and class names (CSS modules, styled-components, React ids,
+ * anything with long digit runs) and state classes ("active", "is-open")
+ * change between page loads and are never used.
+ *
+ * Works on any DOM-like tree (tagName, id, getAttribute, classList,
+ * parentElement, children, querySelectorAll) - no globals.
+ */
+
+/**
+ * Attributes that name what an element is, most descriptive first
+ * Those in VALUE_ATTRIBUTES hold the price itself and are matched by name only.
+ */
+const DESCRIPTIVE_ATTRIBUTES = [
+  'itemprop',
+  'data-testid',
+  'data-test-id',
+  'data-test',
+  'data-qa',
+  'data-automation',
+  'data-automation-id',
+  'data-component',
+  'data-price-type',
+  'data-price',
+  'data-price-amount',
+  'data-product-price',
+  'property',
+  'name'
+];
+
+const VALUE_ATTRIBUTES = ['data-price', 'data-price-amount', 'data-product-price'];
+
+/**
+ * Plain CSS identifier (no escaping needed)
+ */
+const IDENTIFIER_PATTERN = /^-?[a-zA-Z_][\w-]*$/;
+
+/**
+ * Class names that describe a state, not the element
+ */
+const STATE_CLASS_PATTERN = /^(is-|has-|js-)|^(active|selected|hover|focus|focused|open|opened|visible|hidden|show|loaded|loading|disabled)$/i;
+
+/**
+ * Ancestors searched for an anchor (id, attribute or unique class)
+ */
+const MAX_ANCESTOR_DEPTH = 6;
+
+/**
+ * Check whether an id or class name looks generated
+ * @param {string} name - id or class name
+ * @returns {boolean}
+ */
+export function isGeneratedName(name) {
+  if (typeof name !== 'string' || !name) return true;
+  if (name.length > 40) return true;
+  if (/\d{3,}/.test(name)) return true;                        // product-12345, ember482
+  if (/^(css|sc|jsx|emotion|svelte)-/i.test(name)) return true; // CSS-in-JS prefixes
+  if (/^_(?=[\w-]*\d)|__(?=[a-zA-Z0-9]*\d)[a-zA-Z0-9]{5}$/.test(name)) return true; // CSS modules (_a1b2c, title__x7Yz3)
+  if (/^:r[0-9a-z]+:$|^(react|radix|headlessui|mui)-/i.test(name)) return true;
+  if (/[a-z][A-Z0-9][a-z0-9]*[A-Z0-9]/.test(name) && /\d/.test(name) && !/[-_]/.test(name)) {
+    return true;                                                // hashes like "aB3dE9"
+  }
+  return false;
+}
+
+/**
+ * Check whether a class name is usable in a selector
+ * @param {string} name - Class name
+ * @returns {boolean}
+ */
+export function isStableClassName(name) {
+  return IDENTIFIER_PATTERN.test(name) && !isGeneratedName(name) && !STATE_CLASS_PATTERN.test(name);
+}
+
+/**
+ * Quote a value for an attribute selector
+ * @param {string} value - Attribute value
+ * @returns {string}
+ */
+function quoteAttributeValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Lowercase tag name
+ * @param {Element} element - Element
+ * @returns {string}
+ */
+function getTagName(element) {
+  return (element?.tagName || '').toLowerCase();
+}
+
+/**
+ * Class names of an element
+ * @param {Element} element - Element
+ * @returns {string[]}
+ */
+function getClassNames(element) {
+  if (element?.classList) return [...element.classList];
+  const className = typeof element?.className === 'string' ? element.className : '';
+  return className.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Selectors an element can be named by on its own, most stable first
+ * @param {Element} element - Element
+ * @returns {string[]}
+ */
+export function getOwnSelectors(element) {
+  const tag = getTagName(element);
+  const selectors = [];
+
+  const id = element?.id;
+  if (id && !isGeneratedName(id)) {
+    selectors.push(IDENTIFIER_PATTERN.test(id) ? `#${id}` : `[id=${quoteAttributeValue(id)}]`);
+  }
+
+  for (const attribute of DESCRIPTIVE_ATTRIBUTES) {
+    const value = element?.getAttribute?.(attribute);
+    if (value === null || value === undefined) continue;
+    if (VALUE_ATTRIBUTES.includes(attribute)) {
+      selectors.push(`${tag}[${attribute}]`);
+    } else if (value && value.length <= 60 && !isGeneratedName(value.replace(/[\s.:/]+/g, '-'))) {
+      selectors.push(`${tag}[${attribute}=${quoteAttributeValue(value)}]`);
+    }
+  }
+
+  const classes = getClassNames(element).filter(isStableClassName);
+  if (classes.length > 0) {
+    // Price-related classes first, at most three
+    const ranked = [...classes].sort((a, b) => /price|title|name|product/i.test(b) - /price|title|name|product/i.test(a));
+    selectors.push(`${tag}.${ranked.slice(0, 3).join('.')}`);
+    if (ranked.length > 1) selectors.push(`${tag}.${ranked[0]}`);
+  }
+
+  return selectors;
+}
+
+/**
+ * Position among siblings of the same tag
+ * @param {Element} element - Element
+ * @returns {string} e.g. "span:nth-of-type(2)", or the bare tag when it's the only one
+ */
+function getPositionSelector(element) {
+  const tag = getTagName(element);
+  const siblings = [...(element.parentElement?.children || [])].filter(child => getTagName(child) === tag);
+  if (siblings.length <= 1) return tag;
+  return `${tag}:nth-of-type(${siblings.indexOf(element) + 1})`;
+}
+
+/**
+ * Check whether a selector matches only the element
+ * @param {Document|Element} root - Where the selector is run
+ * @param {string} selector - CSS selector
+ * @param {Element} element - Expected match
+ * @returns {boolean}
+ */
+export function isUniqueSelector(root, selector, element) {
+  try {
+    const matches = root.querySelectorAll(selector);
+    return matches.length === 1 && matches[0] === element;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Build a selector that finds the element again
+ * @param {Element} element - Picked element
+ * @param {Document} root - Document the selector will run on
+ * @returns {string|null} Selector, or null if the element isn't in the document
+ */
+export function buildElementSelector(element, root) {
+  if (!element || !root) return null;
+
+  // 1-3: the element on its own
+  const own = getOwnSelectors(element);
+  for (const selector of own) {
+    if (isUniqueSelector(root, selector, element)) return selector;
+  }
+
+  // 4-5: scope by the nearest ancestor that can be named
+  const path = [];
+  let child = element;
+  for (let depth = 0; depth < MAX_ANCESTOR_DEPTH; depth++) {
+    const parent = child.parentElement;
+    const parentTag = getTagName(parent);
+    if (!parent || parentTag === 'html') break;
+
+    path.unshift(getPositionSelector(child));
+    const anchors = parentTag === 'body' ? ['body'] : getOwnSelectors(parent);
+    for (const anchor of anchors) {
+      if (anchor !== 'body' && !isUniqueSelector(root, anchor, parent)) continue;
+
+      for (const selector of own) {
+        const scoped = `${anchor} ${selector}`;
+        if (isUniqueSelector(root, scoped, element)) return scoped;
+      }
+      const positional = `${anchor} > ${path.join(' > ')}`;
+      if (isUniqueSelector(root, positional, element)) return positional;
+    }
+    if (parentTag === 'body') return null;
+    child = parent;
+  }
+
+  // Deeply nested without anchors: full path from <body>
+  for (; child.parentElement; child = child.parentElement) {
+    path.unshift(getPositionSelector(child));
+    if (getTagName(child.parentElement) === 'body') {
+      const fullPath = `body > ${path.join(' > ')}`;
+      return isUniqueSelector(root, fullPath, element) ? fullPath : null;
+    }
+  }
+  return null;
+}
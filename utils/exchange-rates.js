@@ -0,0 +1,237 @@
+/**
+ * Exchange Rates Module
+ * Converts prices between currencies with a local rate table, so the same
+ * product in shops with different currencies (Amazon regional stores, EU and
+ * UK shops) can be compared in one home currency.
+ *
+ * There is no live rate service: the extension ships approximate reference
+ * rates, and the user can edit them or import a JSON file on the settings
+ * page (settings.currency.exchangeRates). A table holds units of each
+ * currency per one unit of the base currency:
+ *
+ *   { base: 'EUR', date: '2025-01-02', rates: { USD: 1.03, GBP: 0.83, JPY: 162 } }
+ *
+ * Flat maps ({ "USD": 1.03, ... }, base EUR) and the "rates" objects of
+ * common rate APIs and the ECB reference rates converted to JSON are
+ * accepted on import.
+ *
+ * Pure functions only - shared by the popup, options pages and background.
+ */
+
+import { CURRENCIES } from './currency-data.js';
+
+/**
+ * Built-in reference rates (approximate, ECB euro reference rates)
+ * Only used until the user saves or imports a table of their own.
+ */
+export const DEFAULT_EXCHANGE_RATES = {
+  base: 'EUR',
+  date: '2025-01-02',
+  rates: {
+    EUR: 1,
+    USD: 1.035,
+    GBP: 0.829,
+    CHF: 0.938,
+    JPY: 162.5,
+    CAD: 1.49,
+    AUD: 1.666,
+    NZD: 1.845,
+    SEK: 11.5,
+    NOK: 11.79,
+    DKK: 7.46,
+    PLN: 4.27,
+    CZK: 25.2,
+    HUF: 411.4,
+    RON: 4.97,
+    TRY: 36.6,
+    INR: 88.6,
+    MXN: 21.4,
+    BRL: 6.4,
+    AED: 3.8,
+    SAR: 3.88,
+    SGD: 1.41,
+    HKD: 8.04,
+    CNY: 7.56,
+    KRW: 1525,
+    ZAR: 19.5,
+    ILS: 3.77,
+    THB: 35.6
+  }
+};
+
+/**
+ * ISO 4217 code
+ */
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Validate and normalize a rate table
+ * @param {*} input - { base, date, rates } or a flat { CODE: rate } map (base EUR)
+ * @returns {{ table: Object|null, errors: string[] }}
+ */
+export function normalizeRateTable(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { table: null, errors: ['Not a rate table'] };
+  }
+
+  const flat = !input.rates || typeof input.rates !== 'object';
+  const rawRates = flat ? input : input.rates;
+  const base = typeof input.base === 'string' ? input.base.trim().toUpperCase() : 'EUR';
+  if (!CURRENCY_CODE_PATTERN.test(base)) {
+    return { table: null, errors: [`Invalid base currency: ${input.base}`] };
+  }
+
+  const rates = { [base]: 1 };
+  for (const [key, value] of Object.entries(rawRates)) {
+    const code = key.trim().toUpperCase();
+    if (flat && ['BASE', 'DATE'].includes(code)) continue;
+
+    const rate = typeof value === 'string' ? parseFloat(value) : value;
+    if (!CURRENCY_CODE_PATTERN.test(code)) {
+      errors.push(`Invalid currency code: ${key}`);
+    } else if (typeof rate !== 'number' || !isFinite(rate) || rate <= 0) {
+      errors.push(`Invalid rate for ${code}: ${value}`);
+    } else if (code !== base) {
+      rates[code] = rate;
+    }
+  }
+
+  if (Object.keys(rates).length < 2) {
+    return { table: null, errors: errors.length > 0 ? errors : ['No exchange rates found'] };
+  }
+
+  const date = typeof input.date === 'string' && input.date.trim() ? input.date.trim() : null;
+  return { table: { base, date, rates }, errors };
+}
+
+/**
+ * Parse a rate table from JSON text (settings editor or imported file)
+ * @param {string} text - JSON text
+ * @returns {{ table: Object|null, errors: string[] }}
+ */
+export function parseRateTable(text) {
+  try {
+    return normalizeRateTable(JSON.parse(text));
+  } catch (error) {
+    return { table: null, errors: [`Invalid JSON: ${error.message}`] };
+  }
+}
+
+/**
+ * Rate table in use: the user's, or the built-in reference rates
+ * @param {Object} settings - Extension settings
+ * @returns {Object} Rate table
+ */
+export function getRateTable(settings) {
+  const custom = settings?.currency?.exchangeRates;
+  if (custom && typeof custom === 'object' && Object.keys(custom).length > 0) {
+    const { table } = normalizeRateTable(custom);
+    if (table) return table;
+  }
+  return DEFAULT_EXCHANGE_RATES;
+}
+
+/**
+ * Home currency prices are converted to
+ * @param {Object} settings - Extension settings
+ * @returns {string|null} ISO code, or null when conversion is off
+ */
+export function getHomeCurrency(settings) {
+  const code = settings?.currency?.homeCurrency;
+  return typeof code === 'string' && CURRENCY_CODE_PATTERN.test(code) ? code : null;
+}
+
+/**
+ * Conversion options for the comparison helpers
+ * @param {Object} settings - Extension settings
+ * @returns {{ homeCurrency: string|null, rates: Object, showConverted: boolean }}
+ */
+export function getConversionOptions(settings) {
+  return {
+    homeCurrency: getHomeCurrency(settings),
+    rates: getRateTable(settings),
+    showConverted: settings?.currency?.showConverted === true
+  };
+}
+
+/**
+ * Round an amount to the minor unit of a currency (0 decimals for JPY, KRW)
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO code
+ * @returns {number}
+ */
+function roundToCurrency(amount, currency) {
+  const decimals = CURRENCIES[currency]?.decimals ?? 2;
+  const factor = 10 ** decimals;
+  return Math.round(amount * factor) / factor;
+}
+
+/**
+ * Convert an amount between currencies
+ * @param {number} amount - Amount in `from`
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Object} table - Rate table
+ * @returns {number|null} Converted amount, or null if a rate is missing
+ */
+export function convertAmount(amount, from, to, table = DEFAULT_EXCHANGE_RATES) {
+  if (typeof amount !== 'number' || !isFinite(amount)) return null;
+  if (from === to) return amount;
+
+  const fromRate = from === table?.base ? 1 : table?.rates?.[from];
+  const toRate = to === table?.base ? 1 : table?.rates?.[to];
+  if (!fromRate || !toRate) return null;
+
+  return roundToCurrency((amount / fromRate) * toRate, to);
+}
+
+/**
+ * Check whether two currencies can be converted with a table
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Object} table - Rate table
+ * @returns {boolean}
+ */
+export function canConvert(from, to, table = DEFAULT_EXCHANGE_RATES) {
+  return convertAmount(1, from, to, table) !== null;
+}
+
+/**
+ * Convert a price object (item price, was price, shipping, unit price)
+ * @param {Object} price - Price object
+ * @param {string} to - Target currency
+ * @param {Object} table - Rate table
+ * @returns {Object|null} Price object in `to` with originalCurrency/originalNumeric,
+ *   or null if a rate is missing
+ */
+export function convertPrice(price, to, table = DEFAULT_EXCHANGE_RATES) {
+  if (!price || typeof price.numeric !== 'number') return null;
+  if (price.currency === to) return price;
+
+  const numeric = convertAmount(price.numeric, price.currency, to, table);
+  if (numeric === null) return null;
+
+  const converted = {
+    ...price,
+    numeric,
+    currency: to,
+    originalCurrency: price.currency,
+    originalNumeric: price.numeric
+  };
+  for (const field of ['regularPrice', 'shipping', 'unitPrice']) {
+    if (typeof price[field] === 'number') {
+      converted[field] = convertAmount(price[field], price.currency, to, table);
+    }
+  }
+  return converted;
+}
+
+/**
+ * Format a rate table for the settings editor
+ * @param {Object} table - Rate table
+ * @returns {string} Pretty-printed JSON
+ */
+export function formatRateTable(table) {
+  return JSON.stringify(table, null, 2);
+}
@@ -1,12 +1,13 @@
 import browser from './browser-polyfill.js';
 import { debug, debugWarn, debugError } from './debug.js';
+import { getRateLimitForHost, getRateLimitWait } from './rate-limits.js';
 
 /**
  * Fetch Helper - Network utilities with retry logic and rate limiting
  *
  * Provides robust HTTP fetching with:
  * - Exponential backoff retry logic
- * - Rate limiting to avoid being blocked
+ * - Per-host rate limiting to avoid being blocked
  * - Timeout handling
  * - Error standardization
  */
@@ -208,6 +209,164 @@ class SharedRateLimiter {
   }
 }
 
+/**
+ * Build an error for a failed HTTP response
+ * Carries the status and the Retry-After delay (if the server sent one).
+ * @param {Response} response - Fetch response
+ * @returns {Error}
+ */
+function createHttpError(response) {
+  const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+  error.status = response.status;
+
+  const retryAfter = response.headers?.get?.('Retry-After');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const date = Date.parse(retryAfter);
+    if (isFinite(seconds)) {
+      error.retryAfterMs = seconds * 1000;
+    } else if (!isNaN(date)) {
+      error.retryAfterMs = Math.max(0, date - Date.now());
+    }
+  }
+
+  return error;
+}
+
+/**
+ * Domain Rate Limiter - One shared bucket per host
+ * Limits come from utils/rate-limits.js (built-in retailer limits plus the
+ * user's overrides in settings.checking.rateLimits), so a strict limit for
+ * one retailer doesn't hold back requests to other shops.
+ *
+ * Like SharedRateLimiter, request timestamps live in storage.session so the
+ * popup and service worker share the same buckets:
+ *   { 'amazon.de': [timestamps], 'shop.example': [timestamps] }
+ */
+class DomainRateLimiter {
+  /**
+   * @param {string} storageKey - Key for storing per-host request timestamps
+   */
+  constructor(storageKey = 'rateLimiter_requests') {
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Storage area for request timestamps (session if available)
+   * @returns {Object|null}
+   */
+  getStorageArea() {
+    return browser?.storage?.session || browser?.storage?.local || null;
+  }
+
+  /**
+   * Get per-host request timestamps from storage
+   * @returns {Promise<Object>} Map of host -> timestamps
+   */
+  async getBuckets() {
+    try {
+      const area = this.getStorageArea();
+      if (!area) {
+        debugWarn('[fetch-helper]', '[DomainRateLimiter] No storage API available, rate limiting disabled');
+        return {};
+      }
+      const result = await area.get(this.storageKey);
+      const buckets = result[this.storageKey];
+      // Older versions stored one global array
+      return buckets && typeof buckets === 'object' && !Array.isArray(buckets) ? buckets : {};
+    } catch (error) {
+      debugWarn('[fetch-helper]', '[DomainRateLimiter] Error reading requests:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save per-host request timestamps
+   * @param {Object} buckets - Map of host -> timestamps
+   * @returns {Promise<void>}
+   */
+  async saveBuckets(buckets) {
+    try {
+      const area = this.getStorageArea();
+      if (area) {
+        await area.set({ [this.storageKey]: buckets });
+      }
+    } catch (error) {
+      debugWarn('[fetch-helper]', '[DomainRateLimiter] Error saving requests:', error);
+    }
+  }
+
+  /**
+   * User overrides from settings (requests per minute by domain)
+   * @returns {Promise<Object>}
+   */
+  async getOverrides() {
+    try {
+      const result = await browser?.storage?.local?.get('settings');
+      return result?.settings?.checking?.rateLimits || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Wait if necessary to stay within the limit of the URL's host
+   * @param {string} url - URL about to be requested
+   * @returns {Promise<void>}
+   */
+  async waitIfNeeded(url) {
+    const limit = getRateLimitForHost(url, await this.getOverrides());
+    const now = Date.now();
+
+    const buckets = await this.getBuckets();
+    const { waitMs, recent } = getRateLimitWait(buckets[limit.host], limit, now);
+
+    if (waitMs > 0) {
+      debug('[fetch-helper]', `[DomainRateLimiter] Limit reached for ${limit.host} (${recent.length}/${limit.maxRequests} per ${limit.windowMs / 1000}s). Waiting ${waitMs}ms...`);
+      await this.sleep(waitMs);
+
+      // Check again after waiting
+      return this.waitIfNeeded(url);
+    }
+
+    // Record this request and drop hosts with no recent requests
+    const next = {};
+    for (const [host, timestamps] of Object.entries(buckets)) {
+      const active = Array.isArray(timestamps) ? timestamps.filter(t => now - t < 60 * 60 * 1000) : [];
+      if (active.length > 0) next[host] = active;
+    }
+    next[limit.host] = [...recent, now];
+    await this.saveBuckets(next);
+  }
+
+  /**
+   * Helper to sleep for specified milliseconds
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Reset all buckets (useful for testing)
+   */
+  async reset() {
+    await this.saveBuckets({});
+  }
+
+  /**
+   * Get the current request count for a host
+   * @param {string} url - URL or hostname
+   * @returns {Promise<number>}
+   */
+  async getCurrentCount(url) {
+    const limit = getRateLimitForHost(url, await this.getOverrides());
+    const buckets = await this.getBuckets();
+    return getRateLimitWait(buckets[limit.host], limit).recent.length;
+  }
+}
+
 /**
  * Fetch with retry logic and exponential backoff
  *
@@ -239,7 +398,7 @@ async function fetchWithRetry(url, options = {}) {
     try {
       // Wait for rate limiter if enabled
       if (useRateLimiter && rateLimiter) {
-        await rateLimiter.waitIfNeeded();
+        await rateLimiter.waitIfNeeded(url);
       }
 
       // Create abort controller for timeout
@@ -258,9 +417,16 @@ async function fetchWithRetry(url, options = {}) {
 
         // Check if response is OK (status 200-299)
         if (!response.ok) {
-          // For 429 (Too Many Requests) or 503 (Service Unavailable), retry
-          if (response.status === 429 || response.status === 503) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          // 429 (Too Many Requests): retrying right away only prolongs the block
+          if (response.status === 429) {
+            const error = createHttpError(response);
+            error.noRetry = true;
+            throw error;
+          }
+
+          // For 503 (Service Unavailable), retry
+          if (response.status === 503) {
+            throw createHttpError(response);
           }
 
           // For 404 or other client errors, don't retry
@@ -271,7 +437,7 @@ async function fetchWithRetry(url, options = {}) {
 
           // For server errors (500+), retry
           if (response.status >= 500) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            throw createHttpError(response);
           }
         }
 
@@ -295,9 +461,13 @@ async function fetchWithRetry(url, options = {}) {
       debugWarn('[fetch-helper]', `[FetchHelper] Attempt ${attempt + 1} failed: ${error.message}`);
 
       // If this was the last attempt, throw the error
-      if (attempt === maxRetries) {
-        debugError('[fetch-helper]', `[FetchHelper] All ${maxRetries + 1} attempts failed for ${url}`);
-        throw new Error(`Failed to fetch ${url} after ${maxRetries + 1} attempts: ${error.message}`);
+      if (attempt === maxRetries || error.noRetry) {
+        debugError('[fetch-helper]', `[FetchHelper] All ${attempt + 1} attempts failed for ${url}`);
+        const finalError = new Error(`Failed to fetch ${url} after ${attempt + 1} attempts: ${error.message}`);
+        // Keep the HTTP status so callers can react to rate limiting
+        finalError.status = error.status;
+        finalError.retryAfterMs = error.retryAfterMs;
+        throw finalError;
       }
 
       // Calculate exponential backoff delay
@@ -435,7 +605,7 @@ async function fetchHTML(url, options = {}) {
   });
 
   if (!response.ok) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    throw createHttpError(response);
   }
 
   const html = await response.text();
@@ -443,7 +613,9 @@ async function fetchHTML(url, options = {}) {
   // Check for CAPTCHA in response
   if (detectCaptcha(html, url)) {
     debugWarn('[fetch-helper]', `[FetchHelper] CAPTCHA detected for ${url}`);
-    throw new Error('CAPTCHA_DETECTED: The website is challenging our request. Please visit the site manually or wait before trying again.');
+    const error = new Error('CAPTCHA_DETECTED: The website is challenging our request. Please visit the site manually or wait before trying again.');
+    error.code = 'CAPTCHA_DETECTED';
+    throw error;
   }
 
   return html;
@@ -551,15 +723,16 @@ async function downloadImageAsDataURL(imageUrl, options = {}) {
   }
 }
 
-// Global rate limiter instance (10 requests/minute)
-// IMPORTANT: Use SharedRateLimiter to coordinate across popup and service worker
+// Global rate limiter instance (per-host buckets, see utils/rate-limits.js)
+// IMPORTANT: Shared through storage to coordinate across popup and service worker
 // This prevents the "double rate" bug where each context has its own limiter
-const globalRateLimiter = new SharedRateLimiter(10, 60000);
+const globalRateLimiter = new DomainRateLimiter();
 
 // Export for use in other modules
 export {
   RateLimiter,
   SharedRateLimiter,
+  DomainRateLimiter,
   fetchWithRetry,
   fetchHTML,
   fetchJSON,
@@ -2,6 +2,7 @@ import { debug, debugWarn, debugError } from './debug.js';
 
 /**
  * Image Helper - Storage functions for product thumbnails
+ * Thumbnails live in the IndexedDB images store (see background/product-db.js).
  *
  * NOTE: This file contains only storage-related functions that require browser APIs.
  * For thumbnail generation (canvas/DOM operations), use ../utils/thumbnail-generator.js
@@ -17,10 +18,8 @@ import { debug, debugWarn, debugError } from './debug.js';
  */
 export async function getProductImage(productId) {
   try {
-    const { default: browser } = await import('./browser-polyfill.js');
-    const imageKey = `img_${productId}`;
-    const result = await browser.storage.local.get(imageKey);
-    return result[imageKey] || null;
+    const { StorageManager } = await import('../background/storage-manager.js');
+    return await StorageManager.getProductImage(productId);
   } catch (error) {
     debugError('[image-helper]', '[ImageHelper] Error loading image:', error);
     return null;
@@ -36,9 +35,10 @@ export async function getProductImage(productId) {
  */
 export async function saveProductImage(productId, imageDataUrl) {
   try {
-    const { default: browser } = await import('./browser-polyfill.js');
-    const imageKey = `img_${productId}`;
-    await browser.storage.local.set({ [imageKey]: imageDataUrl });
+    const { StorageManager } = await import('../background/storage-manager.js');
+    if (!await StorageManager.saveProductImage(productId, imageDataUrl)) {
+      throw new Error('Could not save image');
+    }
     debug('[image-helper]', `[ImageHelper] Saved thumbnail for product: ${productId}`);
   } catch (error) {
     debugError('[image-helper]', '[ImageHelper] Error saving image:', error);
@@ -54,9 +54,8 @@ export async function saveProductImage(productId, imageDataUrl) {
  */
 export async function deleteProductImage(productId) {
   try {
-    const { default: browser } = await import('./browser-polyfill.js');
-    const imageKey = `img_${productId}`;
-    await browser.storage.local.remove(imageKey);
+    const { StorageManager } = await import('../background/storage-manager.js');
+    await StorageManager.saveProductImage(productId, null);
     debug('[image-helper]', `[ImageHelper] Deleted thumbnail for product: ${productId}`);
   } catch (error) {
     debugError('[image-helper]', '[ImageHelper] Error deleting image:', error);
@@ -0,0 +1,232 @@
+/**
+ * Notification Budget Module
+ * Daily limit for price drop notifications (settings.notifications.maxPerDay).
+ *
+ * Every price drop notification (a single drop or a batch summary) uses one
+ * slot of the day's budget. Once it is used up, further drops are queued
+ * into a digest instead of being dropped; the digest is shown once a day
+ * (DIGEST_HOUR) and doesn't count against the budget. State lives in
+ * storage.local under `notificationBudget`, so the counter survives
+ * service-worker restarts:
+ *
+ *   { day: '2026-06-15', sent: 3, digest: [ { productId, title, oldPrice, newPrice, ... } ] }
+ *
+ * The pure functions take and return plain state objects; the async helpers
+ * at the bottom read and write storage.
+ */
+
+import browser from './browser-polyfill.js';
+import { debug, debugWarn } from './debug.js';
+
+export const BUDGET_STORAGE_KEY = 'notificationBudget';
+
+/**
+ * Used when the setting is missing or invalid
+ */
+export const DEFAULT_MAX_PER_DAY = 3;
+
+/**
+ * Local hour at which the digest of held-back drops is shown
+ */
+export const DIGEST_HOUR = 9;
+
+/**
+ * Digest size cap; the oldest entries are dropped beyond it
+ */
+export const MAX_DIGEST_ENTRIES = 50;
+
+/**
+ * Local calendar day of a timestamp ("2026-06-15")
+ * @param {number} now - Timestamp
+ * @returns {string}
+ */
+export function getBudgetDay(now = Date.now()) {
+  const date = new Date(now);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Daily limit from settings
+ * @param {Object} settings - Extension settings
+ * @returns {number}
+ */
+export function getMaxPerDay(settings) {
+  const value = settings?.notifications?.maxPerDay;
+  return typeof value === 'number' && isFinite(value) && value > 0 ? Math.floor(value) : DEFAULT_MAX_PER_DAY;
+}
+
+/**
+ * Bring a state up to date, resetting the counter on a new day
+ * The digest is kept across days until it has been shown.
+ * @param {Object} state - Budget state
+ * @param {number} now - Current timestamp
+ * @returns {Object} New state
+ */
+export function normalizeBudgetState(state, now = Date.now()) {
+  const day = getBudgetDay(now);
+  const digest = Array.isArray(state?.digest) ? state.digest : [];
+
+  if (state?.day !== day) {
+    return { day, sent: 0, digest };
+  }
+  return { day, sent: typeof state.sent === 'number' ? state.sent : 0, digest };
+}
+
+/**
+ * Notifications still allowed today
+ * @param {Object} state - Budget state
+ * @param {number} maxPerDay - Daily limit
+ * @param {number} now - Current timestamp
+ * @returns {number}
+ */
+export function getRemainingNotifications(state, maxPerDay, now = Date.now()) {
+  return Math.max(0, maxPerDay - normalizeBudgetState(state, now).sent);
+}
+
+/**
+ * Count shown notifications against today's budget
+ * @param {Object} state - Budget state
+ * @param {number} count - Notifications shown
+ * @param {number} now - Current timestamp
+ * @returns {Object} New state
+ */
+export function recordNotificationsSent(state, count = 1, now = Date.now()) {
+  const current = normalizeBudgetState(state, now);
+  return { ...current, sent: current.sent + count };
+}
+
+/**
+ * Add a held-back drop to the digest
+ * A product already in the digest keeps its original "was" price and gets
+ * the latest price, so the digest shows the whole drop.
+ * @param {Object} state - Budget state
+ * @param {Object} drop - { product, oldPrice, newPrice, dropPercentage, targetReached }
+ * @param {number} now - Current timestamp
+ * @returns {Object} New state
+ */
+export function queueDigestDrop(state, drop, now = Date.now()) {
+  const current = normalizeBudgetState(state, now);
+  const productId = drop.product.productId;
+  const previous = current.digest.find(entry => entry.productId === productId);
+
+  const oldPrice = previous ? previous.oldPrice : drop.oldPrice;
+  const dropPercentage = oldPrice > 0
+    ? ((oldPrice - drop.newPrice) / oldPrice) * 100
+    : drop.dropPercentage;
+
+  const entry = {
+    productId,
+    title: drop.product.title,
+    currency: drop.product.price?.currency,
+    locale: drop.product.price?.locale,
+    oldPrice,
+    newPrice: drop.newPrice,
+    dropPercentage,
+    targetReached: drop.targetReached === true || previous?.targetReached === true,
+    queuedAt: now
+  };
+
+  const digest = current.digest.filter(e => e.productId !== productId);
+  digest.push(entry);
+
+  return { ...current, digest: digest.slice(-MAX_DIGEST_ENTRIES) };
+}
+
+/**
+ * Order digest entries for display: reached targets first, then biggest drop
+ * @param {Array} entries - Digest entries
+ * @returns {Array} Sorted copy
+ */
+export function sortDigestEntries(entries) {
+  return [...(entries || [])].sort((a, b) =>
+    (b.targetReached === true) - (a.targetReached === true) || b.dropPercentage - a.dropPercentage
+  );
+}
+
+/**
+ * Time of the next digest
+ * @param {number} now - Current timestamp
+ * @returns {number} Timestamp
+ */
+export function getNextDigestTime(now = Date.now()) {
+  const next = new Date(now);
+  next.setHours(DIGEST_HOUR, 0, 0, 0);
+  if (next.getTime() <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next.getTime();
+}
+
+/**
+ * Load the budget state from storage
+ * @returns {Promise<Object>} Normalized state
+ */
+export async function loadBudgetState() {
+  try {
+    const result = await browser.storage.local.get(BUDGET_STORAGE_KEY);
+    return normalizeBudgetState(result[BUDGET_STORAGE_KEY]);
+  } catch (error) {
+    debugWarn('[notification-budget]', 'Error reading notification budget:', error);
+    return normalizeBudgetState(null);
+  }
+}
+
+/**
+ * Save the budget state to storage
+ * @param {Object} state - Budget state
+ * @returns {Promise<void>}
+ */
+async function saveBudgetState(state) {
+  try {
+    await browser.storage.local.set({ [BUDGET_STORAGE_KEY]: state });
+  } catch (error) {
+    debugWarn('[notification-budget]', 'Error saving notification budget:', error);
+  }
+}
+
+/**
+ * Notifications still allowed today
+ * @param {Object} settings - Extension settings
+ * @returns {Promise<number>}
+ */
+export async function getNotificationBudget(settings) {
+  return getRemainingNotifications(await loadBudgetState(), getMaxPerDay(settings));
+}
+
+/**
+ * Count shown notifications against today's budget
+ * @param {number} count - Notifications shown
+ * @returns {Promise<void>}
+ */
+export async function consumeNotificationBudget(count = 1) {
+  const state = recordNotificationsSent(await loadBudgetState(), count);
+  await saveBudgetState(state);
+  debug('[notification-budget]', `${state.sent} price drop notifications sent today`);
+}
+
+/**
+ * Hold back drops for the daily digest
+ * @param {Array} drops - Array of { product, oldPrice, newPrice, dropPercentage, targetReached }
+ * @returns {Promise<void>}
+ */
+export async function queueForDigest(drops) {
+  let state = await loadBudgetState();
+  for (const drop of drops) {
+    state = queueDigestDrop(state, drop);
+  }
+  await saveBudgetState(state);
+  debug('[notification-budget]', `Daily limit reached, ${drops.length} drop(s) held for the digest (${state.digest.length} queued)`);
+}
+
+/**
+ * Remove and return the queued digest entries
+ * @returns {Promise<Array>} Digest entries, sorted for display
+ */
+export async function takeDigest() {
+  const state = await loadBudgetState();
+  if (state.digest.length === 0) return [];
+
+  await saveBudgetState({ ...state, digest: [] });
+  return sortDigestEntries(state.digest);
+}
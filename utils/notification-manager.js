@@ -3,7 +3,10 @@
  *
  * Features:
  * - Price drop notifications with proper formatting
+ * - Back-in-stock notifications
+ * - Cheapest-store notifications for products tracked in several shops
  * - Notification cooldown to avoid spam
+ * - Daily notification budget, with overflow rolled into a daily digest
  * - Notification grouping for multiple drops
  * - Click handling to open product pages
  * - Settings integration (respect user preferences)
@@ -14,6 +17,13 @@ import browser from './browser-polyfill.js';
 import { StorageManager } from '../background/storage-manager.js';
 import { isFirefox } from './browser-polyfill.js';
 import { debug, debugWarn, debugError } from '../utils/debug.js';
+import {
+  getNotificationBudget,
+  consumeNotificationBudget,
+  queueForDigest,
+  takeDigest
+} from './notification-budget.js';
+import { ACTIVITY_TYPES, logActivity } from './activity-log.js';
 
 /**
  * Default cooldown period (30 minutes)
@@ -35,9 +45,15 @@ const DEFAULT_COOLDOWN_MS = 30 * 60 * 1000;
  * @param {number} oldPrice - Previous price
  * @param {number} newPrice - New (lower) price
  * @param {number} dropPercentage - Price drop percentage
+ * @param {Object} options - Additional options
+ * @param {boolean} options.targetReached - Price crossed the product's target price
+ * @param {boolean} options.suspicious - Drop was flagged as a possibly fake discount
+ * @param {boolean} options.freeShipping - The drop is (or includes) newly free shipping
+ * @param {boolean} options.includesShipping - Prices are totals with shipping
+ * @param {string|null} options.unit - Prices are unit prices per this unit ('kg', 'l', 'item')
  * @returns {Promise<string|null>} - Notification ID or null if not shown
  */
-export async function showPriceDropNotification(product, oldPrice, newPrice, dropPercentage) {
+export async function showPriceDropNotification(product, oldPrice, newPrice, dropPercentage, options = {}) {
   try {
     // Check if notifications are enabled
     const settings = await StorageManager.getSettings();
@@ -46,22 +62,37 @@ export async function showPriceDropNotification(product, oldPrice, newPrice, dro
       return null;
     }
 
-    // Check if drop meets minimum threshold
+    // A reached target price always notifies; otherwise the drop must meet the minimum threshold
+    const targetReached = options.targetReached === true;
+
+    // Suspicious discounts can be skipped, as in the batch path
+    if (options.suspicious === true && !targetReached && settings.notifications.skipSuspiciousDrops) {
+      debug('[notification-manager]', `[Notifications] Skipped suspicious discount for ${product.productId}`);
+      return null;
+    }
+
     const minThreshold = settings.notifications.minDropPercentage || settings.notifications.minDropPercent || 5;
-    if (dropPercentage < minThreshold) {
+    if (!targetReached && dropPercentage < minThreshold) {
       debug('[notification-manager]', `[Notifications] Drop ${dropPercentage}% below threshold ${minThreshold}%`);
       return null;
     }
 
-    // Check cooldown
-    if (await isOnCooldown(product.productId)) {
+    // Check cooldown (target crossings happen once, so they skip it)
+    if (!targetReached && await isOnCooldown(product.productId)) {
       debug('[notification-manager]', `[Notifications] Product ${product.productId} is on cooldown`);
       return null;
     }
 
+    // Past the daily limit the drop waits for the digest
+    if (await getNotificationBudget(settings) <= 0) {
+      await queueForDigest([{ product, oldPrice, newPrice, dropPercentage, targetReached }]);
+      return null;
+    }
+
     // Format the notification
-    const title = '🔔 Price Drop Alert!';
+    const title = targetReached ? '🎯 Target Price Reached!' : '🔔 Price Drop Alert!';
     const dropAmount = (oldPrice - newPrice).toFixed(2);
+    const priceNote = options.unit ? ` /${options.unit}` : options.includesShipping ? ' incl. shipping' : '';
 
     // Truncate title if too long
     const truncatedTitle = product.title.length > 60
@@ -70,9 +101,12 @@ export async function showPriceDropNotification(product, oldPrice, newPrice, dro
 
     const message = `${truncatedTitle}
 
-Was: ${formatPrice(oldPrice, product.price?.currency, product.price?.locale)}
-Now: ${formatPrice(newPrice, product.price?.currency, product.price?.locale)}
-Save: ${formatPrice(parseFloat(dropAmount), product.price?.currency, product.price?.locale)} (${dropPercentage.toFixed(0)}% off)`;
+Was: ${formatPrice(oldPrice, product.price?.currency, product.price?.locale)}${priceNote}
+Now: ${formatPrice(newPrice, product.price?.currency, product.price?.locale)}${priceNote}
+Save: ${formatPrice(parseFloat(dropAmount), product.price?.currency, product.price?.locale)} (${dropPercentage.toFixed(0)}% off)${targetReached ? `
+Target: ${formatPrice(product.notifications.targetPrice, product.price?.currency, product.price?.locale)}` : ''}${options.freeShipping ? `
+🚚 Now with free shipping` : ''}${options.suspicious ? `
+⚠️ Suspicious discount - check the price history` : ''}`;
 
     // Create the notification
     // Firefox doesn't support requireInteraction and silent properties
@@ -93,9 +127,16 @@ Save: ${formatPrice(parseFloat(dropAmount), product.price?.currency, product.pri
     const notificationId = await browser.notifications.create(product.productId, notificationOptions);
 
     debug('[notification-manager]', `[Notifications] Created notification: ${notificationId} for product: ${product.title}`);
+    await logActivity(ACTIVITY_TYPES.NOTIFICATION, {
+      productId: product.productId,
+      domain: product.url,
+      message: `${targetReached ? 'Target price' : 'Price drop'} notification: ${product.title} (${dropPercentage.toFixed(0)}% off)`,
+      details: { kind: targetReached ? 'target_reached' : 'price_drop', oldPrice, newPrice, dropPercentage }
+    });
 
     // Set cooldown
     await setCooldown(product.productId);
+    await consumeNotificationBudget(1);
 
     // Auto-clear after 10 seconds
     setTimeout(() => {
@@ -112,16 +153,236 @@ Save: ${formatPrice(parseFloat(dropAmount), product.price?.currency, product.pri
   }
 }
 
+/**
+ * Notification ID prefix for back-in-stock notifications
+ * Keeps them separate from price drop notifications of the same product.
+ */
+const BACK_IN_STOCK_PREFIX = 'back-in-stock:';
+
+/**
+ * Show a notification when a tracked product is available again
+ *
+ * @param {Object} product - Product object
+ * @param {number|null} price - Current price (if known)
+ * @returns {Promise<string|null>} - Notification ID or null if not shown
+ */
+export async function showBackInStockNotification(product, price = null) {
+  try {
+    const settings = await StorageManager.getSettings();
+    if (!settings.notifications.enabled || settings.notifications.backInStock === false) {
+      debug('[notification-manager]', '[Notifications] Back-in-stock notifications disabled in settings');
+      return null;
+    }
+
+    const truncatedTitle = product.title.length > 60
+      ? product.title.slice(0, 60) + '...'
+      : product.title;
+
+    const priceLine = typeof price === 'number'
+      ? `\nNow: ${formatPrice(price, product.price?.currency, product.price?.locale)}`
+      : '';
+
+    const notificationOptions = {
+      type: 'basic',
+      iconUrl: browser.runtime.getURL('assets/icons/icon-128.png'),
+      title: '📦 Back in Stock!',
+      message: `${truncatedTitle}${priceLine}`,
+      priority: 2
+    };
+
+    if (!isFirefox()) {
+      notificationOptions.requireInteraction = false;
+      notificationOptions.silent = false;
+    }
+
+    const notificationId = await browser.notifications.create(
+      `${BACK_IN_STOCK_PREFIX}${product.productId}`,
+      notificationOptions
+    );
+
+    debug('[notification-manager]', `[Notifications] Created back-in-stock notification for product: ${product.title}`);
+    await logActivity(ACTIVITY_TYPES.NOTIFICATION, {
+      productId: product.productId,
+      domain: product.url,
+      message: `Back-in-stock notification: ${product.title}`,
+      details: { kind: 'back_in_stock', price }
+    });
+
+    setTimeout(() => {
+      browser.notifications.clear(notificationId).catch(err => {
+        debugWarn('[notification-manager]', '[Notifications] Error clearing notification:', err);
+      });
+    }, 10000);
+
+    return notificationId;
+
+  } catch (error) {
+    debugError('[notification-manager]', '[Notifications] Error creating back-in-stock notification:', error);
+    return null;
+  }
+}
+
+/**
+ * Show a notification when a target price is set that the current price
+ * already meets
+ * Price checks only alert when the price crosses the target, so without this
+ * the user would never hear about it.
+ *
+ * @param {Object} product - Product object (with notifications.targetPrice)
+ * @returns {Promise<string|null>} - Notification ID or null if not shown
+ */
+export async function showTargetMetNotification(product) {
+  try {
+    const settings = await StorageManager.getSettings();
+    if (!settings.notifications.enabled) {
+      debug('[notification-manager]', '[Notifications] Notifications disabled in settings');
+      return null;
+    }
+
+    const truncatedTitle = product.title.length > 60
+      ? product.title.slice(0, 60) + '...'
+      : product.title;
+
+    const notificationOptions = {
+      type: 'basic',
+      iconUrl: browser.runtime.getURL('assets/icons/icon-128.png'),
+      title: '🎯 Target Price Already Reached',
+      message: `${truncatedTitle}
+
+Now: ${formatPrice(product.price?.numeric, product.price?.currency, product.price?.locale)}
+Target: ${formatPrice(product.notifications.targetPrice, product.price?.currency, product.price?.locale)}`,
+      priority: 2
+    };
+
+    if (!isFirefox()) {
+      notificationOptions.requireInteraction = false;
+      notificationOptions.silent = false;
+    }
+
+    const notificationId = await browser.notifications.create(product.productId, notificationOptions);
+
+    debug('[notification-manager]', `[Notifications] Created target-met notification for product: ${product.title}`);
+    await logActivity(ACTIVITY_TYPES.NOTIFICATION, {
+      productId: product.productId,
+      domain: product.url,
+      message: `Target price notification: ${product.title} (already at or below the target)`,
+      details: { kind: 'target_met', price: product.price?.numeric ?? null, targetPrice: product.notifications.targetPrice }
+    });
+
+    setTimeout(() => {
+      browser.notifications.clear(notificationId).catch(err => {
+        debugWarn('[notification-manager]', '[Notifications] Error clearing notification:', err);
+      });
+    }, 10000);
+
+    return notificationId;
+
+  } catch (error) {
+    debugError('[notification-manager]', '[Notifications] Error creating target-met notification:', error);
+    return null;
+  }
+}
+
+/**
+ * Notification ID prefix for cheapest-store notifications
+ */
+const CHEAPEST_STORE_PREFIX = 'cheapest-store:';
+
+/**
+ * Show a notification when another store became the cheapest for a product
+ * tracked in several shops (see utils/offer-groups.js)
+ *
+ * @param {Object} product - Product of the new cheapest offer
+ * @param {Object} change - { group, previous, cheapest } from getCheapestChanges()
+ * @returns {Promise<string|null>} - Notification ID or null if not shown
+ */
+export async function showCheapestStoreNotification(product, change) {
+  try {
+    const settings = await StorageManager.getSettings();
+    if (!settings.notifications.enabled || settings.notifications.cheapestStore === false) {
+      debug('[notification-manager]', '[Notifications] Cheapest-store notifications disabled in settings');
+      return null;
+    }
+
+    const truncatedTitle = product.title.length > 60
+      ? product.title.slice(0, 60) + '...'
+      : product.title;
+
+    const { group, previous, cheapest } = change;
+    const priceNote = group.basis === 'unit' && product.price?.unit
+      ? `/${product.price.unit}`
+      : group.basis === 'total' ? ' incl. shipping' : '';
+    const format = (price) => `${formatPrice(price, group.currency, product.price?.locale)}${priceNote}`;
+
+    const notificationOptions = {
+      type: 'basic',
+      iconUrl: browser.runtime.getURL('assets/icons/icon-128.png'),
+      title: `🏬 Now cheapest at ${cheapest.domain.replace(/^www\./, '')}`,
+      message: `${truncatedTitle}\n${format(cheapest.price)} (${previous.domain.replace(/^www\./, '')}: ${format(previous.price)})`,
+      priority: 1
+    };
+
+    if (!isFirefox()) {
+      notificationOptions.requireInteraction = false;
+      notificationOptions.silent = false;
+    }
+
+    const notificationId = await browser.notifications.create(
+      `${CHEAPEST_STORE_PREFIX}${product.productId}`,
+      notificationOptions
+    );
+
+    debug('[notification-manager]', `[Notifications] Created cheapest-store notification for product: ${product.title}`);
+    await logActivity(ACTIVITY_TYPES.NOTIFICATION, {
+      productId: product.productId,
+      domain: product.url,
+      message: `Cheapest-store notification: ${product.title} at ${cheapest.domain}`,
+      details: {
+        kind: 'cheapest_store',
+        price: cheapest.price,
+        previousProductId: previous.productId,
+        previousDomain: previous.domain,
+        previousPrice: previous.price
+      }
+    });
+
+    setTimeout(() => {
+      browser.notifications.clear(notificationId).catch(err => {
+        debugWarn('[notification-manager]', '[Notifications] Error clearing notification:', err);
+      });
+    }, 10000);
+
+    return notificationId;
+
+  } catch (error) {
+    debugError('[notification-manager]', '[Notifications] Error creating cheapest-store notification:', error);
+    return null;
+  }
+}
+
 /**
  * Show multiple price drop notifications (batched)
  * Groups multiple drops into a summary notification if more than 3
  *
- * @param {Array} priceDrops - Array of { product, oldPrice, newPrice, dropPercentage }
+ * @param {Array} allDrops - Array of { product, oldPrice, newPrice, dropPercentage, targetReached, suspicious, freeShipping, includesShipping, unit }
  * @returns {Promise<number>} - Number of notifications shown
  */
-export async function showBatchPriceDropNotifications(priceDrops) {
+export async function showBatchPriceDropNotifications(allDrops) {
   try {
-    if (!priceDrops || priceDrops.length === 0) {
+    if (!allDrops || allDrops.length === 0) {
+      return 0;
+    }
+
+    // Suspicious discounts (see utils/discount-analysis.js) can be skipped;
+    // a reached target price is still worth knowing about
+    const { notifications } = await StorageManager.getSettings();
+    const priceDrops = notifications.skipSuspiciousDrops
+      ? allDrops.filter(drop => !drop.suspicious || drop.targetReached)
+      : allDrops;
+    if (priceDrops.length < allDrops.length) {
+      debug('[notification-manager]', `[Notifications] Skipped ${allDrops.length - priceDrops.length} suspicious discount(s)`);
+    }
+    if (priceDrops.length === 0) {
       return 0;
     }
 
@@ -135,7 +396,14 @@ export async function showBatchPriceDropNotifications(priceDrops) {
           drop.product,
           drop.oldPrice,
           drop.newPrice,
-          drop.dropPercentage
+          drop.dropPercentage,
+          {
+            targetReached: drop.targetReached,
+            suspicious: drop.suspicious,
+            freeShipping: drop.freeShipping,
+            includesShipping: drop.includesShipping,
+            unit: drop.unit
+          }
         );
         if (result) count++;
       }
@@ -148,11 +416,17 @@ export async function showBatchPriceDropNotifications(priceDrops) {
       return 0;
     }
 
+    // Past the daily limit all drops wait for the digest
+    if (await getNotificationBudget(settings) <= 0) {
+      await queueForDigest(priceDrops);
+      return 0;
+    }
+
     const title = `🎉 ${priceDrops.length} Price Drops!`;
 
-    // List top 3 drops
+    // List top 3 drops (reached targets first)
     const topDrops = priceDrops
-      .sort((a, b) => b.dropPercentage - a.dropPercentage)
+      .sort((a, b) => (b.targetReached === true) - (a.targetReached === true) || b.dropPercentage - a.dropPercentage)
       .slice(0, 3);
 
     let message = 'Top deals:\n';
@@ -160,7 +434,8 @@ export async function showBatchPriceDropNotifications(priceDrops) {
       const truncatedTitle = drop.product.title.length > 40
         ? drop.product.title.slice(0, 40) + '...'
         : drop.product.title;
-      message += `${index + 1}. ${truncatedTitle} (${drop.dropPercentage.toFixed(0)}% off)\n`;
+      const marker = `${drop.targetReached ? ' 🎯' : ''}${drop.freeShipping ? ' 🚚' : ''}${drop.suspicious ? ' ⚠️' : ''}`;
+      message += `${index + 1}. ${truncatedTitle} (${drop.dropPercentage.toFixed(0)}% off)${marker}\n`;
     });
 
     if (priceDrops.length > 3) {
@@ -184,9 +459,16 @@ export async function showBatchPriceDropNotifications(priceDrops) {
     await browser.notifications.create('batch-price-drops', batchOptions);
 
     debug('[notification-manager]', '[Notifications] Created batch notification');
+    await logActivity(ACTIVITY_TYPES.NOTIFICATION, {
+      message: `Summary notification: ${priceDrops.length} price drops`,
+      details: { kind: 'batch', productIds: priceDrops.map(drop => drop.product.productId) }
+    });
 
-    // Set cooldowns for all products
-    await Promise.all(priceDrops.map(drop => setCooldown(drop.product.productId)));
+    // Set cooldowns for all products (sequentially, they share one storage key)
+    for (const drop of priceDrops) {
+      await setCooldown(drop.product.productId);
+    }
+    await consumeNotificationBudget(1);
 
     return 1; // One summary notification
 
@@ -196,6 +478,86 @@ export async function showBatchPriceDropNotifications(priceDrops) {
   }
 }
 
+/**
+ * Notification ID of the daily digest
+ */
+const DIGEST_NOTIFICATION_ID = 'price-drop-digest';
+
+/**
+ * Show the daily digest of drops held back by the notification limit
+ * Doesn't count against the budget. Products removed in the meantime are
+ * left out.
+ *
+ * @returns {Promise<string|null>} - Notification ID or null if nothing to show
+ */
+export async function showDigestNotification() {
+  try {
+    const entries = await takeDigest();
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const settings = await StorageManager.getSettings();
+    if (!settings.notifications.enabled) {
+      debug('[notification-manager]', `[Notifications] Notifications disabled, discarding digest of ${entries.length} drops`);
+      return null;
+    }
+
+    const stillTracked = [];
+    for (const entry of entries) {
+      if (await StorageManager.getProduct(entry.productId)) {
+        stillTracked.push(entry);
+      }
+    }
+    if (stillTracked.length === 0) {
+      return null;
+    }
+
+    const title = stillTracked.length === 1
+      ? '📬 A price drop you missed'
+      : `📬 ${stillTracked.length} price drops you missed`;
+
+    let message = '';
+    stillTracked.slice(0, 3).forEach((entry, index) => {
+      const truncatedTitle = entry.title.length > 40
+        ? entry.title.slice(0, 40) + '...'
+        : entry.title;
+      const marker = entry.targetReached ? ' 🎯' : '';
+      message += `${index + 1}. ${truncatedTitle}: ${formatPrice(entry.newPrice, entry.currency, entry.locale)} (${entry.dropPercentage.toFixed(0)}% off)${marker}\n`;
+    });
+
+    if (stillTracked.length > 3) {
+      message += `\n+${stillTracked.length - 3} more`;
+    }
+
+    const digestOptions = {
+      type: 'basic',
+      iconUrl: browser.runtime.getURL('assets/icons/icon-128.png'),
+      title,
+      message: message.trim(),
+      priority: 1
+    };
+
+    if (!isFirefox()) {
+      digestOptions.requireInteraction = false;
+    }
+
+    const notificationId = await browser.notifications.create(DIGEST_NOTIFICATION_ID, digestOptions);
+
+    debug('[notification-manager]', `[Notifications] Created digest notification for ${stillTracked.length} drops`);
+    await logActivity(ACTIVITY_TYPES.NOTIFICATION, {
+      message: `Daily digest notification: ${stillTracked.length} price drops`,
+      details: { kind: 'digest', productIds: stillTracked.map(entry => entry.productId) }
+    });
+
+    return notificationId;
+
+  } catch (error) {
+    debugError('[notification-manager]', '[Notifications] Error creating digest notification:', error);
+    return null;
+  }
+}
+
 /**
  * Show an informational notification
  *
@@ -412,8 +774,8 @@ if (browser?.notifications?.onClicked) {
     try {
       debug('[notification-manager]', `[Notifications] Notification clicked: ${notificationId}`);
 
-      // Handle batch notification clicks
-      if (notificationId === 'batch-price-drops') {
+      // Handle batch and digest notification clicks
+      if (notificationId === 'batch-price-drops' || notificationId === DIGEST_NOTIFICATION_ID) {
         // Open the extension popup
         const actionApi = browser.action || browser.browserAction;
         if (actionApi?.openPopup) {
@@ -429,8 +791,10 @@ if (browser?.notifications?.onClicked) {
         return;
       }
 
-      // Get the product by ID
-      const product = await StorageManager.getProduct(notificationId);
+      // Get the product by ID (back-in-stock and cheapest-store notifications carry a prefix)
+      const prefix = [BACK_IN_STOCK_PREFIX, CHEAPEST_STORE_PREFIX].find(p => notificationId.startsWith(p));
+      const productId = prefix ? notificationId.slice(prefix.length) : notificationId;
+      const product = await StorageManager.getProduct(productId);
 
       if (product && product.url) {
         // Open product page in new tab
@@ -0,0 +1,555 @@
+/**
+ * Offer Groups Module
+ * Recognizes the same product in different shops and groups the tracked
+ * products into "offer groups", so the popup can show the cheapest store and
+ * the price checker can tell when another store becomes cheapest.
+ *
+ * Product IDs hash domain + identifier + title (see product-hasher.js), so
+ * the same item in two shops never shares an ID. Identity comes from the
+ * product identifiers shops publish instead, kept on the product as:
+ *
+ *   { gtin: '04006381333931', mpn: 'WH-1000XM5', brand: 'Sony', model: null }
+ *
+ * Two products belong together when they share a GTIN (EAN/UPC/ISBN), or
+ * the same brand with the same MPN or model number. The user can override
+ * the automatic match per product (product.offerGroup):
+ *
+ *   { id: 'group_...' }     - linked by hand; all products with this ID form a group
+ *   { standalone: true }    - unlinked by hand; never grouped automatically
+ *
+ * Sources, most reliable first:
+ *   1. Schema.org Product data (gtin8/12/13/14, gtin, mpn, brand, model)
+ *   2. Microdata and product meta tags (itemprop="gtin13", product:brand)
+ *   3. Specification tables ("EAN", "Model number", "Marke")
+ *
+ * Groups mixing currencies (e.g. Amazon regional stores) are compared in the
+ * home currency with the rate table from utils/exchange-rates.js.
+ */
+
+import { PRICE_BASIS, getComparablePrice } from './shipping.js';
+import { canCompareUnitPrices } from './unit-price.js';
+import { isOutOfStock } from './availability.js';
+import { orderSchemaNodesForVariant, schemaNodeMatchesVariant } from './variant-helper.js';
+import { convertPrice } from './exchange-rates.js';
+
+/**
+ * storage.local key of the cheapest offer per group, remembered between check runs
+ */
+export const CHEAPEST_STATE_KEY = 'offerGroupCheapest';
+
+/**
+ * Identifier fields kept on a product
+ */
+export const IDENTIFIER_FIELDS = ['gtin', 'mpn', 'brand', 'model'];
+
+/**
+ * Specification rows used when no adapter knows the page
+ * Each row holds a label element followed by a value element.
+ */
+export const GENERIC_IDENTIFIER_ROW_SELECTORS = [
+  '.woocommerce-product-attributes tr',
+  '#product-attribute-specs-table tr',
+  '[class*="specification"] tr',
+  '[class*="spec-table"] tr',
+  '[class*="product-details"] tr',
+  '[class*="attributes"] tr',
+  '[class*="specification"] li'
+];
+
+/**
+ * Schema.org properties holding a GTIN
+ */
+const SCHEMA_GTIN_FIELDS = ['gtin14', 'gtin13', 'gtin12', 'gtin8', 'gtin', 'isbn'];
+
+/**
+ * Product meta tags (Open Graph product namespace, Facebook catalog)
+ */
+const META_IDENTIFIERS = {
+  gtin: ['product:ean', 'product:upc', 'product:gtin', 'product:isbn'],
+  mpn: ['product:mfr_part_no', 'product:mpn'],
+  brand: ['product:brand', 'og:brand']
+};
+
+/**
+ * Specification labels, in the languages of the supported shops
+ */
+const LABEL_PATTERNS = {
+  gtin: /^(gtin(-?\d{1,2})?|ean(-?1[34])?(\s*\/\s*upc)?|upc(\s*\/\s*ean)?|ean[- ]?code|isbn-?13|barcode|european article number)$/i,
+  mpn: /^(mpn|manufacturer part number|part number|herstellernummer|hersteller-?artikelnummer|référence fabricant|numero di parte|número de pieza)$/i,
+  model: /^(model|model number|item model number|model name|modell|modellnummer|modellbezeichnung|modèle|référence|modello|modelo)$/i,
+  brand: /^(brand|brand name|marke|markenname|marque|marca|merk)$/i,
+  manufacturer: /^(manufacturer|hersteller|fabricant|produttore|fabricante)$/i
+};
+
+/**
+ * Values that mean "no identifier"
+ */
+const PLACEHOLDER_PATTERN = /^(n\/?a|none|null|undefined|-+|not applicable|does not apply|nicht zutreffend|non applicable|unbranded|generic|no brand|ohne marke|sans marque)$/i;
+
+/**
+ * Normalize a GTIN (EAN-8, UPC-A, EAN-13, ITF-14, ISBN-13)
+ * Validates the check digit and pads to 14 digits, so a UPC and the EAN-13
+ * with a leading zero are the same code.
+ * @param {*} value - Raw value (string or number, may be a GS1 Digital Link URL)
+ * @returns {string|null} 14-digit GTIN or null if invalid
+ */
+export function normalizeGtin(value) {
+  if (typeof value === 'number' && Number.isInteger(value)) value = String(value);
+  if (typeof value !== 'string') return null;
+
+  const runs = value.replace(/[\s-]/g, '').match(/\d+/g) || [];
+  for (const digits of runs) {
+    if (![8, 12, 13, 14].includes(digits.length)) continue;
+
+    const gtin = digits.padStart(14, '0');
+    if (/^0+$/.test(gtin)) continue;
+
+    let sum = 0;
+    for (let i = 0; i < 13; i++) {
+      sum += Number(gtin[i]) * (i % 2 === 0 ? 3 : 1);
+    }
+    if ((10 - (sum % 10)) % 10 === Number(gtin[13])) {
+      return gtin;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Clean an identifier text (MPN, model number, brand)
+ * @param {*} value - Raw value
+ * @returns {string|null} Trimmed text or null for placeholders
+ */
+function cleanText(value) {
+  if (typeof value === 'number') value = String(value);
+  if (typeof value !== 'string') return null;
+
+  // Amazon wraps detail values in direction marks
+  const text = value.replace(/[\u200e\u200f\u00a0]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!text || text.length > 80 || PLACEHOLDER_PATTERN.test(text)) return null;
+  return text;
+}
+
+/**
+ * Normalize an MPN or model number for matching
+ * "WH-1000XM5", "wh 1000 xm5" and "WH1000XM5" are the same code.
+ * @param {*} value - Raw value
+ * @returns {string|null} Uppercase letters and digits, or null if not a plausible code
+ */
+export function normalizePartNumber(value) {
+  const text = cleanText(value);
+  if (!text) return null;
+
+  const code = text.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  // Codes contain a digit; "Black" or "Standard" are not part numbers
+  return code.length >= 3 && /\d/.test(code) ? code : null;
+}
+
+/**
+ * Normalize a brand for matching
+ * @param {*} value - Raw value
+ * @returns {string|null} Lowercase letters and digits, or null
+ */
+export function normalizeBrand(value) {
+  const text = cleanText(value);
+  if (!text) return null;
+
+  const brand = text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return brand || null;
+}
+
+/**
+ * Read a Schema.org brand / manufacturer value
+ * @param {*} value - String, Brand/Organization node or array
+ * @returns {string|null}
+ */
+function getSchemaName(value) {
+  if (Array.isArray(value)) value = value[0];
+  if (value && typeof value === 'object') value = value.name;
+  return cleanText(value);
+}
+
+/**
+ * Keep only valid identifier fields
+ * @param {Object} identifiers - Raw identifiers
+ * @returns {Object|null} Identifiers with at least one field, or null
+ */
+export function normalizeIdentifiers(identifiers) {
+  if (!identifiers || typeof identifiers !== 'object') return null;
+
+  const result = {
+    gtin: normalizeGtin(identifiers.gtin),
+    mpn: normalizePartNumber(identifiers.mpn) ? cleanText(identifiers.mpn) : null,
+    brand: normalizeBrand(identifiers.brand) ? cleanText(identifiers.brand) : null,
+    model: normalizePartNumber(identifiers.model) ? cleanText(identifiers.model) : null
+  };
+
+  return IDENTIFIER_FIELDS.some(field => result[field]) ? result : null;
+}
+
+/**
+ * Fill the missing fields of one identifier set from another
+ * @param {Object|null} primary - Preferred identifiers
+ * @param {Object|null} fallback - Identifiers used for missing fields
+ * @returns {Object|null}
+ */
+export function mergeIdentifiers(primary, fallback) {
+  const merged = {};
+  for (const field of IDENTIFIER_FIELDS) {
+    merged[field] = primary?.[field] || fallback?.[field] || null;
+  }
+  return normalizeIdentifiers(merged);
+}
+
+/**
+ * Collect Product nodes (and their variants) from JSON-LD data
+ * @param {*} node - JSON-LD node
+ * @param {Array} nodes - Accumulator
+ * @returns {Array}
+ */
+function collectProductNodes(node, nodes = []) {
+  if (!node || typeof node !== 'object') return nodes;
+  if (Array.isArray(node)) {
+    node.forEach(item => collectProductNodes(item, nodes));
+    return nodes;
+  }
+
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  if (types.includes('Product') || types.includes('ProductGroup')) {
+    nodes.push(node);
+  }
+  collectProductNodes(node['@graph'], nodes);
+  collectProductNodes(node.hasVariant, nodes);
+  return nodes;
+}
+
+/**
+ * Read the identifiers of Schema.org Product nodes
+ * On pages listing several variants, codes are only taken when they belong
+ * to the tracked variant or all variants share them.
+ * @param {Array} nodes - Product / ProductGroup nodes
+ * @param {Object|null} variantRef - Tracked variant reference
+ * @returns {Object|null}
+ */
+export function getSchemaIdentifiers(nodes, variantRef = null) {
+  if (!Array.isArray(nodes) || nodes.length === 0) return null;
+
+  const ordered = orderSchemaNodesForVariant(nodes, variantRef);
+  const matched = variantRef ? schemaNodeMatchesVariant(ordered[0], variantRef) : false;
+  const first = (read) => {
+    const values = ordered.map(read).filter(Boolean);
+    if (values.length === 0) return null;
+    return matched || new Set(values).size === 1 ? values[0] : null;
+  };
+
+  return normalizeIdentifiers({
+    gtin: first(node => SCHEMA_GTIN_FIELDS.map(field => normalizeGtin(node[field])).find(Boolean)),
+    mpn: first(node => cleanText(node.mpn)),
+    model: first(node => typeof node.model === 'object' ? getSchemaName(node.model) : cleanText(node.model)),
+    // Variants usually leave the brand to their ProductGroup
+    brand: ordered.map(node => getSchemaName(node.brand) || getSchemaName(node.manufacturer)).find(Boolean) || null
+  });
+}
+
+/**
+ * Read identifiers from microdata and product meta tags
+ * @param {Document} doc - Document
+ * @returns {Object|null}
+ */
+function getMarkupIdentifiers(doc) {
+  const read = (element) => element
+    ? cleanText(element.getAttribute('content') || element.querySelector?.('[itemprop="name"]')?.getAttribute('content') ||
+      element.querySelector?.('[itemprop="name"]')?.textContent || element.textContent)
+    : null;
+  const meta = (names) => names
+    .map(name => cleanText(doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`)?.getAttribute('content')))
+    .find(Boolean) || null;
+
+  return normalizeIdentifiers({
+    gtin: [...doc.querySelectorAll('[itemprop^="gtin"], [itemprop="isbn"]')]
+      .map(element => normalizeGtin(read(element))).find(Boolean) || meta(META_IDENTIFIERS.gtin),
+    mpn: read(doc.querySelector('[itemprop="mpn"]')) || meta(META_IDENTIFIERS.mpn),
+    model: read(doc.querySelector('[itemprop="model"]')),
+    brand: read(doc.querySelector('[itemprop="brand"]')) || meta(META_IDENTIFIERS.brand)
+  });
+}
+
+/**
+ * Split a specification row into label and value
+ * Rows are label/value element pairs (th + td, dt + dd, two spans);
+ * rows with a single text are split at the colon ("Brand: Sony").
+ * @param {Element} row - Row element
+ * @returns {{ label: string, value: string }|null}
+ */
+export function readSpecRow(row) {
+  let element = row;
+  while (element.children?.length === 1) {
+    element = element.children[0];
+  }
+
+  const children = [...(element.children || [])];
+  if (children.length >= 2) {
+    return {
+      label: children[0].textContent,
+      value: children[children.length - 1].textContent
+    };
+  }
+
+  const match = (element.textContent || '').match(/^([^:]{2,40}):(.+)$/s);
+  return match ? { label: match[1], value: match[2] } : null;
+}
+
+/**
+ * Read identifiers from specification rows
+ * @param {Document|Element} root - Where to search
+ * @param {string[]} selectors - Row selectors
+ * @returns {Object|null}
+ */
+export function getSpecIdentifiers(root, selectors) {
+  const found = {};
+
+  for (const selector of selectors) {
+    let rows;
+    try {
+      rows = root.querySelectorAll(selector);
+    } catch (error) {
+      continue; // Invalid selector
+    }
+
+    for (const row of rows) {
+      const pair = readSpecRow(row);
+      if (!pair) continue;
+
+      const label = pair.label.replace(/[\u200e\u200f:]/g, ' ').replace(/\s+/g, ' ').trim();
+      for (const [field, pattern] of Object.entries(LABEL_PATTERNS)) {
+        if (!found[field] && pattern.test(label)) {
+          found[field] = cleanText(pair.value);
+        }
+      }
+    }
+  }
+
+  return normalizeIdentifiers({ ...found, brand: found.brand || found.manufacturer });
+}
+
+/**
+ * Find the product identifiers of a page
+ * @param {Document} doc - Document (page or DOMParser result)
+ * @param {Object} options
+ * @param {Object|null} options.variantRef - Tracked variant reference
+ * @param {string[]} options.rowSelectors - Specification row selectors
+ * @returns {Object|null} { gtin, mpn, brand, model } or null if none found
+ */
+export function extractIdentifiersFromDocument(doc, options = {}) {
+  const { variantRef = null, rowSelectors = GENERIC_IDENTIFIER_ROW_SELECTORS } = options;
+  if (!doc?.querySelectorAll) return null;
+
+  const nodes = [];
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      collectProductNodes(JSON.parse(script.textContent), nodes);
+    } catch (error) {
+      // Ignore JSON parse errors
+    }
+  }
+
+  let identifiers = getSchemaIdentifiers(nodes, variantRef);
+  identifiers = mergeIdentifiers(identifiers, getMarkupIdentifiers(doc));
+  return mergeIdentifiers(identifiers, getSpecIdentifiers(doc, rowSelectors));
+}
+
+/**
+ * Keys under which a product is matched with others
+ * MPN and model numbers are only unique within a brand.
+ * @param {Object|null} identifiers - Product identifiers
+ * @returns {string[]} e.g. ['gtin:04006381333931', 'mpn:sony:WH1000XM5']
+ */
+export function getIdentityKeys(identifiers) {
+  if (!identifiers || typeof identifiers !== 'object') return [];
+
+  const keys = [];
+  const gtin = normalizeGtin(identifiers.gtin);
+  if (gtin) keys.push(`gtin:${gtin}`);
+
+  const brand = normalizeBrand(identifiers.brand);
+  if (brand) {
+    const mpn = normalizePartNumber(identifiers.mpn);
+    const model = normalizePartNumber(identifiers.model);
+    if (mpn) keys.push(`mpn:${brand}:${mpn}`);
+    if (model) keys.push(`model:${brand}:${model}`);
+  }
+
+  return keys;
+}
+
+/**
+ * Price basis usable for all offers of a group
+ * Unit prices are only compared when every offer has one in the same unit.
+ * @param {Array} products - Products of the group
+ * @param {string} basis - Requested PRICE_BASIS
+ * @returns {string}
+ */
+function getGroupBasis(products, basis) {
+  if (basis !== PRICE_BASIS.UNIT) return basis;
+  return products.every(product => canCompareUnitPrices(product.price, products[0].price))
+    ? PRICE_BASIS.UNIT
+    : PRICE_BASIS.ITEM;
+}
+
+/**
+ * Build one offer group
+ * @param {string} id - Group ID
+ * @param {Array} products - Member products
+ * @param {boolean} manual - Linked by hand
+ * @param {string} basis - PRICE_BASIS
+ * @param {Object} conversion - { homeCurrency, rates } (see buildOfferGroups)
+ * @returns {Object}
+ */
+function buildGroup(id, products, manual, basis, conversion) {
+  const groupBasis = getGroupBasis(products, basis);
+
+  // Mixed currencies are compared in the home currency, or else the majority
+  // currency; offers without an exchange rate can't be compared
+  const counts = new Map();
+  products.forEach(product => counts.set(product.price.currency, (counts.get(product.price.currency) || 0) + 1));
+  const majority = [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  const currency = counts.size > 1 && conversion.homeCurrency ? conversion.homeCurrency : majority;
+
+  const offers = products.map(product => {
+    const price = product.price.currency === currency
+      ? product.price
+      : (conversion.rates ? convertPrice(product.price, currency, conversion.rates) : null);
+
+    return {
+      productId: product.productId,
+      title: product.title,
+      domain: product.domain,
+      price: getComparablePrice(price || product.price, groupBasis),
+      currency: price ? currency : product.price.currency,
+      outOfStock: isOutOfStock(product.availability),
+      comparable: price !== null,
+      ...(price && price !== product.price
+        ? { originalPrice: getComparablePrice(product.price, groupBasis), originalCurrency: product.price.currency }
+        : {})
+    };
+  }).sort((a, b) =>
+    (b.comparable - a.comparable) || (a.outOfStock - b.outOfStock) || (a.price - b.price)
+  );
+
+  const cheapest = offers.find(offer => offer.comparable && !offer.outOfStock) || null;
+
+  return {
+    id,
+    manual,
+    basis: groupBasis,
+    currency,
+    offers,
+    cheapest,
+    storeCount: new Set(offers.map(offer => offer.domain)).size
+  };
+}
+
+/**
+ * Group tracked products that are the same item
+ * @param {Array} products - Tracked products
+ * @param {string} basis - PRICE_BASIS used to compare the offers
+ * @param {Object} conversion
+ * @param {string|null} conversion.homeCurrency - Currency mixed-currency groups are compared in
+ * @param {Object|null} conversion.rates - Exchange rate table; without one, other currencies aren't compared
+ * @returns {Array} Groups of 2+ products: { id, manual, basis, currency, offers, cheapest, storeCount },
+ *   offers sorted cheapest first (converted offers carry originalPrice and originalCurrency)
+ */
+export function buildOfferGroups(products, basis = PRICE_BASIS.ITEM, conversion = {}) {
+  const candidates = (Array.isArray(products) ? products : [])
+    .filter(product => product?.productId && typeof product.price?.numeric === 'number');
+
+  const manual = new Map();
+  const automatic = [];
+  for (const product of candidates) {
+    if (product.offerGroup?.standalone) continue;
+    if (typeof product.offerGroup?.id === 'string') {
+      if (!manual.has(product.offerGroup.id)) manual.set(product.offerGroup.id, []);
+      manual.get(product.offerGroup.id).push(product);
+    } else {
+      automatic.push(product);
+    }
+  }
+
+  // Union-find over shared identity keys
+  const parent = automatic.map((_, index) => index);
+  const find = (index) => parent[index] === index ? index : (parent[index] = find(parent[index]));
+  const owners = new Map();
+  automatic.forEach((product, index) => {
+    for (const key of getIdentityKeys(product.identifiers)) {
+      if (owners.has(key)) {
+        parent[find(index)] = find(owners.get(key));
+      } else {
+        owners.set(key, index);
+      }
+    }
+  });
+
+  const clusters = new Map();
+  automatic.forEach((product, index) => {
+    const root = find(index);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(product);
+  });
+
+  const groups = [];
+  for (const [id, members] of manual) {
+    if (members.length >= 2) groups.push(buildGroup(id, members, true, basis, conversion));
+  }
+  for (const members of clusters.values()) {
+    if (members.length < 2) continue;
+    const key = members.flatMap(product => getIdentityKeys(product.identifiers)).sort()[0];
+    groups.push(buildGroup(`auto:${key}`, members, false, basis, conversion));
+  }
+
+  return groups;
+}
+
+/**
+ * Map each grouped product to its group
+ * @param {Array} groups - Result of buildOfferGroups
+ * @returns {Map<string, Object>} productId -> group
+ */
+export function indexOfferGroups(groups) {
+  const index = new Map();
+  for (const group of groups) {
+    group.offers.forEach(offer => index.set(offer.productId, group));
+  }
+  return index;
+}
+
+/**
+ * Find groups where another store became the cheapest
+ * Only changes within an unchanged group count: a product joining a group
+ * is not "another store became cheapest".
+ * @param {Object} previous - Earlier state: productId -> cheapest productId of its group
+ * @param {Array} groups - Result of buildOfferGroups
+ * @returns {{ changes: Array<{ group: Object, previous: Object, cheapest: Object }>, state: Object }}
+ */
+export function getCheapestChanges(previous, groups) {
+  const state = {};
+  const changes = [];
+
+  for (const group of groups) {
+    if (!group.cheapest) continue;
+
+    const ids = group.offers.map(offer => offer.productId);
+    ids.forEach(id => { state[id] = group.cheapest.productId; });
+
+    // The new cheapest must have been in the group already
+    const before = previous?.[group.cheapest.productId];
+    if (!before || before === group.cheapest.productId || !ids.includes(before)) continue;
+
+    const previousOffer = group.offers.find(offer => offer.productId === before);
+    if (previousOffer.domain !== group.cheapest.domain) {
+      changes.push({ group, previous: previousOffer, cheapest: group.cheapest });
+    }
+  }
+
+  return { changes, state };
+}
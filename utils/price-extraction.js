@@ -0,0 +1,623 @@
+/**
+ * Price Extraction Module
+ * The one extraction engine behind first detection and background checks.
+ * Takes a Document (the live page, or a DOMParser result in the offscreen
+ * document / background fallback) plus context and reads the price from,
+ * in order of reliability:
+ *
+ *   0. the user's site rule for the shop (utils/site-rules.js)
+ *   1. Schema.org JSON-LD offers (Product / ProductGroup, anywhere in the graph)
+ *   2. embedded platform product JSON (Shopify product JSON, ShopifyAnalytics)
+ *   3. price meta tags and known shop selectors
+ *
+ * The building blocks (offer walking, platform price normalization, embedded
+ * JSON reading) are exported for callers that need more than the price -
+ * the product detector and site adapters read title, image and variant from
+ * the same nodes, and the raw-HTML fallback reuses them on regex matches.
+ *
+ * Context: { domain, locale, expectedCurrency, variant, siteRule }
+ *
+ * No browser globals - works in content scripts, the offscreen document and
+ * background pages alike.
+ */
+
+import { parsePrice } from './currency-parser.js';
+import { orderSchemaNodesForVariant, filterOffersForVariant, selectEmbeddedVariant, schemaNodeMatchesVariant, getVariantInfoFromSchemaNode, buildVariantInfo } from './variant-helper.js';
+import { getPageAvailability } from './availability.js';
+import { extractSaleInfoFromDocument } from './sale-price.js';
+import { extractShippingFromDocument } from './shipping.js';
+import { extractUnitPriceFromDocument } from './unit-price.js';
+import { extractIdentifiersFromDocument } from './offer-groups.js';
+import { getPageCurrency, getPageLocale, resolveDetectedCurrency } from './currency-change.js';
+import { extractWithSiteRule, SITE_RULE_METHOD } from './site-rules.js';
+import { debug, debugWarn } from './debug.js';
+
+/**
+ * Detection methods reported by the engine
+ */
+export const EXTRACTION_METHODS = {
+  SITE_RULE: SITE_RULE_METHOD,
+  SCHEMA_ORG: 'schema.org',
+  EMBEDDED_JSON: 'embeddedProductJson',
+  NONE: 'none'
+};
+
+/**
+ * How much a price found by each method can be trusted (0-1)
+ * Matches the product detector's layer confidences.
+ */
+const METHOD_CONFIDENCE = {
+  [SITE_RULE_METHOD]: 0.90,
+  'schema.org': 0.95,
+  embeddedProductJson: 0.82,
+  meta: 0.85,
+  selector: 0.70
+};
+
+/**
+ * Shops whose currency is known from the domain
+ */
+const DOMAIN_CURRENCIES = {
+  // Amazon
+  'amazon.com': 'USD',
+  'amazon.co.uk': 'GBP',
+  'amazon.de': 'EUR',
+  'amazon.fr': 'EUR',
+  'amazon.it': 'EUR',
+  'amazon.es': 'EUR',
+  'amazon.ca': 'CAD',
+  'amazon.com.au': 'AUD',
+  'amazon.co.jp': 'JPY',
+  'amazon.in': 'INR',
+  'amazon.com.mx': 'MXN',
+  'amazon.com.br': 'BRL',
+  'amazon.nl': 'EUR',
+  'amazon.se': 'SEK',
+
+  // eBay
+  'ebay.com': 'USD',
+  'ebay.co.uk': 'GBP',
+  'ebay.de': 'EUR',
+  'ebay.fr': 'EUR',
+  'ebay.it': 'EUR',
+  'ebay.es': 'EUR',
+  'ebay.ca': 'CAD',
+  'ebay.com.au': 'AUD',
+
+  // US-only shops
+  'target.com': 'USD',
+  'walmart.com': 'USD'
+};
+
+/**
+ * Embedded platform product JSON scripts
+ */
+const EMBEDDED_PRODUCT_JSON_SELECTOR =
+  'script[type="application/json"][id*="ProductJson" i], script[type="application/json"][id*="product" i], script[type="application/json"][data-product-json]';
+
+/**
+ * Price meta tags and known shop selectors, tried in order
+ * "content" reads the element text first (eBay puts cents in content).
+ */
+export const FALLBACK_PRICE_SELECTORS = [
+  { sel: 'meta[property="og:price:amount"]', attr: 'content' },
+  { sel: 'meta[property="product:price:amount"]', attr: 'content' },
+  { sel: 'meta[itemprop="price"]', attr: 'content' },
+
+  // SportsDirect - use ID selector
+  { sel: '#lblSellingPrice', attr: 'textContent' },
+
+  // Booztlet - use current price class
+  { sel: '.current-price', attr: 'textContent' },
+  { sel: '.price.campaign', attr: 'textContent' },
+
+  // Amazon
+  { sel: '.a-price .a-offscreen', attr: 'textContent' },
+  { sel: '.a-price-whole', attr: 'textContent' }, // Will be combined with fraction
+  { sel: '#priceblock_ourprice', attr: 'textContent' },
+
+  // eBay - IMPORTANT: Use textContent, not content attribute (which has price in cents)
+  // Be specific to avoid "Approximately" prices
+  { sel: '.x-price-primary [itemprop="price"]', attr: 'textContent' },
+  { sel: '.x-price-primary .ux-textspans--BOLD', attr: 'textContent' },
+  { sel: '#prcIsum', attr: 'textContent' },
+  { sel: '#mm-saleDscPrc', attr: 'textContent' },
+  { sel: '.x-price-primary span[class*="price"]', attr: 'textContent' },
+
+  // Target
+  { sel: '[data-test="product-price"]', attr: 'textContent' },
+  { sel: '[data-test="product-price-current"]', attr: 'textContent' },
+  { sel: '.h-text-orangeDark', attr: 'textContent' },
+
+  // Zalando
+  { sel: '[data-testid="price"]', attr: 'textContent' },
+  { sel: '[class*="price"][class*="current"]', attr: 'textContent' },
+  { sel: '[class*="currentPrice"]', attr: 'textContent' },
+
+  // Best Buy
+  { sel: '[data-testid="customer-price"]', attr: 'textContent' },
+
+  // Generic fallbacks
+  { sel: '[itemprop="price"]', attr: 'content' },
+  { sel: '.price', attr: 'textContent' }
+];
+
+/**
+ * Derive expected currency from domain
+ * @param {string} domain - Domain like 'www.amazon.co.uk'
+ * @returns {string|null} Expected currency code or null
+ */
+export function getExpectedCurrencyFromDomain(domain) {
+  const cleanDomain = (domain || '').replace(/^www\./, '').toLowerCase();
+
+  for (const [shopDomain, currency] of Object.entries(DOMAIN_CURRENCIES)) {
+    if (cleanDomain.includes(shopDomain)) {
+      return currency;
+    }
+  }
+  return null; // Let currency parser auto-detect
+}
+
+/**
+ * Confidence of a detection method
+ * @param {string} detectionMethod - e.g. 'schema.org', 'selector: .price'
+ * @returns {number} 0 when nothing was found
+ */
+export function getMethodConfidence(detectionMethod) {
+  if (!detectionMethod || detectionMethod === EXTRACTION_METHODS.NONE) return 0;
+  if (METHOD_CONFIDENCE[detectionMethod] !== undefined) return METHOD_CONFIDENCE[detectionMethod];
+  if (/^selector: meta\[/.test(detectionMethod)) return METHOD_CONFIDENCE.meta;
+  return METHOD_CONFIDENCE.selector;
+}
+
+/**
+ * Check whether a price text or offer is an approximate conversion
+ * (eBay shows "Approximately EUR 12.34" next to foreign listings)
+ * @param {string} text - Price text or serialized offer
+ * @returns {boolean}
+ */
+export function isApproximatePrice(text) {
+  const lowerText = String(text || '').toLowerCase();
+  return lowerText.includes('approximately') || lowerText.includes('approx.') || lowerText.includes('approx ');
+}
+
+/**
+ * Parse price text with context
+ * @param {string} priceString - The raw text to parse
+ * @param {Object} contextData - Context information (domain, locale, currency)
+ * @returns {Object|null} Parsed price ({ numeric, currency, method, ... }) or null
+ */
+export function parsePriceText(priceString, contextData = {}) {
+  if (!priceString || typeof priceString !== 'string') return null;
+
+  try {
+    return parsePrice(priceString, contextData);
+  } catch (error) {
+    debugWarn('[price-extraction]', 'Error parsing price with currency-parser:', error);
+    return null;
+  }
+}
+
+/**
+ * Normalize Schema.org @type values to an array of strings.
+ * @param {Object} item - Schema node
+ * @returns {string[]} Schema type names
+ */
+export function getSchemaTypes(item) {
+  const rawType = item?.['@type'];
+  if (!rawType) return [];
+
+  return (Array.isArray(rawType) ? rawType : [rawType])
+    .filter(type => typeof type === 'string')
+    .map(type => type.replace(/^https?:\/\/schema\.org\//i, ''));
+}
+
+/**
+ * Check if a Schema.org node has a specific type.
+ * @param {Object} item - Schema node
+ * @param {string} typeName - Type name, e.g. Product
+ * @returns {boolean}
+ */
+export function isSchemaType(item, typeName) {
+  return getSchemaTypes(item).includes(typeName);
+}
+
+/**
+ * Recursively collect Product and ProductGroup entities from JSON-LD.
+ * Many modern stores put products inside @graph, hasVariant, itemListElement,
+ * or framework-specific nested objects.
+ * @param {Object|Array} node - Parsed JSON-LD node
+ * @param {Array} matches - Accumulator
+ * @param {WeakSet<object>} seen - Cycle guard
+ * @returns {Array}
+ */
+export function findProductSchemaNodes(node, matches = [], seen = new WeakSet()) {
+  if (!node || typeof node !== 'object' || seen.has(node)) {
+    return matches;
+  }
+
+  seen.add(node);
+
+  if (isSchemaType(node, 'Product') || isSchemaType(node, 'ProductGroup')) {
+    matches.push(node);
+  }
+
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      findProductSchemaNodes(item, matches, seen);
+    }
+    return matches;
+  }
+
+  for (const value of Object.values(node)) {
+    if (value && typeof value === 'object') {
+      findProductSchemaNodes(value, matches, seen);
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Normalize platform prices. Shopify stores integer minor units in product JSON.
+ * @param {string|number} rawPrice - Raw price value
+ * @returns {string|number}
+ */
+export function normalizePlatformPrice(rawPrice) {
+  if (typeof rawPrice !== 'number') {
+    return rawPrice;
+  }
+
+  if (Number.isInteger(rawPrice) && rawPrice >= 1000) {
+    return (rawPrice / 100).toFixed(2);
+  }
+
+  return rawPrice;
+}
+
+/**
+ * Currency symbols shown in front of structured-data prices
+ */
+const PRICE_SYMBOLS = { EUR: '€', USD: '$', GBP: '£' };
+
+/**
+ * Price text for a structured-data value, so the parsed price reads like
+ * the page ("€19.99", "199.00 SEK")
+ * @param {string|number} value - Raw price value
+ * @param {string|null} currency - ISO currency code
+ * @returns {string}
+ */
+function formatStructuredPrice(value, currency) {
+  if (!currency) return String(value);
+  return PRICE_SYMBOLS[currency] ? `${PRICE_SYMBOLS[currency]}${value}` : `${value} ${currency}`;
+}
+
+/**
+ * Pick the price from a list of Schema.org offers
+ * Approximate offers are skipped; an offer in the expected currency wins over
+ * one in another currency. An offer's priceCurrency overrides the parser's
+ * guess and counts as an explicit currency.
+ * @param {Array} offers - Offer / AggregateOffer nodes
+ * @param {Object} contextData - Context information
+ * @returns {{ price: Object, offer: Object }|null}
+ */
+export function selectOfferPrice(offers, contextData = {}) {
+  const expectedCurrency = contextData.expectedCurrency || getExpectedCurrencyFromDomain(contextData.domain);
+  let matching = null;
+  let fallback = null;
+
+  for (const offer of Array.isArray(offers) ? offers : []) {
+    if (!offer || typeof offer !== 'object') continue;
+    if (isApproximatePrice(JSON.stringify(offer))) {
+      debug('[price-extraction]', 'Skipping approximate offer in JSON-LD');
+      continue;
+    }
+
+    // Variable products (AggregateOffer) are tracked at their lowest price
+    const priceValue = isSchemaType(offer, 'AggregateOffer')
+      ? offer.lowPrice || offer.price || offer.highPrice
+      : offer.price || offer.lowPrice || offer.highPrice;
+    if (!priceValue) continue;
+
+    const offerCurrency = typeof offer.priceCurrency === 'string' ? offer.priceCurrency.toUpperCase() : null;
+    const parsed = parsePriceText(
+      formatStructuredPrice(priceValue, offerCurrency),
+      offerCurrency ? { ...contextData, expectedCurrency: offerCurrency } : contextData
+    );
+    if (!parsed || parsed.numeric === null) continue;
+
+    // CRITICAL: Use explicit priceCurrency from JSON-LD offer
+    // The parser might guess wrong currency based on domain (.com = USD)
+    // but JSON-LD explicitly specifies the correct currency
+    if (offerCurrency) {
+      parsed.currency = offerCurrency;
+      parsed.method = 'schema';
+    }
+
+    if (expectedCurrency && parsed.currency !== expectedCurrency) {
+      debug('[price-extraction]', `Skipping offer with mismatched currency: ${parsed.currency} (expected ${expectedCurrency})`);
+      if (fallback === null) {
+        fallback = { price: parsed, offer };
+      }
+      continue;
+    }
+
+    matching = { price: parsed, offer };
+    break;
+  }
+
+  return matching || fallback;
+}
+
+/**
+ * Find the price in parsed JSON-LD data
+ * The tracked variant (context.variant) is tried first.
+ * @param {Object|Array} data - Parsed JSON-LD
+ * @param {Object} contextData - Context information
+ * @returns {{ price: Object, offer: Object, node: Object, offers: Array, filtered: boolean, isVariant: boolean, variantCount: number }|null}
+ *   filtered - the offers were narrowed to the tracked variant;
+ *   isVariant - the node is a ProductGroup variant (hasVariant);
+ *   variantCount - variants the page lists (group variants, or offers when filtered)
+ */
+export function findSchemaPriceInData(data, contextData = {}) {
+  const nodes = orderSchemaNodesForVariant(findProductSchemaNodes(data), contextData.variant);
+
+  // Products listed under a ProductGroup are variants of it
+  const variantNodes = new Set();
+  for (const node of nodes) {
+    if (node.hasVariant) {
+      (Array.isArray(node.hasVariant) ? node.hasVariant : [node.hasVariant]).forEach(variant => variantNodes.add(variant));
+    }
+  }
+
+  for (const node of nodes) {
+    if (!node.offers) continue;
+
+    const allOffers = Array.isArray(node.offers) ? node.offers : [node.offers];
+    const offers = filterOffersForVariant(allOffers, contextData.variant);
+    const selected = selectOfferPrice(offers, contextData);
+    if (selected) {
+      return {
+        ...selected,
+        node,
+        offers,
+        filtered: offers.length < allOffers.length,
+        isVariant: variantNodes.has(node),
+        variantCount: variantNodes.has(node) ? variantNodes.size : allOffers.length
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the price in the page's JSON-LD scripts
+ * @param {Document} doc - Document
+ * @param {Object} contextData - Context information
+ * @returns {Object|null} See findSchemaPriceInData
+ */
+export function findSchemaPrice(doc, contextData = {}) {
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const match = findSchemaPriceInData(JSON.parse(script.textContent), contextData);
+      if (match) return match;
+    } catch (error) {
+      // Ignore JSON parse errors for individual scripts
+    }
+  }
+  return null;
+}
+
+/**
+ * Variant a JSON-LD price was taken from
+ * @param {Object} match - Result of findSchemaPrice
+ * @param {Object|null} variantRef - Tracked / selected variant
+ * @returns {Object|null} Variant info, or null when the price isn't variant-specific
+ */
+export function getSchemaMatchVariant(match, variantRef) {
+  if (!match) return null;
+  if (match.isVariant || schemaNodeMatchesVariant(match.node, variantRef)) {
+    return getVariantInfoFromSchemaNode(match.node, match.offer, variantRef?.params, match.isVariant ? match.variantCount : null);
+  }
+  if (variantRef && match.filtered) {
+    return buildVariantInfo({ ...variantRef, sku: match.offer?.sku || variantRef.sku, variantCount: match.variantCount });
+  }
+  return null;
+}
+
+/**
+ * Read the price from embedded platform product JSON (parsed)
+ * @param {Object} data - Parsed product JSON ({ product } or the product itself)
+ * @param {Object} contextData - Context information
+ * @param {string|null} currency - Currency stated by the page, if any
+ * @returns {{ price: Object, product: Object, variant: Object|null, variants: Array }|null}
+ */
+export function readEmbeddedProduct(data, contextData = {}, currency = null) {
+  if (!data || typeof data !== 'object') return null;
+
+  const product = data.product || data;
+  const variants = Array.isArray(product.variants) ? product.variants : [];
+  const variant = selectEmbeddedVariant(variants, contextData.variant);
+  const rawPrice = variant?.price ?? product.price ?? product.price_min;
+  if (!rawPrice) return null;
+
+  const rawCurrency = currency || product.currency || product.priceCurrency;
+  const currencyCode = typeof rawCurrency === 'string' ? rawCurrency.toUpperCase() : null;
+  const normalizedPrice = normalizePlatformPrice(rawPrice);
+  const price = parsePriceText(
+    currencyCode ? `${normalizedPrice} ${currencyCode}` : String(normalizedPrice),
+    { ...contextData, expectedCurrency: currencyCode || contextData.expectedCurrency }
+  );
+  if (!price || price.numeric === null) return null;
+  if (currencyCode) {
+    price.currency = currencyCode;
+  }
+
+  return { price, product, variant, variants };
+}
+
+/**
+ * Find the price in the page's embedded platform product JSON
+ * ShopifyAnalytics.meta is JavaScript, not JSON - its product object is only
+ * read when the script clearly contains Shopify meta.
+ * @param {Document} doc - Document
+ * @param {Object} contextData - Context information
+ * @returns {Object|null} See readEmbeddedProduct
+ */
+export function findEmbeddedProduct(doc, contextData = {}) {
+  const currency = getPageCurrency(doc) ||
+    doc.querySelector('[data-currency]')?.getAttribute('data-currency') ||
+    null;
+
+  for (const script of doc.querySelectorAll(EMBEDDED_PRODUCT_JSON_SELECTOR)) {
+    try {
+      const match = readEmbeddedProduct(JSON.parse(script.textContent), contextData, currency);
+      if (match) return match;
+    } catch (error) {
+      debugWarn('[price-extraction]', 'Failed to parse embedded product JSON:', error.message);
+    }
+  }
+
+  for (const script of doc.querySelectorAll('script:not([src])')) {
+    const text = script.textContent || '';
+    if (!text.includes('ShopifyAnalytics') || !text.includes('variants')) {
+      continue;
+    }
+
+    const productMatch = text.match(/"product"\s*:\s*(\{[\s\S]*?"variants"\s*:\s*\[[\s\S]*?\][\s\S]*?\})\s*[,}]/);
+    if (!productMatch) {
+      continue;
+    }
+
+    try {
+      const match = readEmbeddedProduct(JSON.parse(productMatch[1]), contextData, currency);
+      if (match) return match;
+    } catch (error) {
+      debugWarn('[price-extraction]', 'Failed to parse ShopifyAnalytics product JSON:', error.message);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the price with meta tags and known shop selectors
+ * @param {Document} doc - Document
+ * @param {Object} contextData - Context information
+ * @returns {{ price: Object, selector: string }|null}
+ */
+export function findSelectorPrice(doc, contextData = {}) {
+  for (const { sel, attr } of FALLBACK_PRICE_SELECTORS) {
+    const element = doc.querySelector(sel);
+    if (!element) continue;
+
+    // For microdata content attributes, try textContent first
+    // because some sites (eBay) put prices in cents in content attribute
+    const priceText = attr === 'content'
+      ? element.textContent || element.getAttribute('content')
+      : element.textContent;
+    if (!priceText) continue;
+
+    // EBAY FIX: Skip "Approximately" prices (shipping estimates, not actual prices)
+    if (isApproximatePrice(priceText)) {
+      debug('[price-extraction]', `Skipping approximate price: ${priceText.substring(0, 50)}`);
+      continue;
+    }
+
+    const price = parsePriceText(priceText, contextData);
+    if (price !== null) {
+      return { price, selector: sel };
+    }
+  }
+
+  // Amazon without a-offscreen: combine a-price-whole and a-price-fraction
+  const priceWhole = doc.querySelector('.a-price-whole');
+  if (priceWhole) {
+    const priceFraction = doc.querySelector('.a-price-fraction');
+    const combinedPrice = priceFraction
+      ? `${priceWhole.textContent.trim()}.${priceFraction.textContent.trim()}`
+      : priceWhole.textContent.trim();
+    const price = parsePriceText(combinedPrice, contextData);
+    if (price !== null) {
+      return { price, selector: '.a-price-whole + .a-price-fraction' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extract the price and everything measured against it from a document
+ * @param {Document} doc - Page or DOMParser document
+ * @param {Object} contextData - { domain, locale, expectedCurrency, variant, siteRule }
+ * @returns {Object} { success, price, priceData, currency, currencyMethod, locale,
+ *   wasPrice, saleEndsAt, shipping, unitInfo, identifiers, availability,
+ *   detectionMethod, confidence } - price is the number, priceData the parse result
+ */
+export function extractPriceData(doc, contextData = {}) {
+  let priceData = null;
+  let detectionMethod = EXTRACTION_METHODS.NONE;
+
+  // 0. User-defined site rule for this shop
+  const ruleData = contextData.siteRule ? extractWithSiteRule(doc, contextData.siteRule, contextData) : null;
+  if (ruleData?.price) {
+    priceData = ruleData.price;
+    detectionMethod = EXTRACTION_METHODS.SITE_RULE;
+  }
+
+  // 1. Schema.org JSON-LD (most reliable)
+  if (!priceData) {
+    const match = findSchemaPrice(doc, contextData);
+    if (match) {
+      priceData = match.price;
+      detectionMethod = EXTRACTION_METHODS.SCHEMA_ORG;
+    }
+  }
+
+  // 2. Embedded platform product JSON (Shopify themes, etc.)
+  if (!priceData) {
+    const match = findEmbeddedProduct(doc, contextData);
+    if (match) {
+      priceData = match.price;
+      detectionMethod = EXTRACTION_METHODS.EMBEDDED_JSON;
+    }
+  }
+
+  // 3. Meta tags and known shop selectors
+  if (!priceData) {
+    const match = findSelectorPrice(doc, contextData);
+    if (match) {
+      priceData = match.price;
+      detectionMethod = `selector: ${match.selector}`;
+    }
+  }
+
+  const price = priceData ? priceData.numeric : null;
+
+  // "Was" price and sale end, so a sale can be told from a list price
+  const { wasPrice, saleEndsAt } = extractSaleInfoFromDocument(doc, price, contextData);
+
+  // Currency the page showed, so a currency switch (geo-redirect) can be
+  // told from a price change
+  const { currency, currencyMethod } = price === null
+    ? { currency: null, currencyMethod: null }
+    : resolveDetectedCurrency(priceData, getPageCurrency(doc));
+
+  return {
+    success: price !== null,
+    price,
+    priceData,
+    currency,
+    currencyMethod,
+    locale: getPageLocale(doc),
+    wasPrice: ruleData?.wasPrice ?? wasPrice,
+    saleEndsAt,
+    shipping: extractShippingFromDocument(doc, price, contextData),
+    unitInfo: extractUnitPriceFromDocument(doc, price, contextData),
+    identifiers: extractIdentifiersFromDocument(doc, { variantRef: contextData.variant }),
+    availability: ruleData?.availability || getPageAvailability(doc, contextData.variant),
+    detectionMethod,
+    confidence: getMethodConfidence(detectionMethod)
+  };
+}
@@ -0,0 +1,305 @@
+/**
+ * Price History Module
+ * Keeps a product's full price history while bounding its size.
+ *
+ * - Entries from the last 30 days are kept as recorded
+ * - Older entries are downsampled to one entry per day (min/max/close)
+ * - Entries older than a year are downsampled to one entry per week
+ *
+ * All-time statistics (first, low, high, average) are maintained separately in
+ * product.priceStats, updated on every recorded price, so they stay exact no
+ * matter how much of the history has been compacted.
+ *
+ * Pure functions only - shared by the storage manager, popup and options pages.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Age thresholds for downsampling
+ */
+export const HISTORY_RETENTION = {
+  RAW_MS: 30 * DAY_MS,     // Keep every entry for 30 days
+  DAILY_MS: 365 * DAY_MS   // Keep daily entries for a year, weekly after that
+};
+
+/**
+ * Check-method marker for entries that only record a stock status change
+ * They repeat the current price and are not counted in the statistics.
+ */
+const AVAILABILITY_ONLY_METHOD = 'availability';
+
+/**
+ * Check-method marker for the entry that starts a new currency
+ * (see utils/currency-change.js); never downsampled, so the switch stays visible.
+ */
+const CURRENCY_CHANGE_METHOD = 'currency_change';
+
+/**
+ * Lowest price represented by an entry (compacted entries carry min/max)
+ * @param {Object} entry - History entry
+ * @returns {number}
+ */
+function entryMin(entry) {
+  return typeof entry.min === 'number' ? entry.min : entry.price;
+}
+
+/**
+ * Highest price represented by an entry
+ * @param {Object} entry - History entry
+ * @returns {number}
+ */
+function entryMax(entry) {
+  return typeof entry.max === 'number' ? entry.max : entry.price;
+}
+
+/**
+ * Check whether an entry is a usable price reading
+ * @param {Object} entry - History entry
+ * @returns {boolean}
+ */
+function isPriceEntry(entry) {
+  return entry && typeof entry.price === 'number' && isFinite(entry.price) &&
+    typeof entry.timestamp === 'number';
+}
+
+/**
+ * Create statistics from a single price reading
+ * @param {Object} entry - History entry ({ price, currency, timestamp })
+ * @returns {Object} Price statistics
+ */
+export function createPriceStats(entry) {
+  return {
+    currency: entry.currency || null,
+    first: entry.price,
+    firstAt: entry.timestamp,
+    low: entry.price,
+    lowAt: entry.timestamp,
+    high: entry.price,
+    highAt: entry.timestamp,
+    sum: entry.price,
+    count: 1
+  };
+}
+
+/**
+ * Add a price reading to the statistics
+ * Statistics are per currency: a reading in another currency starts over.
+ * @param {Object|null} stats - Existing statistics
+ * @param {Object} entry - History entry
+ * @returns {Object} Updated statistics (new object)
+ */
+export function updatePriceStats(stats, entry) {
+  if (!isPriceEntry(entry)) return stats;
+  if (!stats || (stats.currency && entry.currency && stats.currency !== entry.currency)) {
+    return createPriceStats(entry);
+  }
+
+  const updated = { ...stats, sum: stats.sum + entry.price, count: stats.count + 1 };
+  if (entry.price < stats.low) {
+    updated.low = entry.price;
+    updated.lowAt = entry.timestamp;
+  }
+  if (entry.price > stats.high) {
+    updated.high = entry.price;
+    updated.highAt = entry.timestamp;
+  }
+  if (!updated.currency && entry.currency) {
+    updated.currency = entry.currency;
+  }
+
+  return updated;
+}
+
+/**
+ * Rebuild statistics from a history array
+ * Exact for uncompacted history; used for products saved before statistics
+ * were tracked.
+ * @param {Array} history - Price history
+ * @returns {Object|null} Price statistics or null for an empty history
+ */
+export function computePriceStats(history) {
+  if (!Array.isArray(history)) return null;
+
+  let stats = null;
+  for (const entry of history) {
+    if (!isPriceEntry(entry) || entry.checkMethod === AVAILABILITY_ONLY_METHOD) continue;
+
+    const samples = entry.samples || 1;
+    if (!stats || (stats.currency && entry.currency && stats.currency !== entry.currency)) {
+      stats = createPriceStats(entry);
+      stats.sum = entry.price * samples;
+      stats.count = samples;
+    } else {
+      stats.sum += entry.price * samples;
+      stats.count += samples;
+    }
+
+    if (entryMin(entry) < stats.low) {
+      stats.low = entryMin(entry);
+      stats.lowAt = entry.timestamp;
+    }
+    if (entryMax(entry) > stats.high) {
+      stats.high = entryMax(entry);
+      stats.highAt = entry.timestamp;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Get all-time statistics for a product
+ * @param {Object} product - Product object
+ * @returns {Object} Statistics with an `average` field
+ */
+export function getPriceStats(product) {
+  const stats = product.priceStats ||
+    computePriceStats(product.priceHistory) ||
+    createPriceStats({
+      price: product.price.numeric,
+      currency: product.price.currency,
+      timestamp: product.tracking?.firstSeen || Date.now()
+    });
+
+  return {
+    ...stats,
+    average: stats.count > 0 ? stats.sum / stats.count : stats.first
+  };
+}
+
+/**
+ * Get the first recorded price of a product
+ * @param {Object} product - Product object
+ * @returns {number|null}
+ */
+export function getFirstPrice(product) {
+  if (product.priceStats) return product.priceStats.first;
+  const first = product.priceHistory?.[0];
+  return first ? first.price : null;
+}
+
+/**
+ * Bucket key for an entry of the given age, or null to keep it as is
+ * @param {Object} entry - History entry
+ * @param {number} now - Current timestamp
+ * @returns {string|null}
+ */
+function getBucketKey(entry, now) {
+  const age = now - entry.timestamp;
+  if (age <= HISTORY_RETENTION.RAW_MS || entry.checkMethod === CURRENCY_CHANGE_METHOD) return null;
+
+  const resolution = age > HISTORY_RETENTION.DAILY_MS ? 'week' : 'day';
+  const size = resolution === 'week' ? WEEK_MS : DAY_MS;
+  return `${resolution}:${Math.floor(entry.timestamp / size)}:${entry.currency || ''}`;
+}
+
+/**
+ * Price details that are often missing from a page: a compacted entry
+ * keeps the last known value instead of dropping it
+ */
+const LAST_KNOWN_FIELDS = ['shipping', 'unitPrice', 'unit', 'quantity'];
+
+/**
+ * Copy the known price details of an entry onto a compacted entry
+ * @param {Object} entry - History entry
+ * @param {Object} target - Compacted entry
+ */
+function copyLastKnownFields(entry, target) {
+  for (const field of LAST_KNOWN_FIELDS) {
+    if (entry[field] !== undefined && entry[field] !== null) {
+      target[field] = entry[field];
+    }
+  }
+}
+
+/**
+ * Downsample old history entries
+ * Each day (or week) collapses into one entry holding the closing price and
+ * the min/max seen in that period. Already compacted entries merge cleanly,
+ * so this can run on every write.
+ * @param {Array} history - Price history (any order)
+ * @param {number} now - Current timestamp
+ * @returns {Array} Compacted history, oldest first
+ */
+export function compactPriceHistory(history, now = Date.now()) {
+  if (!Array.isArray(history)) return [];
+
+  const sorted = history.filter(isPriceEntry).sort((a, b) => a.timestamp - b.timestamp);
+  const buckets = new Map();
+  const result = [];
+
+  for (const entry of sorted) {
+    const key = getBucketKey(entry, now);
+    if (key === null) {
+      result.push(entry);
+      continue;
+    }
+
+    const bucket = buckets.get(key);
+    if (!bucket) {
+      const compacted = {
+        price: entry.price,
+        currency: entry.currency,
+        timestamp: entry.timestamp,
+        checkMethod: 'compacted',
+        resolution: key.split(':')[0],
+        min: entryMin(entry),
+        max: entryMax(entry),
+        samples: entry.samples || 1
+      };
+      if (entry.availability) {
+        compacted.availability = entry.availability;
+      }
+      if (typeof entry.wasPrice === 'number') {
+        compacted.wasPrice = entry.wasPrice;
+      }
+      copyLastKnownFields(entry, compacted);
+      buckets.set(key, compacted);
+      result.push(compacted);
+      continue;
+    }
+
+    // Entries are sorted, so the latest one is the closing price
+    bucket.price = entry.price;
+    bucket.timestamp = entry.timestamp;
+    bucket.min = Math.min(bucket.min, entryMin(entry));
+    bucket.max = Math.max(bucket.max, entryMax(entry));
+    bucket.samples += entry.samples || 1;
+    if (entry.availability) {
+      bucket.availability = entry.availability;
+    }
+    // The was price follows the closing price: none means the sale had ended
+    if (typeof entry.wasPrice === 'number') {
+      bucket.wasPrice = entry.wasPrice;
+    } else {
+      delete bucket.wasPrice;
+    }
+    copyLastKnownFields(entry, bucket);
+  }
+
+  return result.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Record a price reading on a product
+ * Updates the statistics, appends to the history and compacts old entries.
+ * @param {Object} product - Product object (mutated)
+ * @param {Object} entry - History entry ({ price, currency, timestamp, checkMethod, ... })
+ * @param {number} now - Current timestamp
+ * @returns {Object} The product
+ */
+export function appendPriceHistoryEntry(product, entry, now = Date.now()) {
+  const history = Array.isArray(product.priceHistory) ? product.priceHistory : [];
+
+  if (entry.checkMethod !== AVAILABILITY_ONLY_METHOD) {
+    const stats = product.priceStats || computePriceStats(history);
+    product.priceStats = updatePriceStats(stats, entry);
+  }
+
+  history.push(entry);
+  product.priceHistory = compactPriceHistory(history, now);
+
+  return product;
+}
@@ -0,0 +1,264 @@
+/**
+ * Price Sanity Module
+ * Keeps a single bad reading out of the price history. An accessory price,
+ * a monthly installment or a "from €1" picked up by a background check
+ * would otherwise be stored as a 95% drop and notified.
+ *
+ * Each reading is compared with the median of the recent readings (and the
+ * stored price). A jump beyond the limits is implausible; the limits are
+ * tighter when the price came from a weak source - the regex fallback, or
+ * a weaker method than the one the last reading used:
+ *
+ *   source          drop beyond   increase beyond
+ *   usual           70%           200%
+ *   weak/downgrade  50%           100%
+ *
+ * An implausible reading is confirmed with a second fetch. If that doesn't
+ * show the same price, the reading is held as unconfirmed until the next
+ * check: showing it again confirms it, a plausible reading drops it.
+ * Every reading that isn't taken is kept with its reasons
+ * (product.rejectedReadings).
+ *
+ * Pure functions only - used by the price checker, storage manager and popup.
+ */
+
+import { filterHistoryByCurrency } from './currency-change.js';
+
+/**
+ * Why a reading was not taken
+ */
+export const OUTLIER_REASONS = {
+  EXTREME_DROP: 'extreme_drop',
+  EXTREME_INCREASE: 'extreme_increase',
+  WEAK_METHOD: 'weak_method',                 // Regex fallback
+  METHOD_DOWNGRADE: 'method_downgrade',       // Weaker source than the last reading
+  REFETCH_DIFFERS: 'refetch_differs',         // Second fetch showed another price
+  REFETCH_FAILED: 'refetch_failed'            // Second fetch showed no price
+};
+
+/**
+ * Readable labels for OUTLIER_REASONS
+ */
+export const OUTLIER_REASON_LABELS = {
+  extreme_drop: 'implausible drop',
+  extreme_increase: 'implausible increase',
+  weak_method: 'weak price source',
+  method_downgrade: 'weaker price source than usual',
+  refetch_differs: 'second fetch showed another price',
+  refetch_failed: 'second fetch failed'
+};
+
+/**
+ * What a check does with a reading
+ */
+export const SANITY_ACTIONS = {
+  ACCEPT: 'accept',     // Plausible, or confirmed by the next check
+  CONFIRM: 'confirm'    // Implausible - fetch again before taking it
+};
+
+/**
+ * Price ratio limits (new / reference)
+ */
+const LIMITS = {
+  usual: { min: 0.3, max: 3 },
+  weak: { min: 0.5, max: 2 }
+};
+
+/**
+ * Recent readings the reference price is taken from
+ */
+const REFERENCE_READINGS = 10;
+const REFERENCE_WINDOW_MS = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * Rejected readings kept per product
+ */
+export const MAX_REJECTED_READINGS = 20;
+
+/**
+ * Readings this close to each other (2%) are the same price
+ */
+const MATCH_TOLERANCE = 0.02;
+
+/**
+ * How reliable a detection method is
+ * @param {string} detectionMethod - e.g. 'schema.org', 'selector: .price', 'regex:element'
+ * @returns {number} 3 structured data, site rules and site adapters, 2 page elements
+ *   and regex on structured data, 1 regex on elements, 0 unknown
+ */
+export function getMethodStrength(detectionMethod) {
+  if (typeof detectionMethod !== 'string' || !detectionMethod) return 0;
+  if (detectionMethod === 'schema.org' || detectionMethod === 'embeddedProductJson' ||
+      detectionMethod === 'siteRule' || detectionMethod.startsWith('siteAdapter')) return 3;
+  if (detectionMethod.startsWith('selector') || detectionMethod === 'regex:schema.org' ||
+      detectionMethod === 'regex:embeddedProductJson' || detectionMethod === 'regex:meta') return 2;
+  if (detectionMethod.startsWith('regex')) return 1;
+  return 0;
+}
+
+/**
+ * Median of recent readings in the stored currency, including the stored price
+ * @param {Object} product - Tracked product (price, priceHistory)
+ * @param {number} now - Current timestamp
+ * @returns {number|null}
+ */
+export function getReferencePrice(product, now = Date.now()) {
+  const currency = product?.price?.currency;
+  const prices = filterHistoryByCurrency(product?.priceHistory, currency)
+    .filter(entry => typeof entry?.price === 'number' && entry.price > 0 && now - entry.timestamp <= REFERENCE_WINDOW_MS)
+    .slice(-REFERENCE_READINGS)
+    .map(entry => entry.price);
+  if (typeof product?.price?.numeric === 'number' && product.price.numeric > 0) {
+    prices.push(product.price.numeric);
+  }
+  if (prices.length === 0) return null;
+
+  prices.sort((a, b) => a - b);
+  const middle = Math.floor(prices.length / 2);
+  return prices.length % 2 ? prices[middle] : (prices[middle - 1] + prices[middle]) / 2;
+}
+
+/**
+ * Detection method of the last background reading
+ * @param {Array} history - Price history
+ * @returns {string|null}
+ */
+function getLastCheckMethod(history) {
+  const entries = Array.isArray(history) ? history : [];
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (getMethodStrength(entries[i]?.checkMethod) > 0) return entries[i].checkMethod;
+  }
+  return null;
+}
+
+/**
+ * Check whether a reading is plausible
+ * @param {Object} product - Tracked product (price, priceHistory)
+ * @param {Object} reading - { price, detectionMethod }
+ * @param {number} now - Current timestamp
+ * @returns {{ plausible: boolean, reasons: string[], reference: number|null, ratio: number|null }}
+ */
+export function assessPriceReading(product, reading, now = Date.now()) {
+  const reference = getReferencePrice(product, now);
+  if (!reference || typeof reading?.price !== 'number') {
+    return { plausible: true, reasons: [], reference, ratio: null };
+  }
+
+  const strength = getMethodStrength(reading.detectionMethod);
+  const usualStrength = getMethodStrength(getLastCheckMethod(product.priceHistory));
+  const weak = strength > 0 && strength < 2;
+  const downgrade = strength > 0 && strength < usualStrength;
+  const limits = weak || downgrade ? LIMITS.weak : LIMITS.usual;
+  const ratio = reading.price / reference;
+
+  const reasons = [];
+  if (ratio < limits.min) reasons.push(OUTLIER_REASONS.EXTREME_DROP);
+  if (ratio > limits.max) reasons.push(OUTLIER_REASONS.EXTREME_INCREASE);
+  if (reasons.length > 0) {
+    if (weak) reasons.push(OUTLIER_REASONS.WEAK_METHOD);
+    if (downgrade) reasons.push(OUTLIER_REASONS.METHOD_DOWNGRADE);
+  }
+
+  return { plausible: reasons.length === 0, reasons, reference, ratio };
+}
+
+/**
+ * Check whether two readings show the same price
+ * @param {number} a - Price
+ * @param {number} b - Price
+ * @returns {boolean}
+ */
+export function isSameReading(a, b) {
+  if (typeof a !== 'number' || typeof b !== 'number') return false;
+  return Math.abs(a - b) <= Math.max(0.01, Math.abs(a) * MATCH_TOLERANCE) + 1e-9;
+}
+
+/**
+ * Check whether a second fetch shows the held reading again
+ * The same number in another currency (geo-redirect) doesn't confirm it.
+ * @param {Object} held - { price, currency }
+ * @param {Object} refetch - { price, currency }
+ * @returns {boolean}
+ */
+export function isConfirmingReading(held, refetch) {
+  return isSameReading(held?.price, refetch?.price) &&
+    (held?.currency || null) === (refetch?.currency || null);
+}
+
+/**
+ * Decide what a check does with a reading
+ * A reading that repeats the held unconfirmed one is confirmed without
+ * another fetch.
+ * @param {Object} product - Tracked product (price, priceHistory, unconfirmedPrice)
+ * @param {Object} reading - { price, detectionMethod }
+ * @param {number} now - Current timestamp
+ * @returns {{ action: string, assessment: Object, confirmedBy: string|null }}
+ */
+export function decidePriceReading(product, reading, now = Date.now()) {
+  const assessment = assessPriceReading(product, reading, now);
+  if (assessment.plausible) {
+    return { action: SANITY_ACTIONS.ACCEPT, assessment, confirmedBy: null };
+  }
+  if (isSameReading(product?.unconfirmedPrice?.price, reading.price)) {
+    return { action: SANITY_ACTIONS.ACCEPT, assessment, confirmedBy: 'next_check' };
+  }
+  return { action: SANITY_ACTIONS.CONFIRM, assessment, confirmedBy: null };
+}
+
+/**
+ * Record of a reading that wasn't taken
+ * @param {Object} product - Tracked product
+ * @param {Object} reading - { price, detectionMethod }
+ * @param {Object} assessment - Result of assessPriceReading
+ * @param {Object} confirmation - { reason, price } of the second fetch
+ * @param {number} now - Current timestamp
+ * @returns {Object} { price, currency, timestamp, detectionMethod, reasons, reference, refetchPrice }
+ */
+export function createRejectedReading(product, reading, assessment, confirmation = {}, now = Date.now()) {
+  return {
+    price: reading.price,
+    currency: product?.price?.currency || null,
+    timestamp: now,
+    detectionMethod: reading.detectionMethod || null,
+    reasons: [...assessment.reasons, ...(confirmation.reason ? [confirmation.reason] : [])],
+    reference: assessment.reference,
+    refetchPrice: typeof confirmation.price === 'number' ? confirmation.price : null
+  };
+}
+
+/**
+ * Unconfirmed price held until the next check
+ * @param {Object|null} previous - product.unconfirmedPrice
+ * @param {Object} rejected - Result of createRejectedReading
+ * @returns {Object} { price, currency, reasons, firstSeen, lastSeen, count }
+ */
+export function buildUnconfirmedPrice(previous, rejected) {
+  const same = isSameReading(previous?.price, rejected.price);
+  return {
+    price: rejected.price,
+    currency: rejected.currency,
+    reasons: rejected.reasons,
+    firstSeen: same ? previous.firstSeen : rejected.timestamp,
+    lastSeen: rejected.timestamp,
+    count: same ? previous.count + 1 : 1
+  };
+}
+
+/**
+ * Add a rejected reading to a product's list, newest last
+ * @param {Array} list - product.rejectedReadings
+ * @param {Object} rejected - Result of createRejectedReading
+ * @returns {Array} New list, at most MAX_REJECTED_READINGS long
+ */
+export function appendRejectedReading(list, rejected) {
+  return [...(Array.isArray(list) ? list : []), rejected].slice(-MAX_REJECTED_READINGS);
+}
+
+/**
+ * Readable reasons of a rejected reading
+ * @param {string[]} reasons - OUTLIER_REASONS values
+ * @returns {string}
+ */
+export function describeOutlierReasons(reasons) {
+  return (Array.isArray(reasons) ? reasons : []).map(reason => OUTLIER_REASON_LABELS[reason] || reason).join(', ');
+}
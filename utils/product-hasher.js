@@ -2,20 +2,30 @@
  * Product ID Hasher Module
  * Generates unique, deterministic product IDs from URL, title, and domain
  * Handles URL variations and normalizes titles for consistent hashing
+ * For products with several variants, the variant-selecting query params
+ * (?variant=, ?size=, ...) or the variant SKU are part of the ID, so
+ * different sizes/colors of the same product are tracked separately
  */
 
+import { getVariantKeyFromUrl, isMultiVariant } from './variant-helper.js';
+
 /**
  * Generate a unique product ID
  * @param {string} url - Product URL
  * @param {string} title - Product title
  * @param {string} domain - Domain name
+ * @param {Object|null} variant - Selected variant ({ id, sku, ... }) if known
  * @returns {string} Unique product ID hash (8-12 characters hex)
  */
-export function generateProductId(url, title, domain) {
+export function generateProductId(url, title, domain, variant = null) {
   try {
     const productId = extractProductIdentifier(url, domain);
     const normalizedTitle = normalizeTitle(title);
-    const combined = `${domain}|${productId}|${normalizedTitle}`;
+    const variantKey = getVariantKey(url, variant);
+    // Products without a variant keep the original ID format
+    const combined = variantKey
+      ? `${domain}|${productId}|${variantKey}|${normalizedTitle}`
+      : `${domain}|${productId}|${normalizedTitle}`;
     return simpleHash(combined);
   } catch (error) {
     console.error('[Product Hasher] Error generating product ID:', error);
@@ -82,6 +92,24 @@ function extractProductIdentifier(url, domain) {
   return getPathHash(url);
 }
 
+/**
+ * Get the variant part of the product identity
+ * Only products with several variants get one, so single-variant products
+ * (and shops using ?size= for something else) keep their original ID.
+ * URL params win; otherwise fall back to the detected variant SKU/ID
+ * @param {string} url - Product URL
+ * @param {Object|null} variant - Selected variant
+ * @returns {string} Variant key or '' if the product has no variant
+ */
+function getVariantKey(url, variant) {
+  if (!isMultiVariant(variant)) return '';
+  const urlKey = url ? getVariantKeyFromUrl(url) : '';
+  if (urlKey) return urlKey;
+  if (variant?.sku) return `sku=${variant.sku}`;
+  if (variant?.id) return `variant=${variant.id}`;
+  return '';
+}
+
 /**
  * Get hash of URL pathname (fallback for unknown sites)
  * @param {string} url - Full URL
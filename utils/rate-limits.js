@@ -0,0 +1,162 @@
+/**
+ * Rate Limits Module
+ * Per-host request limits for background price checks.
+ *
+ * Each host gets its own bucket, so a strict limit for one retailer doesn't
+ * slow down checks on every other shop. Limits are requests per minute:
+ *   1. settings.checking.rateLimits  - user overrides, e.g. { 'shop.example': 20 }
+ *   2. DEFAULT_DOMAIN_RATE_LIMITS    - stricter limits for large retailers
+ *   3. DEFAULT_REQUESTS_PER_MINUTE   - everything else (small shops)
+ *
+ * Rule keys are domains (also matching subdomains) or brand patterns such as
+ * "amazon.*", which match the brand on any country TLD (amazon.de, amazon.co.uk).
+ *
+ * Pure functions only - no extension APIs.
+ */
+
+export const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+/**
+ * Limit for hosts without a specific rule (small shops, WooCommerce etc.)
+ */
+export const DEFAULT_REQUESTS_PER_MINUTE = 12;
+
+export const MIN_REQUESTS_PER_MINUTE = 1;
+export const MAX_REQUESTS_PER_MINUTE = 60;
+
+/**
+ * Built-in limits for retailers known to block aggressive clients
+ */
+export const DEFAULT_DOMAIN_RATE_LIMITS = {
+  'amazon.*': 4,
+  'walmart.*': 3,
+  'target.com': 4,
+  'bestbuy.*': 4,
+  'costco.*': 4,
+  'homedepot.*': 4,
+  'lowes.*': 4,
+  'ebay.*': 6,
+  'aliexpress.*': 6,
+  'zalando.*': 6,
+  'mediamarkt.*': 6,
+  'otto.de': 6,
+  'etsy.com': 6
+};
+
+/**
+ * Normalize a host for bucket keys ("www.Amazon.de" -> "amazon.de")
+ * @param {string} urlOrHost - URL or hostname
+ * @returns {string|null}
+ */
+export function getRateLimitHost(urlOrHost) {
+  if (!urlOrHost || typeof urlOrHost !== 'string') return null;
+
+  let host = urlOrHost;
+  if (urlOrHost.includes('://')) {
+    try {
+      host = new URL(urlOrHost).hostname;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return host.trim().toLowerCase().replace(/^www\./, '').replace(/\.$/, '') || null;
+}
+
+/**
+ * Check whether a rule key applies to a host
+ * @param {string} host - Normalized host
+ * @param {string} key - Domain ("otto.de") or brand pattern ("amazon.*")
+ * @returns {boolean}
+ */
+export function matchesRateLimitRule(host, key) {
+  if (!host || !key) return false;
+  const rule = key.toLowerCase().replace(/^www\./, '');
+
+  if (rule.endsWith('.*')) {
+    // Brand on any TLD, incl. two-part ones like co.uk / com.au
+    const brand = rule.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|\\.)${brand}\\.[a-z]{2,}(\\.[a-z]{2})?$`).test(host);
+  }
+
+  return host === rule || host.endsWith(`.${rule}`);
+}
+
+/**
+ * Clamp a requests-per-minute value
+ * @param {*} value
+ * @returns {number|null} Clamped value, or null if not a positive number
+ */
+export function normalizeRequestsPerMinute(value) {
+  if (typeof value !== 'number' || !isFinite(value) || value <= 0) return null;
+  return Math.min(MAX_REQUESTS_PER_MINUTE, Math.max(MIN_REQUESTS_PER_MINUTE, Math.round(value)));
+}
+
+/**
+ * Find the most specific rule for a host
+ * Exact domains beat subdomain matches, which beat brand patterns.
+ * @param {string} host - Normalized host
+ * @param {Object} rules - Map of rule key -> requests per minute
+ * @returns {{ key: string, requestsPerMinute: number }|null}
+ */
+function findRule(host, rules) {
+  let best = null;
+  let bestScore = -1;
+
+  for (const [key, value] of Object.entries(rules || {})) {
+    const requestsPerMinute = normalizeRequestsPerMinute(value);
+    if (!requestsPerMinute || !matchesRateLimitRule(host, key)) continue;
+
+    const score = key.endsWith('.*') ? key.length : 1000 + key.length;
+    if (score > bestScore) {
+      best = { key, requestsPerMinute };
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Resolve the limit for a host
+ * @param {string} urlOrHost - URL or hostname
+ * @param {Object} overrides - User overrides (settings.checking.rateLimits)
+ * @returns {{ host: string, maxRequests: number, windowMs: number, source: string }}
+ *   source is 'user', 'default-domain' or 'default'
+ */
+export function getRateLimitForHost(urlOrHost, overrides = {}) {
+  const host = getRateLimitHost(urlOrHost) || 'unknown';
+
+  const user = findRule(host, overrides);
+  if (user) {
+    return { host, maxRequests: user.requestsPerMinute, windowMs: RATE_LIMIT_WINDOW_MS, source: 'user' };
+  }
+
+  const builtIn = findRule(host, DEFAULT_DOMAIN_RATE_LIMITS);
+  if (builtIn) {
+    return { host, maxRequests: builtIn.requestsPerMinute, windowMs: RATE_LIMIT_WINDOW_MS, source: 'default-domain' };
+  }
+
+  return { host, maxRequests: DEFAULT_REQUESTS_PER_MINUTE, windowMs: RATE_LIMIT_WINDOW_MS, source: 'default' };
+}
+
+/**
+ * How long to wait before the next request to a host
+ * @param {number[]} timestamps - Recent request times for the host
+ * @param {{ maxRequests: number, windowMs: number }} limit - Host limit
+ * @param {number} now - Current timestamp
+ * @returns {{ waitMs: number, recent: number[] }} Wait time (0 = go) and pruned timestamps
+ */
+export function getRateLimitWait(timestamps, limit, now = Date.now()) {
+  const recent = (Array.isArray(timestamps) ? timestamps : [])
+    .filter(timestamp => now - timestamp < limit.windowMs)
+    .sort((a, b) => a - b);
+
+  if (recent.length < limit.maxRequests) {
+    return { waitMs: 0, recent };
+  }
+
+  // Wait until enough of the oldest requests leave the window
+  const oldestBlocking = recent[recent.length - limit.maxRequests];
+  return { waitMs: limit.windowMs - (now - oldestBlocking) + 100, recent }; // +100ms buffer
+}
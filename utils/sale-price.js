@@ -0,0 +1,410 @@
+/**
+ * Sale Price Module
+ * Finds the "was" (list / strikethrough) price of a product and the end of
+ * a sale, so a discount can be compared with what the shop claims.
+ *
+ * The was price is kept on the price object as `regularPrice`, next to the
+ * sale end as `saleEndsAt` (timestamp):
+ *
+ *   { numeric: 79.99, currency: 'EUR', regularPrice: 99.99, saleEndsAt: 1767225599000 }
+ *
+ * Sources, most reliable first:
+ *   1. Schema.org offers - priceSpecification entries with a ListPrice,
+ *      StrikethroughPrice, MSRP or SRP priceType; priceValidUntil as sale end
+ *   2. Strikethrough elements - <del>/<s> next to the price and the
+ *      site-specific "was" selectors of the adapters
+ *
+ * A was price is only kept if it is above the current price, and a sale end
+ * only alongside a was price.
+ *
+ * The DOM helpers only read the document they are given, so they work in
+ * content scripts and on DOMParser documents in the background.
+ */
+
+import { parsePrice } from './currency-parser.js';
+
+/**
+ * Schema.org priceType values that describe the undiscounted price
+ */
+export const WAS_PRICE_TYPES = ['ListPrice', 'StrikethroughPrice', 'MSRP', 'SRP'];
+
+/**
+ * Strikethrough/"was" selectors used when no adapter knows the page
+ * Scoped to price containers so crossed-out prices of other products
+ * (recommendations, bundles) are not picked up.
+ */
+export const GENERIC_WAS_PRICE_SELECTORS = [
+  // WooCommerce and most WordPress themes
+  '.summary .price del .amount',
+  '.product .price del .amount',
+  // OpenCart, PrestaShop, Magento
+  '.price-old',
+  '.regular-price',
+  '[data-price-type="oldPrice"] .price',
+  '.old-price .price',
+  // Shopify themes
+  '.price__sale .price-item--regular',
+  '.product__price--compare',
+  'compare-at-price',
+  // Amazon, eBay, Best Buy and others without the content script
+  '.basisPrice .a-offscreen',
+  '.a-price.a-text-price[data-a-strike="true"] .a-offscreen',
+  '.x-additional-info .ux-textspans--STRIKETHROUGH',
+  '.x-price-section .ux-textspans--STRIKETHROUGH',
+  '[data-testid="regular-price"]',
+  // Generic markup
+  '[class*="price"] del',
+  '[class*="price"] s',
+  '[class*="was-price"]',
+  '[class*="wasPrice"]',
+  '[class*="list-price"]',
+  '[class*="listPrice"]',
+  '[class*="original-price"]',
+  '[class*="originalPrice"]',
+  '[class*="strike-price"]',
+  '[class*="strikethrough"]'
+];
+
+/**
+ * Sale countdown/end elements used when no adapter knows the page
+ */
+export const GENERIC_SALE_END_SELECTORS = [
+  '[data-sale-end]',
+  '[data-deal-end]',
+  '[data-end-time]',
+  '[data-countdown]',
+  '[class*="sale-end"] time[datetime]',
+  '[class*="deal"] time[datetime]'
+];
+
+const DATA_END_ATTRIBUTES = ['data-sale-end', 'data-deal-end', 'data-end-time', 'data-countdown', 'datetime'];
+
+/**
+ * Was prices this many times the current price are treated as noise
+ * (unit prices, bundle totals, prices in cents)
+ */
+const MAX_WAS_PRICE_RATIO = 10;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Strip the Schema.org prefix from a priceType ("https://schema.org/ListPrice")
+ * @param {*} priceType - Raw priceType value
+ * @returns {string|null}
+ */
+function getPriceTypeName(priceType) {
+  if (typeof priceType !== 'string') return null;
+  return priceType.replace(/^https?:\/\/schema\.org\//i, '').trim();
+}
+
+/**
+ * Convert a JSON-LD price value to a number
+ * JSON-LD prices use a dot as decimal separator ("19.99" or 19.99).
+ * @param {*} value - Raw value
+ * @returns {number|null}
+ */
+function toPriceNumber(value) {
+  if (typeof value === 'number') return isFinite(value) && value > 0 ? value : null;
+  if (typeof value !== 'string') return null;
+
+  const number = parseFloat(value.replace(/[^\d.]/g, ''));
+  return isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Parse a sale end date
+ * @param {*} value - ISO date, date string, or timestamp (seconds or ms)
+ * @returns {number|null} Timestamp or null
+ */
+export function parseSaleEndDate(value) {
+  if (typeof value === 'number' && isFinite(value) && value > 0) {
+    // Countdown widgets often use Unix seconds
+    return value < 1e12 ? value * 1000 : value;
+  }
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const trimmed = value.trim();
+  if (/^\d{10}(\d{3})?$/.test(trimmed)) {
+    return parseSaleEndDate(Number(trimmed));
+  }
+
+  // A plain date ("2026-10-31") means the sale lasts that whole day
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(trimmed);
+  const timestamp = Date.parse(dateOnly ? `${trimmed}T23:59:59` : trimmed);
+  return isFinite(timestamp) ? timestamp : null;
+}
+
+/**
+ * Parse a sale countdown text
+ * Handles "Ends in 2 days", "Sale ends in 5h 30m", "Ends in 05:12:33" and
+ * texts containing a parseable date ("Offer ends 2026-10-31").
+ * @param {string} text - Countdown text
+ * @param {number} now - Current timestamp
+ * @returns {number|null} Timestamp or null
+ */
+export function parseSaleEndText(text, now = Date.now()) {
+  if (!text || typeof text !== 'string') return null;
+  const lower = text.toLowerCase();
+
+  const clock = lower.match(/\b(\d{1,3}):(\d{2}):(\d{2})\b/);
+  if (clock) {
+    return now + Number(clock[1]) * HOUR_MS + Number(clock[2]) * MINUTE_MS + Number(clock[3]) * 1000;
+  }
+
+  const units = [
+    [/(\d+)\s*(?:d\b|days?\b)/, DAY_MS],
+    [/(\d+)\s*(?:h\b|hrs?\b|hours?\b)/, HOUR_MS],
+    [/(\d+)\s*(?:m\b|mins?\b|minutes?\b)/, MINUTE_MS]
+  ];
+  let offset = 0;
+  for (const [pattern, unitMs] of units) {
+    const match = lower.match(pattern);
+    if (match) offset += Number(match[1]) * unitMs;
+  }
+  if (offset > 0) return now + offset;
+
+  const isoDate = text.match(/\d{4}-\d{2}-\d{2}(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?/);
+  return isoDate ? parseSaleEndDate(isoDate[0]) : null;
+}
+
+/**
+ * Read the was price and sale end of one Schema.org offer
+ * @param {Object} offer - Offer node
+ * @returns {{ wasPrice: number|null, saleEndsAt: number|null }}
+ */
+export function getOfferSaleInfo(offer) {
+  let wasPrice = null;
+  let saleEndsAt = null;
+
+  if (!offer || typeof offer !== 'object') {
+    return { wasPrice, saleEndsAt };
+  }
+
+  const specs = Array.isArray(offer.priceSpecification)
+    ? offer.priceSpecification
+    : offer.priceSpecification ? [offer.priceSpecification] : [];
+
+  for (const spec of specs) {
+    if (!spec || typeof spec !== 'object') continue;
+    const type = getPriceTypeName(spec.priceType);
+
+    if (WAS_PRICE_TYPES.includes(type)) {
+      const value = toPriceNumber(spec.price);
+      if (value !== null && (wasPrice === null || value > wasPrice)) {
+        wasPrice = value;
+      }
+    } else if (type === 'SalePrice' && spec.validThrough) {
+      saleEndsAt = parseSaleEndDate(spec.validThrough);
+    }
+  }
+
+  if (saleEndsAt === null && offer.priceValidUntil) {
+    saleEndsAt = parseSaleEndDate(offer.priceValidUntil);
+  }
+
+  return { wasPrice, saleEndsAt };
+}
+
+/**
+ * Collect Schema.org offer nodes (anything with a price) from JSON-LD data
+ * @param {Object|Array} node - Parsed JSON-LD
+ * @param {Array} offers - Accumulator
+ * @param {WeakSet<object>} seen - Cycle guard
+ * @returns {Array}
+ */
+export function collectSchemaOffers(node, offers = [], seen = new WeakSet()) {
+  if (!node || typeof node !== 'object' || seen.has(node)) return offers;
+  seen.add(node);
+
+  if (!Array.isArray(node) && !getPriceTypeName(node.priceType) &&
+      (node.price !== undefined || node.lowPrice !== undefined || node.priceSpecification !== undefined)) {
+    offers.push(node);
+  }
+
+  for (const value of Array.isArray(node) ? node : Object.values(node)) {
+    if (value && typeof value === 'object') {
+      collectSchemaOffers(value, offers, seen);
+    }
+  }
+
+  return offers;
+}
+
+/**
+ * Keep only a plausible was price and sale end
+ * @param {number} currentPrice - Current price
+ * @param {Object} info - { wasPrice, saleEndsAt }
+ * @param {number} now - Current timestamp
+ * @returns {{ wasPrice: number|null, saleEndsAt: number|null }}
+ */
+export function normalizeSaleInfo(currentPrice, info, now = Date.now()) {
+  const wasPrice = info?.wasPrice;
+  const valid = typeof currentPrice === 'number' && currentPrice > 0 &&
+    typeof wasPrice === 'number' && isFinite(wasPrice) &&
+    wasPrice - currentPrice >= 0.01 &&
+    wasPrice <= currentPrice * MAX_WAS_PRICE_RATIO;
+
+  if (!valid) {
+    return { wasPrice: null, saleEndsAt: null };
+  }
+
+  const saleEndsAt = typeof info.saleEndsAt === 'number' && info.saleEndsAt > now ? info.saleEndsAt : null;
+  return { wasPrice: Math.round(wasPrice * 100) / 100, saleEndsAt };
+}
+
+/**
+ * Put the was price and sale end on a price object
+ * Fields that are no longer valid are removed, so a finished sale doesn't
+ * leave a stale was price behind.
+ * @param {Object} price - Price object ({ numeric, currency, ... })
+ * @param {Object} info - { wasPrice, saleEndsAt }
+ * @param {number} now - Current timestamp
+ * @returns {Object} New price object
+ */
+export function applySaleInfo(price, info, now = Date.now()) {
+  if (!price || typeof price !== 'object') return price;
+
+  const { wasPrice, saleEndsAt } = normalizeSaleInfo(price.numeric, info, now);
+  const { regularPrice: _regularPrice, saleEndsAt: _saleEndsAt, ...rest } = price;
+
+  if (wasPrice === null) return rest;
+  return saleEndsAt === null
+    ? { ...rest, regularPrice: wasPrice }
+    : { ...rest, regularPrice: wasPrice, saleEndsAt };
+}
+
+/**
+ * Check whether the was price or sale end differ between two price objects
+ * @param {Object} a - Price object
+ * @param {Object} b - Price object
+ * @returns {boolean}
+ */
+export function saleInfoChanged(a, b) {
+  return (a?.regularPrice ?? null) !== (b?.regularPrice ?? null) ||
+    (a?.saleEndsAt ?? null) !== (b?.saleEndsAt ?? null);
+}
+
+/**
+ * Find a was price in the Schema.org data of a document
+ * Prefers the offer whose price is the current price, so the list price of
+ * another variant isn't used.
+ * @param {Document} doc - Document
+ * @param {number} currentPrice - Current price
+ * @returns {{ wasPrice: number|null, saleEndsAt: number|null }}
+ */
+export function findSchemaSaleInfo(doc, currentPrice) {
+  const offers = [];
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      collectSchemaOffers(JSON.parse(script.textContent), offers);
+    } catch (error) {
+      // Ignore JSON parse errors
+    }
+  }
+
+  const withWasPrice = offers
+    .map(offer => ({ offer, info: getOfferSaleInfo(offer) }))
+    .filter(({ info }) => info.wasPrice !== null);
+
+  const matching = withWasPrice.find(({ offer }) => {
+    const price = toPriceNumber(offer.price ?? offer.lowPrice);
+    return price !== null && Math.abs(price - currentPrice) < 0.01;
+  });
+
+  return (matching || withWasPrice[0])?.info || { wasPrice: null, saleEndsAt: null };
+}
+
+/**
+ * Find the first non-empty text of a list of selectors
+ * @param {Document|Element} root - Where to search
+ * @param {string[]} selectors - CSS selectors
+ * @returns {string|null}
+ */
+export function findWasPriceText(root, selectors) {
+  for (const selector of selectors || []) {
+    let elements;
+    try {
+      elements = root.querySelectorAll(selector);
+    } catch (error) {
+      continue; // Invalid selector
+    }
+
+    for (const element of elements) {
+      const text = (element.textContent || element.getAttribute('content') || '').trim();
+      if (text && /\d/.test(text)) {
+        return text;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find a sale end in countdown elements
+ * Reads date/timestamp attributes first, then the countdown text.
+ * @param {Document|Element} root - Where to search
+ * @param {string[]} selectors - CSS selectors
+ * @param {number} now - Current timestamp
+ * @returns {number|null} Timestamp or null
+ */
+export function findSaleEndDate(root, selectors, now = Date.now()) {
+  for (const selector of selectors || []) {
+    let element;
+    try {
+      element = root.querySelector(selector);
+    } catch (error) {
+      continue; // Invalid selector
+    }
+    if (!element) continue;
+
+    for (const attribute of DATA_END_ATTRIBUTES) {
+      const timestamp = parseSaleEndDate(element.getAttribute(attribute));
+      if (timestamp !== null) return timestamp;
+    }
+
+    const fromText = parseSaleEndText(element.textContent, now);
+    if (fromText !== null) return fromText;
+  }
+
+  return null;
+}
+
+/**
+ * Find the was price and sale end of a page
+ * Schema.org data first, then strikethrough/countdown selectors.
+ * @param {Document} doc - Document (page or DOMParser result)
+ * @param {number} currentPrice - Current price
+ * @param {Object} contextData - Parser context (domain, locale, expectedCurrency)
+ * @param {Object} options
+ * @param {string[]} options.wasPriceSelectors - Selectors for the was price
+ * @param {string[]} options.saleEndSelectors - Selectors for the sale end
+ * @param {number} options.now - Current timestamp
+ * @returns {{ wasPrice: number|null, saleEndsAt: number|null }}
+ */
+export function extractSaleInfoFromDocument(doc, currentPrice, contextData = {}, options = {}) {
+  const {
+    wasPriceSelectors = GENERIC_WAS_PRICE_SELECTORS,
+    saleEndSelectors = GENERIC_SALE_END_SELECTORS,
+    now = Date.now()
+  } = options;
+
+  if (!doc || typeof currentPrice !== 'number') {
+    return { wasPrice: null, saleEndsAt: null };
+  }
+
+  let { wasPrice, saleEndsAt } = findSchemaSaleInfo(doc, currentPrice);
+
+  if (normalizeSaleInfo(currentPrice, { wasPrice }, now).wasPrice === null) {
+    const text = findWasPriceText(doc, wasPriceSelectors);
+    wasPrice = text ? parsePrice(text, contextData)?.numeric ?? null : null;
+  }
+
+  if (saleEndsAt === null) {
+    saleEndsAt = findSaleEndDate(doc, saleEndSelectors, now);
+  }
+
+  return normalizeSaleInfo(currentPrice, { wasPrice, saleEndsAt }, now);
+}
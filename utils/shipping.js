@@ -0,0 +1,300 @@
+/**
+ * Shipping Module
+ * Finds the shipping cost of a product and works out the total ("landed")
+ * price, so shops that move part of the price into shipping (eBay,
+ * AliExpress, marketplaces) can be compared fairly.
+ *
+ * The shipping cost is kept on the price object next to the item price;
+ * 0 means free shipping, a missing field means unknown:
+ *
+ *   { numeric: 24.99, currency: 'USD', shipping: 5.99 }
+ *
+ * Sources, most reliable first:
+ *   1. Schema.org offers - shippingDetails.shippingRate (cheapest option)
+ *   2. Shipping text on the page ("Free shipping", "+ $5.99 shipping")
+ *
+ * settings.tracking.priceBasis chooses what alerts and charts compare:
+ * the item price ('item', default), the total with shipping ('total') or
+ * the unit price ('unit', see utils/unit-price.js).
+ * A change to or from free shipping is a price event either way.
+ */
+
+import { parsePrice } from './currency-parser.js';
+import { collectSchemaOffers } from './sale-price.js';
+
+export const PRICE_BASIS = {
+  ITEM: 'item',
+  TOTAL: 'total',
+  UNIT: 'unit'
+};
+
+/**
+ * Kinds of shipping changes that count as a price event
+ */
+export const SHIPPING_CHANGES = {
+  FREE_SHIPPING_ADDED: 'free_shipping_added',
+  FREE_SHIPPING_REMOVED: 'free_shipping_removed'
+};
+
+/**
+ * Shipping elements used when no adapter knows the page
+ */
+export const GENERIC_SHIPPING_SELECTORS = [
+  '[data-testid="shipping-cost"]',
+  '[itemprop="shippingDetails"] [itemprop="value"]',
+  '.product-shipping',
+  '.shipping-cost',
+  '.shipping-price',
+  '[class*="shippingCost"]',
+  '[class*="shipping-cost"]',
+  '[class*="delivery-cost"]',
+  '[class*="deliveryCost"]'
+];
+
+/**
+ * "Free shipping" in the languages of the supported shops
+ */
+const FREE_SHIPPING_PATTERN = /\b(free\s+(standard\s+)?(shipping|delivery|postage)|(shipping|delivery|postage)\s*:?\s*free|kostenlose[rn]?\s+(versand|lieferung)|versandkostenfrei|gratis\s*(versand|verzending|levering|frakt)|livraison\s+gratuite|envío\s+gratis|spedizione\s+gratuita|darmowa\s+dostawa|fri\s+(frakt|fragt|levering))\b/i;
+
+/**
+ * Words that mark a text as shipping related
+ */
+const SHIPPING_WORD_PATTERN = /(shipping|delivery|postage|versand|lieferung|verzending|livraison|envío|spedizione|dostawa|frakt|fragt)/i;
+
+/**
+ * Shipping texts must name a currency; bare numbers are usually delivery
+ * dates or days ("Arrives in 3 days"), whose currency is only guessed
+ * from the domain, locale or expected currency
+ */
+const CURRENCY_IN_TEXT_METHODS = ['iso_code', 'symbol', 'symbol_disambiguated', 'symbol_contextual', 'symbol_weak'];
+
+/**
+ * Shipping costs this many times the item price are treated as noise
+ */
+const MAX_SHIPPING_RATIO = 5;
+
+/**
+ * Convert a Schema.org MonetaryAmount value to a number
+ * @param {*} value - Raw value
+ * @returns {number|null}
+ */
+function toAmount(value) {
+  if (typeof value === 'number') return isFinite(value) && value >= 0 ? value : null;
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const number = parseFloat(value.replace(/[^\d.]/g, ''));
+  return isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Read the cheapest shipping rate of a Schema.org offer
+ * @param {Object} offer - Offer node
+ * @param {string} currency - Item price currency; rates in other currencies are skipped
+ * @returns {number|null} Shipping cost (0 = free) or null if not given
+ */
+export function getOfferShippingCost(offer, currency = null) {
+  if (!offer || typeof offer !== 'object' || !offer.shippingDetails) return null;
+
+  const details = Array.isArray(offer.shippingDetails) ? offer.shippingDetails : [offer.shippingDetails];
+  let cheapest = null;
+
+  for (const detail of details) {
+    if (!detail || typeof detail !== 'object' || detail.doesNotShip === true) continue;
+
+    const rates = Array.isArray(detail.shippingRate) ? detail.shippingRate : [detail.shippingRate];
+    for (const rate of rates) {
+      if (!rate || typeof rate !== 'object') continue;
+      if (currency && rate.currency && rate.currency !== currency) continue;
+
+      const value = toAmount(rate.value ?? rate.minValue);
+      if (value !== null && (cheapest === null || value < cheapest)) {
+        cheapest = value;
+      }
+    }
+  }
+
+  return cheapest;
+}
+
+/**
+ * Parse a shipping text
+ * @param {string} text - e.g. "Free shipping", "+ $5.99 shipping", "Versand: 4,95 €"
+ * @param {Object} contextData - Parser context (domain, locale, expectedCurrency)
+ * @returns {number|null} Shipping cost (0 = free) or null if not a shipping cost
+ */
+export function parseShippingText(text, contextData = {}) {
+  if (!text || typeof text !== 'string') return null;
+  const clean = text.replace(/\s+/g, ' ').trim();
+
+  if (FREE_SHIPPING_PATTERN.test(clean)) return 0;
+
+  // Drop the shipping words, then parse what is left as a price
+  const amountText = clean.replace(SHIPPING_WORD_PATTERN, ' ').replace(/[+:]/g, ' ').trim();
+  if (!/\d/.test(amountText)) return null;
+
+  const parsed = parsePrice(amountText, contextData);
+  return parsed && typeof parsed.numeric === 'number' && parsed.numeric >= 0 &&
+    CURRENCY_IN_TEXT_METHODS.includes(parsed.method) ? parsed.numeric : null;
+}
+
+/**
+ * Keep only a plausible shipping cost
+ * @param {number} itemPrice - Item price
+ * @param {*} shipping - Shipping cost
+ * @returns {number|null}
+ */
+export function normalizeShippingCost(itemPrice, shipping) {
+  if (typeof shipping !== 'number' || !isFinite(shipping) || shipping < 0) return null;
+  if (typeof itemPrice === 'number' && itemPrice > 0 && shipping > itemPrice * MAX_SHIPPING_RATIO) return null;
+  return Math.round(shipping * 100) / 100;
+}
+
+/**
+ * Find the shipping cost in the Schema.org data of a document
+ * Prefers the offer whose price is the current price.
+ * @param {Document} doc - Document
+ * @param {number} currentPrice - Current item price
+ * @param {string} currency - Item price currency
+ * @returns {number|null}
+ */
+export function findSchemaShippingCost(doc, currentPrice, currency = null) {
+  const offers = [];
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      collectSchemaOffers(JSON.parse(script.textContent), offers);
+    } catch (error) {
+      // Ignore JSON parse errors
+    }
+  }
+
+  const withShipping = offers
+    .map(offer => ({ offer, shipping: getOfferShippingCost(offer, currency) }))
+    .filter(({ shipping }) => shipping !== null);
+
+  const matching = withShipping.find(({ offer }) => {
+    const price = toAmount(offer.price ?? offer.lowPrice);
+    return price !== null && Math.abs(price - currentPrice) < 0.01;
+  });
+
+  return (matching || withShipping[0])?.shipping ?? null;
+}
+
+/**
+ * Find the shipping cost of a page
+ * Schema.org data first, then shipping elements.
+ * @param {Document} doc - Document (page or DOMParser result)
+ * @param {number} currentPrice - Current item price
+ * @param {Object} contextData - Parser context (domain, locale, expectedCurrency)
+ * @param {Object} options
+ * @param {string[]} options.selectors - Shipping element selectors
+ * @returns {number|null} Shipping cost (0 = free) or null if unknown
+ */
+export function extractShippingFromDocument(doc, currentPrice, contextData = {}, options = {}) {
+  const { selectors = GENERIC_SHIPPING_SELECTORS } = options;
+  if (!doc || typeof currentPrice !== 'number') return null;
+
+  const fromSchema = normalizeShippingCost(currentPrice, findSchemaShippingCost(doc, currentPrice, contextData.expectedCurrency));
+  if (fromSchema !== null) return fromSchema;
+
+  for (const selector of selectors) {
+    let element;
+    try {
+      element = doc.querySelector(selector);
+    } catch (error) {
+      continue; // Invalid selector
+    }
+    if (!element) continue;
+
+    // Microdata content attributes hold a plain number
+    const content = element.getAttribute('content');
+    const shipping = normalizeShippingCost(currentPrice,
+      content ? toAmount(content) : parseShippingText(element.textContent, contextData));
+    if (shipping !== null) return shipping;
+  }
+
+  return null;
+}
+
+/**
+ * Put the shipping cost on a price object
+ * An unknown cost (null) keeps the stored one: a page that didn't show
+ * shipping this time says nothing about whether it changed.
+ * @param {Object} price - Price object
+ * @param {number|null} shipping - Shipping cost
+ * @returns {Object} New price object
+ */
+export function applyShipping(price, shipping) {
+  if (!price || typeof price !== 'object') return price;
+
+  const cost = normalizeShippingCost(price.numeric, shipping);
+  return cost === null ? price : { ...price, shipping: cost };
+}
+
+/**
+ * Read the price basis setting
+ * @param {Object} settings - Extension settings
+ * @returns {string} One of PRICE_BASIS
+ */
+export function getPriceBasis(settings) {
+  const basis = settings?.tracking?.priceBasis;
+  return Object.values(PRICE_BASIS).includes(basis) ? basis : PRICE_BASIS.ITEM;
+}
+
+/**
+ * Item price plus shipping (unknown shipping counts as 0)
+ * @param {Object} price - Price object, or a history entry ({ price, shipping })
+ * @returns {number}
+ */
+export function getTotalPrice(price) {
+  const item = typeof price?.numeric === 'number' ? price.numeric : price?.price;
+  return Math.round((item + (typeof price?.shipping === 'number' ? price.shipping : 0)) * 100) / 100;
+}
+
+/**
+ * Price used for alerts and charts
+ * Without a unit price, the unit basis falls back to the item price.
+ * @param {Object} price - Price object or history entry
+ * @param {string} basis - One of PRICE_BASIS
+ * @returns {number}
+ */
+export function getComparablePrice(price, basis) {
+  if (basis === PRICE_BASIS.TOTAL) return getTotalPrice(price);
+  if (basis === PRICE_BASIS.UNIT && typeof price?.unitPrice === 'number') return price.unitPrice;
+  return typeof price?.numeric === 'number' ? price.numeric : price?.price;
+}
+
+/**
+ * Totals with shipping for a price history, for charts
+ * Readings without a known shipping cost use the last known one (the first
+ * known one before that), so a page that hides shipping now and then
+ * doesn't show up as a price jump.
+ * @param {Array} history - History entries ({ price, shipping })
+ * @param {number} currentShipping - Current shipping cost, used for the latest reading
+ * @returns {number[]} One total per entry
+ */
+export function getTotalPriceSeries(history, currentShipping = null) {
+  const entries = Array.isArray(history) ? history : [];
+  const shippings = entries.map(entry => typeof entry?.shipping === 'number' ? entry.shipping : null);
+  if (typeof currentShipping === 'number' && shippings.length > 0) {
+    shippings[shippings.length - 1] = currentShipping;
+  }
+
+  let known = shippings.find(value => value !== null) ?? 0;
+  return entries.map((entry, index) => {
+    if (shippings[index] !== null) known = shippings[index];
+    return getTotalPrice({ price: entry.price, shipping: known });
+  });
+}
+
+/**
+ * Classify a change between two shipping costs
+ * @param {number|undefined} oldShipping - Previous cost
+ * @param {number|undefined} newShipping - New cost
+ * @returns {string|null} One of SHIPPING_CHANGES, or null (no change, or not known on both sides)
+ */
+export function getShippingChange(oldShipping, newShipping) {
+  if (typeof oldShipping !== 'number' || typeof newShipping !== 'number') return null;
+  if (oldShipping > 0 && newShipping === 0) return SHIPPING_CHANGES.FREE_SHIPPING_ADDED;
+  if (oldShipping === 0 && newShipping > 0) return SHIPPING_CHANGES.FREE_SHIPPING_REMOVED;
+  return null;
+}
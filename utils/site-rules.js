@@ -0,0 +1,403 @@
+/**
+ * Site Rules Module
+ * Declarative per-domain extraction rules, so a shop can be supported
+ * without writing a site adapter. One rule drives both first detection
+ * (content script, see site-adapters/rule-adapter.js) and background
+ * re-checks (offscreen document and DOMParser fallback).
+ *
+ * Rules are stored in settings.extraction.siteRules, picked on the page
+ * with the price picker (content-scripts/price-picker.js) or edited as JSON
+ * on the settings page:
+ *
+ *   {
+ *     "domain": "shop.example",            // also matches www. and other subdomains
+ *     "currency": "EUR",                   // optional expected currency
+ *     "title": "h1.product-name",          // CSS selector (element text)
+ *     "price": { "selector": "[data-price]", "attribute": "data-price" },
+ *     "wasPrice": ".price--old",
+ *     "image": { "selector": ".gallery img" },
+ *     "sku": { "jsonPath": "sku" },        // JSON-LD Product node
+ *     "availability": { "script": "#__NEXT_DATA__", "jsonPath": "props.pageProps.product.inStock" }
+ *   }
+ *
+ * A field is a CSS selector, or a JSON path into the page's JSON-LD Product
+ * data or, with "script", into the JSON of that script element (embedded
+ * platform data such as __NEXT_DATA__). Selectors read the element's text,
+ * a meta tag's content or an image's src unless "attribute" names another.
+ * JSON paths use dots and indexes ("offers[0].price", "variants[*].price");
+ * a name applied to an array reads it from the first element that has it.
+ *
+ * Only "domain" and "price" are required; fields a rule leaves out fall
+ * back to the usual detection.
+ *
+ * Pure functions only - shared by content scripts, background and options pages.
+ */
+
+import { parsePrice } from './currency-parser.js';
+import { normalizeAvailability, detectAvailabilityFromText } from './availability.js';
+
+/**
+ * Fields a rule can define
+ */
+export const SITE_RULE_FIELDS = ['title', 'price', 'wasPrice', 'image', 'sku', 'availability'];
+
+/**
+ * Detection method reported for prices read with a site rule
+ */
+export const SITE_RULE_METHOD = 'siteRule';
+
+/**
+ * ISO 4217 code
+ */
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Host name without protocol, path, port and "www."
+ * @param {string} value - Domain or URL
+ * @returns {string}
+ */
+export function normalizeRuleDomain(value) {
+  if (typeof value !== 'string') return '';
+  return value.trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/?#:].*$/, '')
+    .replace(/^www\./, '');
+}
+
+/**
+ * Validate one field of a rule
+ * @param {*} spec - Selector string or { selector, attribute } / { jsonPath, script }
+ * @returns {{ spec: Object|null, error: string|null }}
+ */
+function normalizeFieldSpec(spec) {
+  if (typeof spec === 'string') {
+    return spec.trim() ? { spec: { selector: spec.trim() }, error: null } : { spec: null, error: 'empty selector' };
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return { spec: null, error: 'must be a selector or an object' };
+  }
+
+  const selector = typeof spec.selector === 'string' ? spec.selector.trim() : '';
+  const jsonPath = typeof spec.jsonPath === 'string' ? spec.jsonPath.trim() : '';
+  if (selector && jsonPath) return { spec: null, error: 'use either "selector" or "jsonPath"' };
+
+  if (selector) {
+    const attribute = typeof spec.attribute === 'string' && spec.attribute.trim() ? spec.attribute.trim() : null;
+    return { spec: { selector, ...(attribute ? { attribute } : {}) }, error: null };
+  }
+  if (jsonPath) {
+    const script = typeof spec.script === 'string' && spec.script.trim() ? spec.script.trim() : null;
+    return { spec: { jsonPath, ...(script ? { script } : {}) }, error: null };
+  }
+  return { spec: null, error: 'needs "selector" or "jsonPath"' };
+}
+
+/**
+ * Validate and normalize a site rule
+ * @param {*} input - Rule object
+ * @returns {{ rule: Object|null, errors: string[] }}
+ */
+export function normalizeSiteRule(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { rule: null, errors: ['Not a rule object'] };
+  }
+
+  const domain = normalizeRuleDomain(input.domain);
+  if (!domain || !domain.includes('.')) {
+    return { rule: null, errors: [`Invalid domain: ${input.domain ?? '(missing)'}`] };
+  }
+
+  const errors = [];
+  const rule = { domain };
+  if (typeof input.name === 'string' && input.name.trim()) {
+    rule.name = input.name.trim();
+  }
+  if (input.currency !== undefined) {
+    const currency = String(input.currency).trim().toUpperCase();
+    if (CURRENCY_CODE_PATTERN.test(currency)) {
+      rule.currency = currency;
+    } else {
+      errors.push(`${domain}: invalid currency ${input.currency}`);
+    }
+  }
+
+  for (const field of SITE_RULE_FIELDS) {
+    if (input[field] === undefined) continue;
+    const { spec, error } = normalizeFieldSpec(input[field]);
+    if (spec) {
+      rule[field] = spec;
+    } else {
+      errors.push(`${domain}: ${field} ${error}`);
+    }
+  }
+
+  if (!rule.price) {
+    return { rule: null, errors: [...errors, `${domain}: a price selector or JSON path is required`] };
+  }
+  return { rule, errors };
+}
+
+/**
+ * Validate a list of rules (later rules for the same domain replace earlier ones)
+ * @param {*} input - Array of rules, or { rules: [...] }
+ * @returns {{ rules: Object[], errors: string[] }}
+ */
+export function normalizeSiteRules(input) {
+  const list = Array.isArray(input) ? input : Array.isArray(input?.rules) ? input.rules : null;
+  if (!list) {
+    return { rules: [], errors: ['Expected a list of rules'] };
+  }
+
+  const byDomain = new Map();
+  const errors = [];
+  list.forEach((entry, index) => {
+    const { rule, errors: ruleErrors } = normalizeSiteRule(entry);
+    errors.push(...ruleErrors.map(error => `Rule ${index + 1}: ${error}`));
+    if (rule) byDomain.set(rule.domain, rule);
+  });
+  return { rules: [...byDomain.values()], errors };
+}
+
+/**
+ * Parse rules from JSON text (settings editor)
+ * @param {string} text - JSON text
+ * @returns {{ rules: Object[], errors: string[] }}
+ */
+export function parseSiteRules(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { rules: [], errors: [] };
+  }
+  try {
+    return normalizeSiteRules(JSON.parse(text));
+  } catch (error) {
+    return { rules: [], errors: [`Invalid JSON: ${error.message}`] };
+  }
+}
+
+/**
+ * Rules in use
+ * @param {Object} settings - Extension settings
+ * @returns {Object[]} Normalized rules
+ */
+export function getSiteRules(settings) {
+  const stored = settings?.extraction?.siteRules;
+  return Array.isArray(stored) ? normalizeSiteRules(stored).rules : [];
+}
+
+/**
+ * Format rules for the settings editor
+ * @param {Object[]} rules - Rules
+ * @returns {string} Pretty-printed JSON
+ */
+export function formatSiteRules(rules) {
+  return JSON.stringify(Array.isArray(rules) ? rules : [], null, 2);
+}
+
+/**
+ * Add a picked override to the stored rules
+ * The picked fields replace those of the domain's existing rule; the
+ * rule's other fields (currency, image, JSON paths...) are kept.
+ * @param {Object[]} rules - Stored rules
+ * @param {Object} override - { domain, price, title?, ... } from the price picker
+ * @returns {{ rules: Object[], rule: Object|null, errors: string[] }}
+ */
+export function mergeSiteRule(rules, override) {
+  const domain = normalizeRuleDomain(override?.domain);
+  const list = Array.isArray(rules) ? rules : [];
+  const existing = list.find(rule => normalizeRuleDomain(rule?.domain) === domain);
+
+  const fields = Object.fromEntries(Object.entries(override || {}).filter(([, value]) => value !== undefined && value !== null));
+  const { rule, errors } = normalizeSiteRule({ ...(existing || {}), ...fields, domain });
+  if (!rule) {
+    return { rules: list, rule: null, errors };
+  }
+  return {
+    rules: [...list.filter(entry => entry !== existing), rule],
+    rule,
+    errors
+  };
+}
+
+/**
+ * Find the rule for a page
+ * The most specific domain wins ("de.shop.example" over "shop.example").
+ * @param {Object[]} rules - Normalized rules
+ * @param {string} urlOrHost - Page URL or host name
+ * @returns {Object|null}
+ */
+export function findSiteRule(rules, urlOrHost) {
+  const host = normalizeRuleDomain(urlOrHost);
+  if (!host || !Array.isArray(rules)) return null;
+
+  let best = null;
+  for (const rule of rules) {
+    if ((host === rule.domain || host.endsWith(`.${rule.domain}`)) &&
+        (!best || rule.domain.length > best.domain.length)) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
+/**
+ * Split a JSON path into keys and indexes
+ * @param {string} path - e.g. "$.offers[0].price"
+ * @returns {Array<string|number>} '*' for wildcards
+ */
+function tokenizeJsonPath(path) {
+  const tokens = [];
+  for (const match of path.replace(/^\$\.?/, '').matchAll(/\[(\d+|\*)\]|([^.[\]]+)/g)) {
+    if (match[1] !== undefined) {
+      tokens.push(match[1] === '*' ? '*' : Number(match[1]));
+    } else {
+      tokens.push(match[2]);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Read a value by JSON path
+ * @param {*} data - Parsed JSON
+ * @param {string} path - JSON path
+ * @returns {*} First value found (undefined if none)
+ */
+export function readJsonPath(data, path) {
+  if (typeof path !== 'string') return undefined;
+
+  const walk = (value, tokens) => {
+    if (value === null || value === undefined) return undefined;
+    if (tokens.length === 0) return value;
+
+    const [token, ...rest] = tokens;
+    if (token === '*' || (typeof token === 'string' && Array.isArray(value))) {
+      if (!Array.isArray(value)) return undefined;
+      for (const item of value) {
+        const found = walk(item, token === '*' ? rest : tokens);
+        if (found !== undefined) return found;
+      }
+      return undefined;
+    }
+    return typeof value === 'object' ? walk(value[token], rest) : undefined;
+  };
+
+  return walk(data, tokenizeJsonPath(path));
+}
+
+/**
+ * JSON-LD nodes of a document, Product nodes first
+ * @param {Document} doc - Document
+ * @returns {Object[]}
+ */
+function getJsonLdNodes(doc) {
+  const nodes = [];
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const data = JSON.parse(script.textContent);
+      const items = Array.isArray(data) ? data : data?.['@graph'] || [data];
+      nodes.push(...items.filter(item => item && typeof item === 'object'));
+    } catch (error) {
+      // Ignore JSON parse errors
+    }
+  }
+
+  const isProduct = node => [].concat(node['@type'] || []).some(type => type === 'Product' || type === 'ProductGroup');
+  return [...nodes.filter(isProduct), ...nodes.filter(node => !isProduct(node))];
+}
+
+/**
+ * Read the value of one rule field from a document
+ * @param {Document} doc - Document (page or DOMParser result)
+ * @param {Object} spec - Normalized field spec
+ * @returns {*} String for selectors, the JSON value for paths, or null
+ */
+export function readRuleField(doc, spec) {
+  if (!doc || !spec) return null;
+
+  if (spec.selector) {
+    let element;
+    try {
+      element = doc.querySelector(spec.selector);
+    } catch (error) {
+      return null; // Invalid selector
+    }
+    if (!element) return null;
+
+    const tag = element.tagName?.toUpperCase();
+    const value = spec.attribute ? element.getAttribute(spec.attribute)
+      : tag === 'META' ? element.getAttribute('content')
+        : tag === 'IMG' ? element.getAttribute('src')
+          : element.textContent;
+    return typeof value === 'string' && value.trim() ? value.replace(/\s+/g, ' ').trim() : null;
+  }
+
+  if (spec.script) {
+    let element;
+    try {
+      element = doc.querySelector(spec.script);
+    } catch (error) {
+      return null;
+    }
+    try {
+      const value = element ? readJsonPath(JSON.parse(element.textContent), spec.jsonPath) : undefined;
+      return value === undefined ? null : value;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  for (const node of getJsonLdNodes(doc)) {
+    const value = readJsonPath(node, spec.jsonPath);
+    if (value !== undefined && value !== null) return value;
+  }
+  return null;
+}
+
+/**
+ * Text of a field value (JSON-LD images and names can be objects or lists)
+ * @param {*} value - Field value
+ * @returns {string|null}
+ */
+function toText(value) {
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'string') return value.trim() || null;
+  if (Array.isArray(value)) return toText(value[0]);
+  if (value && typeof value === 'object') return toText(value.url ?? value.name ?? value['@id']);
+  return null;
+}
+
+/**
+ * Extract product data from a document with a site rule
+ * @param {Document} doc - Document (page or DOMParser result)
+ * @param {Object} rule - Normalized rule
+ * @param {Object} contextData - Parser context (domain, locale, expectedCurrency)
+ * @returns {Object} { title, price, wasPrice, image, sku, availability } - price is a
+ *   parsed price object; fields the rule doesn't define or the page lacks are null
+ */
+export function extractWithSiteRule(doc, rule, contextData = {}) {
+  const context = { ...contextData, expectedCurrency: rule?.currency || contextData.expectedCurrency };
+  const read = field => (rule?.[field] ? readRuleField(doc, rule[field]) : null);
+
+  const rawPrice = read('price');
+  const priceText = toText(rawPrice);
+  const price = priceText ? parsePrice(priceText, context) : null;
+  if (price && rule.currency && typeof rawPrice === 'number') {
+    price.currency = rule.currency; // Bare JSON numbers only have the rule's currency
+  }
+
+  const wasText = toText(read('wasPrice'));
+  const was = wasText ? parsePrice(wasText, context) : null;
+
+  const rawAvailability = read('availability');
+  const availability = normalizeAvailability(rawAvailability) ||
+    (typeof rawAvailability === 'string' ? detectAvailabilityFromText(rawAvailability) : null);
+
+  return {
+    title: toText(read('title')),
+    price: price && typeof price.numeric === 'number' ? price : null,
+    wasPrice: was && typeof was.numeric === 'number' && price && was.numeric > price.numeric ? was.numeric : null,
+    image: toText(read('image')),
+    sku: toText(read('sku')),
+    availability
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * Target Price Module
+ * Per-product target price alerts (product.notifications.targetPrice).
+ *
+ * A target is an absolute item price ("notify me under €79.00"). The alert
+ * fires when a check moves the price from above the target to at or below
+ * it, so a price that stays under the target doesn't re-alert on every
+ * check. A target set at or above the current price is met already; the
+ * service worker tells the user once, right when it is set.
+ */
+
+/**
+ * Check whether a target price is valid
+ * @param {*} targetPrice - Target price
+ * @returns {boolean}
+ */
+export function isValidTargetPrice(targetPrice) {
+  return typeof targetPrice === 'number' && isFinite(targetPrice) && targetPrice > 0;
+}
+
+/**
+ * Check whether a price change reaches the product's target price
+ *
+ * @param {number|null} targetPrice - User-defined target price
+ * @param {number|null} oldPrice - Previous price, or null when the target was
+ *   just set (then a price already at/below the target counts)
+ * @param {number} newPrice - Newly detected price
+ * @returns {boolean} - True if the target was reached by this change
+ */
+export function isTargetPriceReached(targetPrice, oldPrice, newPrice) {
+  if (!isValidTargetPrice(targetPrice) || typeof newPrice !== 'number' || !isFinite(newPrice)) {
+    return false;
+  }
+  if (newPrice > targetPrice) {
+    return false;
+  }
+  return oldPrice === null || oldPrice === undefined || oldPrice > targetPrice;
+}
+
+/**
+ * Check whether a background check reaches a product's target price
+ * Compares item prices, whatever basis (total with shipping, unit price)
+ * the check used to detect the change.
+ *
+ * @param {Object} product - Stored product (price before the check)
+ * @param {Object} checkedPrice - Price found by the check
+ * @returns {boolean} - True if the target was reached by this check
+ */
+export function isTargetReachedByCheck(product, checkedPrice) {
+  return isTargetPriceReached(
+    product?.notifications?.targetPrice ?? null,
+    product?.price?.numeric ?? null,
+    checkedPrice?.numeric
+  );
+}
@@ -0,0 +1,454 @@
+/**
+ * Unit Price Module
+ * Works out the price per kilogram, litre or item, so groceries, cosmetics
+ * and multi-packs can be compared by what they contain rather than by
+ * listing, and a smaller pack at the same price shows up as a price rise.
+ *
+ * The unit price is kept on the price object next to the item price, with
+ * the pack size (in the same unit) when it is known:
+ *
+ *   { numeric: 4.99, currency: 'EUR', unitPrice: 9.98, unit: 'kg', quantity: 0.5 }
+ *
+ * Units are normalized to a base unit: 'kg' for mass, 'l' for volume and
+ * 'item' for counts (pieces, tablets, ...). Ounces, pounds, millilitres
+ * and so on are converted.
+ *
+ * Sources, most reliable first:
+ *   1. Schema.org offers - a priceSpecification with a referenceQuantity
+ *      (UnitPriceSpecification)
+ *   2. Pack size in the product name ("500 g", "6 x 330 ml", "Pack of 12"),
+ *      divided into the price
+ *   3. Unit price text on the page ("€9.98/kg", "($0.28 / Ounce)")
+ *
+ * The shop's rounded unit price text comes last: the pack size gives the
+ * same result in the content script and in background checks, so rounding
+ * doesn't turn into price changes.
+ */
+
+import { parsePrice } from './currency-parser.js';
+import { collectSchemaOffers } from './sale-price.js';
+
+/**
+ * Base units
+ */
+export const BASE_UNITS = {
+  KG: 'kg',
+  L: 'l',
+  ITEM: 'item'
+};
+
+/**
+ * Kinds of pack size changes
+ */
+export const PACK_SIZE_CHANGES = {
+  DECREASED: 'pack_size_decreased',
+  INCREASED: 'pack_size_increased'
+};
+
+/**
+ * Unit price elements used when no adapter knows the page
+ */
+export const GENERIC_UNIT_PRICE_SELECTORS = [
+  '[data-testid="unit-price"]',
+  '[itemprop="unitPrice"]',
+  '.unit-price',
+  '.base-price',
+  '.price-per-unit',
+  '[class*="unitPrice"]',
+  '[class*="unit-price"]',
+  '[class*="basePrice"]',
+  '[class*="base-price"]',
+  '[class*="grundpreis"]',
+  // Amazon without the content script
+  '#corePrice_feature_div .a-price + .a-size-mini',
+  '#corePriceDisplay_desktop_feature_div .a-size-mini'
+];
+
+/**
+ * Unit words and their size in the base unit, longest spellings first
+ */
+const UNIT_DEFINITIONS = [
+  ['fl\\.?\\s?oz', BASE_UNITS.L, 0.0295735],
+  ['fluid\\s+ounces?', BASE_UNITS.L, 0.0295735],
+  ['kilograms?', BASE_UNITS.KG, 1],
+  ['kilogramm', BASE_UNITS.KG, 1],
+  ['kg', BASE_UNITS.KG, 1],
+  ['milligrams?', BASE_UNITS.KG, 0.000001],
+  ['mg', BASE_UNITS.KG, 0.000001],
+  ['grams?', BASE_UNITS.KG, 0.001],
+  ['gramm', BASE_UNITS.KG, 0.001],
+  ['gr', BASE_UNITS.KG, 0.001],
+  ['g', BASE_UNITS.KG, 0.001],
+  ['pounds?', BASE_UNITS.KG, 0.45359237],
+  ['lbs?', BASE_UNITS.KG, 0.45359237],
+  ['ounces?', BASE_UNITS.KG, 0.028349523125],
+  ['oz', BASE_UNITS.KG, 0.028349523125],
+  ['millilit(?:re|er)s?', BASE_UNITS.L, 0.001],
+  ['ml', BASE_UNITS.L, 0.001],
+  ['cl', BASE_UNITS.L, 0.01],
+  ['dl', BASE_UNITS.L, 0.1],
+  ['lit(?:re|er)s?', BASE_UNITS.L, 1],
+  ['gallons?', BASE_UNITS.L, 3.785411784],
+  ['gal', BASE_UNITS.L, 3.785411784],
+  ['l', BASE_UNITS.L, 1],
+  ['count', BASE_UNITS.ITEM, 1],
+  ['ct', BASE_UNITS.ITEM, 1],
+  ['pieces?', BASE_UNITS.ITEM, 1],
+  ['pcs?', BASE_UNITS.ITEM, 1],
+  ['items?', BASE_UNITS.ITEM, 1],
+  ['units?', BASE_UNITS.ITEM, 1],
+  ['stück', BASE_UNITS.ITEM, 1],
+  ['stk', BASE_UNITS.ITEM, 1],
+  ['each', BASE_UNITS.ITEM, 1],
+  ['ea', BASE_UNITS.ITEM, 1]
+].map(([pattern, unit, factor]) => ({ pattern: new RegExp(`^${pattern}$`, 'i'), unit, factor }));
+
+const UNIT_WORDS = '(fl\\.?\\s?oz|fluid\\s+ounces?|kilograms?|kilogramm|kg|milligrams?|mg|grams?|gramm|gr|g|pounds?|lbs?|ounces?|oz|millilit(?:re|er)s?|ml|cl|dl|lit(?:re|er)s?|gallons?|gal|l|count|ct|pieces?|pcs?|items?|units?|stück|stk|each|ea)';
+const NUMBER = '(\\d+(?:[.,]\\d+)?)';
+
+/**
+ * UN/CEFACT unit codes used in Schema.org referenceQuantity
+ */
+const UNIT_CODES = {
+  KGM: [BASE_UNITS.KG, 1],
+  GRM: [BASE_UNITS.KG, 0.001],
+  MGM: [BASE_UNITS.KG, 0.000001],
+  LBR: [BASE_UNITS.KG, 0.45359237],
+  ONZ: [BASE_UNITS.KG, 0.028349523125],
+  LTR: [BASE_UNITS.L, 1],
+  MLT: [BASE_UNITS.L, 0.001],
+  CLT: [BASE_UNITS.L, 0.01],
+  DLT: [BASE_UNITS.L, 0.1],
+  OZA: [BASE_UNITS.L, 0.0295735],
+  GLL: [BASE_UNITS.L, 3.785411784],
+  C62: [BASE_UNITS.ITEM, 1],
+  H87: [BASE_UNITS.ITEM, 1],
+  EA: [BASE_UNITS.ITEM, 1]
+};
+
+// "6 x 330 ml", "2×500g"
+const MULTIPACK_PATTERN = new RegExp(`(\\d+)\\s*[x×]\\s*${NUMBER}\\s*${UNIT_WORDS}(?![\\p{L}\\d])`, 'iu');
+// "500 g", "1,5 kg", "16.9 fl oz"
+const SIZE_PATTERN = new RegExp(`(?<![\\p{L}\\d.,])${NUMBER}\\s*${UNIT_WORDS}(?![\\p{L}\\d])`, 'giu');
+// "Pack of 12", "12-pack", "12er Pack", "12 Stück"
+const PACK_COUNT_PATTERN = /\bpack\s+of\s+(\d+)\b|\b(\d+)\s*(?:-|\s)?(?:er[\s-]?)?(?:pack|pk|packs)\b/i;
+// "€9.98/kg", "($0.28 / Ounce)", "£1.20 per 100g", "9,98 € pro 1 kg"
+const UNIT_PRICE_PATTERN = new RegExp(`(.*\\d.*?)\\s*(?:/|\\bper\\b|\\bpro\\b|\\bje\\b|\\bpar\\b)\\s*${NUMBER}?\\s*${UNIT_WORDS}(?![\\p{L}\\d])`, 'iu');
+// "1 kg = 9,98 €"
+const UNIT_EQUALS_PATTERN = new RegExp(`${NUMBER}?\\s*${UNIT_WORDS}\\s*=\\s*(.*\\d.*)`, 'iu');
+
+/**
+ * Parse a number with a decimal point or comma
+ * @param {string} text - e.g. "1,5"
+ * @returns {number}
+ */
+function toNumber(text) {
+  return parseFloat(String(text).replace(',', '.'));
+}
+
+/**
+ * Look up a unit word
+ * @param {string} word - e.g. "ml", "Ounce", "fl oz"
+ * @returns {{ unit: string, factor: number }|null} Base unit and size in it
+ */
+export function resolveUnit(word) {
+  if (!word) return null;
+  const definition = UNIT_DEFINITIONS.find(({ pattern }) => pattern.test(word.trim()));
+  return definition ? { unit: definition.unit, factor: definition.factor } : null;
+}
+
+/**
+ * Read the pack size from a product name
+ * "Coffee Beans 12 oz (Pack of 6)" is 72 oz, "Cola 6 x 330 ml" is 1.98 l,
+ * "Dishwasher Tabs 40 Stück" is 40 items.
+ * @param {string} text - Product name
+ * @returns {{ quantity: number, unit: string }|null} Size in the base unit
+ */
+export function parsePackSize(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const multipack = text.match(MULTIPACK_PATTERN);
+  if (multipack) {
+    const unit = resolveUnit(multipack[3]);
+    const quantity = parseInt(multipack[1], 10) * toNumber(multipack[2]) * (unit?.factor || 0);
+    if (unit && quantity > 0) return { quantity: roundQuantity(quantity), unit: unit.unit };
+  }
+
+  const packMatch = text.match(PACK_COUNT_PATTERN);
+  const packCount = packMatch ? parseInt(packMatch[1] || packMatch[2], 10) : null;
+
+  // Mass and volume describe the contents better than a count
+  let size = null;
+  for (const match of text.matchAll(SIZE_PATTERN)) {
+    // A capital G is a network ("5G"), not grams
+    if (match[2] === 'G') continue;
+    const unit = resolveUnit(match[2]);
+    if (!unit) continue;
+    const quantity = toNumber(match[1]) * unit.factor;
+    if (quantity <= 0) continue;
+    if (!size || (size.unit === BASE_UNITS.ITEM && unit.unit !== BASE_UNITS.ITEM)) {
+      size = { quantity, unit: unit.unit };
+    }
+  }
+
+  if (size) {
+    const quantity = size.unit !== BASE_UNITS.ITEM && packCount > 1 ? size.quantity * packCount : size.quantity;
+    return { quantity: roundQuantity(quantity), unit: size.unit };
+  }
+  if (packCount > 1) {
+    return { quantity: packCount, unit: BASE_UNITS.ITEM };
+  }
+  return null;
+}
+
+/**
+ * Round away floating point noise of unit conversions
+ * @param {number} quantity
+ * @returns {number}
+ */
+function roundQuantity(quantity) {
+  return Math.round(quantity * 1000000) / 1000000;
+}
+
+/**
+ * Parse a unit price text
+ * @param {string} text - e.g. "€9.98/kg", "($0.28 / Ounce)", "27.4 ¢/oz", "1 kg = 9,98 €"
+ * @param {Object} contextData - Parser context (domain, locale, expectedCurrency)
+ * @returns {{ unitPrice: number, unit: string }|null} Price per base unit
+ */
+export function parseUnitPriceText(text, contextData = {}) {
+  if (!text || typeof text !== 'string') return null;
+  const clean = text.replace(/\s+/g, ' ').replace(/[()]/g, ' ').trim();
+
+  let priceText;
+  let amount;
+  let unitWord;
+  const match = clean.match(UNIT_PRICE_PATTERN);
+  const equals = match ? null : clean.match(UNIT_EQUALS_PATTERN);
+  if (match) {
+    [, priceText, amount, unitWord] = match;
+  } else if (equals) {
+    [, amount, unitWord, priceText] = equals;
+  } else {
+    return null;
+  }
+
+  const unit = resolveUnit(unitWord);
+  if (!unit) return null;
+
+  // Only the price right before the unit counts ("4,99 € (9,98 €/kg)");
+  // US shops give small unit prices in cents ("27.4 ¢/oz")
+  const lastPrice = priceText.trim().match(/(?:[^\s\d:]{1,3}\s?)?\d[\d.,]*(?:\s?[^\s\d]+)?$/);
+  if (!lastPrice) return null;
+  const cents = lastPrice[0].includes('¢');
+  const parsed = parsePrice(lastPrice[0].replace('¢', '').trim(), contextData);
+  if (!parsed || typeof parsed.numeric !== 'number' || parsed.numeric <= 0) return null;
+
+  const reference = (amount ? toNumber(amount) : 1) * unit.factor;
+  if (!(reference > 0)) return null;
+
+  const unitPrice = (cents ? parsed.numeric / 100 : parsed.numeric) / reference;
+  return { unitPrice: roundPrice(unitPrice), unit: unit.unit };
+}
+
+/**
+ * Round a unit price to 4 decimals (cheap items can cost fractions of a cent per gram)
+ * @param {number} value
+ * @returns {number}
+ */
+function roundPrice(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Read the unit price of a Schema.org offer
+ * @param {Object} offer - Offer node
+ * @returns {{ unitPrice: number, unit: string }|null}
+ */
+export function getOfferUnitPrice(offer) {
+  if (!offer || typeof offer !== 'object' || !offer.priceSpecification) return null;
+
+  const specs = Array.isArray(offer.priceSpecification) ? offer.priceSpecification : [offer.priceSpecification];
+  for (const spec of specs) {
+    const reference = spec?.referenceQuantity;
+    if (!reference || typeof reference !== 'object') continue;
+
+    const code = UNIT_CODES[String(reference.unitCode || '').toUpperCase()];
+    const unit = code ? { unit: code[0], factor: code[1] } : resolveUnit(reference.unitText);
+    const price = toNumber(spec.price);
+    const amount = reference.value === undefined ? 1 : toNumber(reference.value);
+    if (unit && price > 0 && amount > 0) {
+      return { unitPrice: roundPrice(price / (amount * unit.factor)), unit: unit.unit };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the product name of a document, for the pack size
+ * Schema.org Product name, then og:title, then the main heading.
+ * @param {Document} doc - Document
+ * @returns {string|null}
+ */
+export function findProductName(doc) {
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const name = findSchemaProductName(JSON.parse(script.textContent));
+      if (name) return name;
+    } catch (error) {
+      // Ignore JSON parse errors
+    }
+  }
+
+  const ogTitle = doc.querySelector('meta[property="og:title"]')?.getAttribute('content');
+  if (ogTitle) return ogTitle;
+
+  return doc.querySelector('h1')?.textContent?.trim() || null;
+}
+
+/**
+ * Find the name of the first Product node in JSON-LD data
+ * @param {*} node - JSON-LD node
+ * @returns {string|null}
+ */
+function findSchemaProductName(node) {
+  if (!node || typeof node !== 'object') return null;
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      const name = findSchemaProductName(item);
+      if (name) return name;
+    }
+    return null;
+  }
+
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  if (types.includes('Product') && typeof node.name === 'string') {
+    return node.name;
+  }
+  return findSchemaProductName(node['@graph']);
+}
+
+/**
+ * Find the unit price of a page
+ * @param {Document} doc - Document (page or DOMParser result)
+ * @param {number} currentPrice - Current item price
+ * @param {Object} contextData - Parser context (domain, locale, expectedCurrency)
+ * @param {Object} options
+ * @param {string[]} options.selectors - Unit price element selectors
+ * @returns {{ unitPrice: number, unit: string, quantity: number|null }|null}
+ */
+export function extractUnitPriceFromDocument(doc, currentPrice, contextData = {}, options = {}) {
+  const { selectors = GENERIC_UNIT_PRICE_SELECTORS } = options;
+  if (!doc || typeof currentPrice !== 'number' || currentPrice <= 0) return null;
+
+  const packSize = parsePackSize(findProductName(doc));
+
+  // 1. Schema.org unit price
+  const offers = [];
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      collectSchemaOffers(JSON.parse(script.textContent), offers);
+    } catch (error) {
+      // Ignore JSON parse errors
+    }
+  }
+  for (const offer of offers) {
+    const fromSchema = getOfferUnitPrice(offer);
+    if (fromSchema) {
+      return { ...fromSchema, quantity: packSize?.unit === fromSchema.unit ? packSize.quantity : null };
+    }
+  }
+
+  // 2. Pack size in the product name
+  if (packSize) {
+    return { unitPrice: roundPrice(currentPrice / packSize.quantity), unit: packSize.unit, quantity: packSize.quantity };
+  }
+
+  // 3. Unit price text
+  for (const selector of selectors) {
+    let element;
+    try {
+      element = doc.querySelector(selector);
+    } catch (error) {
+      continue; // Invalid selector
+    }
+    const fromText = element ? parseUnitPriceText(element.textContent, contextData) : null;
+    if (fromText) {
+      return { ...fromText, quantity: null };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Put the unit price on a price object
+ * Without new unit information, a known pack size is divided into the new
+ * price; otherwise the stored unit price is dropped, as it belonged to
+ * another price.
+ * @param {Object} price - Price object
+ * @param {Object|null} info - Result of extractUnitPriceFromDocument
+ * @returns {Object} New price object
+ */
+export function applyUnitPrice(price, info) {
+  if (!price || typeof price !== 'object') return price;
+  const { unitPrice, unit, quantity, ...rest } = price;
+
+  if (info && info.unitPrice > 0 && info.unit) {
+    return {
+      ...rest,
+      unitPrice: info.unitPrice,
+      unit: info.unit,
+      ...(info.quantity > 0 ? { quantity: info.quantity } : {})
+    };
+  }
+
+  if (quantity > 0 && unit && price.numeric > 0) {
+    return { ...rest, unitPrice: roundPrice(price.numeric / quantity), unit, quantity };
+  }
+  return rest;
+}
+
+/**
+ * Check whether two prices have unit prices in the same unit
+ * @param {Object} a - Price object or history entry
+ * @param {Object} b - Price object or history entry
+ * @returns {boolean}
+ */
+export function canCompareUnitPrices(a, b) {
+  return typeof a?.unitPrice === 'number' && typeof b?.unitPrice === 'number' && a.unit === b.unit;
+}
+
+/**
+ * Classify a change of pack size
+ * Changes under 1% are measurement noise (unit conversions, rounding).
+ * @param {Object} oldPrice - Previous price object
+ * @param {Object} newPrice - New price object
+ * @returns {string|null} One of PACK_SIZE_CHANGES, or null
+ */
+export function getPackSizeChange(oldPrice, newPrice) {
+  const before = oldPrice?.quantity;
+  const after = newPrice?.quantity;
+  if (!(before > 0) || !(after > 0) || oldPrice.unit !== newPrice.unit) return null;
+
+  const change = (after - before) / before;
+  if (change <= -0.01) return PACK_SIZE_CHANGES.DECREASED;
+  if (change >= 0.01) return PACK_SIZE_CHANGES.INCREASED;
+  return null;
+}
+
+/**
+ * Format a pack size for display
+ * @param {number} quantity - Size in the base unit
+ * @param {string} unit - Base unit
+ * @returns {string} e.g. "500 g", "1.5 l", "12 items"
+ */
+export function formatQuantity(quantity, unit) {
+  if (typeof quantity !== 'number') return '';
+  const round = value => String(Math.round(value * 100) / 100);
+
+  if (unit === BASE_UNITS.KG) return quantity < 1 ? `${round(quantity * 1000)} g` : `${round(quantity)} kg`;
+  if (unit === BASE_UNITS.L) return quantity < 1 ? `${round(quantity * 1000)} ml` : `${round(quantity)} l`;
+  return `${round(quantity)} ${quantity === 1 ? 'item' : 'items'}`;
+}
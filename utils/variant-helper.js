@@ -0,0 +1,397 @@
+/**
+ * Variant Helper Module
+ * Resolves which product variant (size, color, configuration) a page or a
+ * tracked product refers to.
+ *
+ * A variant reference is a plain object that can be stored with the product
+ * and passed to background re-checks:
+ *   {
+ *     id: '40123456789',                   // Platform variant ID (Shopify, Etsy) or null
+ *     sku: 'NI112O0BC-Q110007000',         // Variant SKU or null
+ *     attributes: { size: '42', color: 'Black' },
+ *     params: { variant: '40123456789' },  // URL query params that select the variant
+ *     variantCount: 6                      // Variants the product has, when the page lists them
+ *   }
+ *
+ * A reference alone doesn't make a product multi-variant: every Shopify page
+ * has a selected variant ID, and many shops use ?size= or ?sku= for other
+ * things. Only a variantCount above 1 (embedded variants, a ProductGroup,
+ * one offer per size) makes the variant part of the product ID.
+ *
+ * Used by the content-script detector, site adapters, the offscreen parser
+ * and the background price checker, so it must not depend on extension APIs.
+ */
+
+/**
+ * URL query parameters that select a specific variant
+ * - variant: Shopify (?variant=123)
+ * - variation0/variation1: Etsy listing options
+ * - var: eBay multi-variation listings (?var=123)
+ * - size, color, colour, sku: Zalando/Boozt style deep links and many custom shops
+ */
+export const VARIANT_QUERY_PARAMS = [
+  'variant',
+  'variation0',
+  'variation1',
+  'var',
+  'sku',
+  'size',
+  'color',
+  'colour',
+  'attribute_pa_size',
+  'attribute_pa_color'
+];
+
+/**
+ * Schema.org properties that describe variant attributes
+ */
+const SCHEMA_ATTRIBUTE_PROPERTIES = ['size', 'color', 'material', 'pattern'];
+
+/**
+ * Extract variant-selecting query parameters from a URL
+ * @param {string} url - Page URL
+ * @returns {Object} Map of lowercase param name -> value (empty if none)
+ */
+export function getVariantParamsFromUrl(url) {
+  const params = {};
+  if (!url) return params;
+
+  try {
+    const urlObj = new URL(url);
+    for (const [key, value] of urlObj.searchParams) {
+      const name = key.toLowerCase();
+      if (VARIANT_QUERY_PARAMS.includes(name) && value) {
+        params[name] = value;
+      }
+    }
+  } catch (error) {
+    // Invalid URL - no variant params
+  }
+
+  return params;
+}
+
+/**
+ * Build a stable, order-independent key from the variant params of a URL
+ * @param {string} url - Page URL
+ * @returns {string} e.g. "size=42&variant=123", or '' if the URL has no variant params
+ */
+export function getVariantKeyFromUrl(url) {
+  const params = getVariantParamsFromUrl(url);
+  return Object.keys(params)
+    .sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+}
+
+/**
+ * Build a variant reference from the URL (and optional known values)
+ * @param {string} url - Page URL
+ * @param {Object} known - Already known id/sku/attributes
+ * @returns {Object|null} Variant reference or null if nothing identifies a variant
+ */
+export function getVariantRefFromUrl(url, known = {}) {
+  const params = getVariantParamsFromUrl(url);
+  return buildVariantInfo({
+    id: known.id || params.variant || params.variation0 || params.var || null,
+    sku: known.sku || params.sku || null,
+    attributes: {
+      ...(params.size || params.attribute_pa_size ? { size: params.size || params.attribute_pa_size } : {}),
+      ...(params.color || params.colour || params.attribute_pa_color
+        ? { color: params.color || params.colour || params.attribute_pa_color }
+        : {}),
+      ...(known.attributes || {})
+    },
+    params
+  });
+}
+
+/**
+ * Build a variant reference for a rendered page
+ * Combines URL params with the variant selected in a platform add-to-cart
+ * form (Shopify keeps the selected variant ID in the form's "id" field).
+ * @param {Document} doc - Page document
+ * @param {string} url - Page URL
+ * @returns {Object|null} Variant reference or null
+ */
+export function getSelectedVariantRef(doc, url) {
+  let selectedId = null;
+  try {
+    const idField = doc?.querySelector?.('form[action*="/cart/add"] [name="id"]');
+    selectedId = idField?.value || null;
+  } catch (error) {
+    // Ignore selector errors on unusual documents
+  }
+
+  return getVariantRefFromUrl(url, selectedId ? { id: selectedId } : {});
+}
+
+/**
+ * Normalize variant information, dropping empty fields
+ * @param {Object} info - Raw variant info
+ * @returns {Object|null} Variant object or null if it identifies nothing
+ */
+export function buildVariantInfo({ id = null, sku = null, attributes = {}, params = {}, variantCount = null } = {}) {
+  const cleanAttributes = {};
+  for (const [name, value] of Object.entries(attributes || {})) {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (text) {
+      cleanAttributes[name] = text;
+    }
+  }
+
+  const variant = {
+    id: id !== null && id !== undefined && id !== '' ? String(id) : null,
+    sku: sku !== null && sku !== undefined && sku !== '' ? String(sku) : null,
+    attributes: cleanAttributes,
+    params: { ...(params || {}) }
+  };
+
+  if (!variant.id && !variant.sku && Object.keys(cleanAttributes).length === 0) {
+    return null;
+  }
+
+  if (Number.isInteger(variantCount) && variantCount > 1) {
+    variant.variantCount = variantCount;
+  }
+
+  return variant;
+}
+
+/**
+ * Check whether a variant is one of several the product has
+ * @param {Object|null} variant - Variant object
+ * @returns {boolean}
+ */
+export function isMultiVariant(variant) {
+  return Number.isInteger(variant?.variantCount) && variant.variantCount > 1;
+}
+
+/**
+ * Read variant attributes (size, color, ...) from a Schema.org Product node
+ * @param {Object} node - Schema.org Product node
+ * @returns {Object} Attribute map
+ */
+export function getSchemaVariantAttributes(node) {
+  const attributes = {};
+  if (!node || typeof node !== 'object') return attributes;
+
+  for (const property of SCHEMA_ATTRIBUTE_PROPERTIES) {
+    const value = node[property];
+    if (typeof value === 'string' || typeof value === 'number') {
+      attributes[property] = String(value);
+    } else if (value && typeof value === 'object' && value.name) {
+      attributes[property] = String(value.name);
+    }
+  }
+
+  // additionalProperty: [{ name: 'Size', value: '42' }]
+  const additional = Array.isArray(node.additionalProperty)
+    ? node.additionalProperty
+    : (node.additionalProperty ? [node.additionalProperty] : []);
+  for (const prop of additional) {
+    if (prop?.name && prop.value !== undefined && prop.value !== null) {
+      attributes[String(prop.name).toLowerCase()] = String(prop.value);
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Build variant info for a resolved Schema.org variant node
+ * @param {Object} node - Schema.org Product node (a ProductGroup variant)
+ * @param {Object|null} offer - The offer that was used, if any
+ * @param {Object} params - URL variant params
+ * @param {number|null} variantCount - Variants of the product group
+ * @returns {Object|null}
+ */
+export function getVariantInfoFromSchemaNode(node, offer = null, params = {}, variantCount = null) {
+  return buildVariantInfo({
+    id: node?.productID || null,
+    sku: offer?.sku || node?.sku || null,
+    attributes: getSchemaVariantAttributes(node),
+    params,
+    variantCount
+  });
+}
+
+/**
+ * Get offers of a Schema.org node as an array
+ * @param {Object} node - Schema.org node
+ * @returns {Array}
+ */
+function getOffers(node) {
+  if (!node?.offers) return [];
+  return Array.isArray(node.offers) ? node.offers : [node.offers];
+}
+
+/**
+ * Compare two values case-insensitively
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Check if a URL refers to the given variant ID (e.g. ?variant=123)
+ * @param {string} url - URL to test
+ * @param {string} id - Variant ID
+ * @returns {boolean}
+ */
+function urlMatchesVariantId(url, id) {
+  if (!url || !id || typeof url !== 'string') return false;
+  return Object.values(getVariantParamsFromUrl(url)).some(value => sameValue(value, id));
+}
+
+/**
+ * Check whether a Schema.org Product node is the referenced variant
+ * @param {Object} node - Schema.org Product node
+ * @param {Object} ref - Variant reference
+ * @returns {boolean}
+ */
+export function schemaNodeMatchesVariant(node, ref) {
+  if (!node || !ref) return false;
+  const offers = getOffers(node);
+
+  if (ref.sku) {
+    if (sameValue(node.sku, ref.sku) || offers.some(offer => sameValue(offer?.sku, ref.sku))) {
+      return true;
+    }
+  }
+
+  if (ref.id) {
+    if (sameValue(node.productID, ref.id) ||
+        urlMatchesVariantId(node.url, ref.id) ||
+        offers.some(offer => urlMatchesVariantId(offer?.url, ref.id))) {
+      return true;
+    }
+  }
+
+  const refAttributes = Object.entries(ref.attributes || {});
+  if (refAttributes.length > 0) {
+    const nodeAttributes = getSchemaVariantAttributes(node);
+    return refAttributes.every(([name, value]) => sameValue(nodeAttributes[name], value));
+  }
+
+  return false;
+}
+
+/**
+ * Order Schema.org product nodes so that the referenced variant comes first
+ * Falls back to the original order when no node matches, so pages without
+ * variant data keep working as before.
+ * @param {Array} nodes - Product / ProductGroup nodes
+ * @param {Object|null} ref - Variant reference
+ * @returns {Array} Nodes to try, best match first
+ */
+export function orderSchemaNodesForVariant(nodes, ref) {
+  if (!ref || !Array.isArray(nodes)) return nodes;
+
+  const candidates = new Set();
+  for (const node of nodes) {
+    candidates.add(node);
+    // ProductGroup variants may not have been collected by the caller
+    if (node?.hasVariant) {
+      const variants = Array.isArray(node.hasVariant) ? node.hasVariant : [node.hasVariant];
+      variants.forEach(variant => candidates.add(variant));
+    }
+  }
+
+  const matches = [...candidates].filter(node => schemaNodeMatchesVariant(node, ref));
+  if (matches.length === 0) return nodes;
+
+  return [...matches, ...nodes.filter(node => !matches.includes(node))];
+}
+
+/**
+ * Narrow an offers list to the offers of the referenced variant
+ * Zalando-style pages list one Offer per size, each with its own SKU.
+ * @param {Array} offers - Offers list
+ * @param {Object|null} ref - Variant reference
+ * @returns {Array} Matching offers, or all offers when none match
+ */
+export function filterOffersForVariant(offers, ref) {
+  if (!ref || !Array.isArray(offers) || offers.length < 2) return offers;
+
+  const matches = offers.filter(offer =>
+    (ref.sku && sameValue(offer?.sku, ref.sku)) ||
+    (ref.id && urlMatchesVariantId(offer?.url, ref.id))
+  );
+
+  return matches.length > 0 ? matches : offers;
+}
+
+/**
+ * Select the variant from embedded platform JSON (Shopify product JSON)
+ * @param {Array} variants - Platform variants ({ id, sku, available, option1.. })
+ * @param {Object|null} ref - Variant reference
+ * @returns {Object|null} Selected variant
+ */
+export function selectEmbeddedVariant(variants, ref) {
+  if (!Array.isArray(variants) || variants.length === 0) return null;
+
+  if (ref) {
+    const match = variants.find(variant =>
+      (ref.id && sameValue(variant.id, ref.id)) ||
+      (ref.sku && sameValue(variant.sku, ref.sku))
+    );
+    if (match) return match;
+  }
+
+  return variants.find(variant => variant.available !== false) || variants[0];
+}
+
+/**
+ * Build variant info from an embedded platform variant
+ * @param {Object} variant - Platform variant
+ * @param {Object} product - Platform product (for option names)
+ * @param {Object} params - URL variant params
+ * @returns {Object|null}
+ */
+export function getVariantInfoFromEmbedded(variant, product = {}, params = {}) {
+  if (!variant) return null;
+
+  const attributes = {};
+  const optionNames = Array.isArray(product.options)
+    ? product.options.map(option => (typeof option === 'string' ? option : option?.name))
+    : [];
+
+  ['option1', 'option2', 'option3'].forEach((key, index) => {
+    const value = variant[key];
+    if (value && value !== 'Default Title') {
+      const name = (optionNames[index] || `option${index + 1}`).toLowerCase();
+      attributes[name] = value;
+    }
+  });
+
+  return buildVariantInfo({
+    id: variant.id,
+    sku: variant.sku,
+    attributes,
+    params,
+    variantCount: Array.isArray(product.variants) ? product.variants.length : null
+  });
+}
+
+/**
+ * Format variant attributes for display, e.g. "Size 42 · Black"
+ * @param {Object|null} variant - Variant object
+ * @returns {string} Display label or ''
+ */
+export function formatVariantLabel(variant) {
+  if (!variant) return '';
+
+  const parts = Object.entries(variant.attributes || {}).map(([name, value]) => {
+    if (name === 'color' || name === 'colour') return value;
+    return `${name.charAt(0).toUpperCase()}${name.slice(1)} ${value}`;
+  });
+
+  if (parts.length > 0) return parts.join(' · ');
+  if (variant.sku) return `SKU ${variant.sku}`;
+  return '';
+}